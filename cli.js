@@ -16,6 +16,11 @@ const { hideBin } = require('yargs/helpers');
 const { getCommandConfig: getBrowseConfig } = require('./src/catalog-cli/browse-command');
 const { getCommandConfig: getSearchConfig } = require('./src/catalog-cli/search-command');
 const { getCommandConfig: getExportConfig } = require('./src/catalog-cli/export-command');
+const { getCommandConfig: getTreeConfig } = require('./src/catalog-cli/tree-command');
+const { getCommandConfig: getHistoryConfig } = require('./src/catalog-cli/history-command');
+const { getCommandConfig: getValidateConfig } = require('./src/catalog-cli/validate-command');
+const { getCommandConfig: getAuditConfig } = require('./src/catalog-cli/audit-command');
+const { getCommandConfig: getCacheConfig } = require('./src/catalog-cli/cache-command');
 
 // CLI metadata
 const CLI_VERSION = '2.0.0';
@@ -25,8 +30,7 @@ const CLI_DESCRIPTION = 'Enhanced S3 Dataset Catalog CLI with timestamp display
 const cli = yargs(hideBin(process.argv))
   .scriptName('s3-catalog')
   .version(CLI_VERSION)
-  .description(CLI_DESCRIPTION)
-  .usage('\n🚀 Enhanced S3 Dataset Catalog CLI\n\nUsage: $0 <command> [options]')
+  .usage(`\n🚀 ${CLI_DESCRIPTION}\n\nUsage: $0 <command> [options]`)
 
   // Global options that apply to all commands
   .option('verbose', {
@@ -54,6 +58,11 @@ const cli = yargs(hideBin(process.argv))
   .command(getBrowseConfig())
   .command(getSearchConfig())
   .command(getExportConfig())
+  .command(getTreeConfig())
+  .command(getHistoryConfig())
+  .command(getValidateConfig())
+  .command(getAuditConfig())
+  .command(getCacheConfig())
 
   // Additional global configurations
   .demandCommand(1, 'You need to provide a command. Use --help to see available commands.')
@@ -61,12 +70,17 @@ const cli = yargs(hideBin(process.argv))
   .help('help')
   .alias('help', 'h')
   .alias('version', 'V')
-  .wrap(Math.min(120, yargs.terminalWidth()))
+  .wrap(Math.min(120, process.stdout.columns || 80))
 
   // Enhanced examples
   .example('$0 browse --show-dates --deduplicate', 'Browse with timestamps and deduplication')
   .example('$0 search "climate" --verbose', 'Search for climate datasets with detailed output')
   .example('$0 export --query "data" --format csv --output results.csv', 'Export filtered datasets to CSV')
+  .example('$0 tree tijuana --depth 2', 'Show the prefix tree under tijuana/ with dataset counts')
+  .example('$0 history tijuana/sd_complaints/output/complaints_by_date', 'Show what changed between versions of a dataset')
+  .example('$0 validate --source ./staging --format junit', 'Check metadata files before uploading them')
+  .example('$0 audit --fail-on dangling', 'Report orphan data files and contentUrls pointing at missing keys')
+  .example('$0 cache clear', 'Remove cached metadata for the default bucket')
 
   // Enhanced epilogue with feature information
   .epilogue(`
@@ -76,12 +90,20 @@ const cli = yargs(hideBin(process.argv))
    📝 --date-format    Choose relative, absolute, or both timestamp formats
    🔤 --case-sensitive Configure case-sensitive title matching for deduplication
    📊 --verbose        Show detailed statistics and processing information
+   💾 --no-cache       Skip the local metadata cache (--refresh rebuilds it)
+   🌐 --sources        Merge several buckets/prefixes from a JSON file into one catalog
+   ⏳ --no-progress    Hide the progress line (Ctrl-C cancels a load in progress)
 
 🔧 Configuration:
    Set S3_ENDPOINT and S3_BUCKET_NAME environment variables for default connection.
    Example: export S3_ENDPOINT=https://oss.resilientservice.mooo.com
             export S3_BUCKET_NAME=resilentpublic
 
+🚦 Exit codes:
+   1 other error, 2 access denied, 3 no such bucket, 4 throttled,
+   5 network error, 6 validation failed (validate, audit --fail-on),
+   130 cancelled
+
 💡 Tips:
    - Use --verbose for debugging connection issues
    - Combine --show-dates with --date-format both for full timestamp info
@@ -1,3 +1,7 @@
 module.exports = {
   testPathIgnorePatterns: ["/node_modules/", ".spec.js"],
+  // src/catalog-core is ESM; transpile it so tests can require() it
+  transform: {
+    "\\.js$": ["babel-jest", { sourceType: "unambiguous", plugins: ["@babel/plugin-transform-modules-commonjs"] }],
+  },
 };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Builds the CommonJS copy of the catalog core
+ * src/catalog-core is written as ES modules. This script compiles each module to CommonJS in
+ * src/catalog-core/dist/cjs, which the core's package.json "exports" map serves to require(),
+ * so CommonJS code and bundlers can load the core without require(esm) support.
+ * Usage: node scripts/build-core-cjs.js [outDir]
+ */
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const CORE_DIR = path.join(__dirname, '..', 'src', 'catalog-core');
+const DEFAULT_OUT_DIR = path.join(CORE_DIR, 'dist', 'cjs');
+
+/**
+ * Compiles every core module to CommonJS and copies the JSON files they import
+ * @param {string} outDir - Output directory (default src/catalog-core/dist/cjs)
+ * @returns {Array<string>} Names of the files written
+ */
+function buildCoreCjs(outDir = DEFAULT_OUT_DIR) {
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const written = [];
+  for (const name of fs.readdirSync(CORE_DIR).sort()) {
+    const sourcePath = path.join(CORE_DIR, name);
+    if (name.endsWith('.js')) {
+      const { code } = babel.transformFileSync(sourcePath, {
+        babelrc: false,
+        configFile: false,
+        sourceType: 'module',
+        plugins: ['@babel/plugin-transform-modules-commonjs']
+      });
+      fs.writeFileSync(path.join(outDir, name), code + '\n');
+      written.push(name);
+    } else if (name.endsWith('.json') && name !== 'package.json') {
+      fs.copyFileSync(sourcePath, path.join(outDir, name));
+      written.push(name);
+    }
+  }
+
+  // The core's package.json marks .js files as ES modules; this one marks the build as CommonJS
+  fs.writeFileSync(path.join(outDir, 'package.json'), JSON.stringify({ type: 'commonjs' }, null, 2) + '\n');
+  return written;
+}
+
+if (require.main === module) {
+  const outDir = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_OUT_DIR;
+  const written = buildCoreCjs(outDir);
+  console.log(`📦 Built ${written.length} CommonJS core files in ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+module.exports = { buildCoreCjs };
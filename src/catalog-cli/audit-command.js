@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  createCatalogService,
+  buildCatalogOptions,
+  addCatalogOptions,
+  loadCatalogWithProgress,
+  reserveStdoutForReport,
+  outputCacheStatistics
+} = require('./catalog-factory.js');
+const { EXIT_CODES, exitWithError } = require('./error-handler.js');
+const { CatalogAudit } = require('../catalog-core/catalog-audit.js');
+
+/**
+ * Audit command: cross-references the object listing against every distribution contentUrl
+ * and reports orphan data files (no contentUrl links to them) and dangling links (contentUrls
+ * whose key does not exist), with their sizes; --fail-on exits with
+ * EXIT_CODES.VALIDATION_FAILED for use in upload pipelines
+ * @param {Object} argv - Command line arguments
+ * @param {string} argv.format - Report format ('text', 'json')
+ * @param {string} argv.output - Write the report to this file instead of stdout
+ * @param {string} argv.failOn - Fail on 'dangling' links, 'orphans' or 'any' of them
+ * @param {string} argv.prefix - Only audit keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {boolean} argv.cache - Reuse unchanged metadata files from the local disk cache
+ * @param {boolean} argv.refresh - Re-download all metadata files and rebuild the cache
+ * @param {boolean} argv.progress - Show a progress line on stderr while loading
+ * @param {string} argv.source - Local directory to audit instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {string} argv.inventory - S3 Inventory manifest key or destination prefix to list objects from
+ * @param {Array<string>} argv.inventoryLivePrefix - Prefixes listed live on top of the inventory report
+ * @param {number} argv.inventoryMaxAge - Ignore inventory reports older than this many hours
+ * @param {boolean} argv.verbose - Show cache statistics
+ */
+async function audit(argv) {
+  // With --format json and no --output, stdout only gets the report
+  const stdout = reserveStdoutForReport(argv);
+  try {
+    const catalogService = createCatalogService(argv, buildCatalogOptions(argv));
+
+    console.log('🧾 Loading S3 dataset catalog...');
+    await loadCatalogWithProgress(catalogService, argv);
+    const report = await catalogService.auditCatalog();
+
+    const sourceLabels = new Map((catalogService.sources || []).map(source => [source.id, source.label]));
+    const output = argv.format === 'json'
+      ? JSON.stringify(report, null, argv.compact ? 0 : 2)
+      : _toText(report, sourceLabels);
+
+    if (argv.output) {
+      fs.mkdirSync(path.dirname(path.resolve(argv.output)), { recursive: true });
+      fs.writeFileSync(argv.output, output + '\n', 'utf8');
+      console.log(`💾 Audit report written to ${argv.output}`);
+    } else {
+      stdout.printReport(output);
+    }
+
+    if (argv.verbose) {
+      outputCacheStatistics(catalogService);
+    }
+
+    if (_isFailure(report.summary, argv.failOn)) {
+      process.exitCode = EXIT_CODES.VALIDATION_FAILED;
+    }
+
+  } catch (error) {
+    exitWithError('Error auditing catalog', error, argv);
+  } finally {
+    stdout.restore();
+  }
+}
+
+/**
+ * Decides whether the report fails the --fail-on condition
+ * @private
+ */
+function _isFailure(summary, failOn) {
+  switch (failOn) {
+    case 'dangling': return summary.danglingLinks > 0;
+    case 'orphans': return summary.orphanFiles > 0;
+    case 'any': return summary.danglingLinks > 0 || summary.orphanFiles > 0;
+    default: return false;
+  }
+}
+
+/**
+ * Formats the report as text: orphans grouped by directory, then dangling links
+ * @private
+ */
+function _toText(report, sourceLabels) {
+  const { summary } = report;
+  const lines = [];
+  const label = entry => (entry.source !== undefined ? ` [${sourceLabels.get(entry.source) || entry.source}]` : '');
+
+  lines.push(`\n🧾 Catalog audit: ${report.bucket}${report.prefix ? ` under '${report.prefix}'` : ''}`);
+  lines.push('═'.repeat(50));
+
+  const orphansByDirectory = new Map();
+  for (const orphan of report.orphans) {
+    const id = `${orphan.source ?? ''}\n${orphan.key.slice(0, orphan.key.lastIndexOf('/') + 1)}`;
+    if (!orphansByDirectory.has(id)) {
+      orphansByDirectory.set(id, []);
+    }
+    orphansByDirectory.get(id).push(orphan);
+  }
+
+  lines.push(`📦 Orphan files: ${summary.orphanFiles} (${CatalogAudit.formatBytes(summary.orphanBytes)}), not linked from any contentUrl`);
+  for (const directory of report.orphanDirectories) {
+    lines.push(`  📂 ${directory.directory || '/'}${label(directory)}: ${directory.files} file${directory.files === 1 ? '' : 's'}, ${CatalogAudit.formatBytes(directory.bytes)}`);
+    for (const orphan of orphansByDirectory.get(`${directory.source ?? ''}\n${directory.directory}`)) {
+      lines.push(`     • ${orphan.key} (${CatalogAudit.formatBytes(orphan.size)})`);
+    }
+  }
+
+  lines.push('');
+  lines.push(`🔗 Dangling links: ${summary.danglingLinks}, contentUrls whose key does not exist`);
+  for (const link of report.dangling) {
+    const declared = link.contentSize ? ` (declared ${link.contentSize})` : '';
+    lines.push(`  ❌ ${link.key}${declared}${label(link)}`);
+    lines.push(`     from ${link.title || link.datasetId} (${link.metadataKey})${link.contentUrl !== link.key ? `: ${link.contentUrl}` : ''}`);
+  }
+
+  lines.push('═'.repeat(50));
+  const problems = summary.orphanFiles + summary.danglingLinks;
+  lines.push(`${problems === 0 ? '✅' : '⚠️ '} ${summary.objects} objects, ${summary.datasets} datasets: ` +
+    `${summary.linkedFiles} linked file${summary.linkedFiles === 1 ? '' : 's'} (${CatalogAudit.formatBytes(summary.linkedBytes)}), ` +
+    `${summary.orphanFiles} orphan${summary.orphanFiles === 1 ? '' : 's'} (${CatalogAudit.formatBytes(summary.orphanBytes)}), ` +
+    `${summary.danglingLinks} dangling link${summary.danglingLinks === 1 ? '' : 's'}, ` +
+    `${summary.externalLinks} external link${summary.externalLinks === 1 ? '' : 's'}` +
+    (summary.uncheckedLinks > 0 ? `, ${summary.uncheckedLinks} unchecked` : ''));
+
+  return lines.join('\n');
+}
+
+/**
+ * Defines command line argument configuration for the audit command
+ * @returns {Object} Yargs command configuration
+ */
+function getCommandConfig() {
+  return {
+    command: 'audit [bucket]',
+    describe: 'Report data files no contentUrl links to and contentUrls pointing at missing keys',
+    builder: (yargs) => {
+      yargs
+        .positional('bucket', {
+          describe: 'S3 bucket name',
+          type: 'string',
+          default: process.env.S3_BUCKET_NAME
+        })
+        .option('format', {
+          describe: 'Report format',
+          choices: ['text', 'json'],
+          default: 'text'
+        })
+        .option('compact', {
+          describe: 'Compact JSON output (no formatting, use with --format json)',
+          type: 'boolean',
+          default: false
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Write the report to a file instead of stdout',
+          type: 'string'
+        })
+        .option('fail-on', {
+          describe: 'Exit with status 6 when the audit finds dangling links, orphan files or either',
+          choices: ['dangling', 'orphans', 'any']
+        });
+
+      // The audit reports undocumented data files as orphans, so it never loads inferred datasets
+      return addCatalogOptions(yargs, {
+        omit: ['infer-datasets'],
+        describe: {
+          prefix: 'Only audit keys under this prefix (e.g. tijuana/)',
+          source: 'Audit a local directory instead of a bucket',
+          sources: 'JSON file listing several buckets/prefixes to audit together'
+        }
+      })
+        .example('$0 audit', 'List orphan files and dangling links in the default bucket')
+        .example('$0 audit --prefix tijuana/ --fail-on dangling', 'Fail a pipeline when a contentUrl under tijuana/ points at a missing key')
+        .example('$0 audit --format json --output reports/audit.json', 'Write the report as JSON');
+    },
+    handler: audit
+  };
+}
+
+module.exports = { audit, getCommandConfig };
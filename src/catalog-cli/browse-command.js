@@ -1,6 +1,16 @@
-const { CatalogService } = require('../catalog-core/catalog-service');
-const { DeduplicationConfig } = require('../catalog-core/deduplication-config');
-const { DateDisplayConfig } = require('../catalog-core/date-display-config');
+const {
+  createCatalogService,
+  buildCatalogOptions,
+  addCatalogOptions,
+  loadCatalogWithProgress,
+  outputCacheStatistics,
+  outputSourceStatistics,
+  outputSectionHeader,
+  outputDatasetProperties,
+  getSourceLabel
+} = require('./catalog-factory.js');
+const { exitWithError } = require('./error-handler.js');
+const { formatTableSchema } = require('../catalog-core/models.js');
 
 /**
  * Enhanced browse command with date display and deduplication support
@@ -10,18 +20,30 @@ const { DateDisplayConfig } = require('../catalog-core/date-display-config');
  * @param {string} argv.dateFormat - Date format ('relative', 'absolute', 'both')
  * @param {boolean} argv.caseSensitive - Use case-sensitive deduplication
  * @param {string} argv.format - Output format ('text', 'json')
+ * @param {string} argv.prefix - Only catalog keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {boolean} argv.cache - Reuse unchanged metadata files from the local disk cache
+ * @param {boolean} argv.refresh - Re-download all metadata files and rebuild the cache
+ * @param {boolean} argv.progress - Show a progress line on stderr while loading
+ * @param {string} argv.source - Local directory to catalog instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {string} argv.dedupScope - Deduplicate across all sources ('global') or within each source ('source')
+ * @param {string} argv.inventory - S3 Inventory manifest key or destination prefix to list objects from
+ * @param {Array<string>} argv.inventoryLivePrefix - Prefixes listed live on top of the inventory report
+ * @param {number} argv.inventoryMaxAge - Ignore inventory reports older than this many hours
+ * @param {boolean} argv.inferDatasets - Add inferred datasets for data files without metadata
  * @param {boolean} argv.verbose - Show detailed statistics
  */
 async function browse(argv) {
   try {
     // Create enhanced catalog service with configuration options
-    const catalogOptions = _buildCatalogOptions(argv);
-    const catalogService = new CatalogService(argv.bucketName, catalogOptions);
+    const catalogOptions = buildCatalogOptions(argv);
+    const catalogService = createCatalogService(argv, catalogOptions);
 
     console.log('🔄 Loading S3 dataset catalog...');
     const startTime = Date.now();
 
-    const catalogResponse = await catalogService.loadCatalog();
+    const catalogResponse = await loadCatalogWithProgress(catalogService, argv);
     const { sections, metadata } = catalogResponse;
 
     const loadTime = Date.now() - startTime;
@@ -35,52 +57,15 @@ async function browse(argv) {
     // Show verbose statistics if requested
     if (argv.verbose) {
       _outputStatistics(metadata, argv);
+      outputSourceStatistics(metadata);
+      outputCacheStatistics(catalogService);
     }
 
   } catch (error) {
-    console.error('❌ Error browsing catalog:', error.message);
-    if (argv.verbose) {
-      console.error('Full error:', error);
-    }
-    process.exit(1);
+    exitWithError('Error browsing catalog', error, argv);
   }
 }
 
-/**
- * Builds catalog service options from command line arguments
- * @private
- * @param {Object} argv - Command line arguments
- * @returns {Object} Catalog service options
- */
-function _buildCatalogOptions(argv) {
-  const options = {};
-
-  // S3 endpoint configuration
-  if (argv.endpoint) {
-    options.endpoint = argv.endpoint;
-  }
-
-  // Configure deduplication
-  if (argv.deduplicate) {
-    options.deduplication = DeduplicationConfig.createEnabled({
-      caseSensitive: argv.caseSensitive || false
-    });
-  } else {
-    options.deduplication = DeduplicationConfig.createDefault();
-  }
-
-  // Configure date display
-  if (argv.showDates) {
-    const dateFormat = argv.dateFormat || 'relative';
-    options.dateDisplay = DateDisplayConfig.createForCLI();
-    options.dateDisplay.update({ format: dateFormat });
-  } else {
-    options.dateDisplay = DateDisplayConfig.createDefault();
-  }
-
-  return options;
-}
-
 /**
  * Outputs catalog in JSON format
  * @private
@@ -126,7 +111,7 @@ function _outputText(sections, metadata, argv, loadTime) {
   }
 
   for (const [sectionName, datasets] of Object.entries(sections)) {
-    console.log(`\n🗂️  [ ${sectionName.toUpperCase()} ] (${datasets.length} datasets)`);
+    outputSectionHeader(sectionName, metadata, `${datasets.length} datasets`);
 
     datasets.forEach(dataset => {
       _renderDataset(dataset, argv);
@@ -155,8 +140,19 @@ function _renderDataset(dataset, argv) {
     }
   }
 
+  // Datasets inferred from data files have no metadata file
+  if (dataset.inferred) {
+    title += ' 🔍 (inferred, no metadata)';
+  }
+
   console.log(`  ${title}`);
 
+  // Show which source the dataset came from in federated catalogs
+  const sourceLabel = getSourceLabel(dataset);
+  if (sourceLabel) {
+    console.log(`    🌐 Source: ${sourceLabel}`);
+  }
+
   if (dataset.description) {
     console.log(`    💬 ${dataset.description}`);
   }
@@ -174,12 +170,18 @@ function _renderDataset(dataset, argv) {
     console.log(`    👤 ${creatorInfo} | Created: ${createdInfo}`);
   }
 
+  // Show schema.org properties (keywords, license; coverage and more with --verbose)
+  outputDatasetProperties(dataset, argv);
+
   // Show download links
   if (dataset.distribution && dataset.distribution.length > 0) {
     console.log(`    🔗 ${dataset.distribution.length} download${dataset.distribution.length > 1 ? 's' : ''} available`);
     if (argv.verbose) {
       dataset.distribution.forEach(dist => {
         console.log(`      - ${dist.name || dist.encodingFormat || 'Download'} (${dist.encodingFormat || 'N/A'})`);
+        if (dist.tableSchema) {
+          console.log(`        📐 ${formatTableSchema(dist.tableSchema)}`);
+        }
       });
     }
   }
@@ -200,8 +202,14 @@ function _outputStatistics(metadata, argv) {
   console.log(`📄 Metadata files found: ${metadata.bucketInfo?.metadataFiles || 'Unknown'}`);
   console.log(`✅ Valid datasets: ${metadata.validDatasets}`);
   console.log(`❌ Invalid datasets: ${metadata.invalidDatasets}`);
+  if (metadata.inferredDatasets) {
+    console.log(`🔍 Inferred datasets: ${metadata.inferredDatasets}`);
+  }
   console.log(`⚡ Processing time: ${Math.round(metadata.processingTimeMs || 0)}ms`);
   console.log(`🏷️  Bucket: ${metadata.bucketInfo?.name || 'Unknown'}`);
+  if (metadata.bucketInfo?.prefix) {
+    console.log(`📂 Prefix: ${metadata.bucketInfo.prefix}`);
+  }
 
   if (metadata.deduplicationEnabled) {
     console.log('\n🔄 Deduplication Details');
@@ -232,7 +240,7 @@ function getCommandConfig() {
     command: 'browse [bucket]',
     describe: 'Browse and display datasets in the S3 catalog with enhanced filtering options',
     builder: (yargs) => {
-      return yargs
+      yargs
         .positional('bucket', {
           describe: 'S3 bucket name',
           type: 'string',
@@ -268,10 +276,9 @@ function getCommandConfig() {
           default: 'text'
         })
         .option('compact', {
-          describe: 'Compact JSON output (no formatting)',
+          describe: 'Compact JSON output (no formatting, use with --format json)',
           type: 'boolean',
-          default: false,
-          implies: { format: 'json' }
+          default: false
         })
         .option('verbose', {
           alias: 'v',
@@ -284,10 +291,16 @@ function getCommandConfig() {
           describe: 'S3 endpoint URL',
           type: 'string',
           default: process.env.S3_ENDPOINT
-        })
+        });
+
+      return addCatalogOptions(yargs)
         .example('$0 browse', 'Browse all datasets in the default bucket')
         .example('$0 browse --show-dates --deduplicate', 'Browse with timestamps and deduplication enabled')
         .example('$0 browse --date-format both --verbose', 'Browse with both date formats and detailed stats')
+        .example('$0 browse --prefix tijuana/', 'Browse only datasets under the tijuana/ prefix')
+        .example('$0 browse --sources sources.json --dedup-scope source', 'Browse several buckets as one catalog')
+        .example('$0 browse --source ./local-mirror', 'Browse a local copy of a bucket before uploading it')
+        .example('$0 browse --infer-datasets', 'Also list data files that have no metadata yet')
         .example('$0 browse --format json --compact', 'Output as compact JSON');
     },
     handler: browse
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const { MetadataCache, getCacheRoot } = require('./metadata-cache.js');
+
+/**
+ * Clears the local metadata cache
+ * @param {Object} argv - Command line arguments
+ * @param {string} argv.endpoint - S3 endpoint whose cache should be cleared
+ * @param {string} argv.bucket - S3 bucket whose cache should be cleared
+ * @param {boolean} argv.all - Clear the caches of every endpoint and bucket
+ */
+async function clearCache(argv) {
+  try {
+    if (argv.all) {
+      const cacheRoot = getCacheRoot();
+      await fs.rm(cacheRoot, { recursive: true, force: true });
+      console.log(`🧹 Cleared all cached catalogs in ${cacheRoot}`);
+      return;
+    }
+
+    if (!argv.endpoint || !argv.bucket) {
+      console.error('❌ Cache clear needs --endpoint and --bucket (or S3_ENDPOINT/S3_BUCKET_NAME), or use --all');
+      process.exit(1);
+    }
+
+    const cache = new MetadataCache(argv.endpoint, argv.bucket);
+    await cache.clear();
+    console.log(`🧹 Cleared cached catalog for ${argv.bucket} (${cache.directory})`);
+
+  } catch (error) {
+    console.error('❌ Error clearing cache:', error.message);
+    if (argv.verbose) {
+      console.error('Full error:', error);
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Gets the cache command configuration for yargs
+ * @returns {Object} Yargs command configuration
+ */
+function getCommandConfig() {
+  return {
+    command: 'cache',
+    describe: 'Manage the local metadata cache',
+    builder: (yargs) => {
+      return yargs
+        .command({
+          command: 'clear',
+          describe: 'Remove cached metadata for a bucket',
+          builder: (yargs) => {
+            return yargs
+              .option('all', {
+                describe: 'Clear cached metadata for every endpoint and bucket',
+                type: 'boolean',
+                default: false
+              })
+              .example('$0 cache clear', 'Clear the cache for the default endpoint and bucket')
+              .example('$0 cache clear --all', 'Clear every cached catalog');
+          },
+          handler: clearCache
+        })
+        .demandCommand(1, 'You need to provide a cache subcommand (e.g. clear).');
+    }
+  };
+}
+
+module.exports = { clearCache, getCommandConfig };
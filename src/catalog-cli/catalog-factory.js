@@ -0,0 +1,414 @@
+const fs = require('fs');
+const path = require('path');
+const { CatalogService } = require('../catalog-core/catalog-service.js');
+const { FederatedCatalogService } = require('../catalog-core/federated-catalog-service.js');
+const { S3ClientWrapper } = require('../catalog-core/s3-client.js');
+const { FileSystemStorageAdapter } = require('../catalog-core/filesystem-storage-adapter.js');
+const { SectionDescriptor } = require('../catalog-core/models.js');
+const { DeduplicationConfig } = require('../catalog-core/deduplication-config.js');
+const { DateDisplayConfig } = require('../catalog-core/date-display-config.js');
+const { MetadataCache, CachingS3Client } = require('./metadata-cache.js');
+const { ProgressLine } = require('./progress-line.js');
+
+/**
+ * Creates the Node.js S3 transport for one bucket, backed by the disk cache unless --no-cache is set
+ * @param {Object} argv - Command line arguments (cache, refresh)
+ * @param {string} endpoint - S3 endpoint URL (falls back to S3_ENDPOINT)
+ * @param {string} bucket - Bucket name (falls back to S3_BUCKET_NAME)
+ * @returns {Object} S3 transport
+ */
+function createS3Client(argv, endpoint, bucket) {
+  const s3Client = new S3ClientWrapper(bucket, { endpoint });
+  if (argv.cache === false) {
+    return s3Client;
+  }
+
+  const cache = new MetadataCache(endpoint || process.env.S3_ENDPOINT, s3Client.bucketName);
+  return new CachingS3Client(s3Client, cache, { refresh: argv.refresh });
+}
+
+/**
+ * Reads a sources file for a federated catalog
+ * The file is JSON: either an array of sources or an object with a "sources" array.
+ * Each source has a bucket and optionally an endpoint, prefix, label and id.
+ * @param {string} filePath - Path to the sources file
+ * @returns {Array<Object>} Source descriptors
+ */
+function loadSourcesFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read sources file ${resolvedPath}: ${error.message}`);
+  }
+
+  const sources = Array.isArray(parsed) ? parsed : parsed && parsed.sources;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error(`Sources file ${resolvedPath} must contain a non-empty array of sources`);
+  }
+
+  return sources;
+}
+
+/**
+ * Creates the catalog service for a command
+ * With --source, catalogs a local directory tree; with --sources, builds a federated catalog
+ * over every source in the file (sources without an endpoint use --endpoint); otherwise a
+ * single-bucket catalog for --bucket.
+ * @param {Object} argv - Command line arguments
+ * @param {Object} catalogOptions - Catalog service options built by the command
+ * @returns {CatalogService} Catalog service
+ */
+function createCatalogService(argv, catalogOptions) {
+  if (argv.source) {
+    // Local files are cheap to re-read, so the metadata cache is not used
+    const storage = new FileSystemStorageAdapter(argv.source);
+    return new CatalogService(storage.bucketName, { ...catalogOptions, s3Client: storage });
+  }
+
+  if (!argv.sources) {
+    return new CatalogService(argv.bucket, {
+      ...catalogOptions,
+      s3Client: createS3Client(argv, catalogOptions.endpoint, argv.bucket)
+    });
+  }
+
+  const sources = loadSourcesFile(argv.sources).map(source => ({
+    ...source,
+    endpoint: source.endpoint || catalogOptions.endpoint || process.env.S3_ENDPOINT
+  }));
+
+  return new FederatedCatalogService(sources, {
+    ...catalogOptions,
+    deduplicationScope: argv.dedupScope,
+    createS3Client: source => createS3Client(argv, source.endpoint, source.bucket)
+  });
+}
+
+/**
+ * Builds CatalogService inventory options from --inventory, --inventory-live-prefix and --inventory-max-age
+ * @param {Object} argv - Command line arguments
+ * @returns {Object} Inventory options ({manifestKey | manifestPrefix, livePrefixes, maxAgeHours})
+ */
+function buildInventoryOptions(argv) {
+  return {
+    [argv.inventory.endsWith('manifest.json') ? 'manifestKey' : 'manifestPrefix']: argv.inventory,
+    livePrefixes: argv.inventoryLivePrefix || [],
+    maxAgeHours: argv.inventoryMaxAge
+  };
+}
+
+/**
+ * Command line options for loading a catalog, shared by the commands that load one
+ * Commands add their own flags next to these with addCatalogOptions().
+ */
+const CATALOG_OPTIONS = {
+  prefix: {
+    alias: 'p',
+    describe: 'Only catalog keys under this prefix (e.g. tijuana/)',
+    type: 'string'
+  },
+  concurrency: {
+    describe: 'Maximum number of metadata files fetched in parallel',
+    type: 'number',
+    default: 8
+  },
+  cache: {
+    describe: 'Reuse unchanged metadata files from the local cache (disable with --no-cache)',
+    type: 'boolean',
+    default: true
+  },
+  refresh: {
+    describe: 'Re-download all metadata files and rebuild the local cache',
+    type: 'boolean',
+    default: false
+  },
+  progress: {
+    describe: 'Show a progress line on stderr while loading (disable with --no-progress)',
+    type: 'boolean',
+    default: true
+  },
+  source: {
+    describe: 'Catalog a local directory of metadata files instead of a bucket',
+    type: 'string',
+    conflicts: 'sources'
+  },
+  sources: {
+    describe: 'JSON file listing several buckets/prefixes to load into one catalog',
+    type: 'string'
+  },
+  'dedup-scope': {
+    describe: 'Deduplicate across all sources or only within each source (with --sources)',
+    choices: ['global', 'source'],
+    default: 'global'
+  },
+  // A sources file gives each source its own inventory
+  inventory: {
+    describe: 'List objects from an S3 Inventory report (manifest.json key or inventory destination prefix)',
+    type: 'string',
+    conflicts: ['source', 'sources']
+  },
+  'inventory-live-prefix': {
+    describe: 'Prefix listed live on top of the inventory, for keys newer than the report (repeatable)',
+    type: 'string',
+    array: true
+  },
+  'inventory-max-age': {
+    describe: 'Ignore inventory reports older than this many hours (default 48)',
+    type: 'number'
+  },
+  'infer-datasets': {
+    describe: 'Show data files that no metadata file describes as inferred datasets, one per directory',
+    type: 'boolean',
+    default: false
+  }
+};
+
+/**
+ * Adds the shared catalog loading options to a command
+ * @param {Object} yargs - Yargs instance passed to the command builder
+ * @param {Object} options - Options
+ * @param {Object} options.describe - Descriptions replacing the default ones, by option name
+ * @param {Array<string>} options.only - Only add these options (default: all of them)
+ * @param {Array<string>} options.omit - Leave out these options
+ * @returns {Object} Yargs instance
+ */
+function addCatalogOptions(yargs, options = {}) {
+  const describe = options.describe || {};
+  const names = (options.only || Object.keys(CATALOG_OPTIONS)).filter(name => !(options.omit || []).includes(name));
+  for (const name of names) {
+    yargs.option(name, { ...CATALOG_OPTIONS[name], ...(describe[name] && { describe: describe[name] }) });
+  }
+  return yargs;
+}
+
+/**
+ * Builds catalog service options from the shared catalog options and the display flags
+ * (--deduplicate, --case-sensitive, --show-dates, --date-format) of the commands that have them
+ * @param {Object} argv - Command line arguments
+ * @returns {Object} Catalog service options
+ */
+function buildCatalogOptions(argv) {
+  const options = {};
+
+  // S3 endpoint configuration
+  if (argv.endpoint) {
+    options.endpoint = argv.endpoint;
+  }
+
+  // Limit the catalog to keys under a prefix
+  if (argv.prefix) {
+    options.prefix = argv.prefix;
+  }
+
+  // Bound the number of metadata files fetched in parallel
+  if (argv.concurrency !== undefined) {
+    options.concurrency = argv.concurrency;
+  }
+
+  // Bootstrap the listing from an S3 Inventory report
+  if (argv.inventory) {
+    options.inventory = buildInventoryOptions(argv);
+  }
+
+  // List data files that no metadata file describes as inferred datasets
+  if (argv.inferDatasets) {
+    options.inferDatasets = true;
+  }
+
+  // Configure deduplication
+  options.deduplication = argv.deduplicate
+    ? DeduplicationConfig.createEnabled({ caseSensitive: argv.caseSensitive || false })
+    : DeduplicationConfig.createDefault();
+
+  // Configure date display
+  if (argv.showDates) {
+    options.dateDisplay = DateDisplayConfig.createForCLI();
+    options.dateDisplay.update({ format: argv.dateFormat || 'relative' });
+  } else {
+    options.dateDisplay = DateDisplayConfig.createDefault();
+  }
+
+  return options;
+}
+
+/**
+ * Loads the catalog for a command, cancellable with Ctrl-C
+ * Ctrl-C aborts the load (a second Ctrl-C exits immediately) and, unless --no-progress is
+ * set, a progress line on stderr shows listing and metadata progress while it runs.
+ * @param {CatalogService} catalogService - Catalog service created by createCatalogService()
+ * @param {Object} argv - Command line arguments (progress)
+ * @returns {Promise<Object>} Catalog response; rejects with an AbortError when cancelled
+ */
+async function loadCatalogWithProgress(catalogService, argv) {
+  const controller = new AbortController();
+  const progressLine = new ProgressLine(argv.progress === false ? { enabled: false } : {});
+  const onInterrupt = () => controller.abort();
+
+  process.once('SIGINT', onInterrupt);
+  progressLine.start();
+  try {
+    return await catalogService.loadCatalog({
+      signal: controller.signal,
+      onProgress: progress => progressLine.update(progress)
+    });
+  } finally {
+    progressLine.stop();
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Keeps stdout for the report when a command prints a machine-readable one
+ * Without --output and with a --format other than text, everything else the command logs with
+ * console.log (including CatalogService's loading messages) goes to stderr until restore() is
+ * called, so the report can be piped into other tools. Commands call restore() in a finally
+ * block so console.log is back to normal for whatever runs next in the process.
+ * @param {Object} argv - Command line arguments (format, output)
+ * @returns {Object} {printReport, restore}: printReport prints on stdout, restore puts console.log back
+ */
+function reserveStdoutForReport(argv) {
+  const log = console.log;
+  if (argv.format !== 'text' && !argv.output) {
+    console.log = console.error;
+  }
+  return {
+    printReport: log,
+    restore: () => {
+      console.log = log;
+    }
+  };
+}
+
+/**
+ * Outputs metadata cache hit/miss counts when the disk cache is in use
+ * @param {CatalogService} catalogService - Catalog service used by the command
+ */
+function outputCacheStatistics(catalogService) {
+  const s3Clients = catalogService instanceof FederatedCatalogService
+    ? catalogService.sourceServices.map(service => service.s3Client)
+    : [catalogService.s3Client];
+
+  const cachingClients = s3Clients.filter(s3Client => s3Client instanceof CachingS3Client);
+  if (cachingClients.length === 0) {
+    return;
+  }
+
+  let hits = 0;
+  let misses = 0;
+  for (const s3Client of cachingClients) {
+    const stats = s3Client.getStats();
+    hits += stats.hits;
+    misses += stats.misses;
+  }
+  console.log(`💾 Metadata cache: ${hits} reused, ${misses} downloaded`);
+}
+
+/**
+ * Formats the source label shown next to datasets of a federated catalog
+ * @param {Object} dataset - Dataset
+ * @returns {string|null} Source label, or null for single-bucket catalogs
+ */
+function getSourceLabel(dataset) {
+  return dataset.source ? dataset.source.label || dataset.source.id : null;
+}
+
+/**
+ * Outputs the header of a section, using its _section.json descriptor when there is one
+ * @param {string} sectionName - Section name (top-level prefix)
+ * @param {Object} metadata - Catalog response metadata (sectionDescriptors)
+ * @param {string} countText - Count shown after the title (e.g. '3 datasets')
+ */
+function outputSectionHeader(sectionName, metadata, countText) {
+  const descriptorObject = metadata.sectionDescriptors && metadata.sectionDescriptors[sectionName];
+  if (!descriptorObject) {
+    console.log(`\n🗂️  [ ${sectionName.toUpperCase()} ] (${countText})`);
+    return;
+  }
+
+  const descriptor = SectionDescriptor.fromObject(descriptorObject);
+  // Image icons can't be shown in a terminal
+  const icon = descriptor.icon && !descriptor.hasImageIcon() ? descriptor.icon : '🗂️ ';
+  console.log(`\n${icon} ${descriptor.title} [${sectionName}] (${countText})`);
+  if (descriptor.description) {
+    console.log(`   ${descriptor.description}`);
+  }
+  const contact = descriptor.getContactText();
+  if (contact) {
+    console.log(`   📇 Contact: ${contact}`);
+  }
+}
+
+/**
+ * Outputs a dataset's schema.org properties: keywords and license always, the rest with --verbose
+ * @param {Dataset} dataset - Dataset being listed
+ * @param {Object} argv - Command line arguments
+ */
+function outputDatasetProperties(dataset, argv) {
+  if (dataset.keywords) {
+    console.log(`    🏷️  ${dataset.getFieldText('keywords')}`);
+  }
+  if (dataset.license) {
+    console.log(`    ⚖️  License: ${dataset.getFieldText('license')}`);
+  }
+  if (!argv.verbose) {
+    return;
+  }
+
+  const details = [
+    ['🌎', 'Spatial coverage', 'spatialCoverage'],
+    ['🗓️ ', 'Temporal coverage', 'temporalCoverage'],
+    ['📏', 'Variables', 'variableMeasured'],
+    ['🏢', 'Publisher', 'publisher'],
+    ['🔖', 'Identifier', 'identifier'],
+    ['🔢', 'Version', 'version'],
+    ['🌐', 'URL', 'url'],
+    ['🧬', 'Based on', 'isBasedOn']
+  ];
+  for (const [icon, label, field] of details) {
+    if (dataset[field]) {
+      console.log(`    ${icon} ${label}: ${dataset.getFieldText(field)}`);
+    }
+  }
+  if (dataset.metadataFormat && dataset.metadataFormat !== 'schema.org') {
+    console.log(`    📑 Format: ${dataset.metadataFormat}`);
+  }
+}
+
+/**
+ * Outputs the per-source breakdown of a federated catalog
+ * @param {Object} metadata - Catalog response metadata
+ */
+function outputSourceStatistics(metadata) {
+  if (!metadata.sources) {
+    return;
+  }
+
+  console.log(`\n🌐 Sources (deduplication scope: ${metadata.deduplicationScope})`);
+  console.log('─'.repeat(30));
+  metadata.sources.forEach(source => {
+    const location = `${source.bucket}${source.prefix ? `/${source.prefix}` : ''}`;
+    if (source.error) {
+      console.log(`❌ ${source.label} (${location}): ${source.error}`);
+    } else {
+      console.log(`✅ ${source.label} (${location}): ${source.datasets} datasets from ${source.metadataFiles} metadata files`);
+    }
+  });
+}
+
+module.exports = {
+  createS3Client,
+  loadSourcesFile,
+  createCatalogService,
+  addCatalogOptions,
+  buildCatalogOptions,
+  loadCatalogWithProgress,
+  reserveStdoutForReport,
+  outputCacheStatistics,
+  outputSourceStatistics,
+  outputSectionHeader,
+  outputDatasetProperties,
+  getSourceLabel
+};
@@ -0,0 +1,99 @@
+const {
+  AccessDeniedError,
+  NoSuchBucketError,
+  ThrottledError,
+  NetworkError
+} = require('../catalog-core/s3-errors.js');
+
+/**
+ * Process exit codes for CLI failures, so scripts can tell failure kinds apart
+ */
+const EXIT_CODES = {
+  GENERAL_ERROR: 1,
+  ACCESS_DENIED: 2,
+  NO_SUCH_BUCKET: 3,
+  THROTTLED: 4,
+  NETWORK_ERROR: 5,
+  // Metadata failed `s3-catalog validate`
+  VALIDATION_FAILED: 6,
+  // Conventional exit status for a process stopped with Ctrl-C (128 + SIGINT)
+  CANCELLED: 130
+};
+
+/**
+ * Maps an error to the CLI exit code for its kind
+ * @param {Error} error - Error to classify
+ * @returns {number} Exit code
+ */
+function getExitCode(error) {
+  if (isCancellation(error)) return EXIT_CODES.CANCELLED;
+  if (error instanceof AccessDeniedError) return EXIT_CODES.ACCESS_DENIED;
+  if (error instanceof NoSuchBucketError) return EXIT_CODES.NO_SUCH_BUCKET;
+  if (error instanceof ThrottledError) return EXIT_CODES.THROTTLED;
+  if (error instanceof NetworkError) return EXIT_CODES.NETWORK_ERROR;
+  return EXIT_CODES.GENERAL_ERROR;
+}
+
+/**
+ * Checks whether an error is the rejection of a cancelled (aborted) load
+ * @param {Error} error - Error to classify
+ * @returns {boolean} True for AbortError rejections
+ */
+function isCancellation(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Suggests what the user can do about an error
+ * @param {Error} error - Error to describe
+ * @param {Object} argv - Command line arguments (optional)
+ * @returns {string|null} Hint text, or null if there is nothing specific to suggest
+ */
+function getErrorHint(error, argv = {}) {
+  if (argv.source) {
+    // Local directory catalogs: bucket and network hints do not apply
+    return error instanceof NoSuchBucketError || error instanceof AccessDeniedError
+      ? 'Check the --source directory path and its permissions'
+      : null;
+  }
+  if (error instanceof AccessDeniedError) {
+    return 'Check that the bucket allows public reads, or set S3_ACCESS_KEY and S3_SECRET_KEY';
+  }
+  if (error instanceof NoSuchBucketError) {
+    return 'Check the bucket name (--bucket or S3_BUCKET_NAME) and the endpoint';
+  }
+  if (error instanceof ThrottledError) {
+    return 'S3 is rate limiting requests; wait a moment or lower --concurrency';
+  }
+  if (error instanceof NetworkError) {
+    return 'Check the endpoint URL (--endpoint or S3_ENDPOINT) and your network connection';
+  }
+  return null;
+}
+
+/**
+ * Reports a command failure and exits with the matching exit code
+ * @param {string} message - What the command was doing (e.g. 'Error browsing catalog')
+ * @param {Error} error - The failure
+ * @param {Object} argv - Command line arguments
+ */
+function exitWithError(message, error, argv = {}) {
+  if (isCancellation(error)) {
+    console.error('🛑 Cancelled');
+    process.exit(EXIT_CODES.CANCELLED);
+  }
+
+  console.error(`❌ ${message}:`, error.message);
+
+  const hint = getErrorHint(error, argv);
+  if (hint) {
+    console.error(`💡 ${hint}`);
+  }
+
+  if (argv.verbose) {
+    console.error('Full error:', error);
+  }
+  process.exit(getExitCode(error));
+}
+
+module.exports = { EXIT_CODES, getExitCode, getErrorHint, isCancellation, exitWithError };
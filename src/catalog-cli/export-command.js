@@ -1,8 +1,16 @@
 const fs = require('fs');
 const path = require('path');
-const { CatalogService } = require('../catalog-core/catalog-service');
-const { DeduplicationConfig } = require('../catalog-core/deduplication-config');
-const { DateDisplayConfig } = require('../catalog-core/date-display-config');
+const {
+  createCatalogService,
+  buildCatalogOptions,
+  addCatalogOptions,
+  loadCatalogWithProgress,
+  outputCacheStatistics,
+  outputSourceStatistics,
+  getSourceLabel
+} = require('./catalog-factory.js');
+const { exitWithError } = require('./error-handler.js');
+const { SCHEMA_ORG_FIELDS, formatSchemaOrgValue, formatTableSchema } = require('../catalog-core/models.js');
 
 /**
  * Enhanced export command with date handling and deduplication support
@@ -15,19 +23,31 @@ const { DateDisplayConfig } = require('../catalog-core/date-display-config');
  * @param {string} argv.format - Export format ('json', 'csv', 'xlsx')
  * @param {string} argv.output - Output file path
  * @param {boolean} argv.includeMeta - Include catalog metadata in export
+ * @param {string} argv.prefix - Only catalog keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {boolean} argv.cache - Reuse unchanged metadata files from the local disk cache
+ * @param {boolean} argv.refresh - Re-download all metadata files and rebuild the cache
+ * @param {boolean} argv.progress - Show a progress line on stderr while loading
+ * @param {string} argv.source - Local directory to catalog instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {string} argv.dedupScope - Deduplicate across all sources ('global') or within each source ('source')
+ * @param {string} argv.inventory - S3 Inventory manifest key or destination prefix to list objects from
+ * @param {Array<string>} argv.inventoryLivePrefix - Prefixes listed live on top of the inventory report
+ * @param {number} argv.inventoryMaxAge - Ignore inventory reports older than this many hours
+ * @param {boolean} argv.inferDatasets - Add inferred datasets for data files without metadata
  * @param {boolean} argv.verbose - Show detailed export information
  */
 async function exportData(argv) {
   try {
     // Create enhanced catalog service with configuration options
-    const catalogOptions = _buildCatalogOptions(argv);
-    const catalogService = new CatalogService(argv.bucketName, catalogOptions);
+    const catalogOptions = buildCatalogOptions(argv);
+    const catalogService = createCatalogService(argv, catalogOptions);
 
     console.log('📂 Preparing catalog export...');
     const startTime = Date.now();
 
     // Load catalog
-    const catalogResponse = await catalogService.loadCatalog();
+    const catalogResponse = await loadCatalogWithProgress(catalogService, argv);
     const catalogMetadata = catalogResponse.metadata;
 
     // Get datasets to export
@@ -38,6 +58,10 @@ async function exportData(argv) {
       query: argv.query || null,
       exportTime: new Date(),
       configuration: {
+        prefix: argv.prefix || null,
+        source: argv.source || null,
+        sources: argv.sources || null,
+        dedupScope: argv.sources ? argv.dedupScope : null,
         showDates: argv.showDates,
         deduplicate: argv.deduplicate,
         dateFormat: argv.dateFormat,
@@ -104,52 +128,15 @@ async function exportData(argv) {
 
     if (argv.verbose) {
       _showVerboseStatistics(exportMetadata, catalogMetadata, argv);
+      outputSourceStatistics(catalogMetadata);
+      outputCacheStatistics(catalogService);
     }
 
   } catch (error) {
-    console.error('❌ Error exporting catalog:', error.message);
-    if (argv.verbose) {
-      console.error('Full error:', error);
-    }
-    process.exit(1);
+    exitWithError('Error exporting catalog', error, argv);
   }
 }
 
-/**
- * Builds catalog service options from command line arguments
- * @private
- * @param {Object} argv - Command line arguments
- * @returns {Object} Catalog service options
- */
-function _buildCatalogOptions(argv) {
-  const options = {};
-
-  // S3 endpoint configuration
-  if (argv.endpoint) {
-    options.endpoint = argv.endpoint;
-  }
-
-  // Configure deduplication
-  if (argv.deduplicate) {
-    options.deduplication = DeduplicationConfig.createEnabled({
-      caseSensitive: argv.caseSensitive || false
-    });
-  } else {
-    options.deduplication = DeduplicationConfig.createDefault();
-  }
-
-  // Configure date display
-  if (argv.showDates) {
-    const dateFormat = argv.dateFormat || 'absolute';
-    options.dateDisplay = DateDisplayConfig.createForCLI();
-    options.dateDisplay.update({ format: dateFormat });
-  } else {
-    options.dateDisplay = DateDisplayConfig.createDefault();
-  }
-
-  return options;
-}
-
 /**
  * Flattens sections into a single array of datasets
  * @private
@@ -207,9 +194,22 @@ function _prepareDatasetForExport(dataset, argv) {
     dateCreated: dataset.dateCreated,
     metadataUrl: dataset.metadataUrl,
     projectPath: dataset.projectPath,
-    isValid: dataset.isValid
+    isValid: dataset.isValid,
+    metadataFormat: dataset.metadataFormat,
+    // schema.org properties (keywords, license, coverage, ...) as written in the metadata
+    ...dataset.getSchemaOrgFields()
   };
 
+  // Record the source in federated catalogs
+  if (dataset.source) {
+    exportDataset.source = getSourceLabel(dataset);
+  }
+
+  // Flag placeholders inferred from data files without metadata (--infer-datasets)
+  if (dataset.inferred) {
+    exportDataset.inferred = true;
+  }
+
   // Add date information if requested
   if (argv.showDates && dataset.timestampAvailable) {
     exportDataset.lastModified = dataset.lastModified;
@@ -228,7 +228,9 @@ function _prepareDatasetForExport(dataset, argv) {
       name: dist.name,
       contentUrl: dist.contentUrl,
       encodingFormat: dist.encodingFormat,
-      description: dist.description
+      description: dist.description,
+      // Field names, types and descriptions of tabular downloads
+      ...(dist.tableSchema ? { tableSchema: dist.tableSchema } : {})
     }));
     exportDataset.downloadCount = dataset.distribution.length;
   }
@@ -256,6 +258,30 @@ function _convertToCsv(exportData, argv) {
     'metadataUrl', 'projectPath', 'isValid', 'downloadCount'
   ];
 
+  // Federated catalogs record which source each dataset came from
+  if (datasets.some(dataset => dataset.source)) {
+    headers.splice(4, 0, 'source');
+  }
+
+  // Catalogs that mix metadata formats (DCAT, DataCite, CKAN) record each dataset's format
+  if (datasets.some(dataset => dataset.metadataFormat && dataset.metadataFormat !== 'schema.org')) {
+    headers.push('metadataFormat');
+  }
+
+  // Catalogs with inferred datasets flag them
+  if (datasets.some(dataset => dataset.inferred)) {
+    headers.push('inferred');
+  }
+
+  // schema.org properties get a column when any dataset sets them
+  const schemaOrgHeaders = SCHEMA_ORG_FIELDS.filter(field => datasets.some(dataset => dataset[field] !== undefined));
+  headers.push(...schemaOrgHeaders);
+
+  // Table Schemas of tabular downloads, one 'download: field (type), ...' entry per download
+  if (datasets.some(dataset => (dataset.distributions || []).some(dist => dist.tableSchema))) {
+    headers.push('tableSchema');
+  }
+
   if (argv.showDates) {
     headers.push('lastModified', 'lastModifiedDisplay', 'lastModifiedRelative');
   }
@@ -277,6 +303,14 @@ function _convertToCsv(exportData, argv) {
         value = dataset.deduplicationInfo?.duplicateCount || 0;
       } else if (header === 'lastModified') {
         value = dataset.lastModified ? dataset.lastModified.toISOString() : '';
+      } else if (header === 'tableSchema') {
+        value = (dataset.distributions || [])
+          .filter(dist => dist.tableSchema)
+          .map(dist => `${dist.name || dist.contentUrl}: ${formatTableSchema(dist.tableSchema)}`)
+          .join(' | ');
+      } else if (schemaOrgHeaders.includes(header)) {
+        // Lists are joined with '; ' and Things (publisher, places, licenses) reduced to their name or URL
+        value = formatSchemaOrgValue(dataset[header], '; ');
       } else {
         value = dataset[header] || '';
       }
@@ -410,7 +444,7 @@ function getCommandConfig() {
     command: 'export [bucket]',
     describe: 'Export catalog datasets to various formats with enhanced filtering options',
     builder: (yargs) => {
-      return yargs
+      yargs
         .positional('bucket', {
           describe: 'S3 bucket name',
           type: 'string',
@@ -477,11 +511,15 @@ function getCommandConfig() {
           describe: 'S3 endpoint URL',
           type: 'string',
           default: process.env.S3_ENDPOINT
-        })
+        });
+
+      return addCatalogOptions(yargs)
         .example('$0 export --output catalog.json', 'Export all datasets to JSON file')
         .example('$0 export --query "climate" --format csv --output results.csv', 'Export filtered datasets to CSV')
         .example('$0 export --show-dates --deduplicate --format xlsx', 'Export with timestamps and deduplication to Excel')
-        .example('$0 export --include-meta --verbose', 'Export with metadata and detailed statistics');
+        .example('$0 export --include-meta --verbose', 'Export with metadata and detailed statistics')
+        .example('$0 export --prefix tijuana/ --output tijuana.json', 'Export only datasets under the tijuana/ prefix')
+        .example('$0 export --sources sources.json --format csv', 'Export a catalog merged from several buckets');
     },
     handler: exportData
   };
@@ -0,0 +1,168 @@
+const { createCatalogService, addCatalogOptions, buildCatalogOptions, reserveStdoutForReport } = require('./catalog-factory.js');
+const { exitWithError } = require('./error-handler.js');
+const { VersionHistory } = require('../catalog-core/version-history.js');
+const { formatDateTime } = require('../catalog-core/date-utils.js');
+
+/**
+ * History command: lists the stored versions of a dataset's metadata file and what
+ * changed between them
+ * @param {Object} argv - Command line arguments
+ * @param {string} argv.datasetId - Dataset ID (metadata key without its format suffix, e.g. .metadata.yaml) or metadata key
+ * @param {string} argv.format - Output format ('text', 'json')
+ * @param {boolean} argv.compact - Compact JSON output
+ * @param {number} argv.concurrency - Maximum number of versions fetched in parallel
+ * @param {string} argv.source - Local directory to read instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {boolean} argv.verbose - Show version IDs and ETags
+ */
+async function history(argv) {
+  // With --format json, stdout only gets the versions
+  const stdout = reserveStdoutForReport(argv);
+  try {
+    const catalogOptions = buildCatalogOptions(argv);
+    const catalogService = createCatalogService(argv, catalogOptions);
+
+    console.log(`🕘 Loading version history of ${argv.datasetId}...`);
+    const versions = await catalogService.getDatasetHistory(argv.datasetId);
+
+    if (argv.format === 'json') {
+      _outputJSON(argv.datasetId, versions, argv, stdout.printReport);
+    } else {
+      _outputText(argv.datasetId, versions, argv);
+    }
+
+  } catch (error) {
+    exitWithError('Error loading version history', error, argv);
+  } finally {
+    stdout.restore();
+  }
+}
+
+/**
+ * Outputs the versions as JSON
+ * @private
+ * @param {string} datasetId - Requested dataset ID
+ * @param {Array<DatasetVersion>} versions - Versions, newest first
+ * @param {Object} argv - Command line arguments
+ * @param {Function} printReport - Prints on stdout
+ */
+function _outputJSON(datasetId, versions, argv, printReport) {
+  const output = {
+    datasetId,
+    versionCount: versions.length,
+    versions: versions.map(version => version.toObject())
+  };
+  printReport(JSON.stringify(output, null, argv.compact ? 0 : 2));
+}
+
+/**
+ * Outputs the versions newest first, each with its changes from the previous version
+ * @private
+ * @param {string} datasetId - Requested dataset ID
+ * @param {Array<DatasetVersion>} versions - Versions, newest first
+ * @param {Object} argv - Command line arguments
+ */
+function _outputText(datasetId, versions, argv) {
+  console.log(`\n🕘 Version History: ${datasetId}`);
+  console.log('═'.repeat(50));
+
+  if (versions.length === 0) {
+    console.log('📭 No versions found. Check the dataset ID (e.g. tijuana/sd_complaints/output/complaints_by_date).');
+    return;
+  }
+
+  versions.forEach((version, i) => {
+    const number = versions.length - i;
+    const labels = [
+      version.isLatest ? 'latest' : null,
+      version.isDeleteMarker ? 'deleted' : null
+    ].filter(Boolean);
+    const when = formatDateTime(version.lastModified).combined;
+    console.log(`\n${version.isDeleteMarker ? '🗑️ ' : '📄'} v${number}${labels.length ? ` (${labels.join(', ')})` : ''} - ${when}`);
+
+    if (argv.verbose) {
+      console.log(`   🔖 Version ID: ${version.versionId || 'null (unversioned)'}${version.etag ? ` | ETag: ${version.etag}` : ''}`);
+    }
+
+    if (version.error) {
+      console.log(`   ❌ Could not read this version: ${version.error}`);
+    } else if (version.dataset) {
+      console.log(`   📝 ${version.dataset.isValid ? version.dataset.title : 'Invalid metadata'}`);
+      _outputChanges(version, i === _lastReadableIndex(versions));
+    }
+  });
+
+  console.log('\n' + '═'.repeat(50));
+  const changed = versions.filter(version => version.changes.length > 0).length;
+  console.log(`✅ ${versions.length} version${versions.length === 1 ? '' : 's'}, ${changed} with catalog changes`);
+}
+
+/**
+ * Lists the changes of one version
+ * @private
+ */
+function _outputChanges(version, isOldest) {
+  if (isOldest) {
+    console.log('   🌱 First version');
+    return;
+  }
+  if (version.changes.length === 0) {
+    console.log('   ➖ No changes to catalog fields');
+    return;
+  }
+
+  for (const change of version.changes) {
+    const icon = change.type === 'added' ? '➕' : change.type === 'removed' ? '➖' : '✏️ ';
+    console.log(`   ${icon} ${VersionHistory.describeChange(change)}`);
+  }
+}
+
+/**
+ * Index of the oldest version that could be read
+ * @private
+ */
+function _lastReadableIndex(versions) {
+  for (let i = versions.length - 1; i >= 0; i--) {
+    if (versions[i].dataset) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Defines command line argument configuration for the history command
+ * @returns {Object} Yargs command configuration
+ */
+function getCommandConfig() {
+  return {
+    command: 'history <dataset-id>',
+    describe: 'Show the version history of a dataset\'s metadata file and what changed',
+    builder: (yargs) => {
+      yargs
+        .positional('dataset-id', {
+          describe: 'Dataset ID (metadata key without its format suffix; <source>:<key> with --sources)',
+          type: 'string'
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json'],
+          default: 'text'
+        })
+        .option('compact', {
+          describe: 'Compact JSON output (no formatting, use with --format json)',
+          type: 'boolean',
+          default: false
+        });
+
+      return addCatalogOptions(yargs, {
+        describe: { concurrency: 'Maximum number of versions fetched in parallel' }
+      })
+        .example('$0 history tijuana/sd_complaints/output/complaints_by_date', 'Show every version of a dataset\'s metadata')
+        .example('$0 history tijuana/sd_complaints/output/complaints_by_date --format json', 'Output versions and changes as JSON');
+    },
+    handler: history
+  };
+}
+
+module.exports = { history, getCommandConfig };
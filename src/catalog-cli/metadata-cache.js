@@ -0,0 +1,214 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Returns the root directory for all CLI caches
+ * Honors XDG_CACHE_HOME, falling back to ~/.cache/s3-catalog
+ * @returns {string} Cache root directory
+ */
+function getCacheRoot() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 's3-catalog');
+}
+
+/**
+ * Converts an endpoint URL into a safe directory name (e.g. "localhost_9000")
+ * @param {string} endpoint - S3 endpoint URL
+ * @returns {string} Directory name for the endpoint
+ */
+function endpointToDirectoryName(endpoint) {
+  let host = endpoint || 'default';
+  try {
+    host = new URL(endpoint).host;
+  } catch {
+    // Not a URL: sanitize the raw value instead
+  }
+  return host.replace(/[^a-zA-Z0-9.-]/g, '_');
+}
+
+/**
+ * On-disk store of metadata file contents for one endpoint/bucket pair
+ * Entries are keyed by object key and validated against the object's ETag/LastModified,
+ * so a cached file is only reused while the object in S3 is unchanged.
+ */
+class MetadataCache {
+  /**
+   * @param {string} endpoint - S3 endpoint URL
+   * @param {string} bucketName - S3 bucket name
+   * @param {Object} options - Cache options
+   * @param {string} options.cacheRoot - Override the cache root directory
+   */
+  constructor(endpoint, bucketName, options = {}) {
+    this.cacheRoot = options.cacheRoot || getCacheRoot();
+    this.directory = path.join(this.cacheRoot, endpointToDirectoryName(endpoint), bucketName);
+  }
+
+  /**
+   * Returns cached content for an object if it is still current
+   * @param {Object} objectInfo - Enhanced S3 object ({Key, ETag, LastModified})
+   * @returns {Promise<string|null>} Cached content, or null on a miss
+   */
+  async get(objectInfo) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this._entryPath(objectInfo.Key), 'utf-8'));
+    } catch {
+      return null;
+    }
+
+    if (entry.version !== CACHE_VERSION || entry.key !== objectInfo.Key || !this._isCurrent(entry, objectInfo)) {
+      return null;
+    }
+    return entry.content;
+  }
+
+  /**
+   * Stores content for an object along with its validators
+   * @param {Object} objectInfo - Enhanced S3 object ({Key, ETag, LastModified})
+   * @param {string} content - Object content
+   */
+  async set(objectInfo, content) {
+    const entry = {
+      version: CACHE_VERSION,
+      key: objectInfo.Key,
+      etag: objectInfo.ETag || null,
+      lastModified: objectInfo.LastModified ? new Date(objectInfo.LastModified).toISOString() : null,
+      content: content
+    };
+
+    // Write to a temporary file first so concurrent readers never see partial entries
+    const entryPath = this._entryPath(objectInfo.Key);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entry));
+    await fs.rename(tempPath, entryPath);
+  }
+
+  /**
+   * Removes all cached entries for this endpoint/bucket
+   */
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Checks whether a cache entry matches the object's current validators
+   * @private
+   * @param {Object} entry - Stored cache entry
+   * @param {Object} objectInfo - Enhanced S3 object
+   * @returns {boolean} True if the entry is current
+   */
+  _isCurrent(entry, objectInfo) {
+    if (entry.etag && objectInfo.ETag) {
+      return entry.etag === objectInfo.ETag;
+    }
+    if (entry.lastModified && objectInfo.LastModified) {
+      return entry.lastModified === new Date(objectInfo.LastModified).toISOString();
+    }
+    return false;
+  }
+
+  /**
+   * Maps an object key to its cache file
+   * @private
+   * @param {string} key - S3 object key
+   * @returns {string} Path of the cache entry file
+   */
+  _entryPath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, 'objects', hash.slice(0, 2), `${hash}.json`);
+  }
+}
+
+/**
+ * S3 transport decorator that serves unchanged metadata files from a MetadataCache
+ * Listing always goes to S3, so new, changed and deleted objects are still detected.
+ */
+class CachingS3Client {
+  /**
+   * @param {Object} s3Client - Underlying transport (e.g. S3ClientWrapper)
+   * @param {MetadataCache} cache - Disk cache for this endpoint/bucket
+   * @param {Object} options - Caching options
+   * @param {boolean} options.refresh - Ignore cached entries but store fresh ones
+   */
+  constructor(s3Client, cache, options = {}) {
+    this.s3Client = s3Client;
+    this.cache = cache;
+    this.refresh = options.refresh || false;
+    this.bucketName = s3Client.bucketName;
+    this.objectInfo = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  async listObjects(prefix = '', options = {}) {
+    const objects = await this.s3Client.listObjects(prefix, options);
+    for (const object of objects) {
+      this.objectInfo.set(object.Key, object);
+    }
+    return objects;
+  }
+
+  async getObject(key, options = {}) {
+    const objectInfo = this.objectInfo.get(key);
+
+    // Only objects seen in a listing carry validators we can trust; they describe the current version
+    if (!objectInfo || options.versionId) {
+      return this.s3Client.getObject(key, options);
+    }
+
+    if (!this.refresh) {
+      const cached = await this.cache.get(objectInfo);
+      if (cached !== null) {
+        this.stats.hits++;
+        return cached;
+      }
+    }
+
+    this.stats.misses++;
+    const content = await this.s3Client.getObject(key, options);
+    try {
+      await this.cache.set(objectInfo, content);
+    } catch (error) {
+      console.warn(`⚠️ Failed to cache ${key}:`, error.message);
+    }
+    return content;
+  }
+
+  async getObjectBytes(key, options = {}) {
+    return this.s3Client.getObjectBytes(key, options);
+  }
+
+  async headObject(key, options = {}) {
+    return this.s3Client.headObject(key, options);
+  }
+
+  async listObjectVersions(key, options = {}) {
+    return this.s3Client.listObjectVersions(key, options);
+  }
+
+  createEnhancedS3Object(...args) {
+    return this.s3Client.createEnhancedS3Object(...args);
+  }
+
+  isMetadataFile(key) {
+    return this.s3Client.isMetadataFile(key);
+  }
+
+  async testConnection() {
+    return this.s3Client.testConnection();
+  }
+
+  /**
+   * Gets cache hit/miss counts for this run
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = { MetadataCache, CachingS3Client, getCacheRoot, endpointToDirectoryName };
@@ -0,0 +1,133 @@
+/**
+ * Console methods that are routed around the progress line while it is shown
+ */
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Width of the bar drawn for the metadata phase, in characters
+ */
+const BAR_WIDTH = 20;
+
+/**
+ * Single-line progress indicator for catalog loads
+ * Draws on stderr so JSON and CSV on stdout stay clean, and only when stderr is a terminal.
+ * While the line is shown, console output clears it first and redraws it afterwards,
+ * so log lines scroll above the progress line instead of mixing with it.
+ */
+class ProgressLine {
+  /**
+   * @param {Object} options - Progress line options
+   * @param {Object} options.stream - Writable stream to draw on (default: process.stderr)
+   * @param {boolean} options.enabled - Draw the line (default: when the stream is a TTY)
+   * @param {number} options.intervalMs - Minimum time between redraws (default: 100)
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.enabled = options.enabled !== undefined ? options.enabled : Boolean(this.stream.isTTY);
+    this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : 100;
+
+    this.text = '';
+    this.lastDrawTime = 0;
+    this.originalConsole = null;
+  }
+
+  /**
+   * Starts routing console output around the progress line
+   */
+  start() {
+    if (!this.enabled || this.originalConsole) {
+      return;
+    }
+
+    this.originalConsole = {};
+    for (const method of CONSOLE_METHODS) {
+      const original = console[method];
+      this.originalConsole[method] = original;
+      console[method] = (...args) => {
+        this._clear();
+        original.apply(console, args);
+        this._draw();
+      };
+    }
+  }
+
+  /**
+   * Updates the line from a catalog progress event, redrawing at most every intervalMs
+   * @param {Object} progress - Progress event from CatalogService.loadCatalog()
+   */
+  update(progress) {
+    if (!this.originalConsole) {
+      return;
+    }
+
+    this.text = ProgressLine.format(progress);
+
+    const now = Date.now();
+    const finished = progress.phase === 'metadata' && progress.completed === progress.total;
+    if (finished || now - this.lastDrawTime >= this.intervalMs) {
+      this.lastDrawTime = now;
+      this._clear();
+      this._draw();
+    }
+  }
+
+  /**
+   * Removes the line and restores the console
+   */
+  stop() {
+    if (!this.originalConsole) {
+      return;
+    }
+
+    this._clear();
+    Object.assign(console, this.originalConsole);
+    this.originalConsole = null;
+    this.text = '';
+  }
+
+  /**
+   * Formats a progress event as one line of text
+   * @param {Object} progress - Progress event ({phase: 'listing', pages, objects} or
+   *   {phase: 'metadata', completed, failed, total}, optionally with a source ID)
+   * @returns {string} Progress text
+   */
+  static format(progress) {
+    const prefix = progress.source ? `[${progress.source}] ` : '';
+
+    if (progress.phase === 'listing') {
+      return `📁 ${prefix}Listing objects: ${progress.objects} found in ${progress.pages} page${progress.pages === 1 ? '' : 's'}`;
+    }
+
+    if (progress.phase === 'metadata') {
+      const ratio = progress.total > 0 ? progress.completed / progress.total : 1;
+      const filled = Math.round(ratio * BAR_WIDTH);
+      const bar = `${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}`;
+      const failed = progress.failed > 0 ? `, ${progress.failed} failed` : '';
+      return `📄 ${prefix}Metadata ${bar} ${progress.completed}/${progress.total}${failed}`;
+    }
+
+    return '';
+  }
+
+  /**
+   * @private
+   */
+  _draw() {
+    if (!this.text) {
+      return;
+    }
+    const columns = this.stream.columns || 80;
+    this.stream.write(this.text.length >= columns ? this.text.slice(0, columns - 1) : this.text);
+  }
+
+  /**
+   * @private
+   */
+  _clear() {
+    if (this.text) {
+      this.stream.write('\r\x1b[2K');
+    }
+  }
+}
+
+module.exports = { ProgressLine };
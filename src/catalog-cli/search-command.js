@@ -1,6 +1,15 @@
-const { CatalogService } = require('../catalog-core/catalog-service');
-const { DeduplicationConfig } = require('../catalog-core/deduplication-config');
-const { DateDisplayConfig } = require('../catalog-core/date-display-config');
+const {
+  createCatalogService,
+  buildCatalogOptions,
+  addCatalogOptions,
+  loadCatalogWithProgress,
+  outputCacheStatistics,
+  outputSourceStatistics,
+  outputSectionHeader,
+  outputDatasetProperties,
+  getSourceLabel
+} = require('./catalog-factory.js');
+const { exitWithError } = require('./error-handler.js');
 
 /**
  * Enhanced search command with date display and deduplication support
@@ -11,19 +20,31 @@ const { DateDisplayConfig } = require('../catalog-core/date-display-config');
  * @param {string} argv.dateFormat - Date format ('relative', 'absolute', 'both')
  * @param {boolean} argv.caseSensitive - Use case-sensitive deduplication
  * @param {string} argv.format - Output format ('text', 'json')
+ * @param {string} argv.prefix - Only catalog keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {boolean} argv.cache - Reuse unchanged metadata files from the local disk cache
+ * @param {boolean} argv.refresh - Re-download all metadata files and rebuild the cache
+ * @param {boolean} argv.progress - Show a progress line on stderr while loading
+ * @param {string} argv.source - Local directory to catalog instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {string} argv.dedupScope - Deduplicate across all sources ('global') or within each source ('source')
+ * @param {string} argv.inventory - S3 Inventory manifest key or destination prefix to list objects from
+ * @param {Array<string>} argv.inventoryLivePrefix - Prefixes listed live on top of the inventory report
+ * @param {number} argv.inventoryMaxAge - Ignore inventory reports older than this many hours
+ * @param {boolean} argv.inferDatasets - Add inferred datasets for data files without metadata
  * @param {boolean} argv.verbose - Show detailed search statistics
  */
 async function search(argv) {
   try {
     // Create enhanced catalog service with configuration options
-    const catalogOptions = _buildCatalogOptions(argv);
-    const catalogService = new CatalogService(argv.bucketName, catalogOptions);
+    const catalogOptions = buildCatalogOptions(argv);
+    const catalogService = createCatalogService(argv, catalogOptions);
 
     console.log(`🔍 Searching for "${argv.query}"...`);
     const startTime = Date.now();
 
     // Load catalog first (required for search)
-    const catalogResponse = await catalogService.loadCatalog();
+    const catalogResponse = await loadCatalogWithProgress(catalogService, argv);
     const catalogMetadata = catalogResponse.metadata;
 
     // Perform enhanced search
@@ -42,50 +63,13 @@ async function search(argv) {
     // Show verbose search statistics if requested
     if (argv.verbose) {
       _outputSearchStatistics(searchResults, catalogMetadata, argv);
+      outputSourceStatistics(catalogMetadata);
+      outputCacheStatistics(catalogService);
     }
 
   } catch (error) {
-    console.error('❌ Error searching catalog:', error.message);
-    if (argv.verbose) {
-      console.error('Full error:', error);
-    }
-    process.exit(1);
-  }
-}
-
-/**
- * Builds catalog service options from command line arguments
- * @private
- * @param {Object} argv - Command line arguments
- * @returns {Object} Catalog service options
- */
-function _buildCatalogOptions(argv) {
-  const options = {};
-
-  // S3 endpoint configuration
-  if (argv.endpoint) {
-    options.endpoint = argv.endpoint;
-  }
-
-  // Configure deduplication
-  if (argv.deduplicate) {
-    options.deduplication = DeduplicationConfig.createEnabled({
-      caseSensitive: argv.caseSensitive || false
-    });
-  } else {
-    options.deduplication = DeduplicationConfig.createDefault();
+    exitWithError('Error searching catalog', error, argv);
   }
-
-  // Configure date display
-  if (argv.showDates) {
-    const dateFormat = argv.dateFormat || 'relative';
-    options.dateDisplay = DateDisplayConfig.createForCLI();
-    options.dateDisplay.update({ format: dateFormat });
-  } else {
-    options.dateDisplay = DateDisplayConfig.createDefault();
-  }
-
-  return options;
 }
 
 /**
@@ -162,7 +146,7 @@ function _outputText(searchResults, catalogMetadata, argv, searchTime) {
   }
 
   for (const [sectionName, datasets] of Object.entries(searchResults.sections)) {
-    console.log(`\n🗂️  [ ${sectionName.toUpperCase()} ] (${datasets.length} matches)`);
+    outputSectionHeader(sectionName, catalogMetadata, `${datasets.length} matches`);
 
     datasets.forEach(dataset => {
       _renderSearchResult(dataset, argv.query, argv);
@@ -192,8 +176,19 @@ function _renderSearchResult(dataset, query, argv) {
     }
   }
 
+  // Datasets inferred from data files have no metadata file
+  if (dataset.inferred) {
+    title += ' 🔍 (inferred, no metadata)';
+  }
+
   console.log(`  ${title}`);
 
+  // Show which source the dataset came from in federated catalogs
+  const sourceLabel = getSourceLabel(dataset);
+  if (sourceLabel) {
+    console.log(`    🌐 Source: ${sourceLabel}`);
+  }
+
   // Highlight search matches in description
   if (dataset.description) {
     const highlightedDescription = _highlightSearchTerms(dataset.description, query);
@@ -213,6 +208,9 @@ function _renderSearchResult(dataset, query, argv) {
     console.log(`    👤 ${creatorInfo} | Created: ${createdInfo}`);
   }
 
+  // Show schema.org properties (keywords, license; coverage and more with --verbose)
+  outputDatasetProperties(dataset, argv);
+
   // Show download count
   if (dataset.distribution && dataset.distribution.length > 0) {
     console.log(`    🔗 ${dataset.distribution.length} download${dataset.distribution.length > 1 ? 's' : ''} available`);
@@ -273,6 +271,9 @@ function _outputSearchStatistics(searchResults, catalogMetadata, argv) {
   console.log(`✅ Valid datasets: ${catalogMetadata.validDatasets}`);
   console.log(`❌ Invalid datasets: ${catalogMetadata.invalidDatasets}`);
   console.log(`🏷️  Bucket: ${catalogMetadata.bucketInfo?.name || 'Unknown'}`);
+  if (catalogMetadata.bucketInfo?.prefix) {
+    console.log(`📂 Prefix: ${catalogMetadata.bucketInfo.prefix}`);
+  }
 
   if (catalogMetadata.deduplicationEnabled) {
     console.log('\n🔄 Deduplication Details');
@@ -300,7 +301,7 @@ function getCommandConfig() {
     command: 'search <query> [bucket]',
     describe: 'Search datasets in the S3 catalog with enhanced filtering and display options',
     builder: (yargs) => {
-      return yargs
+      yargs
         .positional('query', {
           describe: 'Search query (searches titles and descriptions)',
           type: 'string'
@@ -340,10 +341,9 @@ function getCommandConfig() {
           default: 'text'
         })
         .option('compact', {
-          describe: 'Compact JSON output (no formatting)',
+          describe: 'Compact JSON output (no formatting, use with --format json)',
           type: 'boolean',
-          default: false,
-          implies: { format: 'json' }
+          default: false
         })
         .option('verbose', {
           alias: 'v',
@@ -356,10 +356,15 @@ function getCommandConfig() {
           describe: 'S3 endpoint URL',
           type: 'string',
           default: process.env.S3_ENDPOINT
-        })
+        });
+
+      return addCatalogOptions(yargs)
         .example('$0 search "data"', 'Search for datasets containing "data"')
         .example('$0 search "climate" --show-dates --deduplicate', 'Search with timestamps and deduplication')
         .example('$0 search "analysis" --date-format both --verbose', 'Search with detailed output and both date formats')
+        .example('$0 search "complaints" --prefix tijuana/', 'Search only datasets under the tijuana/ prefix')
+        .example('$0 search "water" --sources sources.json', 'Search across every bucket listed in sources.json')
+        .example('$0 search "water" --source ./local-mirror', 'Search a local directory of metadata files')
         .example('$0 search "weather" --format json --compact', 'Search and output as compact JSON');
     },
     handler: search
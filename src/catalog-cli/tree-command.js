@@ -0,0 +1,221 @@
+const {
+  createCatalogService,
+  buildCatalogOptions,
+  addCatalogOptions,
+  loadCatalogWithProgress,
+  reserveStdoutForReport,
+  outputCacheStatistics,
+  outputSourceStatistics,
+  getSourceLabel
+} = require('./catalog-factory.js');
+const { exitWithError } = require('./error-handler.js');
+
+/**
+ * Tree command: shows the catalog as a tree of key prefixes with dataset counts at every level
+ * @param {Object} argv - Command line arguments
+ * @param {string} argv.path - Only show the subtree under this key prefix
+ * @param {number} argv.depth - Maximum number of prefix levels to show
+ * @param {boolean} argv.datasets - List dataset titles under each prefix
+ * @param {boolean} argv.deduplicate - Count only the latest version of duplicate titles
+ * @param {boolean} argv.caseSensitive - Use case-sensitive deduplication
+ * @param {string} argv.format - Output format ('text', 'json')
+ * @param {string} argv.prefix - Only catalog keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {boolean} argv.cache - Reuse unchanged metadata files from the local disk cache
+ * @param {boolean} argv.refresh - Re-download all metadata files and rebuild the cache
+ * @param {boolean} argv.progress - Show a progress line on stderr while loading
+ * @param {string} argv.source - Local directory to catalog instead of a bucket
+ * @param {string} argv.sources - JSON file listing the sources of a federated catalog
+ * @param {string} argv.dedupScope - Deduplicate across all sources ('global') or within each source ('source')
+ * @param {string} argv.inventory - S3 Inventory manifest key or destination prefix to list objects from
+ * @param {Array<string>} argv.inventoryLivePrefix - Prefixes listed live on top of the inventory report
+ * @param {number} argv.inventoryMaxAge - Ignore inventory reports older than this many hours
+ * @param {boolean} argv.inferDatasets - Add inferred datasets for data files without metadata
+ * @param {boolean} argv.verbose - Show detailed statistics
+ */
+async function tree(argv) {
+  // With --format json, stdout only gets the tree
+  const stdout = reserveStdoutForReport(argv);
+  try {
+    const catalogOptions = buildCatalogOptions(argv);
+    const catalogService = createCatalogService(argv, catalogOptions);
+
+    console.log('🌳 Loading S3 dataset catalog...');
+    const { metadata } = await loadCatalogWithProgress(catalogService, argv);
+
+    const prefixTree = catalogService.getPrefixTree();
+    const node = prefixTree.find(argv.path || '');
+    if (!node) {
+      console.log(`\n📭 No datasets under '${argv.path}'.`);
+      return;
+    }
+
+    if (argv.format === 'json') {
+      _outputJSON(prefixTree, node, argv, stdout.printReport);
+    } else {
+      _outputText(prefixTree, node, argv);
+    }
+
+    if (argv.verbose) {
+      outputSourceStatistics(metadata);
+      outputCacheStatistics(catalogService);
+    }
+
+  } catch (error) {
+    exitWithError('Error building catalog tree', error, argv);
+  } finally {
+    stdout.restore();
+  }
+}
+
+/**
+ * Outputs the (sub)tree as JSON
+ * @private
+ * @param {PrefixTree} prefixTree - Catalog prefix tree
+ * @param {Object} node - Node to start from
+ * @param {Object} argv - Command line arguments
+ * @param {Function} printReport - Prints on stdout
+ */
+function _outputJSON(prefixTree, node, argv, printReport) {
+  const output = {
+    path: node.path,
+    tree: prefixTree.toObject({
+      node,
+      includeDatasets: argv.datasets,
+      maxDepth: argv.depth === undefined ? Infinity : argv.depth
+    })
+  };
+  printReport(JSON.stringify(output, null, argv.compact ? 0 : 2));
+}
+
+/**
+ * Outputs the (sub)tree with box-drawing connectors
+ * @private
+ * @param {PrefixTree} prefixTree - Catalog prefix tree
+ * @param {Object} node - Node to start from
+ * @param {Object} argv - Command line arguments
+ */
+function _outputText(prefixTree, node, argv) {
+  console.log('\n🌳 S3 Dataset Tree');
+  console.log('═'.repeat(50));
+  console.log(`📂 ${node.path || '/'} (${_formatCount(node.totalCount)})`);
+
+  if (argv.datasets) {
+    _renderDatasets(node.datasets, '');
+  }
+  _renderChildren(prefixTree, node, '', 1, argv);
+
+  console.log('═'.repeat(50));
+  console.log(`✅ ${_formatCount(node.totalCount)} in ${_countPrefixes(prefixTree, node)} prefixes`);
+}
+
+/**
+ * Renders the children of a node, one line per prefix
+ * @private
+ */
+function _renderChildren(prefixTree, node, indent, depth, argv) {
+  const children = prefixTree.getChildren(node);
+
+  children.forEach((child, i) => {
+    const isLast = i === children.length - 1;
+    const here = child.datasetCount > 0 && child.datasetCount !== child.totalCount
+      ? `, ${child.datasetCount} here`
+      : '';
+    console.log(`${indent}${isLast ? '└── ' : '├── '}${child.name}/ (${_formatCount(child.totalCount)}${here})`);
+
+    const childIndent = `${indent}${isLast ? '    ' : '│   '}`;
+    if (argv.datasets) {
+      _renderDatasets(child.datasets, childIndent);
+    }
+    if (argv.depth === undefined || depth < argv.depth) {
+      _renderChildren(prefixTree, child, childIndent, depth + 1, argv);
+    }
+  });
+}
+
+/**
+ * Lists dataset titles under a prefix line
+ * @private
+ */
+function _renderDatasets(datasets, indent) {
+  datasets.forEach(dataset => {
+    const sourceLabel = getSourceLabel(dataset);
+    const title = dataset.isValid ? dataset.title : `❌ ${dataset.metadataKey} (invalid metadata)`;
+    const inferred = dataset.inferred ? ' 🔍 (inferred)' : '';
+    console.log(`${indent}    📄 ${title}${inferred}${sourceLabel ? ` [${sourceLabel}]` : ''}`);
+  });
+}
+
+/**
+ * @private
+ */
+function _countPrefixes(prefixTree, node) {
+  let count = 0;
+  prefixTree.walk(() => count++, node);
+  return count;
+}
+
+/**
+ * @private
+ */
+function _formatCount(count) {
+  return `${count} dataset${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Defines command line argument configuration for the tree command
+ * @returns {Object} Yargs command configuration
+ */
+function getCommandConfig() {
+  return {
+    command: 'tree [path]',
+    describe: 'Show datasets as a tree of key prefixes with counts at every level',
+    builder: (yargs) => {
+      yargs
+        .positional('path', {
+          describe: 'Only show the subtree under this key prefix (e.g. tijuana/sd_complaints)',
+          type: 'string'
+        })
+        .option('depth', {
+          describe: 'Maximum number of prefix levels to show',
+          type: 'number'
+        })
+        .option('datasets', {
+          describe: 'List dataset titles under each prefix',
+          type: 'boolean',
+          default: false
+        })
+        .option('deduplicate', {
+          alias: 'D',
+          describe: 'Enable title-based deduplication (count only latest versions)',
+          type: 'boolean',
+          default: false
+        })
+        .option('case-sensitive', {
+          alias: 'c',
+          describe: 'Use case-sensitive matching for deduplication',
+          type: 'boolean',
+          default: false
+        })
+        .option('format', {
+          describe: 'Output format',
+          choices: ['text', 'json'],
+          default: 'text'
+        })
+        .option('compact', {
+          describe: 'Compact JSON output (no formatting, use with --format json)',
+          type: 'boolean',
+          default: false
+        });
+
+      return addCatalogOptions(yargs)
+        .example('$0 tree', 'Show the prefix tree of the default bucket')
+        .example('$0 tree tijuana --depth 2', 'Show two levels under tijuana/')
+        .example('$0 tree --datasets', 'List dataset titles under each prefix')
+        .example('$0 tree --format json', 'Output the tree with counts as JSON');
+    },
+    handler: tree
+  };
+}
+
+module.exports = { tree, getCommandConfig };
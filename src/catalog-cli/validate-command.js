@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { createCatalogService, buildCatalogOptions, addCatalogOptions } = require('./catalog-factory.js');
+const { EXIT_CODES, exitWithError } = require('./error-handler.js');
+const { MetadataValidator } = require('../catalog-core/metadata-validator.js');
+const { CatalogAudit } = require('../catalog-core/catalog-audit.js');
+const { mapWithConcurrency } = require('../catalog-core/concurrency-utils.js');
+
+/**
+ * Validate command: checks every metadata file against the catalog's schema.org profile and
+ * reports errors and warnings per file; exits with EXIT_CODES.VALIDATION_FAILED on errors
+ * (or on warnings with --strict), for use in upload pipelines
+ * @param {Object} argv - Command line arguments
+ * @param {string} argv.format - Report format ('text', 'json', 'junit')
+ * @param {string} argv.output - Write the report to this file instead of stdout
+ * @param {boolean} argv.strict - Fail on warnings as well as errors
+ * @param {boolean} argv.checkContent - Check that relative contentUrls exist in the bucket
+ * @param {string} argv.prefix - Only validate keys under this prefix
+ * @param {number} argv.concurrency - Maximum number of metadata files fetched in parallel
+ * @param {string} argv.source - Local directory to validate instead of a bucket
+ * @param {boolean} argv.verbose - Also list files without problems
+ */
+async function validate(argv) {
+  try {
+    // Validation always reads the files as they are now, so the metadata cache is not used
+    const catalogService = createCatalogService({ ...argv, cache: false }, buildCatalogOptions(argv));
+    const storage = catalogService.s3Client;
+    const log = argv.format === 'text' && !argv.output ? console.log : () => {};
+
+    const objects = await storage.listObjects(catalogService.prefix);
+    const metadataObjects = objects.filter(obj => obj.isMetadata);
+    log(`🔍 Validating ${metadataObjects.length} metadata file${metadataObjects.length === 1 ? '' : 's'}${catalogService.prefix ? ` under '${catalogService.prefix}'` : ''}...`);
+
+    const validator = new MetadataValidator({
+      contentExists: argv.checkContent ? CatalogAudit.createContentCheck(storage, objects, catalogService.prefix) : null
+    });
+
+    const results = await mapWithConcurrency(metadataObjects, argv.concurrency, async (obj) => {
+      let content;
+      try {
+        content = await storage.getObject(obj.Key);
+      } catch (error) {
+        return { key: obj.Key, valid: false, errors: [{ path: '', message: `Cannot be read: ${error.message}` }], warnings: [] };
+      }
+      return validator.validate(content, obj.Key);
+    });
+
+    const summary = _summarize(results, argv);
+    let report;
+    if (argv.format === 'json') {
+      report = JSON.stringify({ summary, files: results }, null, argv.compact ? 0 : 2);
+    } else if (argv.format === 'junit') {
+      report = _toJUnit(results, argv);
+    } else {
+      report = _toText(results, summary, argv);
+    }
+
+    if (argv.output) {
+      fs.mkdirSync(path.dirname(path.resolve(argv.output)), { recursive: true });
+      fs.writeFileSync(argv.output, report + '\n', 'utf8');
+      console.log(`💾 Validation report written to ${argv.output}`);
+    } else {
+      console.log(report);
+    }
+
+    if (!summary.passed) {
+      process.exitCode = EXIT_CODES.VALIDATION_FAILED;
+    }
+
+  } catch (error) {
+    exitWithError('Error validating metadata', error, argv);
+  }
+}
+
+/**
+ * Counts files, errors and warnings
+ * @private
+ */
+function _summarize(results, argv) {
+  const errors = results.reduce((count, result) => count + result.errors.length, 0);
+  const warnings = results.reduce((count, result) => count + result.warnings.length, 0);
+  return {
+    files: results.length,
+    filesWithErrors: results.filter(result => result.errors.length > 0).length,
+    filesWithWarnings: results.filter(result => result.warnings.length > 0).length,
+    errors,
+    warnings,
+    strict: Boolean(argv.strict),
+    passed: errors === 0 && (!argv.strict || warnings === 0)
+  };
+}
+
+/**
+ * Formats the report as text, listing problems per file
+ * @private
+ */
+function _toText(results, summary, argv) {
+  const lines = [];
+
+  for (const result of results) {
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+      if (argv.verbose) {
+        lines.push(`✅ ${result.key}`);
+      }
+      continue;
+    }
+
+    lines.push(`${result.errors.length > 0 ? '❌' : '⚠️ '} ${result.key}`);
+    for (const issue of result.errors) {
+      lines.push(`   ✖ ${MetadataValidator.formatIssue(issue)}`);
+    }
+    for (const issue of result.warnings) {
+      lines.push(`   ⚠ ${MetadataValidator.formatIssue(issue)}`);
+    }
+  }
+
+  lines.push('═'.repeat(50));
+  lines.push(`${summary.passed ? '✅' : '❌'} ${summary.files} file${summary.files === 1 ? '' : 's'} checked: ` +
+    `${summary.errors} error${summary.errors === 1 ? '' : 's'} in ${summary.filesWithErrors} file${summary.filesWithErrors === 1 ? '' : 's'}, ` +
+    `${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}${summary.strict ? ' (strict: warnings fail)' : ''}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats the report as JUnit XML: one test case per metadata file, failing on errors
+ * (and on warnings with --strict); warnings are also listed in system-out
+ * @private
+ */
+function _toJUnit(results, argv) {
+  const escapeXml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const isFailure = result => result.errors.length > 0 || (argv.strict && result.warnings.length > 0);
+  const failures = results.filter(isFailure).length;
+
+  const testCases = results.map(result => {
+    const classname = result.key.includes('/') ? result.key.slice(0, result.key.lastIndexOf('/')).replace(/\//g, '.') : 'metadata';
+    const lines = [`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(result.key)}">`];
+
+    if (isFailure(result)) {
+      const issues = argv.strict ? [...result.errors, ...result.warnings] : result.errors;
+      const message = `${issues.length} problem${issues.length === 1 ? '' : 's'}`;
+      lines.push(`      <failure message="${escapeXml(message)}" type="validation">${escapeXml(issues.map(MetadataValidator.formatIssue).join('\n'))}</failure>`);
+    }
+    if (result.warnings.length > 0) {
+      lines.push(`      <system-out>${escapeXml(result.warnings.map(issue => `warning: ${MetadataValidator.formatIssue(issue)}`).join('\n'))}</system-out>`);
+    }
+
+    lines.push('    </testcase>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="s3-catalog validate" tests="${results.length}" failures="${failures}">`,
+    `  <testsuite name="metadata" tests="${results.length}" failures="${failures}" errors="0">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Defines command line argument configuration for the validate command
+ * @returns {Object} Yargs command configuration
+ */
+function getCommandConfig() {
+  return {
+    command: 'validate [bucket]',
+    describe: 'Check metadata files against the schema.org profile and report errors and warnings',
+    builder: (yargs) => {
+      yargs
+        .positional('bucket', {
+          describe: 'S3 bucket name',
+          type: 'string',
+          default: process.env.S3_BUCKET_NAME
+        })
+        .option('format', {
+          describe: 'Report format',
+          choices: ['text', 'json', 'junit'],
+          default: 'text'
+        })
+        .option('compact', {
+          describe: 'Compact JSON output (no formatting, use with --format json)',
+          type: 'boolean',
+          default: false
+        })
+        .option('output', {
+          alias: 'o',
+          describe: 'Write the report to a file instead of stdout',
+          type: 'string'
+        })
+        .option('strict', {
+          describe: 'Fail on warnings as well as errors',
+          type: 'boolean',
+          default: false
+        })
+        .option('check-content', {
+          describe: 'Check that relative contentUrls exist in the bucket (disable with --no-check-content)',
+          type: 'boolean',
+          default: true
+        });
+
+      return addCatalogOptions(yargs, {
+        only: ['prefix', 'concurrency', 'source'],
+        describe: {
+          prefix: 'Only validate keys under this prefix (e.g. tijuana/)',
+          source: 'Validate a local directory of metadata files instead of a bucket'
+        }
+      })
+        .example('$0 validate', 'Validate every metadata file in the default bucket')
+        .example('$0 validate --source ./staging --strict', 'Check files before uploading them, failing on warnings too')
+        .example('$0 validate --format junit --output reports/metadata.xml', 'Write a JUnit report for CI');
+    },
+    handler: validate
+  };
+}
+
+module.exports = { validate, getCommandConfig };
@@ -0,0 +1,205 @@
+import { DatasetInference } from './dataset-inference.js';
+import { mapWithConcurrency } from './concurrency-utils.js';
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+/**
+ * Cross-references a bucket listing against the downloads of the loaded datasets
+ * Orphans are data files that no contentUrl links to (the files DatasetInference turns
+ * into inferred datasets); dangling links are contentUrls that resolve to a key in the
+ * bucket that does not exist. contentUrls pointing outside the bucket are only counted.
+ */
+export class CatalogAudit {
+  /**
+   * Builds the audit report
+   * Keys under the listed prefix are looked up in the listing; keys outside it need a HEAD
+   * request and are reported as unchecked when no storage is given.
+   * @param {Array<Object>} objects - Listed Enhanced S3Objects
+   * @param {Array<Dataset>} datasets - Loaded datasets (inferred datasets are ignored)
+   * @param {Object} options - Options
+   * @param {string} options.bucketName - Bucket name, for absolute contentUrls
+   * @param {string} options.endpoint - S3 endpoint URL, for absolute contentUrls
+   * @param {string} options.prefix - Prefix the listing is limited to
+   * @param {Object} options.source - Source descriptor ({id, label}) stamped on every entry
+   * @param {MetadataParserRegistry} options.parserRegistry - Registry deciding which keys are metadata files
+   * @param {StorageAdapter} options.storage - Storage for HEAD requests on keys outside the prefix
+   * @param {number} options.concurrency - Maximum number of HEAD requests in flight
+   * @param {AbortSignal} options.signal - Cancels the HEAD requests
+   * @returns {Promise<Object>} Report ({bucket, prefix, generatedAt, summary, orphans, orphanDirectories, dangling})
+   */
+  static async build(objects, datasets, options = {}) {
+    const documented = datasets.filter(dataset => !dataset.inferred);
+    const sizes = new Map(objects.map(obj => [obj.Key, obj.Size || 0]));
+    const contentExists = CatalogAudit.createContentCheck(options.storage, objects, options.prefix || '', {
+      signal: options.signal,
+      onHead: (key, obj) => sizes.set(key, obj?.Size || 0)
+    });
+    const sourceId = options.source ? options.source.id : undefined;
+
+    const links = [];
+    let externalLinks = 0;
+    for (const dataset of documented) {
+      for (const distribution of dataset.distribution || []) {
+        if (!distribution?.contentUrl) {
+          continue;
+        }
+        const key = DatasetInference.resolveContentKey(distribution.contentUrl, options);
+        if (key) {
+          links.push({ dataset, distribution, key });
+        } else {
+          externalLinks++;
+        }
+      }
+    }
+
+    const found = await mapWithConcurrency(links, options.concurrency, link => contentExists(link.key), { signal: options.signal });
+
+    const dangling = links.filter((link, i) => found[i] === false).map(({ dataset, distribution, key }) => ({
+      ...(sourceId !== undefined && { source: sourceId }),
+      datasetId: dataset.id,
+      title: dataset.title,
+      metadataKey: dataset.metadataKey,
+      name: distribution.name || null,
+      contentUrl: distribution.contentUrl,
+      key,
+      contentSize: distribution.contentSize || null
+    }));
+
+    const linkedKeys = new Set(links.filter((link, i) => found[i] === true).map(link => link.key));
+    const linkedBytes = Array.from(linkedKeys).reduce((sum, key) => sum + (sizes.get(key) || 0), 0);
+
+    const orphans = DatasetInference.findOrphans(objects, documented, options).map(obj => ({
+      ...(sourceId !== undefined && { source: sourceId }),
+      key: obj.Key,
+      size: obj.Size || 0,
+      lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null
+    }));
+
+    return {
+      bucket: options.bucketName || null,
+      prefix: options.prefix || '',
+      generatedAt: new Date().toISOString(),
+      summary: {
+        objects: objects.length,
+        datasets: documented.length,
+        links: links.length + externalLinks,
+        linkedFiles: linkedKeys.size,
+        linkedBytes,
+        orphanFiles: orphans.length,
+        orphanBytes: orphans.reduce((sum, orphan) => sum + orphan.size, 0),
+        danglingLinks: dangling.length,
+        externalLinks,
+        uncheckedLinks: found.filter(exists => exists === null).length
+      },
+      orphans,
+      orphanDirectories: CatalogAudit.groupByDirectory(orphans),
+      dangling
+    };
+  }
+
+  /**
+   * Merges the reports of several sources (e.g. a federated catalog) into one
+   * @param {Array<Object>} reports - Reports from build()
+   * @returns {Object} Merged report; bucket lists the buckets, summary counts are summed
+   */
+  static merge(reports) {
+    const summary = {};
+    for (const report of reports) {
+      for (const [name, value] of Object.entries(report.summary)) {
+        summary[name] = (summary[name] || 0) + value;
+      }
+    }
+    const orphans = reports.flatMap(report => report.orphans);
+
+    return {
+      bucket: reports.map(report => report.bucket).join(', '),
+      prefix: '',
+      generatedAt: new Date().toISOString(),
+      summary,
+      orphans,
+      orphanDirectories: CatalogAudit.groupByDirectory(orphans),
+      dangling: reports.flatMap(report => report.dangling)
+    };
+  }
+
+  /**
+   * Totals orphan files per directory
+   * @param {Array<Object>} orphans - Report orphans ({key, size, source})
+   * @returns {Array<Object>} Directories ({directory, files, bytes, source}), largest first;
+   *   directory is '' at the bucket root
+   */
+  static groupByDirectory(orphans) {
+    const directories = new Map();
+    for (const orphan of orphans) {
+      const directory = orphan.key.includes('/') ? orphan.key.slice(0, orphan.key.lastIndexOf('/') + 1) : '';
+      const id = `${orphan.source ?? ''}\n${directory}`;
+      if (!directories.has(id)) {
+        directories.set(id, {
+          ...(orphan.source !== undefined && { source: orphan.source }),
+          directory,
+          files: 0,
+          bytes: 0
+        });
+      }
+      const entry = directories.get(id);
+      entry.files++;
+      entry.bytes += orphan.size;
+    }
+
+    return Array.from(directories.values())
+      .sort((a, b) => b.bytes - a.bytes || a.directory.localeCompare(b.directory));
+  }
+
+  /**
+   * Creates a check for whether a key exists
+   * Keys under the listed prefix are looked up in the listing; others need a HEAD request,
+   * made once per key. Errors other than "not found" are rethrown.
+   * @param {StorageAdapter} storage - Storage for HEAD requests (null: keys outside the prefix are unchecked)
+   * @param {Array<Object>} objects - Objects listed under the prefix
+   * @param {string} prefix - Listed prefix
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels the HEAD requests
+   * @param {Function} options.onHead - Called with (key, object) for keys found with a HEAD request
+   * @returns {Function} async (key) => true, false, or null when the key could not be checked
+   */
+  static createContentCheck(storage, objects, prefix, options = {}) {
+    const listedKeys = new Set(objects.map(obj => obj.Key));
+    const headResults = new Map();
+
+    return async (key) => {
+      if (listedKeys.has(key) || key.startsWith(prefix)) {
+        return listedKeys.has(key);
+      }
+      if (!storage) {
+        return null;
+      }
+      if (!headResults.has(key)) {
+        headResults.set(key, storage.headObject(key, { signal: options.signal }).then((obj) => {
+          options.onHead?.(key, obj);
+          return true;
+        }, (error) => {
+          if (error.statusCode === 404 || error.code === 'NoSuchKey' || error.code === 'NotFound') {
+            return false;
+          }
+          throw error;
+        }));
+      }
+      return headResults.get(key);
+    };
+  }
+
+  /**
+   * Formats a byte count for display (1024-based units)
+   * @param {number} bytes - Byte count
+   * @returns {string} e.g. '512 B', '1.5 KB', '230 MB'
+   */
+  static formatBytes(bytes) {
+    let value = Number(bytes) || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${value} ${BYTE_UNITS[0]}` : `${value.toFixed(value < 10 ? 1 : 0)} ${BYTE_UNITS[unit]}`;
+  }
+}
@@ -1,49 +1,1140 @@
-const { S3ClientWrapper } = require('./s3-client');
-const { DatasetParser } = require('./dataset-parser');
-const { CatalogIndex } = require('./catalog-index');
+import { Dataset, SectionDescriptor } from './models.js';
+import { DatasetParser } from './dataset-parser.js';
+import { CatalogIndex } from './catalog-index.js';
+import { S3ClientBrowser } from './s3-client-browser.js';
+import { DeduplicationConfig } from './deduplication-config.js';
+import { DateDisplayConfig } from './date-display-config.js';
+import { mapWithConcurrency, normalizeConcurrency } from './concurrency-utils.js';
+import { CatalogStore } from './catalog-store.js';
+import { PrefixTree } from './prefix-tree.js';
+import { VersionHistory } from './version-history.js';
+import { InventoryReader } from './inventory-reader.js';
+import { defaultParserRegistry } from './parser-registry.js';
+import { DatasetInference } from './dataset-inference.js';
+import { CatalogAudit } from './catalog-audit.js';
 
-class CatalogService {
-  constructor(bucketName, options) {
-    this.s3Client = new S3ClientWrapper(bucketName, options);
+// Inventory reports older than this are ignored in favour of a live listing (S3 Inventory runs daily or weekly)
+const DEFAULT_INVENTORY_MAX_AGE_HOURS = 48;
+
+// Format of the offline snapshots; snapshots saved in another format are ignored and replaced on the next load
+const OFFLINE_SNAPSHOT_VERSION = 1;
+
+/**
+ * Catalog service shared by the CLI and the web UI
+ * Only the S3 transport differs between environments: pass a transport as
+ * options.s3Client (e.g. S3ClientWrapper in Node), otherwise the fetch-based
+ * S3ClientBrowser is created when options.endpoint is provided.
+ */
+export class CatalogService {
+  constructor(bucketName, options = {}) {
+    this.options = options;
     this.index = new CatalogIndex();
+
+    if (options.s3Client) {
+      this.s3Client = options.s3Client;
+    } else if (options.endpoint) {
+      this.s3Client = new S3ClientBrowser(bucketName, options);
+    }
+
+    this.bucketName = bucketName || (this.s3Client && this.s3Client.bucketName);
+
+    // Optional key prefix limiting the catalog to part of the bucket (e.g. 'tijuana/')
+    this.prefix = options.prefix || '';
+
+    // Optional source descriptor ({id, label, endpoint, bucket, prefix}) stamped on every dataset
+    // when this service loads one source of a federated catalog
+    this.source = options.source || null;
+
+    // Metadata formats to read (schema.org, DCAT, DataCite, CKAN and any registered plugins);
+    // the registry also decides which keys are metadata files
+    this.parserRegistry = options.parserRegistry || defaultParserRegistry;
+
+    // Opt-in: add a placeholder dataset (flagged `inferred`) for each directory of data files
+    // that no metadata file links to
+    this.inferDatasets = Boolean(options.inferDatasets);
+
+    // Maximum number of metadata files fetched in parallel
+    this.concurrency = normalizeConcurrency(options.concurrency);
+
+    // Optional progress callback, called as listing pages arrive and metadata files finish loading;
+    // a per-load onProgress passed to loadCatalog()/refreshCatalog() takes precedence
+    this.onProgress = options.onProgress || null;
+
+    // Metadata objects from the last listing, keyed by S3 key (used by refreshCatalog)
+    this.loadedObjects = new Map();
+
+    // Every object from the last listing (used by auditCatalog); null until the bucket is listed
+    this.listedObjects = null;
+
+    // Section descriptors from <section>/_section.json files, keyed by section name
+    this.sectionDescriptors = new Map();
+
+    // Optional S3 Inventory report to bootstrap the listing from ({manifestKey | manifestPrefix,
+    // livePrefixes, maxAgeHours}); the report used by the last listing is kept in inventoryInfo
+    this.inventory = this._initializeInventoryOptions(options.inventory);
+    this.inventoryInfo = null;
+
+    // Optional offline snapshot store: a CatalogStore-like object, or true for IndexedDB when available
+    this.offlineCache = this._initializeOfflineCache(options.offlineCache);
+    this.offlineCacheKey = CatalogStore.createKey(options.endpoint, this.bucketName, this.prefix);
+
+    // Enhanced configuration for deduplication and date display
+    this.deduplicationConfig = this._initializeDeduplicationConfig(options.deduplication);
+    this.dateDisplayConfig = this._initializeDateDisplayConfig(options.dateDisplay);
+
+    // Performance and error tracking
+    this.loadMetrics = {
+      lastLoadTime: null,
+      totalObjects: 0,
+      metadataFiles: 0,
+      validDatasets: 0,
+      invalidDatasets: 0,
+      inferredDatasets: 0,
+      processingTimeMs: 0
+    };
+  }
+
+  /**
+   * Initialize deduplication configuration from options
+   * @private
+   */
+  _initializeDeduplicationConfig(deduplicationOptions) {
+    if (!deduplicationOptions) {
+      return DeduplicationConfig.createDefault();
+    }
+
+    if (deduplicationOptions instanceof DeduplicationConfig) {
+      return deduplicationOptions;
+    }
+
+    return DeduplicationConfig.fromObject(deduplicationOptions);
+  }
+
+  /**
+   * Initialize the offline snapshot store from options
+   * @private
+   */
+  _initializeOfflineCache(offlineCacheOption) {
+    if (!offlineCacheOption) {
+      return null;
+    }
+
+    if (offlineCacheOption === true) {
+      return CatalogStore.isSupported() ? new CatalogStore() : null;
+    }
+
+    return offlineCacheOption;
+  }
+
+  /**
+   * Initialize S3 Inventory options; a string is a manifest key (…/manifest.json) or a destination prefix
+   * @private
+   */
+  _initializeInventoryOptions(inventoryOption) {
+    if (!inventoryOption) {
+      return null;
+    }
+
+    const inventory = typeof inventoryOption === 'string'
+      ? (inventoryOption.endsWith('manifest.json') ? { manifestKey: inventoryOption } : { manifestPrefix: inventoryOption })
+      : inventoryOption;
+
+    if (!inventory.manifestKey && !inventory.manifestPrefix) {
+      throw new Error('Inventory options need a manifestKey or a manifestPrefix');
+    }
+
+    return {
+      manifestKey: inventory.manifestKey || null,
+      manifestPrefix: inventory.manifestPrefix || null,
+      livePrefixes: inventory.livePrefixes || [],
+      maxAgeHours: inventory.maxAgeHours ?? DEFAULT_INVENTORY_MAX_AGE_HOURS
+    };
+  }
+
+  /**
+   * Initialize date display configuration from options
+   * @private
+   */
+  _initializeDateDisplayConfig(dateDisplayOptions) {
+    if (!dateDisplayOptions) {
+      return DateDisplayConfig.createForBrowser();
+    }
+
+    if (dateDisplayOptions instanceof DateDisplayConfig) {
+      return dateDisplayOptions;
+    }
+
+    return DateDisplayConfig.fromObject(dateDisplayOptions);
+  }
+
+  /**
+   * Lists the bucket and loads every metadata file
+   * Progress events are {phase: 'listing', pages, objects} while listing, then
+   * {phase: 'metadata', completed, failed, total, key} as metadata files finish.
+   * @param {Object} loadOptions - Per-load options
+   * @param {AbortSignal} loadOptions.signal - Cancels the load; the promise rejects with signal.reason
+   * @param {Function} loadOptions.onProgress - Progress callback for this load
+   * @returns {Promise<Object>} Catalog response ({sections, metadata})
+   */
+  async loadCatalog(loadOptions = {}) {
+    if (!this.s3Client) {
+      console.warn('No S3 client configured. Please provide endpoint or s3Client in options.');
+      return this._createEmptyResponse();
+    }
+
+    const startTime = performance.now();
+
+    try {
+      console.log('🚀 Loading complete catalog from S3...');
+
+      // Step 1: List all objects (under the configured prefix) with Enhanced S3Object metadata
+      const objects = await this._listObjects(loadOptions);
+      console.log(`📁 Found ${objects.length} total objects in bucket${this.prefix ? ` under '${this.prefix}'` : ''}`);
+
+      // Step 2: Filter Enhanced S3Objects for metadata files
+      const metadataObjects = objects.filter(obj => this.parserRegistry.isMetadataFile(obj.Key));
+      console.log(`📄 Found ${metadataObjects.length} metadata files to process`);
+
+      if (metadataObjects.length === 0 && !this.inferDatasets) {
+        console.warn('⚠️ No metadata files found in bucket');
+        // Drop what an earlier load left, so searches no longer find deleted datasets
+        this.listedObjects = objects;
+        this.loadedObjects = new Map();
+        this.sectionDescriptors = new Map();
+        this.index.updateWithDeduplication([], this.deduplicationConfig);
+        return this._createEmptyResponse();
+      }
+
+      // Step 3: Fetch and parse metadata files with a bounded worker pool
+      console.log(`📊 Processing metadata files with S3 timestamps (concurrency ${this.concurrency})...`);
+      const datasets = await this._fetchDatasets(metadataObjects, loadOptions);
+      this.sectionDescriptors = await this._fetchSectionDescriptors(objects, loadOptions);
+
+      // Steps 4-5: Update metrics and build enhanced index with deduplication
+      const response = this._indexDatasets(objects, metadataObjects, datasets, startTime);
+
+      await this._saveToOfflineCache();
+
+      console.log(`🎉 Catalog loaded! Sections: ${Object.keys(response.sections).join(', ')}`);
+      return response;
+
+    } catch (error) {
+      if (loadOptions.signal?.aborted) {
+        console.log('🛑 Catalog load cancelled');
+      } else {
+        console.error('💥 Error loading catalog:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Loads the catalog from the offline snapshot store without contacting S3
+   * Call refreshCatalog() afterwards to revalidate the snapshot against the bucket.
+   * @returns {Promise<Object|null>} Catalog response with metadata.fromCache set, or null if no snapshot
+   *   exists, it cannot be read or it was saved in another snapshot format
+   */
+  async loadCachedCatalog() {
+    if (!this.offlineCache) {
+      return null;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await this.offlineCache.load(this.offlineCacheKey);
+    } catch (error) {
+      console.warn('⚠️ Failed to read offline catalog cache:', error);
+      return null;
+    }
+
+    if (!snapshot || snapshot.version !== OFFLINE_SNAPSHOT_VERSION || !Array.isArray(snapshot.datasets) || !Array.isArray(snapshot.objects)) {
+      return null;
+    }
+
+    // Inferred datasets are only shown while inference is on
+    const datasets = snapshot.datasets.filter(obj => this.inferDatasets || !obj.inferred).map(obj => {
+      const dataset = Dataset.fromObject(obj);
+      this._applyDateFormatting(dataset);
+      return dataset;
+    });
+
+    this.loadMetrics = {
+      lastLoadTime: new Date(snapshot.savedAt),
+      totalObjects: snapshot.totalObjects,
+      metadataFiles: snapshot.objects.length,
+      validDatasets: datasets.filter(d => d.isValid).length,
+      invalidDatasets: datasets.filter(d => !d.isValid).length,
+      inferredDatasets: datasets.filter(d => d.inferred).length,
+      processingTimeMs: 0
+    };
+    this.loadedObjects = new Map(snapshot.objects.map(obj => [obj.Key, obj]));
+    this.sectionDescriptors = new Map((snapshot.sectionDescriptors || []).map(obj => [obj.section, SectionDescriptor.fromObject(obj)]));
+    this.index.updateWithDeduplication(datasets, this.deduplicationConfig);
+
+    console.log(`📦 Loaded ${datasets.length} datasets from offline cache (saved ${new Date(snapshot.savedAt).toISOString()})`);
+
+    return {
+      sections: this._sectionsToObject(),
+      metadata: {
+        ...this._buildResponseMetadata(),
+        fromCache: true,
+        cachedAt: new Date(snapshot.savedAt)
+      }
+    };
+  }
+
+  /**
+   * Incrementally refreshes a loaded catalog
+   * Re-lists the bucket, diffs the listing against the loaded metadata files by ETag
+   * (falling back to LastModified) and only fetches added or changed files. Datasets
+   * whose metadata file was deleted are dropped. Falls back to loadCatalog() when
+   * nothing has been loaded yet. A cancelled refresh leaves the loaded catalog unchanged.
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress}), as for loadCatalog()
+   * @returns {Promise<Object>} Catalog response; metadata.refreshSummary lists the changes
+   */
+  async refreshCatalog(loadOptions = {}) {
+    if (!this.s3Client || this.loadedObjects.size === 0) {
+      return this.loadCatalog(loadOptions);
+    }
+
+    const startTime = performance.now();
+
+    try {
+      console.log('🔁 Refreshing catalog from S3...');
+
+      const objects = await this._listObjects(loadOptions);
+      const metadataObjects = objects.filter(obj => this.parserRegistry.isMetadataFile(obj.Key));
+
+      // Reuse datasets whose metadata file is unchanged
+      const previousDatasets = new Map();
+      for (const dataset of this.index.getAllOriginalDatasets()) {
+        previousDatasets.set(dataset.metadataKey, dataset);
+      }
+
+      const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+      const objectsToFetch = [];
+
+      for (const metadataObject of metadataObjects) {
+        const previousObject = this.loadedObjects.get(metadataObject.Key);
+        if (!previousObject || !previousDatasets.has(metadataObject.Key)) {
+          summary.added++;
+          objectsToFetch.push(metadataObject);
+        } else if (this._hasObjectChanged(previousObject, metadataObject)) {
+          summary.changed++;
+          objectsToFetch.push(metadataObject);
+        } else {
+          summary.unchanged++;
+        }
+      }
+
+      const currentKeys = new Set(metadataObjects.map(obj => obj.Key));
+      for (const key of this.loadedObjects.keys()) {
+        if (!currentKeys.has(key)) {
+          summary.removed++;
+        }
+      }
+
+      console.log(`📊 Changes: ${summary.added} added, ${summary.changed} changed, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+
+      const fetchedDatasets = await this._fetchDatasets(objectsToFetch, loadOptions);
+      const sectionDescriptors = await this._fetchSectionDescriptors(objects, loadOptions);
+      const fetchedByKey = new Map(objectsToFetch.map((obj, i) => [obj.Key, fetchedDatasets[i]]));
+
+      // Keep listing order; unchanged datasets get fresh relative dates
+      const datasets = metadataObjects.map(metadataObject => {
+        if (fetchedByKey.has(metadataObject.Key)) {
+          return fetchedByKey.get(metadataObject.Key);
+        }
+        const dataset = previousDatasets.get(metadataObject.Key);
+        this._applyDateFormatting(dataset);
+        return dataset;
+      });
+
+      this.sectionDescriptors = sectionDescriptors;
+      const response = this._indexDatasets(objects, metadataObjects, datasets, startTime);
+      response.metadata.refreshSummary = summary;
+
+      await this._saveToOfflineCache();
+
+      console.log(`🎉 Catalog refreshed! Sections: ${Object.keys(response.sections).join(', ')}`);
+      return response;
+
+    } catch (error) {
+      if (loadOptions.signal?.aborted) {
+        console.log('🛑 Catalog refresh cancelled');
+      } else {
+        console.error('💥 Error refreshing catalog:', error);
+      }
+      throw error;
+    }
+  }
+
+  getDatasets() {
+    // Convert Map to plain object for browser compatibility
+    const sections = {};
+    for (const [key, value] of this.index.sections.entries()) {
+      sections[key] = value;
+    }
+    return sections;
+  }
+
+  // Helper method for parsing datasets (used by implementations)
+  parseDataset(metadata, objectKey) {
+    return this.parserRegistry.parse(metadata, objectKey);
+  }
+
+  // Helper method to update the index (used by implementations)
+  updateIndex(datasets) {
+    this.index.update(datasets);
+    const sections = {};
+    for (const [key, value] of this.index.sections.entries()) {
+      sections[key] = value;
+    }
+    return sections;
+  }
+
+  // Test S3 connection
+  async testConnection() {
+    if (!this.s3Client) {
+      return false;
+    }
+    return await this.s3Client.testConnection();
+  }
+
+  /**
+   * Gets the key prefix tree of the loaded catalog, or of a subset of its datasets
+   * @param {Object} sections - Sections to build the tree from, e.g. search results (optional)
+   * @returns {PrefixTree} Prefix tree with dataset counts at every level
+   */
+  getPrefixTree(sections = null) {
+    if (!sections) {
+      return this.index.getPrefixTree();
+    }
+    return new PrefixTree(Object.values(sections).flat());
+  }
+
+  /**
+   * Enhanced search with deduplication support
+   * @param {string} query - Search query
+   * @param {Object} options - Search options
+   * @returns {Object} Search results with metadata
+   */
+  search(query, options = {}) {
+    if (this.deduplicationConfig.enabled || options.deduplicate) {
+      const results = this.index.searchWithDeduplication(query, options);
+      return { ...results, sections: this._orderSections(results.sections) };
+    } else {
+      const baseResults = this.index.search(query);
+      return {
+        ...baseResults,
+        sections: this._orderSections(baseResults.sections),
+        metadata: {
+          deduplicationEnabled: false,
+          searchQuery: query
+        }
+      };
+    }
+  }
+
+  /**
+   * Gets the descriptor of a section, if its folder has a _section.json file
+   * @param {string} section - Section name (top-level prefix)
+   * @returns {SectionDescriptor|null} Section descriptor
+   */
+  getSectionDescriptor(section) {
+    return this.sectionDescriptors.get(section) || null;
+  }
+
+  /**
+   * Finds a loaded dataset by ID, including datasets hidden by deduplication
+   * @param {string} datasetId - Dataset ID (metadata key without its format suffix)
+   * @returns {Dataset|null} Dataset, or null if it is not in the loaded catalog
+   */
+  findDataset(datasetId) {
+    for (const datasets of this.index.sections.values()) {
+      const dataset = datasets.find(candidate => candidate.id === datasetId);
+      if (dataset) {
+        return dataset;
+      }
+    }
+    return this.getRemovedDuplicates().find(candidate => candidate.id === datasetId) || null;
   }
 
-  async loadCatalog() {
-    const objects = await this.s3Client.listObjects();
-    const metadataFiles = objects.filter(obj => obj.Key.endsWith('metadata.json'));
-    const datasets = [];
+  /**
+   * Loads the version history of a dataset's metadata file
+   * Versioned buckets list every stored version (ListObjectVersions); other storage
+   * reports the current object as the only version. The catalog does not need to be
+   * loaded: an ID or key that is not in the index is looked up directly. When the
+   * dataset is loaded, the history is also kept on it (dataset.versionHistory).
+   * @param {Dataset|string} datasetOrId - Dataset, dataset ID or metadata key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Array<DatasetVersion>>} Versions, newest first, with their changes
+   */
+  async getDatasetHistory(datasetOrId, options = {}) {
+    if (!this.s3Client) {
+      throw new Error('No storage configured: provide options.s3Client or options.endpoint');
+    }
+
+    const dataset = typeof datasetOrId === 'string' ? this.findDataset(datasetOrId) : datasetOrId;
+    const metadataKey = dataset ? dataset.metadataKey : await this._metadataKeyFromId(datasetOrId, options);
+
+    const versions = await VersionHistory.load(this.s3Client, metadataKey, {
+      signal: options.signal,
+      concurrency: this.concurrency,
+      parserRegistry: this.parserRegistry
+    });
+
+    if (dataset) {
+      dataset.setVersionHistory(versions);
+    }
+    return versions;
+  }
 
-    for (const file of metadataFiles) {
+  /**
+   * Reports orphan data files and dangling contentUrls
+   * Cross-references the last listing against the downloads of the loaded datasets (see
+   * CatalogAudit). The catalog is refreshed first when the bucket has not been listed yet,
+   * e.g. after loading the offline snapshot, or when options.refresh is set.
+   * @param {Object} options - Per-load options ({signal, onProgress}) as for refreshCatalog(), plus:
+   * @param {boolean} options.refresh - Refresh first so the report reflects the bucket as it is now
+   * @returns {Promise<Object>} Audit report ({bucket, prefix, generatedAt, summary, orphans, orphanDirectories, dangling})
+   */
+  async auditCatalog(options = {}) {
+    if (!this.s3Client) {
+      throw new Error('No storage configured: provide options.s3Client or options.endpoint');
+    }
+    if (options.refresh || !this.listedObjects) {
+      await this.refreshCatalog(options);
+    }
+
+    return CatalogAudit.build(this.listedObjects || [], this.index.getAllOriginalDatasets(), {
+      bucketName: this.bucketName,
+      endpoint: this.source?.endpoint || this.options.endpoint,
+      prefix: this.prefix,
+      source: this.source,
+      parserRegistry: this.parserRegistry,
+      storage: this.s3Client,
+      concurrency: this.concurrency,
+      signal: options.signal
+    });
+  }
+
+  /**
+   * Sets the deduplication configuration and reapplies it
+   * @param {Object|DeduplicationConfig} config - New deduplication configuration
+   */
+  setDeduplicationConfig(config) {
+    if (config instanceof DeduplicationConfig) {
+      this.deduplicationConfig = config;
+    } else {
+      this.deduplicationConfig = DeduplicationConfig.fromObject(config);
+    }
+
+    // Update the index configuration
+    this.index.setDeduplicationConfig(this.deduplicationConfig);
+  }
+
+  /**
+   * Gets the current deduplication configuration
+   * @returns {DeduplicationConfig} Current configuration
+   */
+  getDeduplicationConfig() {
+    return this.deduplicationConfig;
+  }
+
+  /**
+   * Updates deduplication configuration incrementally
+   * @param {Object} updates - Configuration updates
+   */
+  updateDeduplicationConfig(updates) {
+    this.deduplicationConfig.update(updates);
+    this.index.setDeduplicationConfig(this.deduplicationConfig);
+  }
+
+  /**
+   * Applies deduplication to current datasets without full reload
+   * @returns {Object} Updated catalog response
+   */
+  async applyDeduplication() {
+    const allOriginalDatasets = this.index.getAllOriginalDatasets();
+    this.index.updateWithDeduplication(allOriginalDatasets, this.deduplicationConfig);
+
+    return {
+      sections: this._sectionsToObject(),
+      metadata: this._buildResponseMetadata()
+    };
+  }
+
+  /**
+   * Sets the date display configuration
+   * @param {Object|DateDisplayConfig} config - New date display configuration
+   */
+  setDateDisplayConfig(config) {
+    if (config instanceof DateDisplayConfig) {
+      this.dateDisplayConfig = config;
+    } else {
+      this.dateDisplayConfig = DateDisplayConfig.fromObject(config);
+    }
+
+    // Reapply date formatting to current datasets
+    this._reapplyDateFormatting();
+  }
+
+  /**
+   * Gets the current date display configuration
+   * @returns {DateDisplayConfig} Current configuration
+   */
+  getDateDisplayConfig() {
+    return this.dateDisplayConfig;
+  }
+
+  /**
+   * Lists objects under the configured prefix, emitting a listing progress event per page
+   * With inventory options, the listing comes from the S3 Inventory report when a recent one
+   * exists; any problem with the report falls back to a live listing.
+   * @private
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress})
+   * @returns {Promise<Array>} Enhanced S3 objects
+   */
+  async _listObjects(loadOptions) {
+    this._emitProgress({ phase: 'listing', pages: 0, objects: 0 }, loadOptions);
+    this.inventoryInfo = null;
+
+    if (this.inventory) {
       try {
-        const metadataStream = await this.s3Client.getObject(file.Key);
-        const metadata = await this.streamToString(metadataStream);
-        const dataset = DatasetParser.parse(metadata, file.Key);
-        datasets.push(dataset);
+        const objects = await this._listFromInventory(loadOptions);
+        if (objects) {
+          return objects;
+        }
       } catch (error) {
-        console.error(`Error processing ${file.Key}:`, error);
+        if (loadOptions.signal?.aborted) {
+          throw error;
+        }
+        console.warn(`⚠️ Cannot use the S3 Inventory report (${error.message}); listing the bucket instead`);
       }
     }
 
-    this.index.update(datasets);
-    return this.index.sections;
+    return this.s3Client.listObjects(this.prefix, {
+      signal: loadOptions.signal,
+      onPage: ({ pages, objects }) => this._emitProgress({ phase: 'listing', pages, objects }, loadOptions)
+    });
+  }
+
+  /**
+   * Lists objects from the newest S3 Inventory report, plus a live listing of the live prefixes
+   * ListObjectsV2 cannot filter by date, so keys written after the report are only picked up
+   * under inventory.livePrefixes (where new datasets land); those prefixes are listed live and
+   * replace the report's entries. Metadata files deleted since the report are dropped when
+   * their fetch finds no object.
+   * @private
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress})
+   * @returns {Promise<Array|null>} Enhanced S3 objects, or null when no recent report exists
+   */
+  async _listFromInventory(loadOptions) {
+    const { signal } = loadOptions;
+    const reader = new InventoryReader(this.s3Client);
+
+    const manifestKey = this.inventory.manifestKey
+      || await reader.findLatestManifest(this.inventory.manifestPrefix, { signal });
+    if (!manifestKey) {
+      console.warn(`⚠️ No S3 Inventory report under '${this.inventory.manifestPrefix}'; listing the bucket instead`);
+      return null;
+    }
+
+    const manifest = await reader.readManifest(manifestKey, { signal });
+    const ageHours = (Date.now() - manifest.creationDate.getTime()) / 3600000;
+    if (ageHours > this.inventory.maxAgeHours) {
+      console.warn(`⚠️ S3 Inventory report ${manifestKey} is ${Math.round(ageHours)} hours old (limit ${this.inventory.maxAgeHours}); listing the bucket instead`);
+      return null;
+    }
+
+    console.log(`📦 Reading S3 Inventory report from ${manifest.creationDate.toISOString()} (${manifest.files.length} files)...`);
+    const inventoryObjects = await reader.readObjects(manifest, {
+      prefix: this.prefix,
+      signal,
+      onFile: ({ files, objects }) => this._emitProgress({ phase: 'listing', pages: files, objects }, loadOptions)
+    });
+
+    const objectsByKey = new Map(inventoryObjects.map(obj => [obj.Key, { ...obj, fromInventory: true }]));
+    const livePrefixes = this._getLivePrefixes();
+    for (const livePrefix of livePrefixes) {
+      for (const key of objectsByKey.keys()) {
+        if (key.startsWith(livePrefix)) {
+          objectsByKey.delete(key);
+        }
+      }
+      for (const obj of await this.s3Client.listObjects(livePrefix, { signal })) {
+        objectsByKey.set(obj.Key, obj);
+      }
+    }
+
+    this.inventoryInfo = {
+      manifestKey,
+      creationDate: manifest.creationDate,
+      inventoryObjects: inventoryObjects.length,
+      livePrefixes
+    };
+    console.log(`📦 ${inventoryObjects.length} objects from the inventory${livePrefixes.length ? `, live listing for ${livePrefixes.join(', ')}` : ''}`);
+
+    return Array.from(objectsByKey.values()).sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+  }
+
+  /**
+   * Gets the configured live prefixes that overlap the catalog prefix, narrowed to it
+   * @private
+   * @returns {Array<string>} Prefixes to list live
+   */
+  _getLivePrefixes() {
+    const prefixes = new Set();
+    for (const livePrefix of this.inventory.livePrefixes) {
+      if (livePrefix.startsWith(this.prefix)) {
+        prefixes.add(livePrefix);
+      } else if (this.prefix.startsWith(livePrefix)) {
+        prefixes.add(this.prefix);
+      }
+    }
+    return Array.from(prefixes);
   }
 
-  search(query) {
-    return this.index.search(query);
+  /**
+   * Fetches and parses metadata files with a bounded worker pool, emitting progress events
+   * @private
+   * @param {Array} metadataObjects - Enhanced S3 objects for the metadata files
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress})
+   * @returns {Promise<Array>} Datasets in the order of metadataObjects
+   */
+  async _fetchDatasets(metadataObjects, loadOptions = {}) {
+    const progress = { phase: 'metadata', completed: 0, failed: 0, total: metadataObjects.length };
+    this._emitProgress({ ...progress }, loadOptions);
+
+    return mapWithConcurrency(
+      metadataObjects,
+      this.concurrency,
+      metadataObject => this._loadDataset(metadataObject, loadOptions),
+      {
+        signal: loadOptions.signal,
+        onItemComplete: (dataset, metadataObject) => {
+          progress.completed++;
+          if (dataset && !dataset.isValid) {
+            progress.failed++;
+          }
+          this._emitProgress({ ...progress, key: metadataObject.Key }, loadOptions);
+        }
+      }
+    );
   }
 
-  getDatasets() {
-    return this.index.sections;
+  /**
+   * Updates metrics and the index from a completed listing and builds the response
+   * @private
+   * @param {Array} objects - All listed objects
+   * @param {Array} metadataObjects - Listed metadata files
+   * @param {Array} datasets - Datasets parsed from the metadata files
+   * @param {number} startTime - performance.now() at the start of the load
+   * @returns {Object} Catalog response
+   */
+  _indexDatasets(objects, metadataObjects, datasets, startTime) {
+    const endTime = performance.now();
+
+    // Metadata files listed by an inventory report but deleted since have no dataset
+    if (datasets.includes(null)) {
+      const deletedKeys = new Set(metadataObjects.filter((obj, i) => datasets[i] === null).map(obj => obj.Key));
+      metadataObjects = metadataObjects.filter(obj => !deletedKeys.has(obj.Key));
+      objects = objects.filter(obj => !deletedKeys.has(obj.Key));
+      datasets = datasets.filter(dataset => dataset !== null);
+    }
+
+    if (this.inferDatasets) {
+      datasets = [...datasets, ...this._inferDatasetsFromListing(objects, datasets)];
+    }
+
+    this.loadMetrics = {
+      lastLoadTime: new Date(),
+      totalObjects: objects.length,
+      metadataFiles: metadataObjects.length,
+      validDatasets: datasets.filter(d => d.isValid).length,
+      invalidDatasets: datasets.filter(d => !d.isValid).length,
+      inferredDatasets: datasets.filter(d => d.inferred).length,
+      processingTimeMs: endTime - startTime
+    };
+
+    // Remember listing validators so the next refresh can diff against them
+    this.loadedObjects = new Map(metadataObjects.map(obj => [obj.Key, obj]));
+    this.listedObjects = objects;
+
+    this.index.updateWithDeduplication(datasets, this.deduplicationConfig);
+
+    console.log(`✅ Successfully processed ${datasets.length} datasets`);
+    console.log(`📊 Summary: ${this.loadMetrics.validDatasets} valid, ${this.loadMetrics.invalidDatasets} invalid`);
+    if (this.inferDatasets) {
+      console.log(`🔍 Inferred ${this.loadMetrics.inferredDatasets} datasets from data files without metadata`);
+    }
+
+    if (this.deduplicationConfig.enabled) {
+      const deduplicationMeta = this.index.getDeduplicationMetadata();
+      console.log(`🔄 Deduplication: ${deduplicationMeta.duplicatesRemoved} duplicates removed`);
+    }
+
+    return {
+      sections: this._sectionsToObject(),
+      metadata: this._buildResponseMetadata()
+    };
   }
 
-  async streamToString(stream) {
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      stream.on('data', (chunk) => chunks.push(chunk));
-      stream.on('error', reject);
-      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  /**
+   * Creates inferred datasets for the listed data files that no loaded dataset links to
+   * @private
+   * @param {Array} objects - All listed objects
+   * @param {Array<Dataset>} datasets - Datasets parsed from the metadata files
+   * @returns {Array<Dataset>} Inferred datasets, tagged with the source and date formatted
+   */
+  _inferDatasetsFromListing(objects, datasets) {
+    const options = {
+      bucketName: this.bucketName,
+      endpoint: this.source?.endpoint || this.options.endpoint,
+      parserRegistry: this.parserRegistry
+    };
+    const orphans = DatasetInference.findOrphans(objects, datasets, options);
+
+    return DatasetInference.inferDatasets(orphans, options).map(dataset => {
+      this._applyDateFormatting(dataset);
+      return this._tagWithSource(dataset);
     });
   }
-}
 
-module.exports = { CatalogService };
+  /**
+   * Persists the loaded datasets and listing to the offline snapshot store
+   * Failures are logged and ignored: the cache is an optimization only.
+   * @private
+   */
+  async _saveToOfflineCache() {
+    if (!this.offlineCache) {
+      return;
+    }
+
+    try {
+      await this.offlineCache.save(this.offlineCacheKey, {
+        version: OFFLINE_SNAPSHOT_VERSION,
+        savedAt: this.loadMetrics.lastLoadTime.toISOString(),
+        totalObjects: this.loadMetrics.totalObjects,
+        objects: Array.from(this.loadedObjects.values()),
+        datasets: this.index.getAllOriginalDatasets().map(dataset => dataset.toObject()),
+        sectionDescriptors: Array.from(this.sectionDescriptors.values()).map(descriptor => descriptor.toObject())
+      });
+    } catch (error) {
+      console.warn('⚠️ Failed to save offline catalog cache:', error);
+    }
+  }
+
+  /**
+   * Checks whether a listed object differs from the version that was loaded
+   * @private
+   * @param {Object} previous - Enhanced S3 object from the previous listing
+   * @param {Object} current - Enhanced S3 object from the new listing
+   * @returns {boolean} True if the object changed
+   */
+  _hasObjectChanged(previous, current) {
+    if (previous.ETag && current.ETag) {
+      return previous.ETag !== current.ETag;
+    }
+
+    const previousTime = previous.LastModified ? new Date(previous.LastModified).getTime() : null;
+    const currentTime = current.LastModified ? new Date(current.LastModified).getTime() : null;
+    return previousTime !== currentTime || previous.Size !== current.Size;
+  }
+
+  /**
+   * Fetches and parses a single metadata file
+   * Errors are isolated per object: a failed fetch yields an invalid dataset entry.
+   * Cancellation is not a per-object failure and rejects with the abort reason.
+   * @private
+   * @param {Object} metadataObject - Enhanced S3 object for the metadata file
+   * @param {Object} loadOptions - Per-load options ({signal})
+   * @returns {Promise<Dataset|null>} Parsed dataset, or null for an inventory entry deleted since the report
+   */
+  async _loadDataset(metadataObject, loadOptions = {}) {
+    const { signal } = loadOptions;
+    try {
+      // Get metadata content and parse with S3 object info
+      const metadataContent = await this.s3Client.getObject(metadataObject.Key, { signal });
+      const dataset = this.parserRegistry.parse(metadataContent, metadataObject.Key, metadataObject);
+
+      // Apply date formatting if configured
+      this._applyDateFormatting(dataset);
+      this._tagWithSource(dataset);
+
+      if (dataset.isValid) {
+        console.log(`✅ Parsed dataset: "${dataset.title}" (${dataset.timestampAvailable ? 'with timestamp' : 'no timestamp'})`);
+      } else {
+        console.log(`❌ Invalid metadata: ${metadataObject.Key}`);
+      }
+      return dataset;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (metadataObject.fromInventory && error.code === 'NoSuchKey') {
+        console.log(`🗑️ Skipping ${metadataObject.Key}: deleted since the inventory report`);
+        return null;
+      }
+      console.error(`❌ Error processing ${metadataObject.Key}:`, error);
+      // Create an invalid dataset entry with S3 metadata
+      return this._tagWithSource(DatasetParser.createInvalid(metadataObject.Key, error.message, metadataObject));
+    }
+  }
+
+  /**
+   * Stamps a dataset with the configured source and namespaces its ID by source ID,
+   * so datasets with the same key in different buckets stay distinct
+   * @private
+   * @param {Dataset} dataset - Freshly parsed dataset
+   * @returns {Dataset} The same dataset
+   */
+  _tagWithSource(dataset) {
+    if (this.source) {
+      dataset.source = { ...this.source };
+      dataset.id = `${this.source.id}:${dataset.id}`;
+    }
+    return dataset;
+  }
+
+  /**
+   * Turns a dataset ID (optionally namespaced by this service's source) into its metadata key
+   * The ID does not say which format the metadata file is in, so the keys under the ID are
+   * listed and the first one the parser registry maps back to the ID is used. When there is
+   * none, the key of a .metadata.json file is returned, so the caller reports it as missing.
+   * @private
+   * @param {string} datasetId - Dataset ID or metadata key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<string>} Metadata key
+   */
+  async _metadataKeyFromId(datasetId, options = {}) {
+    let key = datasetId;
+    if (this.source && key.startsWith(`${this.source.id}:`)) {
+      key = key.slice(this.source.id.length + 1);
+    }
+    if (this.parserRegistry.isMetadataFile(key)) {
+      return key;
+    }
+
+    const objects = await this.s3Client.listObjects(key, { signal: options.signal });
+    const match = objects.find(obj => this.parserRegistry.getDatasetId(obj.Key) === key);
+    return match ? match.Key : `${key}.metadata.json`;
+  }
+
+  /**
+   * Reports load progress to the per-load or constructor onProgress callback, if one was provided
+   * @private
+   * @param {Object} progress - Progress event ({phase: 'listing', pages, objects} or
+   *   {phase: 'metadata', completed, failed, total, key})
+   * @param {Object} loadOptions - Per-load options ({onProgress})
+   */
+  _emitProgress(progress, loadOptions = {}) {
+    const onProgress = loadOptions.onProgress || this.onProgress;
+    if (onProgress) {
+      try {
+        onProgress(progress);
+      } catch (error) {
+        console.warn('Progress callback failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Applies date formatting to a dataset
+   * @private
+   * @param {Dataset} dataset - Dataset to format
+   */
+  _applyDateFormatting(dataset) {
+    if (dataset.lastModified && this.dateDisplayConfig) {
+      try {
+        const formatted = this.dateDisplayConfig.formatDate(dataset.lastModified);
+        dataset.setDateDisplay(formatted.display, formatted.relative);
+      } catch (error) {
+        console.warn(`Failed to format date for dataset ${dataset.id}:`, error);
+        // Set fallback display
+        dataset.setDateDisplay(dataset.lastModified.toString(), 'unknown');
+      }
+    }
+  }
+
+  /**
+   * Reapplies date formatting to all current datasets
+   * @private
+   */
+  _reapplyDateFormatting() {
+    const allDatasets = this.index.getAllOriginalDatasets();
+    allDatasets.forEach(dataset => {
+      this._applyDateFormatting(dataset);
+    });
+  }
+
+  /**
+   * Converts index sections Map to plain object
+   * @private
+   * @returns {Object} Sections as plain object
+   */
+  _sectionsToObject() {
+    const sections = {};
+    for (const [key, value] of this.index.sections.entries()) {
+      sections[key] = value;
+    }
+    return this._orderSections(sections);
+  }
+
+  /**
+   * Orders sections by their descriptor's order; sections without one keep their order after them
+   * @private
+   * @param {Object} sections - Sections keyed by name
+   * @returns {Object} The same sections with ordered keys
+   */
+  _orderSections(sections) {
+    const orderOf = name => {
+      const descriptor = this.getSectionDescriptor(name);
+      return descriptor ? descriptor.order : null;
+    };
+    const names = Object.keys(sections);
+    const ordered = names
+      .filter(name => orderOf(name) !== null)
+      .sort((a, b) => orderOf(a) - orderOf(b) || a.localeCompare(b));
+    const unordered = names.filter(name => orderOf(name) === null);
+
+    const result = {};
+    for (const name of [...ordered, ...unordered]) {
+      result[name] = sections[name];
+    }
+    return result;
+  }
+
+  /**
+   * Fetches and parses the <section>/_section.json descriptors in a listing
+   * A descriptor that fails to load or parse is skipped with a warning.
+   * @private
+   * @param {Array} objects - Listed objects
+   * @param {Object} loadOptions - Per-load options ({signal})
+   * @returns {Promise<Map>} Descriptors keyed by section name
+   */
+  async _fetchSectionDescriptors(objects, loadOptions = {}) {
+    const { signal } = loadOptions;
+    const descriptorObjects = objects.filter(obj => DatasetParser.getDescribedSection(obj.Key));
+
+    const descriptors = await mapWithConcurrency(descriptorObjects, this.concurrency, async (descriptorObject) => {
+      try {
+        const content = await this.s3Client.getObject(descriptorObject.Key, { signal });
+        return DatasetParser.parseSectionDescriptor(content, descriptorObject.Key);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        console.warn(`⚠️ Ignoring section descriptor ${descriptorObject.Key}: ${error.message}`);
+        return null;
+      }
+    }, { signal });
+
+    return new Map(descriptors.filter(Boolean).map(descriptor => [descriptor.section, descriptor]));
+  }
+
+  /**
+   * Builds response metadata
+   * @private
+   * @returns {Object} Response metadata
+   */
+  _buildResponseMetadata() {
+    const deduplicationMeta = this.index.getDeduplicationMetadata();
+
+    return {
+      totalDatasets: this.loadMetrics.validDatasets + this.loadMetrics.invalidDatasets,
+      validDatasets: this.loadMetrics.validDatasets,
+      invalidDatasets: this.loadMetrics.invalidDatasets,
+      inferredDatasets: this.loadMetrics.inferredDatasets || 0,
+      lastUpdated: this.loadMetrics.lastLoadTime,
+      processingTimeMs: this.loadMetrics.processingTimeMs,
+      deduplicationEnabled: this.deduplicationConfig.enabled,
+      deduplicationConfig: this.deduplicationConfig.toObject(),
+      dateDisplayConfig: this.dateDisplayConfig.toObject(),
+      duplicatesRemoved: deduplicationMeta.duplicatesRemoved,
+      duplicatesFound: deduplicationMeta.duplicatesFound,
+      inventory: this.inventoryInfo,
+      sectionDescriptors: Object.fromEntries(
+        Array.from(this.sectionDescriptors.entries()).map(([section, descriptor]) => [section, descriptor.toObject()])
+      ),
+      bucketInfo: {
+        name: this.bucketName,
+        prefix: this.prefix,
+        totalObjects: this.loadMetrics.totalObjects,
+        metadataFiles: this.loadMetrics.metadataFiles
+      }
+    };
+  }
+
+  /**
+   * Creates an empty response for error cases
+   * @private
+   * @returns {Object} Empty response
+   */
+  _createEmptyResponse() {
+    return {
+      sections: {},
+      metadata: {
+        totalDatasets: 0,
+        validDatasets: 0,
+        invalidDatasets: 0,
+        inferredDatasets: 0,
+        lastUpdated: null,
+        processingTimeMs: 0,
+        deduplicationEnabled: this.deduplicationConfig.enabled,
+        deduplicationConfig: this.deduplicationConfig.toObject(),
+        dateDisplayConfig: this.dateDisplayConfig.toObject(),
+        duplicatesRemoved: 0,
+        duplicatesFound: 0,
+        bucketInfo: {
+          name: this.bucketName,
+          prefix: this.prefix,
+          totalObjects: 0,
+          metadataFiles: 0
+        }
+      }
+    };
+  }
+
+  /**
+   * Gets detailed metrics about the catalog
+   * @returns {Object} Detailed metrics
+   */
+  getMetrics() {
+    return {
+      ...this.loadMetrics,
+      deduplication: this.index.getDeduplicationMetadata(),
+      configuration: {
+        deduplication: this.deduplicationConfig.toObject(),
+        dateDisplay: this.dateDisplayConfig.toObject()
+      }
+    };
+  }
+
+  /**
+   * Gets datasets that were removed during deduplication
+   * @returns {Array} Removed duplicate datasets
+   */
+  getRemovedDuplicates() {
+    return this.index.getRemovedDuplicates();
+  }
+
+  /**
+   * Checks if a dataset is marked as a duplicate
+   * @param {string} datasetId - Dataset ID to check
+   * @returns {boolean} True if dataset is a duplicate
+   */
+  isDatasetDuplicate(datasetId) {
+    return this.index.isDatasetDuplicate(datasetId);
+  }
+
+  /**
+   * Finds what dataset was kept instead of a duplicate
+   * @param {string} duplicateId - ID of the duplicate dataset
+   * @returns {string|null} ID of the dataset kept instead
+   */
+  getKeptInsteadOf(duplicateId) {
+    return this.index.getKeptInsteadOf(duplicateId);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * IndexedDB-backed store for catalog snapshots (browser only)
+ * A snapshot holds the parsed datasets and the metadata listing they came from,
+ * so the web UI can render instantly on the next page load and revalidate afterwards.
+ */
+
+const DB_NAME = 's3-catalog';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+class CatalogStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to the global one)
+   * @param {string} options.dbName - Database name
+   */
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.dbName = options.dbName || DB_NAME;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Checks whether IndexedDB is available in this environment
+   * @returns {boolean} True if IndexedDB can be used
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Builds the snapshot key for a bucket location
+   * @param {string} endpoint - S3 endpoint URL
+   * @param {string} bucketName - S3 bucket name
+   * @param {string} prefix - Key prefix the catalog is limited to
+   * @returns {string} Snapshot key
+   */
+  static createKey(endpoint, bucketName, prefix = '') {
+    return `${endpoint || ''}|${bucketName || ''}|${prefix || ''}`;
+  }
+
+  /**
+   * Reads a snapshot
+   * @param {string} key - Snapshot key
+   * @returns {Promise<Object|null>} Snapshot or null if none is stored
+   */
+  async load(key) {
+    const db = await this._open();
+    const snapshot = await this._request(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key));
+    return snapshot || null;
+  }
+
+  /**
+   * Writes a snapshot, replacing any previous one for the same key
+   * @param {string} key - Snapshot key
+   * @param {Object} snapshot - Snapshot ({objects, datasets, totalObjects, savedAt})
+   */
+  async save(key, snapshot) {
+    const db = await this._open();
+    await this._request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put({ ...snapshot, key }));
+  }
+
+  /**
+   * Removes a snapshot
+   * @param {string} key - Snapshot key
+   */
+  async clear(key) {
+    const db = await this._open();
+    await this._request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(key));
+  }
+
+  /**
+   * Opens (and if needed creates) the database
+   * @private
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  _open() {
+    if (!this.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      this.dbPromise = this._request(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Wraps an IDBRequest in a promise
+   * @private
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+export { CatalogStore };
@@ -0,0 +1,71 @@
+/**
+ * Gets the package of a CKAN document
+ * package_show responses wrap it as {success, result}; dumps and harvest exports do not.
+ * @param {Object} json - Parsed CKAN JSON
+ * @returns {Object} Package
+ */
+function getPackage(json) {
+  return json && typeof json === 'object' && json.success !== undefined && json.result ? json.result : json;
+}
+
+/**
+ * Maps a CKAN resource to a schema.org DataDownload
+ * @private
+ */
+function toDistribution(resource) {
+  const size = resource.size === null || resource.size === undefined || resource.size === '' ? undefined : Number(resource.size);
+  return {
+    '@type': 'DataDownload',
+    name: resource.name || undefined,
+    description: resource.description || undefined,
+    contentUrl: resource.url,
+    encodingFormat: resource.mimetype || resource.format || undefined,
+    contentSize: Number.isFinite(size) ? size : undefined,
+    uploadDate: resource.created || undefined,
+    sha256: /^[0-9a-f]{64}$/i.test(resource.hash || '') ? resource.hash : undefined
+  };
+}
+
+/**
+ * CKAN package metadata (package_show output or a package dict)
+ * Tags become keywords, resources become downloads and the organization the publisher.
+ */
+export const CKAN_FORMAT = {
+  id: 'ckan',
+  label: 'CKAN',
+  suffixes: ['.ckan.json'],
+
+  sniff(content, json) {
+    const pkg = getPackage(json);
+    return Boolean(pkg) && typeof pkg === 'object' && !Array.isArray(pkg) && !('@context' in pkg)
+      && Array.isArray(pkg.resources) && (typeof pkg.name === 'string' || typeof pkg.title === 'string');
+  },
+
+  toSchemaOrg(content, json) {
+    const pkg = getPackage(json);
+    if (!pkg || typeof pkg !== 'object' || Array.isArray(pkg)) {
+      throw new Error('CKAN metadata must be a package object');
+    }
+    if (json.success === false) {
+      throw new Error(`The CKAN response reports an error: ${json.error?.message || 'unknown error'}`);
+    }
+
+    const keywords = (pkg.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.display_name || tag.name)).filter(Boolean);
+    const organization = pkg.organization;
+
+    return {
+      '@type': 'Dataset',
+      name: pkg.title || pkg.name,
+      description: pkg.notes || undefined,
+      creator: pkg.author || pkg.maintainer || organization?.title || undefined,
+      dateCreated: pkg.metadata_created || undefined,
+      keywords: keywords.length > 0 ? keywords : undefined,
+      license: pkg.license_url || pkg.license_title || pkg.license_id || undefined,
+      publisher: organization ? { '@type': 'Organization', name: organization.title || organization.name } : undefined,
+      identifier: pkg.id || undefined,
+      url: pkg.url || undefined,
+      version: pkg.version || undefined,
+      distribution: (pkg.resources || []).filter(resource => resource && resource.url).map(toDistribution)
+    };
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Concurrency Utility Functions
+ * Runs async work over a list with a bounded number of workers
+ */
+
+const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Maps items through an async mapper with at most `concurrency` calls in flight
+ * Results keep the order of the input items regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of concurrent mapper calls
+ * @param {Function} mapper - Async function (item, index) => result
+ * @param {Object} options - Additional options
+ * @param {Function} options.onItemComplete - Called with (result, item, index) as each item finishes
+ * @param {AbortSignal} options.signal - Stops starting new items once aborted (rejects with signal.reason)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, mapper, options = {}) {
+  const { onItemComplete, signal } = options;
+
+  if (!Array.isArray(items)) {
+    throw new Error('Items must be an array');
+  }
+
+  const limit = normalizeConcurrency(concurrency);
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let stopped = false;
+
+  async function worker() {
+    while (nextIndex < items.length && !stopped) {
+      if (signal && signal.aborted) {
+        stopped = true;
+        throw signal.reason;
+      }
+
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        // One failure fails the whole map; don't start more work
+        stopped = true;
+        throw error;
+      }
+
+      if (onItemComplete) {
+        onItemComplete(results[index], items[index], index);
+      }
+    }
+  }
+
+  const workerCount = Math.min(limit, items.length);
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(worker());
+  }
+
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Validates a concurrency limit, falling back to the default when not provided
+ * @param {number|string} concurrency - Requested concurrency
+ * @returns {number} Positive integer concurrency limit
+ */
+function normalizeConcurrency(concurrency) {
+  if (concurrency === undefined || concurrency === null) {
+    return DEFAULT_CONCURRENCY;
+  }
+
+  const limit = Number(concurrency);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Concurrency must be a positive integer');
+  }
+
+  return limit;
+}
+
+export {
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+  normalizeConcurrency
+};
@@ -0,0 +1,179 @@
+import { XmlReader } from './xml-reader.js';
+
+/**
+ * Gets the attributes of a DataCite JSON record
+ * The REST API wraps them as {data: {attributes}}; exports and the metadata store do not.
+ * @param {Object} json - Parsed DataCite JSON
+ * @returns {Object} Record attributes
+ */
+function getAttributes(json) {
+  return json?.data?.attributes || json?.attributes || json;
+}
+
+/**
+ * Gets the DOI as a resolvable URL
+ * @private
+ */
+function doiUrl(doi) {
+  return /^https?:\/\//.test(doi) ? doi : `https://doi.org/${doi.replace(/^doi:/i, '')}`;
+}
+
+/**
+ * Maps a DataCite geoLocation to a schema.org Place
+ * @private
+ */
+function toPlace(geoLocation) {
+  const place = { '@type': 'Place' };
+  if (geoLocation.geoLocationPlace) {
+    place.name = geoLocation.geoLocationPlace;
+  }
+
+  const box = geoLocation.geoLocationBox;
+  const point = geoLocation.geoLocationPoint;
+  if (box && box.southBoundLatitude !== undefined) {
+    place.geo = {
+      '@type': 'GeoShape',
+      box: `${box.southBoundLatitude} ${box.westBoundLongitude} ${box.northBoundLatitude} ${box.eastBoundLongitude}`
+    };
+  } else if (point && point.pointLatitude !== undefined) {
+    place.geo = { '@type': 'GeoCoordinates', latitude: Number(point.pointLatitude), longitude: Number(point.pointLongitude) };
+  }
+  return place;
+}
+
+/**
+ * Reads a DataCite XML resource into the attribute names of DataCite JSON
+ * @param {string} xml - DataCite XML (kernel-4 and earlier)
+ * @returns {Object} Record attributes
+ */
+function fromXml(xml) {
+  const resource = XmlReader.parse(xml);
+  if (resource.name !== 'resource') {
+    throw new Error(`DataCite XML must have a <resource> root, not <${resource.name}>`);
+  }
+
+  const { child, children, text } = XmlReader;
+  const list = (containerName, itemName, map) => children(child(resource, containerName), itemName).map(map);
+  const identifier = child(resource, 'identifier');
+  const publisher = child(resource, 'publisher');
+
+  return {
+    doi: identifier?.attributes.identifierType === 'DOI' ? text(identifier) : undefined,
+    creators: list('creators', 'creator', creator => ({
+      name: text(child(creator, 'creatorName')),
+      nameType: child(creator, 'creatorName')?.attributes.nameType
+    })),
+    titles: list('titles', 'title', title => ({ title: text(title), titleType: title.attributes.titleType })),
+    publisher: text(publisher),
+    publicationYear: text(child(resource, 'publicationYear')),
+    subjects: list('subjects', 'subject', subject => ({ subject: text(subject) })),
+    dates: list('dates', 'date', date => ({ date: text(date), dateType: date.attributes.dateType })),
+    version: text(child(resource, 'version')),
+    rightsList: list('rightsList', 'rights', rights => ({ rights: text(rights), rightsUri: rights.attributes.rightsURI })),
+    descriptions: list('descriptions', 'description', description => ({
+      description: text(description),
+      descriptionType: description.attributes.descriptionType
+    })),
+    geoLocations: list('geoLocations', 'geoLocation', geoLocation => {
+      const box = child(geoLocation, 'geoLocationBox');
+      const point = child(geoLocation, 'geoLocationPoint');
+      const bound = name => text(child(box, name));
+      return {
+        geoLocationPlace: text(child(geoLocation, 'geoLocationPlace')),
+        geoLocationBox: box ? {
+          westBoundLongitude: bound('westBoundLongitude'),
+          eastBoundLongitude: bound('eastBoundLongitude'),
+          southBoundLatitude: bound('southBoundLatitude'),
+          northBoundLatitude: bound('northBoundLatitude')
+        } : undefined,
+        geoLocationPoint: point ? {
+          pointLatitude: text(child(point, 'pointLatitude')),
+          pointLongitude: text(child(point, 'pointLongitude'))
+        } : undefined
+      };
+    }),
+    relatedIdentifiers: list('relatedIdentifiers', 'relatedIdentifier', related => ({
+      relatedIdentifier: text(related),
+      relatedIdentifierType: related.attributes.relatedIdentifierType,
+      relationType: related.attributes.relationType
+    })),
+    formats: list('formats', 'format', format => text(format)),
+    sizes: list('sizes', 'size', size => text(size))
+  };
+}
+
+/**
+ * Maps DataCite record attributes to schema.org terms
+ * @param {Object} attributes - Record attributes (DataCite JSON names)
+ * @returns {Object} schema.org Dataset
+ */
+function toSchemaOrg(attributes) {
+  const titles = attributes.titles || [];
+  const descriptions = attributes.descriptions || [];
+  const dates = attributes.dates || [];
+  const dateOf = type => dates.find(date => date.dateType === type)?.date;
+
+  const name = (titles.find(title => !title.titleType) || titles[0])?.title;
+  if (!name) {
+    throw new Error('The DataCite record has no title');
+  }
+
+  const creators = (attributes.creators || []).map(creator => creator.name).filter(Boolean);
+  const keywords = (attributes.subjects || []).map(subject => subject.subject).filter(Boolean);
+  const rights = (attributes.rightsList || [])[0];
+  const publisher = typeof attributes.publisher === 'object' ? attributes.publisher?.name : attributes.publisher;
+  const geoLocations = (attributes.geoLocations || []).map(toPlace).filter(place => place.name || place.geo);
+  const sources = (attributes.relatedIdentifiers || [])
+    .filter(related => related.relationType === 'IsDerivedFrom' && related.relatedIdentifier)
+    .map(related => (related.relatedIdentifierType === 'DOI' ? doiUrl(related.relatedIdentifier) : related.relatedIdentifier));
+  const formats = attributes.formats || [];
+  const sizes = attributes.sizes || [];
+
+  return {
+    '@type': 'Dataset',
+    name,
+    description: (descriptions.find(description => description.descriptionType === 'Abstract') || descriptions[0])?.description,
+    creator: creators.length > 0 ? creators.join('; ') : undefined,
+    dateCreated: dateOf('Created') || dateOf('Issued') || (attributes.publicationYear ? String(attributes.publicationYear) : undefined),
+    keywords: keywords.length > 0 ? keywords : undefined,
+    license: rights ? rights.rightsUri || rights.rights : undefined,
+    publisher: publisher ? { '@type': 'Organization', name: publisher } : undefined,
+    identifier: attributes.doi ? doiUrl(attributes.doi) : undefined,
+    url: attributes.url,
+    version: attributes.version,
+    temporalCoverage: dateOf('Collected') || dateOf('Coverage'),
+    spatialCoverage: geoLocations.length === 1 ? geoLocations[0] : (geoLocations.length > 0 ? geoLocations : undefined),
+    isBasedOn: sources.length > 0 ? sources : undefined,
+    distribution: [].concat(attributes.contentUrl || []).map((contentUrl, i) => ({
+      '@type': 'DataDownload',
+      contentUrl,
+      encodingFormat: formats[i] ?? formats[0],
+      contentSize: sizes[i]
+    }))
+  };
+}
+
+/**
+ * DataCite metadata, as DataCite JSON (REST API or export) or DataCite XML
+ * Titles, creators, subjects, rights, dates and geoLocations map to their schema.org
+ * counterparts; contentUrl, which only DataCite JSON carries, gives the downloads.
+ */
+export const DATACITE_FORMAT = {
+  id: 'datacite',
+  label: 'DataCite',
+  suffixes: ['.datacite.json', '.datacite.xml'],
+  // DataCite XML is not JSON
+  acceptsText: true,
+
+  sniff(content, json) {
+    if (!json) {
+      return /<resource[\s>][\s\S]*datacite\.org\/schema\/kernel/.test(content.slice(0, 2048));
+    }
+    const attributes = getAttributes(json);
+    return Array.isArray(attributes?.titles) && (Array.isArray(attributes.creators) || typeof attributes.doi === 'string');
+  },
+
+  toSchemaOrg(content, json) {
+    return toSchemaOrg(json ? getAttributes(json) : fromXml(content));
+  }
+};
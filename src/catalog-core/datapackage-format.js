@@ -0,0 +1,126 @@
+// Field properties kept from a Table Schema; constraints are reduced to `required`
+const FIELD_PROPERTIES = ['name', 'type', 'title', 'description', 'format', 'unit'];
+
+/**
+ * Resolves a resource path against the folder of the datapackage.json
+ * Data Package paths are relative to the descriptor; the catalog reads relative contentUrls
+ * from the bucket root.
+ * @param {string} path - Resource path or URL
+ * @param {string} key - Key of the datapackage.json
+ * @returns {string} URL or bucket key
+ */
+function resolvePath(path, key) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(path)) {
+    return path;
+  }
+  const folder = key.includes('/') ? key.slice(0, key.lastIndexOf('/') + 1) : '';
+  return folder + path.replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Reduces a Table Schema to the fields the catalog shows
+ * A schema given as a path or URL cannot be read here and keeps only its location.
+ * @param {Object|string} schema - Table Schema, or its path
+ * @param {string} key - Key of the datapackage.json
+ * @returns {Object|null} Table Schema ({fields, primaryKey, path})
+ */
+function toTableSchema(schema, key) {
+  if (typeof schema === 'string') {
+    return { fields: [], path: resolvePath(schema, key) };
+  }
+  if (!schema || typeof schema !== 'object' || !Array.isArray(schema.fields)) {
+    return null;
+  }
+
+  const fields = schema.fields.filter(field => field && field.name).map(field => {
+    const normalized = { type: 'string' };
+    for (const property of FIELD_PROPERTIES) {
+      if (field[property] !== undefined && field[property] !== null && field[property] !== '') {
+        normalized[property] = field[property];
+      }
+    }
+    if (field.constraints?.required) {
+      normalized.required = true;
+    }
+    return normalized;
+  });
+
+  const tableSchema = { fields };
+  if (schema.primaryKey) {
+    tableSchema.primaryKey = [].concat(schema.primaryKey);
+  }
+  return tableSchema;
+}
+
+/**
+ * Maps a resource to one DataDownload per file (multipart resources list several paths)
+ * Inline resources (`data` instead of `path`) have nothing to download and are skipped.
+ * @private
+ */
+function toDistributions(resource, key) {
+  const paths = [].concat(resource.path || []).filter(path => typeof path === 'string' && path);
+  const hash = /^sha256:([0-9a-f]{64})$/i.exec(resource.hash || '');
+  const tableSchema = toTableSchema(resource.schema, key);
+
+  return paths.map((path, i) => ({
+    '@type': 'DataDownload',
+    name: (resource.title || resource.name) + (paths.length > 1 ? ` (part ${i + 1})` : ''),
+    description: resource.description,
+    contentUrl: resolvePath(path, key),
+    encodingFormat: resource.mediatype || resource.mediaType || resource.format,
+    // bytes and hash describe the whole resource, so they only apply to a single file
+    contentSize: paths.length === 1 ? resource.bytes : undefined,
+    sha256: paths.length === 1 && hash ? hash[1] : undefined,
+    license: resource.licenses?.[0]?.path || resource.licenses?.[0]?.name,
+    tableSchema
+  }));
+}
+
+/**
+ * Frictionless Data Package (datapackage.json, v1 and v2)
+ * Resources become downloads, each with its Table Schema (field names, types and
+ * descriptions); contributors give the creator and publisher, and sources isBasedOn.
+ */
+export const DATA_PACKAGE_FORMAT = {
+  id: 'datapackage',
+  label: 'Data Package',
+  filenames: ['datapackage.json'],
+  suffixes: ['.datapackage.json'],
+
+  sniff(content, json) {
+    return Boolean(json) && typeof json === 'object' && !Array.isArray(json) && !('@context' in json)
+      && Array.isArray(json.resources) && json.resources.some(resource => resource && ('path' in resource || 'data' in resource));
+  },
+
+  toSchemaOrg(content, json, key) {
+    if (!json || typeof json !== 'object' || !Array.isArray(json.resources)) {
+      throw new Error('A Data Package must list its resources');
+    }
+
+    // v1 gives a single role, v2 a list of roles
+    const contributors = (json.contributors || []).filter(contributor => contributor && contributor.title);
+    const hasRole = (contributor, ...roles) => [].concat(contributor.roles || contributor.role || []).some(role => roles.includes(role));
+    const authors = contributors.filter(contributor => hasRole(contributor, 'author', 'creator'));
+    const creators = authors.length > 0 ? authors : contributors.filter(contributor => !hasRole(contributor, 'publisher'));
+    const publisher = contributors.find(contributor => hasRole(contributor, 'publisher'));
+    const license = (json.licenses || [])[0];
+    const sources = (json.sources || []).map(source => source.path || source.title).filter(Boolean);
+
+    return {
+      '@type': 'Dataset',
+      name: json.title || json.name,
+      description: json.description,
+      creator: creators.length > 0 ? creators.map(contributor => contributor.title).join('; ') : undefined,
+      dateCreated: json.created,
+      keywords: json.keywords,
+      license: license ? license.path || license.name : undefined,
+      publisher: publisher ? { '@type': 'Organization', name: publisher.title, url: publisher.path } : undefined,
+      identifier: json.id,
+      url: json.homepage,
+      version: json.version,
+      isBasedOn: sources.length > 0 ? sources : undefined,
+      distribution: json.resources.filter(resource => resource && typeof resource === 'object')
+        .flatMap(resource => toDistributions(resource, key))
+    };
+  }
+};
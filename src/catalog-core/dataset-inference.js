@@ -0,0 +1,183 @@
+import { Dataset, Distribution } from './models.js';
+import { DatasetParser } from './dataset-parser.js';
+import { StorageAdapter } from './storage-adapter.js';
+import { defaultParserRegistry } from './parser-registry.js';
+
+/**
+ * Finds data files that no metadata file describes and turns them into placeholder datasets
+ * A data file is an orphan when it is not a metadata file or section descriptor, not hidden
+ * (no path segment starts with '.') and no loaded dataset links to it from a contentUrl.
+ * Orphans are grouped by directory: each directory becomes one dataset flagged `inferred`,
+ * with a download per file and the listing's sizes and dates, so undocumented data can be
+ * found in the catalog.
+ */
+export class DatasetInference {
+  /**
+   * Resolves a contentUrl to the key of an object in the bucket
+   * Relative URLs are keys from the bucket root, the way the catalog resolves downloads;
+   * absolute URLs resolve when they point into the bucket on the given endpoint, path-style
+   * (https://host/bucket/key) or virtual-hosted (https://bucket.host/key).
+   * @param {string} contentUrl - Distribution contentUrl
+   * @param {Object} options - Bucket to resolve against
+   * @param {string} options.bucketName - Bucket name
+   * @param {string} options.endpoint - S3 endpoint URL (absolute URLs are not resolved without it)
+   * @returns {string|null} Object key, or null when the URL points outside the bucket
+   */
+  static resolveContentKey(contentUrl, options = {}) {
+    if (typeof contentUrl !== 'string' || !contentUrl || contentUrl.startsWith('#')) {
+      return null;
+    }
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(contentUrl)) {
+      return contentUrl.replace(/^\/+/, '') || null;
+    }
+    if (!options.endpoint || !options.bucketName) {
+      return null;
+    }
+
+    let url;
+    let endpoint;
+    let path;
+    try {
+      url = new URL(contentUrl);
+      endpoint = new URL(options.endpoint);
+      path = decodeURIComponent(url.pathname);
+    } catch {
+      return null;
+    }
+
+    if (url.host === endpoint.host && path.startsWith(`/${options.bucketName}/`)) {
+      return path.slice(options.bucketName.length + 2) || null;
+    }
+    if (url.host === `${options.bucketName}.${endpoint.host}`) {
+      return path.slice(1) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Finds the listed data files that no dataset links to
+   * @param {Array<Object>} objects - Listed Enhanced S3Objects
+   * @param {Array<Dataset>} datasets - Datasets loaded from the metadata files
+   * @param {Object} options - Options
+   * @param {string} options.bucketName - Bucket name, for absolute contentUrls
+   * @param {string} options.endpoint - S3 endpoint URL, for absolute contentUrls
+   * @param {MetadataParserRegistry} options.parserRegistry - Registry deciding which keys are metadata files
+   * @returns {Array<Object>} Orphan objects, in listing order
+   */
+  static findOrphans(objects, datasets, options = {}) {
+    const parserRegistry = options.parserRegistry || defaultParserRegistry;
+    const linkedKeys = DatasetInference.getLinkedKeys(datasets, options);
+
+    return objects.filter(obj => !obj.Key.endsWith('/')
+      && !obj.Key.split('/').some(segment => segment.startsWith('.'))
+      && !parserRegistry.isMetadataFile(obj.Key)
+      && !DatasetParser.getDescribedSection(obj.Key)
+      && !linkedKeys.has(obj.Key));
+  }
+
+  /**
+   * Collects the object keys datasets link to from their downloads
+   * @param {Array<Dataset>} datasets - Datasets
+   * @param {Object} options - Bucket to resolve against ({bucketName, endpoint})
+   * @returns {Set<string>} Linked keys
+   */
+  static getLinkedKeys(datasets, options = {}) {
+    const keys = new Set();
+    for (const dataset of datasets) {
+      for (const distribution of dataset.distribution || []) {
+        const key = DatasetInference.resolveContentKey(distribution?.contentUrl, options);
+        if (key) {
+          keys.add(key);
+        }
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Creates one inferred dataset per directory of orphan files
+   * @param {Array<Object>} orphans - Orphan objects from findOrphans()
+   * @param {Object} options - Options
+   * @param {string} options.bucketName - Bucket name, the title for files at the bucket root
+   * @returns {Array<Dataset>} Inferred datasets, ordered by directory
+   */
+  static inferDatasets(orphans, options = {}) {
+    const directories = new Map();
+    for (const obj of orphans) {
+      const directory = obj.Key.includes('/') ? obj.Key.slice(0, obj.Key.lastIndexOf('/')) : '';
+      if (!directories.has(directory)) {
+        directories.set(directory, []);
+      }
+      directories.get(directory).push(obj);
+    }
+
+    return Array.from(directories.keys()).sort()
+      .map(directory => DatasetInference.createDataset(directory, directories.get(directory), options));
+  }
+
+  /**
+   * Creates the inferred dataset for the orphan files of one directory
+   * The ID is the directory with a trailing slash ('/' at the bucket root), which no metadata
+   * key produces; the dataset has no metadataKey.
+   * @param {string} directory - Directory, e.g. 'tijuana/air' ('' for the bucket root)
+   * @param {Array<Object>} files - Orphan objects in the directory
+   * @param {Object} options - Options ({bucketName})
+   * @returns {Dataset} Inferred dataset
+   */
+  static createDataset(directory, files, options = {}) {
+    const segments = directory ? directory.split('/') : [];
+    const lastModified = files.reduce((latest, obj) => {
+      const time = obj.LastModified ? new Date(obj.LastModified) : null;
+      return time && !isNaN(time.getTime()) && (!latest || time > latest) ? time : latest;
+    }, null);
+
+    const distributions = files.map(obj => new Distribution(
+      'DataDownload',
+      DatasetInference._basename(obj.Key),
+      null,
+      obj.Key,
+      StorageAdapter.guessContentType(obj.Key),
+      obj.Size,
+      obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+      null, null, null, null, null, null, null, null, null
+    ));
+
+    const location = directory ? `${directory}/` : 'the bucket root';
+    const dataset = new Dataset(
+      directory ? `${directory}/` : '/',
+      DatasetInference._titleFor(files, segments, options.bucketName),
+      `${files.length} data file${files.length === 1 ? '' : 's'} in ${location} that no metadata file describes.`,
+      null,
+      null,
+      distributions,
+      directory ? `${directory}/` : '',
+      true,
+      segments[0] || '/',
+      segments.slice(1).join('/'),
+      lastModified,
+      null
+    );
+    dataset.inferred = true;
+    return dataset;
+  }
+
+  /**
+   * Titles an inferred dataset after its file name (without extensions), the name its files
+   * share, or its directory when the names differ
+   * @private
+   */
+  static _titleFor(files, segments, bucketName) {
+    const stems = new Set(files.map(obj => DatasetInference._basename(obj.Key).replace(/\..*$/, '') || DatasetInference._basename(obj.Key)));
+    if (stems.size === 1) {
+      return Array.from(stems)[0];
+    }
+    return segments[segments.length - 1] || bucketName || 'Bucket root';
+  }
+
+  /**
+   * @private
+   */
+  static _basename(key) {
+    return key.slice(key.lastIndexOf('/') + 1);
+  }
+}
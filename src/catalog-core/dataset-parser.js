@@ -1,52 +1,347 @@
-const { Dataset, Distribution } = require('./models');
+import { Dataset, Distribution, SectionDescriptor } from './models.js';
+import { JsonLdNormalizer } from './jsonld-normalizer.js';
+import { YamlReader } from './yaml-reader.js';
+
+// Optional per-section descriptor file: <section>/_section.json
+const SECTION_DESCRIPTOR_PATTERN = /^([^/]+)\/_section\.json$/;
+
+// schema.org metadata files, in JSON or hand-written YAML
+const METADATA_SUFFIX_PATTERN = /\.metadata\.(json|ya?ml)$/i;
+
+// Keys read as YAML instead of JSON
+const YAML_KEY_PATTERN = /\.ya?ml$/i;
 
 class DatasetParser {
-  static parse(metadata, objectKey) {
+  /**
+   * Parse dataset metadata with S3 object information
+   * The JSON-LD is first normalized to plain schema.org terms, so metadata written with a
+   * @context, prefixed keys (schema:name) or a @graph parses like the plain form.
+   * Other metadata formats (DCAT, DataCite, CKAN) go through MetadataParserRegistry.parse().
+   * @param {string|Object} metadata - JSON metadata string (YAML for .metadata.yaml/.metadata.yml keys), or the parsed document
+   * @param {string} objectKey - S3 object key for the metadata file
+   * @param {Object} s3ObjectInfo - S3 object metadata (optional)
+   * @returns {Dataset} Parsed dataset with enhanced metadata
+   */
+  static parse(metadata, objectKey, s3ObjectInfo = null) {
     try {
-      const json = JSON.parse(metadata);
-      const distributions = (json.distribution || []).map(d => new Distribution(
-        d['@type'],
-        d.name,
-        d.description,
-        d.contentUrl,
-        d.encodingFormat,
-        d.contentSize,
-        d.uploadDate,
-        d.datePublished,
-        d.keywords,
-        d.license,
-        d.creator,
-        d.inLanguage,
-        d.measurementMethod,
-        d.measurementTechnique,
-        d.sha256,
-        d.version
-      ));
-
-      const pathParts = objectKey.split('/');
-      const section = pathParts[0];
-      // The project path is the directory containing the metadata file.
-      const projectPath = pathParts.slice(1, -1).join('/');
-      // The ID is the full path without the .metadata.json extension.
-      const id = objectKey.replace(/\.metadata\.json$/, '');
-
-      return new Dataset(
-        id,
-        json.name,
-        json.description,
-        json.creator,
-        json.dateCreated,
-        distributions,
-        objectKey, // metadataUrl is the full key to the .metadata.json file
-        true,
-        section,
-        projectPath
-      );
+      return this.fromSchemaOrg(JsonLdNormalizer.normalize(this.readDocument(metadata, objectKey)), objectKey, s3ObjectInfo);
     } catch (error) {
       // Return an invalid dataset object if parsing fails
-      return new Dataset(objectKey, 'Invalid Metadata', error.message, null, null, [], objectKey, false, null, null);
+      return this.createInvalid(objectKey, error.message, s3ObjectInfo);
+    }
+  }
+
+  /**
+   * Reads a metadata file's content: YAML for .yaml/.yml keys, JSON otherwise
+   * YAML errors name the line and column ("YAML error at line 4, column 9: ...").
+   * @param {string|Object} content - File content, or an already parsed document
+   * @param {string} objectKey - S3 object key for the metadata file
+   * @returns {*} Parsed document
+   * @throws {SyntaxError|YamlError} If the content does not parse
+   */
+  static readDocument(content, objectKey) {
+    if (typeof content !== 'string') {
+      return content;
+    }
+    return this.isYamlKey(objectKey) ? YamlReader.parse(content) : JSON.parse(content);
+  }
+
+  /**
+   * Determines if a metadata key names a YAML file
+   * @param {string} objectKey - S3 object key
+   * @returns {boolean} True for .yaml and .yml keys
+   */
+  static isYamlKey(objectKey) {
+    return typeof objectKey === 'string' && YAML_KEY_PATTERN.test(objectKey);
+  }
+
+  /**
+   * Builds a dataset from normalized schema.org metadata
+   * @param {Object} json - Dataset node with plain schema.org keys
+   * @param {string} objectKey - S3 object key for the metadata file
+   * @param {Object} s3ObjectInfo - S3 object metadata (optional)
+   * @param {Object} options - Build options
+   * @param {string} options.datasetId - Dataset ID (defaults to the key without .metadata.json/.yaml/.yml)
+   * @param {string} options.format - ID of the format the metadata was read from (defaults to 'schema.org')
+   * @returns {Dataset} Parsed dataset with enhanced metadata
+   */
+  static fromSchemaOrg(json, objectKey, s3ObjectInfo = null, options = {}) {
+    const distributions = [].concat(json.distribution || []).map(d => new Distribution(
+      d['@type'],
+      d.name,
+      d.description,
+      d.contentUrl,
+      d.encodingFormat,
+      d.contentSize,
+      d.uploadDate,
+      d.datePublished,
+      d.keywords,
+      d.license,
+      d.creator,
+      d.inLanguage,
+      d.measurementMethod,
+      d.measurementTechnique,
+      d.sha256,
+      d.version,
+      d.tableSchema || null
+    ));
+
+    const pathParts = objectKey.split('/');
+    const section = pathParts[0];
+    // The project path is the directory containing the metadata file.
+    const projectPath = pathParts.slice(1, -1).join('/');
+    // The ID is the full path without the .metadata.json (or .yaml/.yml) extension.
+    const id = options.datasetId || objectKey.replace(METADATA_SUFFIX_PATTERN, '');
+
+    // Extract S3 object lastModified timestamp
+    let lastModified = null;
+    if (s3ObjectInfo && s3ObjectInfo.LastModified) {
+      lastModified = s3ObjectInfo.LastModified instanceof Date
+        ? s3ObjectInfo.LastModified
+        : new Date(s3ObjectInfo.LastModified);
+    }
+
+    const dataset = new Dataset(
+      id,
+      json.name,
+      json.description,
+      json.creator,
+      json.dateCreated,
+      distributions,
+      objectKey, // metadataUrl is the full key to the .metadata.json file
+      true,
+      section,
+      projectPath,
+      lastModified, // Enhanced: S3 object lastModified timestamp
+      objectKey,    // Enhanced: metadata key for reference
+      this._parseSchemaOrgFields(json)
+    );
+    dataset.metadataFormat = options.format || 'schema.org';
+    return dataset;
+  }
+
+  /**
+   * Reads the optional schema.org Dataset properties
+   * Keywords become an array of strings (a comma-separated string is split, DefinedTerms give
+   * their name); variableMeasured and isBasedOn become arrays. Other values are kept as
+   * written: text, a URL or a Thing such as an Organization, Place or CreativeWork.
+   * @private
+   * @param {Object} json - Parsed metadata
+   * @returns {Object} Properties for the Dataset constructor
+   */
+  static _parseSchemaOrgFields(json) {
+    const asList = value => (value === undefined || value === null ? null : [].concat(value));
+
+    let keywords = asList(typeof json.keywords === 'string' ? json.keywords.split(',') : json.keywords);
+    if (keywords) {
+      keywords = keywords
+        .map(keyword => (typeof keyword === 'string' ? keyword.trim() : keyword?.name))
+        .filter(Boolean);
+    }
+
+    return {
+      keywords: keywords && keywords.length > 0 ? keywords : null,
+      license: json.license,
+      spatialCoverage: json.spatialCoverage,
+      temporalCoverage: json.temporalCoverage,
+      variableMeasured: asList(json.variableMeasured),
+      publisher: json.publisher,
+      url: json.url,
+      identifier: json.identifier,
+      version: json.version,
+      isBasedOn: asList(json.isBasedOn)
+    };
+  }
+
+  /**
+   * Gets the section a key describes if it is a section descriptor file
+   * @param {string} objectKey - S3 object key
+   * @returns {string|null} Section name for <section>/_section.json keys, otherwise null
+   */
+  static getDescribedSection(objectKey) {
+    const match = SECTION_DESCRIPTOR_PATTERN.exec(objectKey || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parses a <section>/_section.json descriptor
+   * Unknown fields are ignored; a string contact is read as an email address when it
+   * contains '@', otherwise as a name.
+   * @param {string} content - JSON descriptor content
+   * @param {string} objectKey - S3 object key of the descriptor
+   * @returns {SectionDescriptor} Parsed descriptor
+   * @throws {Error} If the content is not a JSON object or a field has the wrong type
+   */
+  static parseSectionDescriptor(content, objectKey) {
+    const section = this.getDescribedSection(objectKey);
+    const json = JSON.parse(content);
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new Error(`${objectKey} must contain a JSON object`);
     }
+
+    for (const field of ['title', 'description', 'icon']) {
+      if (json[field] !== undefined && typeof json[field] !== 'string') {
+        throw new Error(`${objectKey}: '${field}' must be a string`);
+      }
+    }
+    if (json.order !== undefined && !Number.isFinite(json.order)) {
+      throw new Error(`${objectKey}: 'order' must be a number`);
+    }
+
+    let contact = null;
+    if (typeof json.contact === 'string') {
+      contact = json.contact.includes('@') ? { email: json.contact } : { name: json.contact };
+    } else if (json.contact && typeof json.contact === 'object') {
+      const { name, email, url } = json.contact;
+      for (const [field, value] of Object.entries({ name, email, url })) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+          throw new Error(`${objectKey}: 'contact.${field}' must be a string`);
+        }
+      }
+      // The URL becomes a link in the web UI, so only web links are accepted (no javascript:)
+      if (url && !/^https?:\/\//i.test(url)) {
+        throw new Error(`${objectKey}: 'contact.url' must be an http or https URL`);
+      }
+      contact = { name: name || null, email: email || null, url: url || null };
+    }
+
+    return new SectionDescriptor(section, {
+      title: json.title,
+      description: json.description,
+      contact,
+      order: json.order,
+      icon: json.icon,
+      key: objectKey
+    });
+  }
+
+  /**
+   * Creates an invalid dataset entry for a metadata file that could not be loaded
+   * @param {string} objectKey - S3 object key for the metadata file
+   * @param {string} message - Reason the metadata is invalid
+   * @param {Object} s3ObjectInfo - S3 object metadata (optional)
+   * @returns {Dataset} Invalid dataset
+   */
+  static createInvalid(objectKey, message, s3ObjectInfo = null) {
+    // Include S3 timestamp even for invalid datasets
+    let lastModified = null;
+    if (s3ObjectInfo && s3ObjectInfo.LastModified) {
+      lastModified = s3ObjectInfo.LastModified instanceof Date
+        ? s3ObjectInfo.LastModified
+        : new Date(s3ObjectInfo.LastModified);
+    }
+
+    return new Dataset(
+      objectKey,
+      'Invalid Metadata',
+      message,
+      null,
+      null,
+      [],
+      objectKey,
+      false,
+      null,
+      null,
+      lastModified, // Include timestamp even for invalid datasets
+      objectKey
+    );
+  }
+
+  /**
+   * Parse dataset metadata from S3 response (includes both content and object info)
+   * @param {Object} s3Response - Response from S3ClientBrowser.getMetadataWithTimestamp()
+   * @returns {Dataset} Parsed dataset with full S3 metadata
+   */
+  static parseFromS3Response(s3Response) {
+    if (!s3Response || !s3Response.content || !s3Response.objectInfo) {
+      throw new Error('Invalid S3 response: missing content or objectInfo');
+    }
+
+    // Content parsed by the client is passed through as is: re-serializing it as JSON would
+    // not read back from a .yaml key
+    return this.parse(s3Response.content, s3Response.objectInfo.Key, s3Response.objectInfo);
+  }
+
+  /**
+   * Batch parse datasets from multiple S3 metadata responses
+   * @param {Array} s3Responses - Array of S3 metadata responses
+   * @returns {Array} Array of parsed datasets
+   */
+  static batchParseFromS3Responses(s3Responses) {
+    if (!Array.isArray(s3Responses)) {
+      throw new Error('s3Responses must be an array');
+    }
+
+    return s3Responses.map((response, index) => {
+      try {
+        return this.parseFromS3Response(response);
+      } catch (error) {
+        console.warn(`Failed to parse dataset at index ${index}:`, error);
+
+        // Create invalid dataset with available info
+        const key = response.objectInfo ? response.objectInfo.Key : `unknown-${index}`;
+        const lastModified = response.objectInfo ? response.objectInfo.LastModified : null;
+
+        return new Dataset(
+          key,
+          'Parse Error',
+          error.message,
+          null,
+          null,
+          [],
+          key,
+          false,
+          null,
+          null,
+          lastModified,
+          key
+        );
+      }
+    });
+  }
+
+  /**
+   * Validates that a dataset has valid S3 metadata
+   * @param {Dataset} dataset - Dataset to validate
+   * @returns {Object} Validation result
+   */
+  static validateS3Metadata(dataset) {
+    const errors = [];
+    const warnings = [];
+
+    if (!dataset) {
+      errors.push('Dataset is null or undefined');
+      return { isValid: false, errors, warnings };
+    }
+
+    // Check if dataset has S3 metadata
+    if (!dataset.lastModified) {
+      warnings.push('Dataset missing lastModified timestamp');
+    } else if (!(dataset.lastModified instanceof Date)) {
+      errors.push('lastModified is not a Date object');
+    } else if (isNaN(dataset.lastModified.getTime())) {
+      errors.push('lastModified is an invalid Date');
+    }
+
+    if (!dataset.metadataKey) {
+      warnings.push('Dataset missing metadataKey');
+    } else if (typeof dataset.metadataKey !== 'string') {
+      errors.push('metadataKey is not a string');
+    } else if ((dataset.metadataFormat || 'schema.org') === 'schema.org' && !METADATA_SUFFIX_PATTERN.test(dataset.metadataKey)) {
+      errors.push('metadataKey does not end with .metadata.json, .metadata.yaml or .metadata.yml');
+    }
+
+    // Check timestamp availability flag
+    if (dataset.lastModified && !dataset.timestampAvailable) {
+      warnings.push('timestampAvailable flag inconsistent with lastModified presence');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings
+    };
   }
 }
 
-module.exports = { DatasetParser };
\ No newline at end of file
+export { DatasetParser };
\ No newline at end of file
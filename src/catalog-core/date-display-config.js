@@ -439,4 +439,4 @@ class DateDisplayConfig {
   }
 }
 
-module.exports = { DateDisplayConfig };
\ No newline at end of file
+export { DateDisplayConfig };
\ No newline at end of file
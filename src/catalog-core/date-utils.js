@@ -353,7 +353,7 @@ function _formatAbsoluteTimeFallback(date, options = {}) {
   }
 }
 
-// Export functions for both CommonJS and ES6 modules
+// Expose functions globally for non-module scripts
 const dateUtils = {
   formatRelativeTime,
   formatAbsoluteTime,
@@ -365,11 +365,6 @@ const dateUtils = {
   createFormattingConfig
 };
 
-// Support both CommonJS and ES6 module exports
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = dateUtils;
-}
-
 if (typeof window !== 'undefined') {
   window.DateUtils = dateUtils;
 }
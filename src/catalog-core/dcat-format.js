@@ -0,0 +1,163 @@
+import { JsonLdNormalizer } from './jsonld-normalizer.js';
+
+const DCAT = 'http://www.w3.org/ns/dcat#';
+const DCT = 'http://purl.org/dc/terms/';
+const FOAF = 'http://xmlns.com/foaf/0.1/';
+const VCARD = 'http://www.w3.org/2006/vcard/ns#';
+const SKOS = 'http://www.w3.org/2004/02/skos/core#';
+const OWL = 'http://www.w3.org/2002/07/owl#';
+const LOCN = 'http://www.w3.org/ns/locn#';
+
+const DATASET_TYPE = `${DCAT}Dataset`;
+
+/**
+ * Reads a term from a normalized DCAT node
+ * Language maps and lists are reduced to their first value.
+ * @param {Object} node - Normalized node
+ * @param {string} iri - Property IRI
+ * @returns {*} Value, or undefined
+ */
+function first(node, iri) {
+  const value = node?.[iri];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Gets the display text of a literal, agent, concept or resource
+ * @param {*} value - Normalized value
+ * @returns {string|undefined} Text
+ */
+function textOf(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+  const text = first(value, `${FOAF}name`) ?? first(value, `${VCARD}fn`) ?? first(value, `${SKOS}prefLabel`)
+    ?? first(value, `${DCT}title`) ?? value['@id'];
+  return text === undefined ? undefined : textOf(text);
+}
+
+/**
+ * Gets a format name from a vocabulary IRI: the media type of an IANA IRI
+ * (https://www.iana.org/assignments/media-types/text/csv gives 'text/csv'), otherwise the
+ * last path segment ('CSV' for http://publications.europa.eu/resource/authority/file-type/CSV)
+ * @param {string} value - IRI or plain text
+ * @returns {string} Format name
+ */
+function formatName(value) {
+  if (!/^https?:\/\//.test(value)) {
+    return value;
+  }
+  const mediaType = /\/assignments\/media-types\/([^/]+\/[^/]+)\/?$/.exec(value);
+  return mediaType ? mediaType[1] : value.replace(/\/+$/, '').split(/[/#]/).pop();
+}
+
+/**
+ * Maps a dct:temporal PeriodOfTime to an ISO 8601 interval
+ * @private
+ */
+function toTemporalCoverage(period) {
+  if (!period || typeof period !== 'object') {
+    return textOf(period);
+  }
+  const start = textOf(first(period, `${DCAT}startDate`) ?? first(period, 'startDate'));
+  const end = textOf(first(period, `${DCAT}endDate`) ?? first(period, 'endDate'));
+  return start || end ? `${start || '..'}/${end || '..'}` : undefined;
+}
+
+/**
+ * Maps dct:spatial to a schema.org Place
+ * @private
+ */
+function toSpatialCoverage(location) {
+  if (!location || typeof location !== 'object') {
+    return textOf(location);
+  }
+  const name = textOf(first(location, `${SKOS}prefLabel`) ?? first(location, `${LOCN}geographicName`));
+  const bbox = textOf(first(location, `${DCAT}bbox`));
+  const place = { '@type': 'Place' };
+  if (name) {
+    place.name = name;
+  }
+  if (bbox) {
+    place.geo = { '@type': 'GeoShape', box: bbox };
+  }
+  if (!name && !bbox && location['@id']) {
+    return location['@id'];
+  }
+  return place;
+}
+
+/**
+ * Maps a dcat:Distribution to a schema.org DataDownload
+ * @private
+ */
+function toDistribution(distribution) {
+  const mediaType = textOf(first(distribution, `${DCAT}mediaType`)) ?? textOf(first(distribution, `${DCT}format`));
+  const byteSize = textOf(first(distribution, `${DCAT}byteSize`));
+  return {
+    '@type': 'DataDownload',
+    name: textOf(first(distribution, `${DCT}title`)),
+    description: textOf(first(distribution, `${DCT}description`)),
+    contentUrl: textOf(first(distribution, `${DCAT}downloadURL`) ?? first(distribution, `${DCAT}accessURL`)),
+    encodingFormat: mediaType === undefined ? undefined : formatName(mediaType),
+    contentSize: byteSize === undefined || isNaN(Number(byteSize)) ? byteSize : Number(byteSize),
+    datePublished: textOf(first(distribution, `${DCT}issued`)),
+    license: textOf(first(distribution, `${DCT}license`))
+  };
+}
+
+/**
+ * DCAT (W3C Data Catalog Vocabulary) metadata in JSON-LD
+ * The document is normalized with JsonLdNormalizer, which expands the dcat:, dct: and foaf:
+ * prefixes, and the first dcat:Dataset node (also inside a dcat:Catalog) is mapped to
+ * schema.org terms.
+ */
+export const DCAT_FORMAT = {
+  id: 'dcat',
+  label: 'DCAT',
+  suffixes: ['.dcat.json', '.dcat.jsonld'],
+
+  sniff(content, json) {
+    if (!json || typeof json !== 'object') {
+      return false;
+    }
+    try {
+      return JsonLdNormalizer.findNode(JsonLdNormalizer.normalize(json, { type: DATASET_TYPE }), DATASET_TYPE) !== null;
+    } catch {
+      return false;
+    }
+  },
+
+  toSchemaOrg(content, json) {
+    const node = JsonLdNormalizer.findNode(JsonLdNormalizer.normalize(json, { type: DATASET_TYPE }), DATASET_TYPE);
+    if (!node) {
+      throw new Error('The DCAT document has no dcat:Dataset');
+    }
+
+    const keywords = [].concat(node[`${DCAT}keyword`] ?? []).map(textOf).filter(Boolean);
+    const publisher = first(node, `${DCT}publisher`);
+    const creators = [].concat(node[`${DCT}creator`] ?? node[`${DCAT}contactPoint`] ?? []).map(textOf).filter(Boolean);
+
+    return {
+      '@type': 'Dataset',
+      name: textOf(first(node, `${DCT}title`)),
+      description: textOf(first(node, `${DCT}description`)),
+      creator: creators.length > 0 ? creators.join('; ') : undefined,
+      dateCreated: textOf(first(node, `${DCT}issued`) ?? first(node, `${DCT}created`)),
+      keywords: keywords.length > 0 ? keywords : undefined,
+      license: textOf(first(node, `${DCT}license`) ?? first(node, `${DCT}rights`)),
+      publisher: publisher && typeof publisher === 'object'
+        ? { '@type': 'Organization', name: textOf(publisher) }
+        : textOf(publisher),
+      identifier: textOf(first(node, `${DCT}identifier`)),
+      url: textOf(first(node, `${DCAT}landingPage`)),
+      version: textOf(first(node, `${OWL}versionInfo`) ?? first(node, `${DCAT}version`)),
+      temporalCoverage: toTemporalCoverage(first(node, `${DCT}temporal`)),
+      spatialCoverage: toSpatialCoverage(first(node, `${DCT}spatial`)),
+      distribution: [].concat(node[`${DCAT}distribution`] ?? []).filter(d => d && typeof d === 'object').map(toDistribution)
+    };
+  }
+};
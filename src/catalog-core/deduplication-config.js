@@ -233,4 +233,4 @@ class DeduplicationConfig {
   }
 }
 
-module.exports = { DeduplicationConfig };
\ No newline at end of file
+export { DeduplicationConfig };
\ No newline at end of file
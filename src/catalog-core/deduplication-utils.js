@@ -433,7 +433,7 @@ function _markDatasetAsDuplicate(dataset, totalInGroup, keptInsteadId) {
   };
 }
 
-// Export functions for both CommonJS and ES6 modules
+// Expose functions globally for non-module scripts
 const deduplicationUtils = {
   normalizeTitle,
   titlesMatch,
@@ -445,11 +445,6 @@ const deduplicationUtils = {
   validateDeduplicationConfig
 };
 
-// Support both CommonJS and ES6 module exports
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = deduplicationUtils;
-}
-
 if (typeof window !== 'undefined') {
   window.DeduplicationUtils = deduplicationUtils;
 }
@@ -0,0 +1,355 @@
+import { CatalogService } from './catalog-service.js';
+import { CatalogAudit } from './catalog-audit.js';
+
+/**
+ * Catalog service that merges several S3 sources into one index
+ * Each source ({endpoint, bucket, prefix, label}) is loaded by its own CatalogService,
+ * which tags its datasets with the source; the merged datasets are then deduplicated
+ * either across the whole catalog or only within each source (deduplicationScope).
+ */
+export class FederatedCatalogService extends CatalogService {
+  /**
+   * @param {Array<Object>} sources - Source descriptors ({endpoint, bucket, prefix, label, id, s3Client, inventory})
+   * @param {Object} options - CatalogService options shared by all sources, plus:
+   * @param {string} options.deduplicationScope - 'global' (default) or 'source'
+   * @param {Function} options.createS3Client - Optional factory (source) => transport, for sources without s3Client
+   */
+  constructor(sources, options = {}) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('A federated catalog needs at least one source');
+    }
+
+    // The merged catalog has no transport or offline snapshot of its own; the per-source services do
+    super(null, { ...options, s3Client: null, endpoint: null, prefix: '', offlineCache: null });
+
+    this.sources = FederatedCatalogService.normalizeSources(sources);
+    this.bucketName = this.sources.map(source => source.bucket).join(', ');
+
+    this.deduplicationScope = options.deduplicationScope || 'global';
+    this.index.setDeduplicationScope(this.deduplicationScope);
+
+    this.sourceServices = this.sources.map(source => this._createSourceService(source, options));
+
+    // Per-source outcome of the last load ({error, totalObjects, metadataFiles, datasets})
+    this.sourceResults = new Map();
+  }
+
+  /**
+   * Fills in source IDs and labels and checks for duplicate IDs
+   * @param {Array<Object>} sources - Source descriptors
+   * @returns {Array<Object>} Normalized source descriptors
+   */
+  static normalizeSources(sources) {
+    const seenIds = new Set();
+
+    return sources.map((source, i) => {
+      if (!source || !source.bucket) {
+        throw new Error(`Source ${i + 1} is missing a bucket`);
+      }
+
+      const prefix = source.prefix || '';
+      const label = source.label || (prefix ? `${source.bucket}/${prefix.replace(/\/$/, '')}` : source.bucket);
+      const id = source.id || FederatedCatalogService.slugify(label);
+
+      if (seenIds.has(id)) {
+        throw new Error(`Duplicate source ID '${id}'; give each source a unique id or label`);
+      }
+      seenIds.add(id);
+
+      return { ...source, id, label, prefix, endpoint: source.endpoint || null };
+    });
+  }
+
+  /**
+   * Turns a label into a source ID (lowercase letters, digits and dashes)
+   * @param {string} label - Source label
+   * @returns {string} Source ID
+   */
+  static slugify(label) {
+    return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'source';
+  }
+
+  /**
+   * Creates the CatalogService that loads one source
+   * @private
+   */
+  _createSourceService(source, options) {
+    const { id, label, endpoint, bucket, prefix } = source;
+    const s3Client = source.s3Client || (options.createS3Client ? options.createS3Client(source) : null);
+
+    return new CatalogService(bucket, {
+      ...options,
+      s3Client,
+      endpoint: endpoint || options.endpoint,
+      prefix,
+      source: { id, label, endpoint, bucket, prefix },
+      // An inventory report describes one bucket, so it is configured per source
+      inventory: source.inventory || null,
+      dateDisplay: this.dateDisplayConfig,
+      // Progress is reported through the federated service, tagged with the source ID
+      onProgress: null,
+      // Deduplication runs once over the merged datasets
+      deduplication: { enabled: false }
+    });
+  }
+
+  /**
+   * Loads every source and merges the results
+   * Progress events are those of CatalogService.loadCatalog() plus the `source` ID they belong to.
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress}); aborting cancels all sources
+   * @returns {Promise<Object>} Merged catalog response
+   */
+  async loadCatalog(loadOptions = {}) {
+    return this._loadSources((service, sourceOptions) => service.loadCatalog(sourceOptions), 'Loading', loadOptions);
+  }
+
+  /**
+   * Refreshes every source and merges the results
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress}), as for loadCatalog()
+   * @returns {Promise<Object>} Merged catalog response with the summed refreshSummary
+   */
+  async refreshCatalog(loadOptions = {}) {
+    const response = await this._loadSources((service, sourceOptions) => service.refreshCatalog(sourceOptions), 'Refreshing', loadOptions);
+
+    const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    for (const result of this.sourceResults.values()) {
+      if (result.refreshSummary) {
+        for (const key of Object.keys(summary)) {
+          summary[key] += result.refreshSummary[key];
+        }
+      }
+    }
+    response.metadata.refreshSummary = summary;
+
+    return response;
+  }
+
+  /**
+   * Loads every source from its offline snapshot
+   * @returns {Promise<Object|null>} Merged response, or null unless every source has a snapshot
+   */
+  async loadCachedCatalog() {
+    const responses = [];
+    for (const service of this.sourceServices) {
+      const response = await service.loadCachedCatalog();
+      if (!response) {
+        return null;
+      }
+      responses.push(response);
+    }
+
+    this.sourceResults = new Map(this.sourceServices.map((service, i) => [
+      service.source.id,
+      this._describeSourceResult(service, responses[i], null)
+    ]));
+
+    const cachedAt = responses
+      .map(response => new Date(response.metadata.cachedAt))
+      .reduce((oldest, date) => (date < oldest ? date : oldest));
+
+    const response = this._mergeSources(0);
+    response.metadata.fromCache = true;
+    response.metadata.cachedAt = cachedAt;
+    return response;
+  }
+
+  async testConnection() {
+    const results = await Promise.all(this.sourceServices.map(service => service.testConnection()));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Gets the normalized source descriptors
+   * @returns {Array<Object>} Sources ({id, label, endpoint, bucket, prefix})
+   */
+  getSources() {
+    return this.sources.map(({ id, label, endpoint, bucket, prefix }) => ({ id, label, endpoint, bucket, prefix }));
+  }
+
+  /**
+   * Loads the version history of a dataset from the source it belongs to
+   * Dataset IDs in a federated catalog are namespaced by source: <source-id>:<key>.
+   * @param {Dataset|string} datasetOrId - Dataset, or namespaced dataset ID
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Array<DatasetVersion>>} Versions, newest first, with their changes
+   */
+  async getDatasetHistory(datasetOrId, options = {}) {
+    const dataset = typeof datasetOrId === 'string' ? this.findDataset(datasetOrId) : datasetOrId;
+    const sourceId = dataset?.source?.id || String(datasetOrId).split(':')[0];
+    const service = this.sourceServices.find(candidate => candidate.source.id === sourceId);
+
+    if (!service) {
+      const sourceIds = this.sources.map(source => source.id).join(', ');
+      throw new Error(`Unknown source in dataset ID '${datasetOrId}'; federated IDs look like <source>:<key> with a source of: ${sourceIds}`);
+    }
+    return service.getDatasetHistory(dataset || datasetOrId, options);
+  }
+
+  /**
+   * Audits every loaded source and merges the reports; entries carry their source ID
+   * @param {Object} options - Options as for CatalogService.auditCatalog()
+   * @returns {Promise<Object>} Merged audit report
+   */
+  async auditCatalog(options = {}) {
+    if (options.refresh || this.sourceResults.size === 0) {
+      await this.refreshCatalog(options);
+    }
+
+    const reports = [];
+    for (const service of this.sourceServices) {
+      if (!this.sourceResults.get(service.source.id).error) {
+        reports.push(await service.auditCatalog({ signal: options.signal }));
+      }
+    }
+    return CatalogAudit.merge(reports);
+  }
+
+  /**
+   * Sets whether duplicates are collapsed across sources or only within each source
+   * Call applyDeduplication() afterwards to regroup the loaded datasets.
+   * @param {string} scope - 'global' or 'source'
+   */
+  setDeduplicationScope(scope) {
+    this.index.setDeduplicationScope(scope);
+    this.deduplicationScope = scope;
+  }
+
+  /**
+   * Sets the date display configuration for the merged catalog and every source
+   * @param {Object|DateDisplayConfig} config - New date display configuration
+   */
+  setDateDisplayConfig(config) {
+    super.setDateDisplayConfig(config);
+    for (const service of this.sourceServices) {
+      service.dateDisplayConfig = this.dateDisplayConfig;
+    }
+  }
+
+  /**
+   * Loads the sources one after another, isolating failures per source
+   * The catalog only fails when no source could be loaded, or when the load is cancelled.
+   * @private
+   * @param {Function} load - (service, sourceLoadOptions) => Promise<response>
+   * @param {string} verb - Verb for log messages
+   * @param {Object} loadOptions - Per-load options ({signal, onProgress})
+   * @returns {Promise<Object>} Merged catalog response
+   */
+  async _loadSources(load, verb, loadOptions = {}) {
+    const startTime = performance.now();
+    console.log(`🌐 ${verb} federated catalog from ${this.sourceServices.length} sources...`);
+
+    const results = new Map();
+    for (const service of this.sourceServices) {
+      const { id, label } = service.source;
+      try {
+        console.log(`📡 Source '${label}'`);
+        const response = await load(service, {
+          signal: loadOptions.signal,
+          onProgress: progress => this._emitProgress({ ...progress, source: id }, loadOptions)
+        });
+        results.set(id, this._describeSourceResult(service, response, null));
+      } catch (error) {
+        // Cancellation applies to the whole catalog, not just this source
+        if (loadOptions.signal?.aborted) {
+          throw error;
+        }
+        console.error(`❌ Failed to load source '${label}':`, error.message);
+        results.set(id, this._describeSourceResult(service, null, error));
+      }
+    }
+    this.sourceResults = results;
+
+    const failures = Array.from(results.values()).filter(result => result.error);
+    if (failures.length === this.sourceServices.length) {
+      // Nothing to show: surface the first failure so callers can classify it
+      throw failures[0].errorObject;
+    }
+
+    return this._mergeSources(startTime);
+  }
+
+  /**
+   * Summarizes one source's load for response metadata
+   * @private
+   */
+  _describeSourceResult(service, response, error) {
+    return {
+      error: error ? error.message : null,
+      errorObject: error,
+      totalObjects: error ? 0 : service.loadMetrics.totalObjects,
+      metadataFiles: error ? 0 : service.loadMetrics.metadataFiles,
+      datasets: error ? 0 : service.index.getAllOriginalDatasets().length,
+      refreshSummary: response && response.metadata.refreshSummary ? response.metadata.refreshSummary : null
+    };
+  }
+
+  /**
+   * Merges the datasets of all loaded sources into this service's index
+   * @private
+   * @param {number} startTime - performance.now() at the start of the load
+   * @returns {Object} Catalog response
+   */
+  _mergeSources(startTime) {
+    const datasets = [];
+    const loadedServices = this.sourceServices.filter(service => !this.sourceResults.get(service.source.id).error);
+
+    // Sections with the same name share one descriptor; the first source that has one wins
+    this.sectionDescriptors = new Map();
+    for (const service of loadedServices) {
+      datasets.push(...service.index.getAllOriginalDatasets());
+      for (const [section, descriptor] of service.sectionDescriptors) {
+        if (!this.sectionDescriptors.has(section)) {
+          this.sectionDescriptors.set(section, descriptor);
+        }
+      }
+    }
+
+    this.loadMetrics = {
+      lastLoadTime: new Date(),
+      totalObjects: loadedServices.reduce((sum, service) => sum + service.loadMetrics.totalObjects, 0),
+      metadataFiles: loadedServices.reduce((sum, service) => sum + service.loadMetrics.metadataFiles, 0),
+      validDatasets: datasets.filter(d => d.isValid).length,
+      invalidDatasets: datasets.filter(d => !d.isValid).length,
+      inferredDatasets: datasets.filter(d => d.inferred).length,
+      processingTimeMs: startTime ? performance.now() - startTime : 0
+    };
+
+    this.index.updateWithDeduplication(datasets, this.deduplicationConfig);
+
+    console.log(`✅ Merged ${datasets.length} datasets from ${loadedServices.length}/${this.sourceServices.length} sources`);
+    if (this.deduplicationConfig.enabled) {
+      const deduplicationMeta = this.index.getDeduplicationMetadata();
+      console.log(`🔄 Deduplication (${this.deduplicationScope} scope): ${deduplicationMeta.duplicatesRemoved} duplicates removed`);
+    }
+
+    return {
+      sections: this._sectionsToObject(),
+      metadata: this._buildResponseMetadata()
+    };
+  }
+
+  /**
+   * Adds the per-source breakdown to the response metadata
+   * @private
+   */
+  _buildResponseMetadata() {
+    return {
+      ...super._buildResponseMetadata(),
+      deduplicationScope: this.deduplicationScope,
+      sources: this.sources.map(({ id, label, endpoint, bucket, prefix }) => {
+        const result = this.sourceResults.get(id) || {};
+        return {
+          id,
+          label,
+          endpoint,
+          bucket,
+          prefix,
+          totalObjects: result.totalObjects || 0,
+          metadataFiles: result.metadataFiles || 0,
+          datasets: result.datasets || 0,
+          error: result.error || null
+        };
+      })
+    };
+  }
+}
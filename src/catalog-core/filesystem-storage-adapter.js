@@ -0,0 +1,220 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { StorageAdapter } from './storage-adapter.js';
+import { S3Error, AccessDeniedError, NoSuchBucketError } from './s3-errors.js';
+
+/**
+ * Node.js storage adapter that catalogs a local directory tree like a bucket
+ * Keys are paths relative to the root directory with '/' separators, so a local mirror of a
+ * bucket produces the same catalog as the bucket itself. Useful for validating metadata
+ * before upload and for offline work. Hidden files and directories (.git, .DS_Store, ...)
+ * and node_modules directories are not listed.
+ */
+export class FileSystemStorageAdapter extends StorageAdapter {
+  /**
+   * @param {string} rootDirectory - Directory to catalog
+   */
+  constructor(rootDirectory) {
+    if (!rootDirectory) {
+      throw new Error('A root directory is required for the filesystem storage adapter');
+    }
+
+    const root = path.resolve(rootDirectory);
+    super(path.basename(root));
+    this.root = root;
+  }
+
+  /**
+   * Lists all files under the root, optionally limited to keys under a prefix
+   * @param {string} prefix - Only list keys starting with this prefix (optional)
+   * @param {Object} options - Listing options
+   * @param {AbortSignal} options.signal - Cancels the walk between directories
+   * @param {Function} options.onPage - Called once with {pages, objects} when the walk finishes
+   * @returns {Promise<Array<Object>>} Enhanced S3Objects sorted by key
+   */
+  async listObjects(prefix = '', options = {}) {
+    await this._checkRoot();
+
+    const objects = [];
+    await this._walk(this.root, '', prefix, objects, new Set(), options.signal);
+    if (options.onPage) {
+      options.onPage({ pages: 1, objects: objects.length });
+    }
+    return objects.sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+  }
+
+  /**
+   * Reads a file as a UTF-8 string
+   * @param {string} key - Key relative to the root
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<string>} File content
+   */
+  async getObject(key, options = {}) {
+    const filePath = this._resolveKey(key);
+    try {
+      return await fs.readFile(filePath, { encoding: 'utf8', signal: options.signal });
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+      throw this._toStorageError(error, key);
+    }
+  }
+
+  /**
+   * Reads a file as raw bytes
+   * @param {string} key - Key relative to the root
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Uint8Array>} File content
+   */
+  async getObjectBytes(key, options = {}) {
+    const filePath = this._resolveKey(key);
+    try {
+      return new Uint8Array(await fs.readFile(filePath, { signal: options.signal }));
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+      throw this._toStorageError(error, key);
+    }
+  }
+
+  /**
+   * Reads a file's size, modification time and content type
+   * @param {string} key - Key relative to the root
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Object>} Enhanced S3Object with ContentType
+   */
+  async headObject(key, options = {}) {
+    options.signal?.throwIfAborted();
+    const filePath = this._resolveKey(key);
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      throw this._toStorageError(error, key);
+    }
+    if (!stats.isFile()) {
+      throw this._toStorageError({ code: 'ENOENT', message: 'not a file' }, key);
+    }
+
+    return this.createEnhancedS3Object(key, stats.mtime, stats.size, this._createETag(stats), this._getContentType(key));
+  }
+
+  async testConnection() {
+    try {
+      await this._checkRoot();
+      return true;
+    } catch (error) {
+      console.error('Filesystem storage check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Recursively collects files, skipping directories already visited through symlinks
+   * @private
+   */
+  async _walk(directory, keyPrefix, prefix, objects, visited, signal) {
+    signal?.throwIfAborted();
+    const realDirectory = await fs.realpath(directory);
+    if (visited.has(realDirectory)) {
+      return;
+    }
+    visited.add(realDirectory);
+
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      // Skip hidden entries like DatasetInference.findOrphans does, and dependencies when
+      // the directory is a project checkout
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+        continue;
+      }
+
+      const key = `${keyPrefix}${entry.name}`;
+      const entryPath = path.join(directory, entry.name);
+
+      // Prune directories that cannot contain keys under the prefix
+      if (!key.startsWith(prefix) && !prefix.startsWith(`${key}/`)) {
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = entry.isSymbolicLink() ? await fs.stat(entryPath) : entry;
+      } catch (error) {
+        console.warn(`⚠️ Skipping broken link ${entryPath}: ${error.message}`);
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        await this._walk(entryPath, `${key}/`, prefix, objects, visited, signal);
+      } else if (stats.isFile() && key.startsWith(prefix)) {
+        const fileStats = await fs.stat(entryPath);
+        objects.push(this.createEnhancedS3Object(key, fileStats.mtime, fileStats.size, this._createETag(fileStats)));
+      }
+    }
+  }
+
+  /**
+   * Fails with NoSuchBucketError when the root is missing or not a directory
+   * @private
+   */
+  async _checkRoot() {
+    let stats;
+    try {
+      stats = await fs.stat(this.root);
+    } catch (error) {
+      if (error.code === 'EACCES' || error.code === 'EPERM') {
+        throw new AccessDeniedError(`Permission denied reading ${this.root}`, { bucket: this.root, cause: error });
+      }
+      throw new NoSuchBucketError(`Directory '${this.root}' does not exist`, { bucket: this.root, cause: error });
+    }
+    if (!stats.isDirectory()) {
+      throw new NoSuchBucketError(`'${this.root}' is not a directory`, { bucket: this.root });
+    }
+  }
+
+  /**
+   * Maps a key to a path under the root, refusing keys that escape it
+   * @private
+   */
+  _resolveKey(key) {
+    const filePath = path.resolve(this.root, ...String(key).split('/'));
+    if (filePath !== this.root && !filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new AccessDeniedError(`Key '${key}' is outside ${this.root}`, { bucket: this.root, key });
+    }
+    return filePath;
+  }
+
+  /**
+   * Builds a weak validator from modification time and size, like static file servers do
+   * @private
+   */
+  _createETag(stats) {
+    return `${Math.floor(stats.mtimeMs).toString(16)}-${stats.size.toString(16)}`;
+  }
+
+  /**
+   * @private
+   */
+  _getContentType(key) {
+    return StorageAdapter.guessContentType(key) || 'application/octet-stream';
+  }
+
+  /**
+   * Translates a filesystem error into a typed storage error
+   * @private
+   */
+  _toStorageError(error, key) {
+    const details = { bucket: this.root, key, cause: error instanceof Error ? error : undefined };
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+      return new AccessDeniedError(`Permission denied reading ${key}`, details);
+    }
+    if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'ENOTDIR') {
+      return new S3Error(`File ${key} does not exist under ${this.root}`, { ...details, code: 'NoSuchKey', statusCode: 404 });
+    }
+    return new S3Error(`Failed to read ${key}: ${error.message}`, { ...details, code: error.code });
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Reader for S3 Inventory reports stored in the bucket
+ * S3 Inventory writes a manifest.json under <destination-prefix>/<source-bucket>/<config-id>/<date>/
+ * that lists the report files and their column schema. Reading a daily report is much faster
+ * than paging through ListObjectsV2 1000 keys at a time on very large buckets.
+ * CSV reports (gzipped or plain) and a JSON variant are supported: JSON report files hold one
+ * object per line, keyed by the fileSchema column names. ORC and Parquet reports are not.
+ */
+
+// Report formats this reader can parse
+const SUPPORTED_FORMATS = ['CSV', 'JSON'];
+
+// <date>/manifest.json, where S3 Inventory names the date folder like 2024-06-01T01-00Z
+const MANIFEST_PATTERN = /(^|\/)(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}Z)\/manifest\.json$/;
+
+export class InventoryReader {
+  /**
+   * @param {StorageAdapter} storage - Storage holding the inventory reports
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Finds the newest manifest.json under an inventory destination prefix
+   * Hive-compatible symlink files are ignored; only dated manifest folders count.
+   * @param {string} prefix - Destination prefix, e.g. 'inventory/my-bucket/daily/'
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<string|null>} Manifest key, or null if there is no report
+   */
+  async findLatestManifest(prefix, options = {}) {
+    const objects = await this.storage.listObjects(prefix, { signal: options.signal });
+    const manifestKeys = objects
+      .map(obj => obj.Key)
+      .filter(key => MANIFEST_PATTERN.test(key))
+      .sort((a, b) => MANIFEST_PATTERN.exec(b)[2].localeCompare(MANIFEST_PATTERN.exec(a)[2]));
+
+    return manifestKeys[0] || null;
+  }
+
+  /**
+   * Reads and validates a manifest
+   * @param {string} manifestKey - Key of the manifest.json file
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Object>} Manifest ({key, sourceBucket, fileFormat, fileSchema, files, creationDate})
+   * @throws {Error} If the manifest is malformed or its format is not supported
+   */
+  async readManifest(manifestKey, options = {}) {
+    const json = JSON.parse(await this.storage.getObject(manifestKey, { signal: options.signal }));
+    return InventoryReader.parseManifest(json, manifestKey);
+  }
+
+  /**
+   * Validates a parsed manifest.json
+   * @param {Object} json - Parsed manifest
+   * @param {string} manifestKey - Key of the manifest, for error messages
+   * @returns {Object} Manifest ({key, sourceBucket, fileFormat, fileSchema, files, creationDate})
+   */
+  static parseManifest(json, manifestKey) {
+    const fileFormat = String(json.fileFormat || '').toUpperCase();
+    if (!SUPPORTED_FORMATS.includes(fileFormat)) {
+      throw new Error(`Inventory ${manifestKey} uses the ${json.fileFormat || 'unknown'} format; only CSV and JSON reports are supported`);
+    }
+
+    const fileSchema = String(json.fileSchema || '').split(',').map(column => column.trim()).filter(Boolean);
+    if (!fileSchema.includes('Key')) {
+      throw new Error(`Inventory ${manifestKey} has no Key column in its fileSchema`);
+    }
+
+    if (!Array.isArray(json.files) || json.files.length === 0) {
+      throw new Error(`Inventory ${manifestKey} lists no report files`);
+    }
+
+    const creationDate = new Date(Number(json.creationTimestamp));
+    if (isNaN(creationDate.getTime())) {
+      throw new Error(`Inventory ${manifestKey} has an invalid creationTimestamp`);
+    }
+
+    return {
+      key: manifestKey,
+      sourceBucket: json.sourceBucket || null,
+      fileFormat,
+      fileSchema,
+      files: json.files.map(file => ({ key: file.key, size: Number(file.size) || 0 })),
+      creationDate
+    };
+  }
+
+  /**
+   * Reads the objects listed in a report
+   * Versioned reports list every version; only current versions that are not delete markers are kept.
+   * @param {Object} manifest - Manifest from readManifest()
+   * @param {Object} options - Read options
+   * @param {string} options.prefix - Only keep keys starting with this prefix
+   * @param {AbortSignal} options.signal - Cancels the read
+   * @param {Function} options.onFile - Called with {files, objects} after each report file
+   * @returns {Promise<Array<Object>>} Enhanced S3Objects
+   */
+  async readObjects(manifest, options = {}) {
+    const { prefix = '', signal, onFile } = options;
+    const objects = [];
+
+    for (const [i, file] of manifest.files.entries()) {
+      signal?.throwIfAborted();
+
+      const bytes = await this.storage.getObjectBytes(file.key, { signal });
+      const text = file.key.endsWith('.gz') ? await InventoryReader.gunzip(bytes) : new TextDecoder().decode(bytes);
+
+      for (const row of InventoryReader.parseRows(text, manifest)) {
+        if (row.IsLatest === 'false' || row.IsDeleteMarker === 'true') {
+          continue;
+        }
+        const key = InventoryReader.decodeKey(row.Key);
+        if (key.startsWith(prefix)) {
+          objects.push(this.storage.createEnhancedS3Object(key, row.LastModifiedDate, row.Size, row.ETag || null));
+        }
+      }
+
+      if (onFile) {
+        onFile({ files: i + 1, objects: objects.length });
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Parses the rows of one report file into objects keyed by fileSchema column names
+   * @param {string} text - Report file content
+   * @param {Object} manifest - Manifest from readManifest()
+   * @returns {Array<Object>} Rows with string values
+   */
+  static parseRows(text, manifest) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+
+    if (manifest.fileFormat === 'JSON') {
+      return lines.map(line => {
+        const row = JSON.parse(line);
+        return Object.fromEntries(manifest.fileSchema.map(column => [column, row[column] === undefined ? undefined : String(row[column])]));
+      });
+    }
+
+    return lines.map(line => {
+      const values = InventoryReader.parseCsvLine(line);
+      return Object.fromEntries(manifest.fileSchema.map((column, i) => [column, values[i]]));
+    });
+  }
+
+  /**
+   * Splits one CSV line into values; S3 Inventory quotes every value
+   * @param {string} line - CSV line
+   * @returns {Array<string>} Values
+   */
+  static parseCsvLine(line) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(value);
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    values.push(value);
+
+    return values;
+  }
+
+  /**
+   * Decodes a URL-encoded key from a report
+   * @param {string} key - Key as written by S3 Inventory
+   * @returns {string} Object key
+   */
+  static decodeKey(key) {
+    try {
+      return decodeURIComponent(String(key).replace(/\+/g, '%20'));
+    } catch {
+      return key;
+    }
+  }
+
+  /**
+   * Decompresses a gzipped report file
+   * @param {Uint8Array} bytes - Gzipped content
+   * @returns {Promise<string>} Decompressed UTF-8 text
+   */
+  static async gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+}
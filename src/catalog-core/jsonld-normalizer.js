@@ -0,0 +1,262 @@
+// Namespaces that mean schema.org; both schemes are in use
+const SCHEMA_ORG_NAMESPACES = ['https://schema.org/', 'http://schema.org/'];
+
+// Prefixes understood without a @context, since authors often write schema:name or dct:title anyway
+const DEFAULT_PREFIXES = {
+  schema: 'https://schema.org/',
+  sdo: 'https://schema.org/',
+  dcat: 'http://www.w3.org/ns/dcat#',
+  dct: 'http://purl.org/dc/terms/',
+  dcterms: 'http://purl.org/dc/terms/',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  vcard: 'http://www.w3.org/2006/vcard/ns#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+  locn: 'http://www.w3.org/ns/locn#'
+};
+
+/**
+ * Normalizes JSON-LD metadata to plain schema.org terms
+ * Metadata can be written with a @context ("https://schema.org", {"@vocab": ...}, prefixes
+ * or term aliases), prefixed keys (schema:name), full IRIs, value objects ({"@value": ...}),
+ * node references ({"@id": ...}) and @graph wrappers. normalize() expands every key against
+ * the document's context and compacts it back to the bare schema.org term, so equivalent
+ * documents give the same plain object and DatasetParser can read them alike.
+ *
+ * Only schema.org is known: remote contexts are not fetched, and keys that do not expand to
+ * schema.org keep their expanded IRI (or their original name when there is no context).
+ */
+export class JsonLdNormalizer {
+  /**
+   * Normalizes a parsed metadata document to the Dataset node with schema.org terms
+   * @param {Object|Array} json - Parsed JSON-LD document
+   * @param {Object} options - Normalization options
+   * @param {string} options.type - Compacted @type of the node to return from a @graph, searched
+   *   in graph order and then inside each node (e.g. a catalog's datasets); defaults to 'Dataset'
+   * @returns {Object} Dataset node with bare schema.org keys and no @context
+   * @throws {Error} If a @graph or top-level array holds no node
+   */
+  static normalize(json, options = {}) {
+    const { type = 'Dataset' } = options;
+
+    if (!json || typeof json !== 'object') {
+      throw new Error('Metadata must be a JSON object');
+    }
+
+    const context = JsonLdNormalizer._parseContext(Array.isArray(json) ? null : json['@context']);
+    const nodes = Array.isArray(json) ? json : json['@graph'];
+
+    if (!nodes) {
+      // A typed document can wrap the node, e.g. a catalog listing its datasets
+      const node = JsonLdNormalizer._compactNode(json, context, new Map(), new Set());
+      return node['@type'] === undefined ? node : JsonLdNormalizer.findNode(node, type) || node;
+    }
+
+    const graph = [].concat(nodes).filter(node => node && typeof node === 'object');
+    if (graph.length === 0) {
+      throw new Error('The @graph holds no nodes');
+    }
+
+    // Nodes in the graph can point at each other with {"@id": ...}
+    const nodesById = new Map();
+    for (const node of graph) {
+      if (node['@id']) {
+        nodesById.set(node['@id'], node);
+      }
+    }
+
+    const compacted = graph.map(node => JsonLdNormalizer._compactNode(node, context, nodesById, new Set([node['@id']])));
+    return JsonLdNormalizer.findNode(compacted, type) || compacted[0];
+  }
+
+  /**
+   * Finds the first node of a type, breadth first through nested objects
+   * @param {Object|Array} nodes - Compacted node or nodes
+   * @param {string} type - Compacted @type, e.g. 'Dataset' or 'http://www.w3.org/ns/dcat#Dataset'
+   * @returns {Object|null} Matching node
+   */
+  static findNode(nodes, type) {
+    const queue = [].concat(nodes);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') {
+        continue;
+      }
+      if (!Array.isArray(node) && [].concat(node['@type'] || []).includes(type)) {
+        return node;
+      }
+      queue.push(...(Array.isArray(node) ? node : Object.values(node)));
+    }
+    return null;
+  }
+
+  /**
+   * Compacts a node's keys and values
+   * @private
+   * @param {Object} node - Node object
+   * @param {Object} parentContext - Active context ({vocab, terms})
+   * @param {Map} nodesById - Graph nodes by @id, for resolving references
+   * @param {Set} resolving - @ids being resolved, to stop reference cycles
+   * @returns {Object} Compacted node
+   */
+  static _compactNode(node, parentContext, nodesById, resolving) {
+    const context = node['@context'] !== undefined
+      ? JsonLdNormalizer._parseContext(node['@context'], parentContext)
+      : parentContext;
+    const compacted = {};
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@context') {
+        continue;
+      }
+
+      if (key === '@type') {
+        const types = [].concat(value).map(type => JsonLdNormalizer._compactKey(type, context));
+        compacted['@type'] = types.length === 1 ? types[0] : types;
+        continue;
+      }
+
+      const term = key.startsWith('@') ? key : JsonLdNormalizer._compactKey(key, context);
+      // The first of two equivalent keys (name and schema:name) wins
+      if (compacted[term] === undefined) {
+        compacted[term] = JsonLdNormalizer._compactValue(value, context, nodesById, resolving);
+      }
+    }
+
+    return compacted;
+  }
+
+  /**
+   * Compacts a property value
+   * Value objects become their value, node references their node (or IRI when the node is
+   * not in the graph), and one-element arrays of those (expanded form) a single value.
+   * @private
+   */
+  static _compactValue(value, context, nodesById, resolving) {
+    if (Array.isArray(value)) {
+      const values = value.map(item => JsonLdNormalizer._compactValue(item, context, nodesById, resolving));
+      return values.length === 1 && JsonLdNormalizer._isExpandedValue(value[0]) ? values[0] : values;
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if ('@value' in value) {
+      return value['@value'];
+    }
+    if ('@list' in value || '@set' in value) {
+      return [].concat(value['@list'] ?? value['@set'])
+        .map(item => JsonLdNormalizer._compactValue(item, context, nodesById, resolving));
+    }
+
+    const id = value['@id'];
+    if (id !== undefined && Object.keys(value).length === 1) {
+      if (nodesById.has(id) && !resolving.has(id)) {
+        resolving.add(id);
+        const resolved = JsonLdNormalizer._compactNode(nodesById.get(id), context, nodesById, resolving);
+        resolving.delete(id);
+        return resolved;
+      }
+      return id;
+    }
+
+    return JsonLdNormalizer._compactNode(value, context, nodesById, resolving);
+  }
+
+  /**
+   * Checks whether a value is written in expanded form
+   * @private
+   */
+  static _isExpandedValue(value) {
+    return Boolean(value) && typeof value === 'object' && ('@value' in value || ('@id' in value && Object.keys(value).length === 1));
+  }
+
+  /**
+   * Maps a key (or type) to its bare schema.org term
+   * @private
+   * @param {string} key - Term, prefixed name (schema:name) or IRI
+   * @param {Object} context - Active context ({vocab, terms})
+   * @returns {string} schema.org term, or the expanded IRI / original key for other vocabularies
+   */
+  static _compactKey(key, context) {
+    const iri = JsonLdNormalizer._expandKey(key, context);
+    if (iri === null) {
+      return key;
+    }
+
+    const namespace = SCHEMA_ORG_NAMESPACES.find(ns => iri.startsWith(ns));
+    return namespace ? iri.slice(namespace.length) : iri;
+  }
+
+  /**
+   * Expands a key to an IRI using term definitions, prefixes and @vocab
+   * @private
+   * @returns {string|null} IRI, or null when the key cannot be expanded
+   */
+  static _expandKey(key, context, depth = 0) {
+    if (typeof key !== 'string' || depth > 8) {
+      return null;
+    }
+
+    if (context.terms.has(key)) {
+      const mapped = context.terms.get(key);
+      return mapped === key ? mapped : JsonLdNormalizer._expandKey(mapped, context, depth + 1) ?? mapped;
+    }
+
+    const colon = key.indexOf(':');
+    if (colon > 0) {
+      const prefix = key.slice(0, colon);
+      const suffix = key.slice(colon + 1);
+      if (suffix.startsWith('//')) {
+        return key; // Already an absolute IRI
+      }
+      const namespace = context.terms.get(prefix) ?? DEFAULT_PREFIXES[prefix];
+      return namespace ? namespace + suffix : key;
+    }
+
+    return context.vocab ? context.vocab + key : null;
+  }
+
+  /**
+   * Reads a @context into a vocabulary and term definitions
+   * Remote contexts other than schema.org cannot be fetched and are ignored.
+   * @private
+   * @param {string|Object|Array|null} contextValue - @context value
+   * @param {Object} parent - Context of the enclosing node
+   * @returns {Object} Context ({vocab, terms: Map})
+   */
+  static _parseContext(contextValue, parent = { vocab: null, terms: new Map() }) {
+    let context = { vocab: parent.vocab, terms: new Map(parent.terms) };
+
+    for (const entry of [].concat(contextValue ?? [])) {
+      if (entry === null) {
+        context = { vocab: null, terms: new Map() };
+      } else if (typeof entry === 'string') {
+        if (JsonLdNormalizer._isSchemaOrgContext(entry)) {
+          context.vocab = SCHEMA_ORG_NAMESPACES[0];
+        }
+      } else if (typeof entry === 'object') {
+        for (const [term, definition] of Object.entries(entry)) {
+          if (term === '@vocab') {
+            context.vocab = JsonLdNormalizer._isSchemaOrgContext(definition) ? SCHEMA_ORG_NAMESPACES[0] : definition;
+          } else if (!term.startsWith('@')) {
+            const id = typeof definition === 'string' ? definition : definition?.['@id'];
+            if (id) {
+              context.terms.set(term, id);
+            }
+          }
+        }
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Checks whether a context or vocabulary IRI refers to schema.org
+   * @private
+   */
+  static _isSchemaOrgContext(iri) {
+    return typeof iri === 'string' && /^https?:\/\/schema\.org(\/.*)?$/.test(iri.trim());
+  }
+}
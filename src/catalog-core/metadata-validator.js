@@ -0,0 +1,325 @@
+import { defaultParserRegistry } from './parser-registry.js';
+import DATASET_METADATA_SCHEMA from './dataset-metadata.schema.json' with { type: 'json' };
+
+// Formats the schema uses; checkSchema() rejects schemas with any other
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)
+    && isCalendarDate(value.slice(0, 10)) && !isNaN(Date.parse(value)),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+};
+
+// Keywords validateSchema() implements
+const VALIDATION_KEYWORDS = new Set([
+  'type', 'const', 'enum', 'required', 'properties', 'items', 'contains', 'anyOf', 'allOf', '$ref',
+  'minLength', 'minItems', 'pattern', 'format', 'x-severity', 'x-message'
+]);
+
+// Keywords that do not affect validation
+const ANNOTATION_KEYWORDS = new Set(['$schema', '$comment', 'title', 'description', 'definitions']);
+
+// Schemas checkSchema() has accepted
+const checkedSchemas = new WeakSet();
+
+// How each JSON type is named in messages
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+/**
+ * Checks that a YYYY-MM-DD string names a real day (not 2024-02-30)
+ * @param {string} value - Date string
+ * @returns {boolean} True for real calendar dates
+ */
+function isCalendarDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validates metadata files against the catalog's schema.org profile
+ * Each file gets a result {key, valid, errors, warnings}, where errors and warnings are
+ * {path, message} issues (path like 'distribution[0].contentUrl', '' for the document).
+ * The file is first read into schema.org terms by its format (JSON-LD is normalized, DCAT,
+ * DataCite and CKAN are mapped), so issues name the schema.org term a field maps to.
+ * Supports the subset of JSON Schema that dataset-metadata.schema.json uses: type, required,
+ * properties, items, contains, anyOf, allOf, $ref (local references only), const, enum,
+ * minLength, minItems, pattern and format (date, date-time, uri), plus two extension keywords:
+ * `x-severity: 'warning'` reports failures under a subschema as warnings instead of errors,
+ * and `x-message` replaces the generated message for a failing subschema. A schema using any
+ * other keyword or format is rejected (see checkSchema()), so it cannot pass files unchecked.
+ */
+export class MetadataValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {Object} options.schema - JSON Schema to validate against (defaults to dataset-metadata.schema.json)
+   * @param {Function} options.contentExists - async (key) => boolean; when given, relative
+   *   contentUrls must name an existing object
+   * @param {MetadataParserRegistry} options.parserRegistry - Formats to read the files with
+   */
+  constructor(options = {}) {
+    this.schema = options.schema || DATASET_METADATA_SCHEMA;
+    MetadataValidator.checkSchema(this.schema);
+    this.contentExists = options.contentExists || null;
+    this.parserRegistry = options.parserRegistry || defaultParserRegistry;
+  }
+
+  /**
+   * Validates one metadata file
+   * @param {string} content - File content
+   * @param {string} metadataKey - Key of the metadata file
+   * @returns {Promise<Object>} Result ({key, valid, errors, warnings})
+   */
+  async validate(content, metadataKey) {
+    const result = { key: metadataKey, valid: true, errors: [], warnings: [] };
+    const report = ({ path, message, severity }) => {
+      (severity === 'warning' ? result.warnings : result.errors).push({ path, message });
+    };
+
+    let json;
+    try {
+      json = this.parserRegistry.toSchemaOrg(content, metadataKey).json;
+    } catch (error) {
+      report({ path: '', message: `Cannot be parsed: ${error.message}` });
+      result.valid = false;
+      return result;
+    }
+
+    MetadataValidator.validateSchema(json, this.schema).forEach(report);
+
+    if (this.contentExists) {
+      await this._checkContentUrls(json, report);
+    }
+
+    result.valid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Reports relative contentUrls that name no object
+   * Relative URLs are keys from the bucket root, the way the catalog resolves downloads.
+   * @private
+   */
+  async _checkContentUrls(json, report) {
+    const isList = Array.isArray(json.distribution);
+    const distributions = [].concat(json.distribution || []);
+
+    for (const [i, distribution] of distributions.entries()) {
+      const contentUrl = distribution?.contentUrl;
+      if (typeof contentUrl !== 'string' || !contentUrl || contentUrl.startsWith('#') || /^[a-z][a-z0-9+.-]*:/i.test(contentUrl)) {
+        continue;
+      }
+
+      const key = contentUrl.replace(/^\/+/, '');
+      if (!(await this.contentExists(key))) {
+        report({
+          path: isList ? `distribution[${i}].contentUrl` : 'distribution.contentUrl',
+          message: `${key} does not exist in the bucket`
+        });
+      }
+    }
+  }
+
+  /**
+   * Formats an issue as one line, e.g. 'distribution[0].contentUrl: is required'
+   * @param {Object} issue - Issue ({path, message})
+   * @returns {string} Issue text
+   */
+  static formatIssue(issue) {
+    return `${issue.path || '(document)'}: ${issue.message}`;
+  }
+
+  /**
+   * Checks that a schema only uses the keywords and formats validateSchema() implements
+   * @param {Object} schema - JSON Schema
+   * @throws {Error} For an unsupported keyword, type or format, or a reference that cannot be resolved
+   */
+  static checkSchema(schema) {
+    if (checkedSchemas.has(schema)) {
+      return;
+    }
+
+    const visit = (node, location) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw new Error(`Schema at ${location} must be an object`);
+      }
+      for (const [keyword, value] of Object.entries(node)) {
+        if (!VALIDATION_KEYWORDS.has(keyword) && !ANNOTATION_KEYWORDS.has(keyword)) {
+          throw new Error(`Unsupported JSON Schema keyword '${keyword}' at ${location}`);
+        }
+        switch (keyword) {
+          case 'type': {
+            const unsupported = [].concat(value).find(type => !TYPE_NAMES[type]);
+            if (unsupported) {
+              throw new Error(`Unsupported type '${unsupported}' at ${location}`);
+            }
+            break;
+          }
+          case 'format':
+            if (!FORMATS[value]) {
+              throw new Error(`Unsupported format '${value}' at ${location}`);
+            }
+            break;
+          case '$ref':
+            MetadataValidator._resolveRef(value, schema);
+            break;
+          case 'properties':
+          case 'definitions':
+            Object.entries(value).forEach(([name, subschema]) => visit(subschema, `${location}/${keyword}/${name}`));
+            break;
+          case 'items':
+          case 'contains':
+            visit(value, `${location}/${keyword}`);
+            break;
+          case 'anyOf':
+          case 'allOf':
+            value.forEach((subschema, i) => visit(subschema, `${location}/${keyword}/${i}`));
+            break;
+        }
+      }
+    };
+
+    visit(schema, '#');
+    checkedSchemas.add(schema);
+  }
+
+  /**
+   * Validates a value against a JSON Schema
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema (or subschema) to check against; checked with checkSchema() at the top level
+   * @param {Object} context - Recursion state ({root, path, severity}); omit at the top level
+   * @returns {Array<Object>} Issues ({path, message, severity: 'error'|'warning'})
+   */
+  static validateSchema(value, schema, context = {}) {
+    if (!context.root) {
+      MetadataValidator.checkSchema(schema);
+    }
+    const { root = schema, path = '' } = context;
+    const severity = schema['x-severity'] || context.severity || 'error';
+    const child = (childPath) => ({ root, path: childPath, severity });
+
+    if (schema.$ref) {
+      return MetadataValidator.validateSchema(value, MetadataValidator._resolveRef(schema.$ref, root), { root, path, severity });
+    }
+
+    const issues = [];
+    const fail = message => issues.push({ path, message, severity });
+
+    if (schema.type && !MetadataValidator._matchesType(value, schema.type)) {
+      fail(`must be ${[].concat(schema.type).map(type => TYPE_NAMES[type]).join(' or ')}`);
+    } else {
+      if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+      }
+      if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      }
+
+      if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+          fail(`does not match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+          fail(`must be a valid ${schema.format}`);
+        }
+      }
+
+      if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+          value.forEach((item, i) => issues.push(...MetadataValidator.validateSchema(item, schema.items, child(`${path}[${i}]`))));
+        }
+        if (schema.contains && !value.some(item => MetadataValidator.validateSchema(item, schema.contains, child(path)).length === 0)) {
+          fail('has no matching item');
+        }
+      }
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const propertyPath = name => (path ? `${path}.${name}` : name);
+        for (const name of schema.required || []) {
+          if (value[name] === undefined || value[name] === null) {
+            issues.push({ path: propertyPath(name), message: severity === 'warning' ? 'is recommended' : 'is required', severity });
+          }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+          if (value[name] !== undefined && value[name] !== null) {
+            issues.push(...MetadataValidator.validateSchema(value[name], propertySchema, child(propertyPath(name))));
+          }
+        }
+      }
+
+      if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => MetadataValidator.validateSchema(value, branch, child(path)));
+        if (!branches.some(branchIssues => branchIssues.length === 0)) {
+          // Report the closest branch, preferring those written for this type of value
+          const typed = branches.filter((branchIssues, i) => MetadataValidator._branchApplies(value, schema.anyOf[i], root));
+          const candidates = typed.length > 0 ? typed : branches;
+          issues.push(...candidates.reduce((best, branchIssues) => (branchIssues.length < best.length ? branchIssues : best)));
+        }
+      }
+
+      for (const subschema of schema.allOf || []) {
+        issues.push(...MetadataValidator.validateSchema(value, subschema, child(path)));
+      }
+    }
+
+    if (schema['x-message'] && issues.length > 0) {
+      return [{ path, message: schema['x-message'], severity }];
+    }
+    return issues;
+  }
+
+  /**
+   * @private
+   */
+  static _matchesType(value, type) {
+    return [].concat(type).some(name => {
+      switch (name) {
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === name;
+      }
+    });
+  }
+
+  /**
+   * Checks whether a value has the type an anyOf branch is written for
+   * @private
+   */
+  static _branchApplies(value, branch, root) {
+    const resolved = branch.$ref ? MetadataValidator._resolveRef(branch.$ref, root) : branch;
+    return !resolved.type || MetadataValidator._matchesType(value, resolved.type);
+  }
+
+  /**
+   * Resolves a local reference such as '#/definitions/distribution'
+   * @private
+   */
+  static _resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local schema references are supported: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, part) => {
+      if (!node || !(part in node)) {
+        throw new Error(`Unknown schema reference: ${ref}`);
+      }
+      return node[part];
+    }, root);
+  }
+}
+
+export { DATASET_METADATA_SCHEMA };
@@ -1,5 +1,15 @@
+// schema.org Dataset properties kept alongside the core fields (https://schema.org/Dataset)
+const SCHEMA_ORG_FIELDS = [
+  'keywords', 'license', 'spatialCoverage', 'temporalCoverage', 'variableMeasured',
+  'publisher', 'url', 'identifier', 'version', 'isBasedOn'
+];
+
 class Dataset {
-  constructor(id, title, description, creator, dateCreated, distribution, metadataUrl, isValid, section, projectPath, lastModified = null, metadataKey = null) {
+  /**
+   * The first twelve parameters are the core catalog fields; `properties` holds the optional
+   * schema.org properties listed in SCHEMA_ORG_FIELDS, as normalized by DatasetParser.
+   */
+  constructor(id, title, description, creator, dateCreated, distribution, metadataUrl, isValid, section, projectPath, lastModified = null, metadataKey = null, properties = {}) {
     this.id = id;
     this.title = title;
     this.description = description;
@@ -11,63 +21,207 @@ class Dataset {
     this.section = section;
     this.projectPath = projectPath;
 
-    // Enhanced fields for date display and deduplication
-    this.lastModified = lastModified; // S3 object lastModified timestamp (Date object or ISO string)
-    this.metadataKey = metadataKey; // S3 key for the metadata file
+    // Enhanced: S3 object metadata integration
+    this.lastModified = lastModified;
+    this.metadataKey = metadataKey;
+    this.timestampAvailable = !!(lastModified && lastModified instanceof Date && !isNaN(lastModified.getTime()));
+
+    // Enhanced: Date display formatting (set by date formatting service)
+    this.dateDisplay = null;
+    this.relativeDisplay = null;
+
+    // Enhanced: Deduplication information (set by deduplication service)
+    this.deduplicationInfo = null;
+
+    // Federated catalogs: the source this dataset was loaded from ({id, label, endpoint, bucket, prefix})
+    this.source = null;
+
+    // Metadata versions, newest first (set on request by CatalogService.getDatasetHistory)
+    this.versionHistory = null;
+
+    // Format the metadata file was read from ('schema.org', 'dcat', 'datacite', 'ckan', ...)
+    this.metadataFormat = null;
+
+    // Placeholder inferred from data files that no metadata file describes (see DatasetInference)
+    this.inferred = false;
+
+    // schema.org properties; null when the metadata does not set them
+    for (const field of SCHEMA_ORG_FIELDS) {
+      this[field] = properties?.[field] ?? null;
+    }
+  }
+
+  /**
+   * Gets the schema.org properties this dataset sets
+   * @returns {Object} Field name to value, only for fields that are not null
+   */
+  getSchemaOrgFields() {
+    return Object.fromEntries(
+      SCHEMA_ORG_FIELDS.filter(field => this[field] !== null).map(field => [field, this[field]])
+    );
+  }
 
-    // Optional enhanced fields (set during processing)
-    this.isDuplicate = undefined; // Boolean indicating if this is a duplicate
-    this.duplicateCount = undefined; // Number of duplicates found for this title
-    this.timestampAvailable = lastModified !== null && lastModified !== undefined; // Boolean for UI display
-    this.lastModifiedDisplay = undefined; // Formatted display string for UI
-    this.relativeTimeDisplay = undefined; // Relative time display (e.g., "2 hours ago")
+  /**
+   * Gets a schema.org property as display text
+   * Organizations, places and licenses show their name (or URL), variables their unit,
+   * and list values are joined.
+   * @param {string} field - Property name, e.g. 'license' or 'spatialCoverage'
+   * @param {string} separator - Separator between list values
+   * @returns {string} Display text; empty when the property is not set
+   */
+  getFieldText(field, separator = ', ') {
+    return formatSchemaOrgValue(this[field], separator);
   }
 
   /**
-   * Sets the lastModified timestamp and updates related fields
-   * @param {Date|string} timestamp - The lastModified timestamp
+   * Sets the S3 lastModified timestamp for this dataset
+   * @param {Date} timestamp - S3 object lastModified timestamp
    */
   setLastModified(timestamp) {
-    if (timestamp instanceof Date) {
+    if (timestamp instanceof Date && !isNaN(timestamp.getTime())) {
       this.lastModified = timestamp;
-    } else if (typeof timestamp === 'string') {
-      this.lastModified = new Date(timestamp);
-    } else if (timestamp !== null && timestamp !== undefined) {
-      throw new Error('lastModified must be a Date object, ISO string, or null');
-    } else {
+      this.timestampAvailable = true;
+    } else if (timestamp === null) {
       this.lastModified = null;
+      this.timestampAvailable = false;
+    } else {
+      console.warn('Invalid timestamp provided to setLastModified:', timestamp);
     }
+  }
+
+  /**
+   * Sets deduplication information for this dataset
+   * @param {boolean} isDuplicate - Whether this dataset is marked as a duplicate
+   * @param {number} duplicateCount - Total number of datasets in the duplicate group
+   * @param {string} keptInsteadId - ID of the dataset kept instead (if this is a duplicate)
+   */
+  setDeduplicationInfo(isDuplicate, duplicateCount, keptInsteadId = null) {
+    this.deduplicationInfo = {
+      isDuplicate: Boolean(isDuplicate),
+      duplicateCount: Number(duplicateCount) || 1,
+      keptInsteadId: keptInsteadId
+    };
+  }
 
-    this.timestampAvailable = this.lastModified !== null &&
-                             this.lastModified !== undefined &&
-                             !isNaN(this.lastModified.getTime());
+  /**
+   * Sets formatted date display strings
+   * @param {string} displayText - Primary display text for the date
+   * @param {string} relativeText - Relative time display (e.g., "2 hours ago")
+   */
+  setDateDisplay(displayText, relativeText = null) {
+    this.dateDisplay = displayText;
+    this.relativeDisplay = relativeText;
   }
 
   /**
-   * Sets deduplication-related metadata
-   * @param {boolean} isDuplicate - Whether this dataset is a duplicate
-   * @param {number} duplicateCount - Number of duplicates found
+   * Sets the version history of this dataset's metadata file
+   * @param {Array<DatasetVersion>} versions - Versions, newest first
    */
-  setDeduplicationInfo(isDuplicate, duplicateCount = 0) {
-    this.isDuplicate = isDuplicate;
-    this.duplicateCount = duplicateCount;
+  setVersionHistory(versions) {
+    this.versionHistory = Array.isArray(versions) ? versions : null;
   }
 
   /**
-   * Sets display formatting for dates
-   * @param {string} displayString - Formatted date for display
-   * @param {string} relativeString - Relative time string (e.g., "2 hours ago")
+   * Checks if this dataset's version history has been loaded
+   * @returns {boolean} True if version history is available
    */
-  setDateDisplay(displayString, relativeString) {
-    this.lastModifiedDisplay = displayString;
-    this.relativeTimeDisplay = relativeString;
+  hasVersionHistory() {
+    return this.versionHistory !== null;
   }
 
   /**
-   * Returns a simplified object for JSON serialization
-   * @returns {Object} Serializable dataset object
+   * Checks if this dataset has S3 timestamp information
+   * @returns {boolean} True if timestamp is available
    */
-  toJSON() {
+  hasTimestamp() {
+    return this.timestampAvailable;
+  }
+
+  /**
+   * Checks if this dataset is marked as a duplicate
+   * @returns {boolean} True if marked as duplicate
+   */
+  isDuplicateDataset() {
+    return this.deduplicationInfo ? this.deduplicationInfo.isDuplicate : false;
+  }
+
+  /**
+   * Gets the directories of the metadata key, outermost first
+   * e.g. ['tijuana', 'sd_complaints', 'output'] for tijuana/sd_complaints/output/data.metadata.json
+   * @returns {Array<string>} Prefix segments; empty for metadata files at the bucket root
+   */
+  getPrefixSegments() {
+    const key = this.metadataKey || this.metadataUrl || '';
+    return key.split('/').slice(0, -1).filter(Boolean);
+  }
+
+  /**
+   * Gets the age of this dataset in milliseconds
+   * @returns {number|null} Age in milliseconds or null if no timestamp
+   */
+  getAge() {
+    if (!this.timestampAvailable) {
+      return null;
+    }
+    return Date.now() - this.lastModified.getTime();
+  }
+
+  /**
+   * Compares this dataset's timestamp with another dataset
+   * @param {Dataset} otherDataset - Dataset to compare with
+   * @returns {number} -1 if this is older, 1 if newer, 0 if same/no timestamps
+   */
+  compareTimestamp(otherDataset) {
+    if (!this.timestampAvailable || !otherDataset.timestampAvailable) {
+      return 0;
+    }
+
+    const thisTime = this.lastModified.getTime();
+    const otherTime = otherDataset.lastModified.getTime();
+
+    if (thisTime < otherTime) return -1;
+    if (thisTime > otherTime) return 1;
+    return 0;
+  }
+
+  /**
+   * Returns a copy of this dataset
+   * @returns {Dataset} Cloned dataset
+   */
+  clone() {
+    const cloned = new Dataset(
+      this.id,
+      this.title,
+      this.description,
+      this.creator,
+      this.dateCreated,
+      this.distribution ? [...this.distribution] : [],
+      this.metadataUrl,
+      this.isValid,
+      this.section,
+      this.projectPath,
+      this.lastModified,
+      this.metadataKey,
+      this.getSchemaOrgFields()
+    );
+
+    // Copy enhanced fields
+    cloned.dateDisplay = this.dateDisplay;
+    cloned.relativeDisplay = this.relativeDisplay;
+    cloned.deduplicationInfo = this.deduplicationInfo ? { ...this.deduplicationInfo } : null;
+    cloned.source = this.source ? { ...this.source } : null;
+    cloned.versionHistory = this.versionHistory ? [...this.versionHistory] : null;
+    cloned.metadataFormat = this.metadataFormat;
+    cloned.inferred = this.inferred;
+
+    return cloned;
+  }
+
+  /**
+   * Converts the dataset to a plain object for serialization
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
     return {
       id: this.id,
       title: this.title,
@@ -81,20 +235,31 @@ class Dataset {
       projectPath: this.projectPath,
       lastModified: this.lastModified,
       metadataKey: this.metadataKey,
-      isDuplicate: this.isDuplicate,
-      duplicateCount: this.duplicateCount,
       timestampAvailable: this.timestampAvailable,
-      lastModifiedDisplay: this.lastModifiedDisplay,
-      relativeTimeDisplay: this.relativeTimeDisplay
+      dateDisplay: this.dateDisplay,
+      relativeDisplay: this.relativeDisplay,
+      deduplicationInfo: this.deduplicationInfo,
+      source: this.source,
+      metadataFormat: this.metadataFormat,
+      inferred: this.inferred,
+      ...Object.fromEntries(SCHEMA_ORG_FIELDS.map(field => [field, this[field]]))
     };
   }
 
   /**
-   * Creates a Dataset from a JSON object (static factory method)
-   * @param {Object} obj - JSON object to deserialize
+   * Serializes the dataset with JSON.stringify
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return this.toObject();
+  }
+
+  /**
+   * Creates a Dataset from a plain object
+   * @param {Object} obj - Plain object representation
    * @returns {Dataset} New Dataset instance
    */
-  static fromJSON(obj) {
+  static fromObject(obj) {
     const dataset = new Dataset(
       obj.id,
       obj.title,
@@ -106,25 +271,83 @@ class Dataset {
       obj.isValid,
       obj.section,
       obj.projectPath,
-      obj.lastModified,
-      obj.metadataKey
+      obj.lastModified ? new Date(obj.lastModified) : null,
+      obj.metadataKey,
+      obj
     );
 
-    // Set enhanced fields
-    if (obj.isDuplicate !== undefined) {
-      dataset.setDeduplicationInfo(obj.isDuplicate, obj.duplicateCount);
-    }
+    // Restore enhanced fields
+    dataset.dateDisplay = obj.dateDisplay;
+    dataset.relativeDisplay = obj.relativeDisplay;
+    dataset.deduplicationInfo = obj.deduplicationInfo;
+    dataset.source = obj.source || null;
+    dataset.metadataFormat = obj.metadataFormat || null;
+    dataset.inferred = Boolean(obj.inferred);
+
+    return dataset;
+  }
+}
 
-    if (obj.lastModifiedDisplay || obj.relativeTimeDisplay) {
-      dataset.setDateDisplay(obj.lastModifiedDisplay, obj.relativeTimeDisplay);
+/**
+ * Formats a schema.org value (text, URL, Thing or a list of them) as display text
+ * @param {*} value - Property value
+ * @param {string} separator - Separator between list values
+ * @returns {string} Display text
+ */
+function formatSchemaOrgValue(value, separator = ', ') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => formatSchemaOrgValue(item, separator)).filter(Boolean).join(separator);
+  }
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+
+  // PropertyValue, e.g. a measured variable with a unit
+  if (value.unitText && value.name) {
+    return `${value.name} (${value.unitText})`;
+  }
+  // Place described only by coordinates or a bounding box
+  if (!value.name && value.geo) {
+    const { geo } = value;
+    if (geo.box) {
+      return `box ${geo.box}`;
+    }
+    if (geo.latitude !== undefined && geo.longitude !== undefined) {
+      return `${geo.latitude}, ${geo.longitude}`;
     }
+  }
 
-    return dataset;
+  const text = value.name || value.url || value['@id'] || value.value || value.identifier;
+  return text !== undefined ? formatSchemaOrgValue(text, separator) : JSON.stringify(value);
+}
+
+/**
+ * Formats a Table Schema as one line, e.g. 'station (string), pm25 (number, µg/m³)'
+ * @param {Object} tableSchema - Table Schema ({fields: [{name, type, unit}], path})
+ * @returns {string} Field names and types; the schema path when the fields are not known
+ */
+function formatTableSchema(tableSchema) {
+  if (!tableSchema) {
+    return '';
   }
+  if (!tableSchema.fields || tableSchema.fields.length === 0) {
+    return tableSchema.path || '';
+  }
+  return tableSchema.fields
+    .map(field => `${field.name} (${[field.type, field.unit].filter(Boolean).join(', ')})`)
+    .join(', ');
 }
 
 class Distribution {
-  constructor(type, name, description, contentUrl, encodingFormat, contentSize, uploadDate, datePublished, keywords, license, creator, inLanguage, measurementMethod, measurementTechnique, sha256, version) {
+  /**
+   * Distribution fields follow schema.org DataDownload, plus the Table Schema of tabular
+   * downloads (tableSchema: {fields: [{name, type, title, description, format, unit,
+   * required}], primaryKey, path}) when the metadata describes one, e.g. a Data Package resource.
+   */
+  constructor(type, name, description, contentUrl, encodingFormat, contentSize, uploadDate, datePublished, keywords, license, creator, inLanguage, measurementMethod, measurementTechnique, sha256, version, tableSchema = null) {
     this['@type'] = type;
     this.name = name;
     this.description = description;
@@ -141,6 +364,127 @@ class Distribution {
     this.measurementTechnique = measurementTechnique;
     this.sha256 = sha256;
     this.version = version;
+    this.tableSchema = tableSchema;
+  }
+}
+
+/**
+ * One stored version of a dataset's metadata file
+ */
+class DatasetVersion {
+  /**
+   * @param {string|null} versionId - S3 version ID; null when the storage is not versioned
+   * @param {Date} lastModified - Time the version was written
+   * @param {Object} fields - Version details
+   * @param {boolean} fields.isLatest - Whether this is the current version
+   * @param {boolean} fields.isDeleteMarker - Whether this version records a deletion
+   * @param {number} fields.size - Size of the metadata file in bytes
+   * @param {string} fields.etag - ETag of the version
+   * @param {Dataset} fields.dataset - Metadata parsed from this version (null for delete markers and unreadable versions)
+   * @param {string} fields.error - Why the version could not be read
+   * @param {Array<Object>} fields.changes - Differences from the previous readable version
+   */
+  constructor(versionId, lastModified, fields = {}) {
+    this.versionId = versionId || null;
+    this.lastModified = lastModified;
+    this.isLatest = Boolean(fields.isLatest);
+    this.isDeleteMarker = Boolean(fields.isDeleteMarker);
+    this.size = fields.size || 0;
+    this.etag = fields.etag || null;
+    this.dataset = fields.dataset || null;
+    this.error = fields.error || null;
+    this.changes = fields.changes || [];
+  }
+
+  /**
+   * Converts the version to a plain object for serialization
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      versionId: this.versionId,
+      lastModified: this.lastModified,
+      isLatest: this.isLatest,
+      isDeleteMarker: this.isDeleteMarker,
+      size: this.size,
+      etag: this.etag,
+      dataset: this.dataset ? this.dataset.toObject() : null,
+      error: this.error,
+      changes: this.changes
+    };
+  }
+}
+
+/**
+ * Human-friendly description of a section, read from an optional <section>/_section.json file
+ */
+class SectionDescriptor {
+  /**
+   * @param {string} section - Section (top-level prefix) the descriptor belongs to
+   * @param {Object} fields - Descriptor fields
+   * @param {string} fields.title - Display title (defaults to the section name)
+   * @param {string} fields.description - Landing text for the section
+   * @param {Object} fields.contact - Who to ask about the section ({name, email, url})
+   * @param {number} fields.order - Sort position; sections without one follow in listing order
+   * @param {string} fields.icon - Emoji or image URL shown next to the title
+   * @param {string} fields.key - Key of the descriptor file
+   */
+  constructor(section, fields = {}) {
+    this.section = section;
+    this.title = fields.title || section;
+    this.description = fields.description || null;
+    this.contact = fields.contact || null;
+    this.order = Number.isFinite(fields.order) ? fields.order : null;
+    this.icon = fields.icon || null;
+    this.key = fields.key || null;
+  }
+
+  /**
+   * Checks whether the icon is an image URL rather than an emoji or short text
+   * @returns {boolean} True for http(s) and root-relative URLs
+   */
+  hasImageIcon() {
+    return Boolean(this.icon) && /^(https?:\/\/|\/)/.test(this.icon);
+  }
+
+  /**
+   * Formats the contact as one line, e.g. "Data Team <data@example.org>"
+   * @returns {string|null} Contact text, or null without a contact
+   */
+  getContactText() {
+    if (!this.contact) {
+      return null;
+    }
+    const { name, email, url } = this.contact;
+    if (name && email) {
+      return `${name} <${email}>`;
+    }
+    return [name, email || url].filter(Boolean).join(' ') || null;
+  }
+
+  /**
+   * Converts the descriptor to a plain object for serialization
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      section: this.section,
+      title: this.title,
+      description: this.description,
+      contact: this.contact,
+      order: this.order,
+      icon: this.icon,
+      key: this.key
+    };
+  }
+
+  /**
+   * Creates a SectionDescriptor from a plain object
+   * @param {Object} obj - Plain object representation
+   * @returns {SectionDescriptor} New SectionDescriptor instance
+   */
+  static fromObject(obj) {
+    return new SectionDescriptor(obj.section, obj);
   }
 }
 
@@ -155,4 +499,4 @@ class S3Object {
   }
 }
 
-module.exports = { Dataset, Distribution, S3Object };
+export { Dataset, DatasetVersion, Distribution, SectionDescriptor, S3Object, SCHEMA_ORG_FIELDS, formatSchemaOrgValue, formatTableSchema };
\ No newline at end of file
@@ -0,0 +1,226 @@
+import { DatasetParser } from './dataset-parser.js';
+import { JsonLdNormalizer } from './jsonld-normalizer.js';
+import { DCAT_FORMAT } from './dcat-format.js';
+import { DATACITE_FORMAT } from './datacite-format.js';
+import { CKAN_FORMAT } from './ckan-format.js';
+import { DATA_PACKAGE_FORMAT } from './datapackage-format.js';
+
+/**
+ * schema.org Dataset metadata in JSON, JSON-LD or YAML: the catalog's own format
+ * Its sniff only claims documents with JSON-LD markers, so plain JSON in another format
+ * is left to that format; a .metadata.json file that no format claims is still read as
+ * schema.org.
+ */
+export const SCHEMA_ORG_FORMAT = {
+  id: 'schema.org',
+  label: 'schema.org',
+  suffixes: ['.metadata.json', '.metadata.yaml', '.metadata.yml'],
+
+  sniff(content, json) {
+    return Boolean(json) && typeof json === 'object'
+      && (Array.isArray(json) || '@context' in json || '@type' in json || '@graph' in json);
+  },
+
+  toSchemaOrg(content, json) {
+    return JsonLdNormalizer.normalize(json);
+  }
+};
+
+/**
+ * Registry of metadata formats
+ * A format is a plain object:
+ *   {id, label, suffixes, filenames?, sniff(content, json) → boolean,
+ *    toSchemaOrg(content, json, key) → Object, acceptsText?}
+ * where `suffixes` are the filename endings that mark a metadata file (e.g. '.dcat.json'),
+ * `filenames` whole filenames that do (e.g. 'datapackage.json', whose dataset is the folder),
+ * `json` is the parsed content (null when it is not JSON; .yaml and .yml files are parsed
+ * as YAML, so every format reads them like JSON) and toSchemaOrg returns a Dataset
+ * with plain schema.org keys, which DatasetParser turns into the common models. Formats that
+ * read non-JSON content set `acceptsText: true`.
+ *
+ * The filename decides which objects are metadata files; the content decides how each one is
+ * read: the first format (in priority order) whose sniff() claims the content wins, then the
+ * format its suffix names. This way a .metadata.json file holding a CKAN package still reads.
+ */
+export class MetadataParserRegistry {
+  /**
+   * @param {Array<Object>} formats - Formats in priority order (first is tried first)
+   */
+  constructor(formats = []) {
+    this.formats = [];
+    [...formats].reverse().forEach(format => this.register(format));
+  }
+
+  /**
+   * Adds a format ahead of the registered ones, so plugins can override the built-in formats
+   * @param {Object} format - Format definition
+   * @returns {MetadataParserRegistry} This registry
+   * @throws {Error} If the definition is incomplete
+   */
+  register(format) {
+    if (!format || !format.id || !Array.isArray(format.suffixes) || typeof format.toSchemaOrg !== 'function') {
+      throw new Error('A metadata format needs an id, a suffixes array and a toSchemaOrg() function');
+    }
+    this.formats = [format, ...this.formats.filter(existing => existing.id !== format.id)];
+    return this;
+  }
+
+  /**
+   * Gets a format by ID
+   * @param {string} id - Format ID, e.g. 'dcat'
+   * @returns {Object|null} Format
+   */
+  getFormat(id) {
+    return this.formats.find(format => format.id === id) || null;
+  }
+
+  /**
+   * Finds the format a key's filename names
+   * A whole filename (datapackage.json) matches before a suffix, and the longest suffix wins.
+   * @param {string} key - Object key
+   * @returns {Object|null} Format with the matched key ending ({format, suffix}), or null
+   */
+  matchKey(key) {
+    if (typeof key !== 'string') {
+      return null;
+    }
+
+    const lowerKey = key.toLowerCase();
+    const filename = lowerKey.slice(lowerKey.lastIndexOf('/') + 1);
+    let best = null;
+    for (const format of this.formats) {
+      if ((format.filenames || []).some(name => name.toLowerCase() === filename)) {
+        // The folder holding the file is the dataset
+        return { format, suffix: key.slice(key.length - filename.length - (filename === lowerKey ? 0 : 1)) };
+      }
+      for (const suffix of format.suffixes) {
+        if (lowerKey.endsWith(suffix.toLowerCase()) && lowerKey.length > suffix.length && (!best || suffix.length > best.suffix.length)) {
+          best = { format, suffix };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Determines if a key names a metadata file in any registered format
+   * @param {string} key - Object key
+   * @returns {boolean} True if the key is a metadata file
+   */
+  isMetadataFile(key) {
+    return this.matchKey(key) !== null;
+  }
+
+  /**
+   * Gets the dataset ID for a metadata key: the key without its format suffix, or the folder
+   * for a whole filename match
+   * @param {string} key - Metadata key, e.g. 'tijuana/air/pm25.dcat.json' or 'tijuana/air/datapackage.json'
+   * @returns {string} Dataset ID, e.g. 'tijuana/air/pm25' or 'tijuana/air'
+   */
+  getDatasetId(key) {
+    const match = this.matchKey(key);
+    if (!match) {
+      return key;
+    }
+    // A datapackage.json at the root has no folder to name the dataset
+    return key.slice(0, key.length - match.suffix.length) || key.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * Detects the format of a metadata file
+   * @param {string} content - File content
+   * @param {string} key - Object key
+   * @returns {Object|null} Format, or null when neither the content nor the key names one
+   */
+  detectFormat(content, key) {
+    return this._detect(content, key, MetadataParserRegistry._parseContent(content, key)).format;
+  }
+
+  /**
+   * Reads a metadata file into schema.org terms
+   * @param {string} content - File content
+   * @param {string} key - Object key
+   * @returns {Object} {format, json}, where json is the Dataset with plain schema.org keys
+   * @throws {Error} If the content cannot be read in its format
+   */
+  toSchemaOrg(content, key) {
+    const parsed = MetadataParserRegistry._parseContent(content, key);
+    const { format } = this._detect(content, key, parsed);
+
+    if (!format) {
+      throw new Error(`${key} is not in a known metadata format`);
+    }
+    // Content that looks like JSON but does not parse is a JSON error in every format, and
+    // a YAML file that does not parse is a YAML error
+    if (parsed.error && (parsed.isYaml || !format.acceptsText || /^\s*[[{]/.test(content))) {
+      throw parsed.error;
+    }
+
+    const json = format.toSchemaOrg(content, parsed.error ? null : parsed.json, key);
+    if (!json || typeof json !== 'object') {
+      throw new Error(`The ${format.label || format.id} reader returned no dataset for ${key}`);
+    }
+    return { format, json };
+  }
+
+  /**
+   * Parses a metadata file into a Dataset
+   * Like DatasetParser.parse(), failures give an invalid dataset instead of throwing.
+   * @param {string} content - File content
+   * @param {string} key - Object key
+   * @param {Object} s3ObjectInfo - S3 object metadata (optional)
+   * @returns {Dataset} Parsed dataset with its metadataFormat set
+   */
+  parse(content, key, s3ObjectInfo = null) {
+    try {
+      const { format, json } = this.toSchemaOrg(content, key);
+      return DatasetParser.fromSchemaOrg(json, key, s3ObjectInfo, {
+        datasetId: this.getDatasetId(key),
+        format: format.id
+      });
+    } catch (error) {
+      return DatasetParser.createInvalid(key, error.message, s3ObjectInfo);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _detect(content, key, parsed) {
+    const json = parsed.error ? null : parsed.json;
+    const sniffed = this.formats.find(format => {
+      try {
+        return typeof format.sniff === 'function' && (json !== null || format.acceptsText) && format.sniff(content, json);
+      } catch {
+        return false;
+      }
+    });
+    return { format: sniffed || this.matchKey(key)?.format || null };
+  }
+
+  /**
+   * Parses content as YAML or JSON, depending on the key, without throwing
+   * @private
+   */
+  static _parseContent(content, key) {
+    const isYaml = DatasetParser.isYamlKey(key);
+    try {
+      return { json: DatasetParser.readDocument(content, key), error: null, isYaml };
+    } catch (error) {
+      return { json: null, error, isYaml };
+    }
+  }
+}
+
+/**
+ * Registry with the built-in formats, used when no other registry is configured
+ * Register plugin formats here to make them available to every catalog.
+ */
+export const defaultParserRegistry = new MetadataParserRegistry([
+  DCAT_FORMAT,
+  DATACITE_FORMAT,
+  // Before CKAN, whose packages also list resources
+  DATA_PACKAGE_FORMAT,
+  CKAN_FORMAT,
+  SCHEMA_ORG_FORMAT
+]);
@@ -0,0 +1,132 @@
+/**
+ * Tree of key prefixes built from dataset metadata keys
+ * Sections only use the first path segment; the prefix tree keeps every level
+ * (e.g. tijuana/ > sd_complaints/ > output/) so deep bucket layouts can be browsed.
+ * Every node counts the datasets directly under it (datasetCount) and under it
+ * and all of its descendants (totalCount).
+ */
+export class PrefixTree {
+  /**
+   * @param {Array<Dataset>} datasets - Datasets to place in the tree (optional)
+   */
+  constructor(datasets = []) {
+    this.root = PrefixTree._createNode('', '');
+    for (const dataset of datasets) {
+      this.add(dataset);
+    }
+  }
+
+  /**
+   * Adds a dataset under the directories of its metadata key
+   * @param {Dataset} dataset - Dataset to add
+   */
+  add(dataset) {
+    let node = this.root;
+    node.totalCount++;
+
+    for (const segment of dataset.getPrefixSegments()) {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, PrefixTree._createNode(segment, `${node.path}${segment}/`));
+      }
+      node = node.children.get(segment);
+      node.totalCount++;
+    }
+
+    node.datasets.push(dataset);
+    node.datasetCount++;
+  }
+
+  /**
+   * Finds the node for a prefix
+   * @param {string} prefix - Key prefix, with or without a trailing slash ('' for the root)
+   * @returns {Object|null} Tree node, or null if no dataset lives under the prefix
+   */
+  find(prefix) {
+    let node = this.root;
+    for (const segment of String(prefix || '').split('/').filter(Boolean)) {
+      node = node.children.get(segment);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Gets the child nodes of a node, sorted by name
+   * @param {Object} node - Tree node (defaults to the root)
+   * @returns {Array<Object>} Child nodes
+   */
+  getChildren(node = this.root) {
+    return Array.from(node.children.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Gets every dataset under a prefix, including those in nested prefixes
+   * @param {string} prefix - Key prefix ('' for the whole tree)
+   * @returns {Array<Dataset>} Datasets in depth-first order
+   */
+  getDatasets(prefix = '') {
+    const node = this.find(prefix);
+    if (!node) {
+      return [];
+    }
+
+    const datasets = [...node.datasets];
+    this.walk(descendant => datasets.push(...descendant.datasets), node);
+    return datasets;
+  }
+
+  /**
+   * Visits the descendants of a node depth-first, with children sorted by name
+   * @param {Function} visitor - Called with (node, depth); children of the start node have depth 0
+   * @param {Object} node - Node to start from (defaults to the root)
+   */
+  walk(visitor, node = this.root) {
+    const visit = (current, depth) => {
+      visitor(current, depth);
+      for (const child of this.getChildren(current)) {
+        visit(child, depth + 1);
+      }
+    };
+
+    for (const child of this.getChildren(node)) {
+      visit(child, 0);
+    }
+  }
+
+  /**
+   * Converts the tree to plain objects for JSON output
+   * @param {Object} options - Conversion options
+   * @param {boolean} options.includeDatasets - List dataset IDs and titles at each node
+   * @param {number} options.maxDepth - Drop nodes deeper than this (children of the start node are depth 1)
+   * @param {Object} options.node - Node to start from (defaults to the root)
+   * @returns {Object} Start node as {name, path, datasetCount, totalCount, children[, datasets]}
+   */
+  toObject(options = {}) {
+    const { includeDatasets = false, maxDepth = Infinity, node = this.root } = options;
+
+    const convert = (node, depth) => {
+      const obj = {
+        name: node.name,
+        path: node.path,
+        datasetCount: node.datasetCount,
+        totalCount: node.totalCount,
+        children: depth < maxDepth ? this.getChildren(node).map(child => convert(child, depth + 1)) : []
+      };
+      if (includeDatasets) {
+        obj.datasets = node.datasets.map(dataset => ({ id: dataset.id, title: dataset.title }));
+      }
+      return obj;
+    };
+
+    return convert(node, 0);
+  }
+
+  /**
+   * @private
+   */
+  static _createNode(name, path) {
+    return { name, path, datasetCount: 0, totalCount: 0, datasets: [], children: new Map() };
+  }
+}
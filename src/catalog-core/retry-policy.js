@@ -0,0 +1,158 @@
+import { NetworkError } from './s3-errors.js';
+
+/**
+ * Retry policy shared by the S3 transports
+ * Retries operations whose errors are marked retryable (throttling, network failures,
+ * 5xx responses) using exponential backoff with full jitter, and enforces a per-attempt timeout.
+ * Streamed operations call keepAlive() as data arrives, which restarts the timeout, so a long
+ * listing or download only times out when it stalls.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {number} options.maxAttempts - Total attempts including the first one (default 4)
+   * @param {number} options.baseDelayMs - Backoff base delay (default 200ms)
+   * @param {number} options.maxDelayMs - Backoff delay cap (default 5000ms)
+   * @param {number} options.timeoutMs - Per-attempt timeout, restarted by keepAlive(); 0 to disable (default 30000ms)
+   * @param {Function} options.random - Random source in [0, 1) (for tests)
+   * @param {Function} options.sleep - Delay function returning a promise (for tests)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 4;
+    this.baseDelayMs = options.baseDelayMs ?? 200;
+    this.maxDelayMs = options.maxDelayMs ?? 5000;
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error('maxAttempts must be a positive integer');
+    }
+  }
+
+  /**
+   * Creates a policy from a RetryPolicy instance or a plain options object
+   * @param {RetryPolicy|Object} retryOptions - Policy or options (optional)
+   * @returns {RetryPolicy} Retry policy
+   */
+  static from(retryOptions) {
+    if (retryOptions instanceof RetryPolicy) {
+      return retryOptions;
+    }
+    return new RetryPolicy(retryOptions || {});
+  }
+
+  /**
+   * Runs an operation, retrying retryable failures
+   * @param {Function} operation - Async function receiving {signal, attempt, keepAlive}; the signal
+   *   aborts on timeout or when the caller's signal aborts, and keepAlive() restarts the timeout
+   * @param {Object} options - Execution options
+   * @param {string} options.description - Operation name used in timeout errors and logs
+   * @param {AbortSignal} options.signal - Caller's signal; aborting it stops the attempt and any retries
+   * @returns {Promise<*>} Operation result
+   */
+  async execute(operation, options = {}) {
+    const { description = 'S3 request', signal } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      try {
+        return await this._runWithTimeout(operation, attempt, description, signal);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        if (!error.retryable || attempt >= this.maxAttempts) {
+          throw error;
+        }
+
+        const delay = this.getDelay(attempt);
+        console.warn(`⏳ ${description} failed (${error.message}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${this.maxAttempts})`);
+        await this._sleepUnlessAborted(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Computes the full-jitter backoff delay before the next attempt
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return this.random() * ceiling;
+  }
+
+  /**
+   * Runs one attempt, rejecting with a NetworkError when it exceeds the timeout
+   * and with the caller's abort reason when the caller's signal aborts
+   * @private
+   */
+  _runWithTimeout(operation, attempt, description, callerSignal) {
+    if (!this.timeoutMs && !callerSignal) {
+      return operation({ signal: undefined, attempt, keepAlive: () => {} });
+    }
+
+    const controller = new AbortController();
+    const cleanups = [];
+    let settled = false;
+    let keepAlive = () => {};
+
+    const interruptions = new Promise((resolve, reject) => {
+      if (this.timeoutMs) {
+        let timer;
+        keepAlive = () => {
+          if (settled) {
+            return;
+          }
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(new NetworkError(`${description} timed out after ${this.timeoutMs}ms`, { code: 'ETIMEDOUT' }));
+          }, this.timeoutMs);
+        };
+        keepAlive();
+        cleanups.push(() => clearTimeout(timer));
+      }
+
+      if (callerSignal) {
+        const onAbort = () => {
+          controller.abort(callerSignal.reason);
+          reject(callerSignal.reason);
+        };
+        callerSignal.addEventListener('abort', onAbort, { once: true });
+        cleanups.push(() => callerSignal.removeEventListener('abort', onAbort));
+      }
+    });
+
+    return Promise.race([operation({ signal: controller.signal, attempt, keepAlive }), interruptions])
+      .finally(() => {
+        settled = true;
+        cleanups.forEach(cleanup => cleanup());
+      });
+  }
+
+  /**
+   * Waits before a retry, rejecting early with the abort reason if the caller's signal aborts
+   * @private
+   */
+  _sleepUnlessAborted(delay, signal) {
+    if (!signal) {
+      return this.sleep(delay);
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return Promise.race([this.sleep(delay), aborted])
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  }
+}
+
+export { RetryPolicy };
@@ -0,0 +1,619 @@
+import { SigV4Signer } from './sigv4-signer.js';
+import { RetryPolicy } from './retry-policy.js';
+import { NetworkError, createS3Error, parseS3ErrorCode } from './s3-errors.js';
+import { StorageAdapter } from './storage-adapter.js';
+import { DatasetParser } from './dataset-parser.js';
+import { mapWithConcurrency, normalizeConcurrency } from './concurrency-utils.js';
+
+/**
+ * Reads a response body as bytes, calling onChunk for every chunk received
+ * Falls back to arrayBuffer() where the body cannot be read as a stream.
+ * @param {Response} response - Successful fetch response
+ * @param {Function} onChunk - Called for every chunk (the retry policy's keepAlive)
+ * @returns {Promise<Uint8Array>} Response body
+ */
+async function readBytes(response, onChunk) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    onChunk();
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Browser-compatible S3 client using Fetch API
+ * Public buckets are read anonymously; pass accessKeyId/secretAccessKey (plus sessionToken
+ * and region for temporary credentials) to sign requests for private buckets with SigV4.
+ */
+export class S3ClientBrowser extends StorageAdapter {
+  constructor(bucketName, options = {}) {
+    super(bucketName);
+    this.endpoint = options.endpoint;
+    this.useSSL = options.useSSL !== false; // Default to true
+
+    if (!this.endpoint) {
+      throw new Error('S3 endpoint must be provided in options.endpoint');
+    }
+
+    // Construct base URL for API calls
+    this.baseUrl = this.endpoint.endsWith('/') ? this.endpoint.slice(0, -1) : this.endpoint;
+
+    // Optional SigV4 signing for private buckets
+    this.signer = null;
+    if (options.accessKeyId || options.secretAccessKey) {
+      this.signer = new SigV4Signer({
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey,
+        sessionToken: options.sessionToken,
+        region: options.region
+      });
+    }
+
+    // Retries, backoff and timeouts for transient failures (RetryPolicy or its options)
+    this.retryPolicy = RetryPolicy.from(options.retry);
+
+    // Objects seen in listings and HEAD responses, keyed by S3 key, so timestamp lookups
+    // can skip the network; refreshed by every listObjects() call
+    this.listingCache = new Map();
+
+    // Maximum number of HEAD requests in flight for getTimestampsBatch()
+    this.concurrency = normalizeConcurrency(options.concurrency);
+  }
+
+  /**
+   * Sends a request, signing it when credentials were provided
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} headers - Unsigned request headers
+   * @param {AbortSignal} signal - Signal aborting the request (optional)
+   * @param {string} method - HTTP method (default 'GET')
+   * @returns {Promise<Response>} Fetch response
+   */
+  async _fetch(url, headers = {}, signal = undefined, method = 'GET') {
+    const signedHeaders = this.signer ? await this.signer.sign(method, url) : {};
+    return fetch(url, {
+      method,
+      headers: {
+        ...headers,
+        ...signedHeaders
+      },
+      signal
+    });
+  }
+
+  /**
+   * GETs a URL and returns the response body, retrying transient failures
+   * Failures are thrown as typed S3 errors (AccessDeniedError, NoSuchBucketError, ...).
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} headers - Unsigned request headers
+   * @param {Object} context - Request context for errors ({key, description, notFoundCode})
+   * @returns {Promise<string>} Response body
+   */
+  async _getText(url, headers, context = {}) {
+    return this._request(url, headers, context, response => response.text());
+  }
+
+  /**
+   * Sends a request and reads a successful response, retrying transient failures
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} headers - Unsigned request headers
+   * @param {Object} context - Request context ({key, description, notFoundCode, method, signal})
+   * @param {Function} readResponse - Reads the result from a successful response; receives
+   *   (response, keepAlive), where keepAlive() restarts the timeout while a large body streams in
+   * @returns {Promise<*>} Result of readResponse
+   */
+  async _request(url, headers, context, readResponse) {
+    const errorContext = { bucket: this.bucketName, key: context.key };
+
+    return this.retryPolicy.execute(async ({ signal, keepAlive }) => {
+      let response;
+      try {
+        response = await this._fetch(url, headers, signal, context.method);
+      } catch (error) {
+        // fetch rejects on DNS, connection and CORS failures
+        throw new NetworkError(`Could not reach ${this.baseUrl}: ${error.message}`, { ...errorContext, cause: error });
+      }
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw createS3Error({
+          ...errorContext,
+          code: parseS3ErrorCode(body) || (response.status === 404 ? context.notFoundCode : null),
+          statusCode: response.status,
+          message: `${response.status} ${response.statusText}`
+        });
+      }
+
+      return readResponse(response, keepAlive);
+    }, { description: context.description, signal: context.signal });
+  }
+
+  /**
+   * List all objects in the bucket (handles pagination automatically)
+   * Uses S3 XML API for public bucket listing
+   * @param {string} prefix - Only list keys starting with this prefix (optional)
+   * @param {Object} options - Listing options
+   * @param {AbortSignal} options.signal - Cancels the listing
+   * @param {Function} options.onPage - Called with {pages, objects} after each page
+   */
+  async listObjects(prefix = '', options = {}) {
+    const { signal, onPage } = options;
+    try {
+      const allObjects = [];
+      let continuationToken = null;
+      let pageCount = 0;
+
+      do {
+        let url = `${this.baseUrl}/${this.bucketName}?list-type=2&max-keys=1000`;
+        if (prefix) {
+          url += `&prefix=${encodeURIComponent(prefix)}`;
+        }
+        if (continuationToken) {
+          url += `&continuation-token=${encodeURIComponent(continuationToken)}`;
+        }
+
+        const xmlText = await this._getText(url, {
+          'Accept': 'application/xml',
+        }, { description: `Listing page ${pageCount + 1}`, notFoundCode: 'NoSuchBucket', signal });
+        const pageResult = this.parseListObjectsResponse(xmlText);
+
+        allObjects.push(...pageResult.objects);
+        continuationToken = pageResult.nextContinuationToken;
+        pageCount++;
+
+        if (onPage) {
+          onPage({ pages: pageCount, objects: allObjects.length });
+        }
+      } while (continuationToken);
+
+      this._updateListingCache(prefix, allObjects);
+      return allObjects;
+
+    } catch (error) {
+      console.error('Error listing S3 objects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the versions of one object with the ListObjectVersions API, newest first
+   * Reading versions needs s3:ListBucketVersions; buckets without versioning report the
+   * current object as the only (null) version.
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Array<Object>>} Object versions, including delete markers
+   */
+  async listObjectVersions(key, options = {}) {
+    try {
+      const versions = [];
+      let keyMarker = null;
+      let versionIdMarker = null;
+      let pageCount = 0;
+
+      do {
+        let url = `${this.baseUrl}/${this.bucketName}?versions&prefix=${encodeURIComponent(key)}`;
+        if (keyMarker) {
+          url += `&key-marker=${encodeURIComponent(keyMarker)}`;
+        }
+        if (versionIdMarker) {
+          url += `&version-id-marker=${encodeURIComponent(versionIdMarker)}`;
+        }
+
+        const xmlText = await this._getText(url, {
+          'Accept': 'application/xml',
+        }, { key, description: `Listing versions of ${key} (page ${pageCount + 1})`, notFoundCode: 'NoSuchBucket', signal: options.signal });
+        const pageResult = this.parseListObjectVersionsResponse(xmlText);
+
+        // The listing is by prefix; keep only versions of this exact key
+        versions.push(...pageResult.versions.filter(version => version.Key === key));
+        keyMarker = pageResult.isTruncated ? pageResult.keyMarker : null;
+        versionIdMarker = pageResult.versionIdMarker;
+        pageCount++;
+      } while (keyMarker);
+
+      return versions.sort((a, b) => b.LastModified - a.LastModified);
+
+    } catch (error) {
+      console.error(`Error listing versions of ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object content from S3
+   * For public buckets, objects can be accessed directly via HTTP GET
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal, versionId})
+   */
+  async getObject(key, options = {}) {
+    try {
+      let url = `${this.baseUrl}/${this.bucketName}/${key}`;
+      if (options.versionId) {
+        url += `?versionId=${encodeURIComponent(options.versionId)}`;
+      }
+      return await this._getText(url, {
+        'Accept': 'application/json',
+      }, { key, description: `Fetching ${key}`, notFoundCode: 'NoSuchKey', signal: options.signal });
+    } catch (error) {
+      console.error(`Error getting object ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object content from S3 as raw bytes
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Uint8Array>} Object content
+   */
+  async getObjectBytes(key, options = {}) {
+    try {
+      const url = `${this.baseUrl}/${this.bucketName}/${key}`;
+      return await this._request(url, {}, {
+        key,
+        description: `Fetching ${key}`,
+        notFoundCode: 'NoSuchKey',
+        signal: options.signal
+      }, readBytes);
+    } catch (error) {
+      console.error(`Error getting object ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object metadata with a HEAD request, without downloading the content
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Object>} Enhanced S3Object with ContentType
+   */
+  async headObject(key, options = {}) {
+    try {
+      const url = `${this.baseUrl}/${this.bucketName}/${key}`;
+      const objectInfo = await this._request(url, {}, {
+        key,
+        method: 'HEAD',
+        description: `Inspecting ${key}`,
+        notFoundCode: 'NoSuchKey',
+        signal: options.signal
+      }, response => this._objectInfoFromHeaders(key, response.headers));
+      this.listingCache.set(key, objectInfo);
+      return objectInfo;
+    } catch (error) {
+      console.error(`Error getting object info for ${key}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds an Enhanced S3Object from GET/HEAD response headers
+   * ETag is only readable cross-origin when the bucket's CORS rule exposes it.
+   * @private
+   * @param {string} key - Object key
+   * @param {Headers} headers - Response headers
+   * @returns {Object|null} Enhanced S3Object with ContentType, or null without Last-Modified
+   */
+  _objectInfoFromHeaders(key, headers) {
+    const lastModified = headers.get('Last-Modified');
+    if (!lastModified) {
+      return null;
+    }
+    return this.createEnhancedS3Object(
+      key,
+      lastModified,
+      headers.get('Content-Length'),
+      headers.get('ETag'),
+      headers.get('Content-Type')
+    );
+  }
+
+  /**
+   * Looks up object metadata from the listing cache, falling back to a HEAD request
+   * Listing entries carry no content type, so ContentType is null for cache hits.
+   * @private
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} Enhanced S3Object
+   */
+  async _lookupObjectInfo(key) {
+    const cached = this.listingCache.get(key);
+    if (cached) {
+      return { ContentType: null, ...cached };
+    }
+    return this.headObject(key);
+  }
+
+  /**
+   * Replaces the cached entries under a prefix with a fresh listing
+   * @private
+   */
+  _updateListingCache(prefix, objects) {
+    for (const key of this.listingCache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.listingCache.delete(key);
+      }
+    }
+    for (const object of objects) {
+      this.listingCache.set(object.Key, object);
+    }
+  }
+
+  /**
+   * Parse XML response from S3 ListObjects API
+   * Extracts object information and pagination data from XML response
+   */
+  parseListObjectsResponse(xmlText) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+
+    // Check for parsing errors
+    const parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+      throw new Error('Failed to parse S3 XML response');
+    }
+
+    const objects = [];
+    const contents = xmlDoc.querySelectorAll('Contents');
+
+    contents.forEach(content => {
+      const key = content.querySelector('Key')?.textContent;
+      const size = content.querySelector('Size')?.textContent;
+      const lastModified = content.querySelector('LastModified')?.textContent;
+      const etag = content.querySelector('ETag')?.textContent || null;
+
+      if (key) {
+        // Create Enhanced S3Object with normalized timestamp and file type identification
+        const enhancedObject = this.createEnhancedS3Object(key, lastModified, size, etag);
+        objects.push(enhancedObject);
+      }
+    });
+
+    // Extract pagination information
+    const nextContinuationToken = xmlDoc.querySelector('NextContinuationToken')?.textContent;
+    const isTruncated = xmlDoc.querySelector('IsTruncated')?.textContent === 'true';
+    const keyCount = parseInt(xmlDoc.querySelector('KeyCount')?.textContent) || 0;
+
+    return {
+      objects,
+      nextContinuationToken,
+      isTruncated,
+      keyCount
+    };
+  }
+
+  /**
+   * Parse XML response from S3 ListObjectVersions API
+   * Versions and delete markers are returned together as object versions.
+   */
+  parseListObjectVersionsResponse(xmlText) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+
+    const parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+      throw new Error('Failed to parse S3 XML response');
+    }
+
+    const versions = [];
+    xmlDoc.querySelectorAll('Version, DeleteMarker').forEach(entry => {
+      const key = entry.querySelector('Key')?.textContent;
+      if (!key) {
+        return;
+      }
+      const versionId = entry.querySelector('VersionId')?.textContent;
+      versions.push(this.createObjectVersion(
+        key,
+        entry.querySelector('LastModified')?.textContent,
+        entry.querySelector('Size')?.textContent,
+        entry.querySelector('ETag')?.textContent || null,
+        {
+          versionId: versionId === 'null' ? null : versionId,
+          isLatest: entry.querySelector('IsLatest')?.textContent,
+          isDeleteMarker: entry.tagName === 'DeleteMarker'
+        }
+      ));
+    });
+
+    return {
+      versions,
+      isTruncated: xmlDoc.querySelector('IsTruncated')?.textContent === 'true',
+      keyMarker: xmlDoc.querySelector('NextKeyMarker')?.textContent || null,
+      versionIdMarker: xmlDoc.querySelector('NextVersionIdMarker')?.textContent || null
+    };
+  }
+
+  /**
+   * Scans the bucket and returns standardized response with metadata
+   * @param {string} prefix - Only scan keys starting with this prefix (optional)
+   * @returns {Object} BucketScanResponse with objects and metadata
+   */
+  async scanBucket(prefix = '') {
+    try {
+      const startTime = new Date();
+      const objects = await this.listObjects(prefix);
+      const endTime = new Date();
+
+      // Analyze objects
+      const metadataFiles = objects.filter(obj => obj.isMetadata).length;
+      const dataFiles = objects.filter(obj => obj.isDataFile).length;
+
+      return {
+        objects: objects,
+        metadata: {
+          totalObjects: objects.length,
+          scanTimestamp: startTime,
+          bucketName: this.bucketName,
+          prefix: prefix,
+          metadataFiles: metadataFiles,
+          dataFiles: dataFiles,
+          scanDurationMs: endTime.getTime() - startTime.getTime()
+        }
+      };
+    } catch (error) {
+      console.error('Error scanning bucket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets metadata content with S3 object information
+   * @param {string} metadataKey - S3 key for metadata file
+   * @returns {Object} MetadataResponse with content and objectInfo
+   */
+  async getMetadataWithTimestamp(metadataKey) {
+    // Validate that this is a metadata file
+    if (!this.isMetadataFile(metadataKey)) {
+      throw new Error(`Key ${metadataKey} is not a metadata file. Metadata files must end with .metadata.json or another registered format suffix`);
+    }
+
+    try {
+      // The GET response headers carry the object info; no listing is needed
+      const url = `${this.baseUrl}/${this.bucketName}/${metadataKey}`;
+      const { contentStr, headerInfo } = await this._request(url, {
+        'Accept': 'application/json',
+      }, {
+        key: metadataKey,
+        description: `Fetching ${metadataKey}`,
+        notFoundCode: 'NoSuchKey'
+      }, async response => ({
+        contentStr: await response.text(),
+        headerInfo: this._objectInfoFromHeaders(metadataKey, response.headers)
+      }));
+
+      // Parse JSON content (YAML for .metadata.yaml/.metadata.yml keys)
+      let content;
+      let parseSuccess = true;
+      let parseError = null;
+
+      try {
+        content = DatasetParser.readDocument(contentStr, metadataKey);
+      } catch (error) {
+        parseSuccess = false;
+        parseError = error.message;
+        content = null;
+      }
+
+      // Headers hidden by CORS fall back to the listing cache or a HEAD request
+      let objectInfo = headerInfo;
+      if (objectInfo) {
+        this.listingCache.set(metadataKey, objectInfo);
+      } else {
+        objectInfo = await this._lookupObjectInfo(metadataKey);
+      }
+
+      return {
+        content: content,
+        objectInfo: objectInfo,
+        parseSuccess: parseSuccess,
+        parseError: parseError
+      };
+    } catch (error) {
+      console.error(`Error getting metadata with timestamp for ${metadataKey}:`, error);
+
+      // Enhance error with object key information
+      const enhancedError = new Error(error.message);
+      enhancedError.objectKey = metadataKey;
+      enhancedError.timestamp = new Date().toISOString();
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Gets timestamps for multiple objects in batch
+   * Keys found in the listing cache cost no request; the others are looked up with
+   * HEAD requests, so the bucket is never re-listed.
+   * @param {string[]} objectKeys - Array of S3 object keys
+   * @returns {Object} TimestampResponse with timestamps, objects ({ETag, Size, ContentType,
+   *   LastModified} per key) and notFound arrays
+   */
+  async getTimestampsBatch(objectKeys) {
+    // Validate input
+    if (!Array.isArray(objectKeys)) {
+      throw new Error('objectKeys must be an array');
+    }
+
+    if (objectKeys.length === 0) {
+      throw new Error('At least one object key is required');
+    }
+
+    if (objectKeys.length > 100) {
+      throw new Error('Batch requests are limited to 100 keys maximum');
+    }
+
+    try {
+      const results = await mapWithConcurrency(objectKeys, this.concurrency, async key => {
+        try {
+          return await this._lookupObjectInfo(key);
+        } catch (error) {
+          if (error.code === 'NoSuchKey' || error.statusCode === 404) {
+            return null;
+          }
+          throw error;
+        }
+      });
+
+      const timestamps = {};
+      const objects = {};
+      const notFound = [];
+
+      // Process each requested key
+      objectKeys.forEach((key, i) => {
+        const objectInfo = results[i];
+        if (objectInfo) {
+          timestamps[key] = objectInfo.LastModified.toISOString();
+          objects[key] = {
+            ETag: objectInfo.ETag,
+            Size: objectInfo.Size,
+            ContentType: objectInfo.ContentType,
+            LastModified: objectInfo.LastModified
+          };
+        } else {
+          notFound.push(key);
+        }
+      });
+
+      return {
+        timestamps: timestamps,
+        objects: objects,
+        notFound: notFound.length > 0 ? notFound : undefined
+      };
+    } catch (error) {
+      console.error('Error getting timestamps batch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if the S3 endpoint is accessible
+   * Useful for connection testing
+   */
+  async testConnection() {
+    try {
+      const result = await this.scanBucket();
+      return result.metadata.totalObjects >= 0; // Return true if we can get object count
+    } catch (error) {
+      console.error('S3 connection test failed:', error);
+      return false;
+    }
+  }
+}
\ No newline at end of file
@@ -1,12 +1,24 @@
-const minio = require('minio');
-require('dotenv').config();
+import * as minio from 'minio';
+import dotenv from 'dotenv';
+import { RetryPolicy } from './retry-policy.js';
+import { fromMinioError } from './s3-errors.js';
+import { StorageAdapter } from './storage-adapter.js';
 
-class S3ClientWrapper {
+// Quiet: reports printed on stdout (--format json, junit) must not start with dotenv's banner
+dotenv.config({ quiet: true });
+
+// Keys per ListObjectsV2 page, used to report listing progress
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Node.js S3 transport backed by the MinIO client
+ * Implements the StorageAdapter interface, like S3ClientBrowser, so CatalogService can use either
+ */
+export class S3ClientWrapper extends StorageAdapter {
   constructor(bucketName, options = {}) {
-    this.bucketName = bucketName || process.env.S3_BUCKET_NAME;
+    super(bucketName || process.env.S3_BUCKET_NAME);
     const endpoint = options.endpoint || process.env.S3_ENDPOINT;
     const port = options.port ? parseInt(options.port, 10) : undefined;
-    const useSSL = options.useSSL === undefined ? true : options.useSSL;
 
     if (!endpoint) {
       throw new Error('S3 endpoint must be provided via options or S3_ENDPOINT environment variable.');
@@ -14,6 +26,7 @@ class S3ClientWrapper {
 
     // Extract host from endpoint URL
     const url = new URL(endpoint);
+    const useSSL = options.useSSL === undefined ? url.protocol !== 'http:' : options.useSSL;
     const endPoint = url.hostname;
     const resolvedPort = port || (url.port ? parseInt(url.port, 10) : (useSSL ? 443 : 80));
 
@@ -26,26 +39,227 @@ class S3ClientWrapper {
       accessKey: options.accessKey || process.env.S3_ACCESS_KEY || '',
       secretKey: options.secretKey || process.env.S3_SECRET_KEY || '',
     });
+
+    // Retries, backoff and timeouts for transient failures (RetryPolicy or its options).
+    // MinIO also retries 5xx responses internally; the per-attempt timeout bounds that.
+    this.retryPolicy = RetryPolicy.from(options.retry);
+  }
+
+  /**
+   * List all objects in the bucket, optionally limited to keys under a prefix
+   * Returns the same enhanced S3Object shape as S3ClientBrowser.listObjects()
+   * @param {string} prefix - Only list keys starting with this prefix (optional)
+   * @param {Object} options - Listing options
+   * @param {AbortSignal} options.signal - Cancels the listing
+   * @param {Function} options.onPage - Called with {pages, objects} for every 1000 objects listed
+   */
+  async listObjects(prefix = '', options = {}) {
+    const { onPage } = options;
+    try {
+      return await this.retryPolicy.execute(({ signal, keepAlive }) => new Promise((resolve, reject) => {
+        const objects = [];
+        const stream = this.s3Client.listObjectsV2(this.bucketName, prefix, true);
+        const removeAbortListener = this._destroyOnAbort(stream, signal);
+        stream.on('data', (obj) => {
+          // Every entry restarts the timeout, so only a stalled listing times out
+          keepAlive();
+          // Prefix entries carry no name
+          if (obj.name) {
+            objects.push(this.createEnhancedS3Object(obj.name, obj.lastModified, obj.size, obj.etag));
+            // MinIO pages internally; report progress at the S3 page size
+            if (onPage && objects.length % LIST_PAGE_SIZE === 0) {
+              onPage({ pages: objects.length / LIST_PAGE_SIZE, objects: objects.length });
+            }
+          }
+        });
+        stream.on('error', (error) => {
+          removeAbortListener();
+          reject(fromMinioError(error, { bucket: this.bucketName }));
+        });
+        stream.on('end', () => {
+          removeAbortListener();
+          if (onPage && (objects.length === 0 || objects.length % LIST_PAGE_SIZE !== 0)) {
+            onPage({ pages: Math.ceil(objects.length / LIST_PAGE_SIZE) || 1, objects: objects.length });
+          }
+          resolve(objects);
+        });
+      }), { description: `Listing ${this.bucketName}`, signal: options.signal });
+    } catch (error) {
+      console.error('Error listing S3 objects:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List the versions of one object with ListObjectVersions, newest first
+   * Buckets without versioning report the current object as the only (null) version.
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Array<Object>>} Object versions, including delete markers
+   */
+  async listObjectVersions(key, options = {}) {
+    try {
+      return await this.retryPolicy.execute(({ signal, keepAlive }) => new Promise((resolve, reject) => {
+        const versions = [];
+        const stream = this.s3Client.listObjects(this.bucketName, key, true, { IncludeVersion: true });
+        const removeAbortListener = this._destroyOnAbort(stream, signal);
+        stream.on('data', (obj) => {
+          keepAlive();
+          // The listing is by prefix; keep only versions of this exact key
+          if (obj.name === key) {
+            versions.push(this.createObjectVersion(obj.name, obj.lastModified, obj.size, obj.etag, {
+              versionId: obj.versionId === 'null' ? null : obj.versionId,
+              isLatest: obj.isLatest,
+              isDeleteMarker: obj.isDeleteMarker
+            }));
+          }
+        });
+        stream.on('error', (error) => {
+          removeAbortListener();
+          reject(fromMinioError(error, { bucket: this.bucketName, key }));
+        });
+        stream.on('end', () => {
+          removeAbortListener();
+          resolve(versions.sort((a, b) => b.LastModified - a.LastModified));
+        });
+      }), { description: `Listing versions of ${key}`, signal: options.signal });
+    } catch (error) {
+      console.error(`Error listing versions of ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object content from S3 as a UTF-8 string
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal, versionId})
+   */
+  async getObject(key, options = {}) {
+    const getOpts = options.versionId ? { versionId: options.versionId } : {};
+    try {
+      return await this.retryPolicy.execute(async ({ signal, keepAlive }) => {
+        let stream;
+        try {
+          stream = await this.s3Client.getObject(this.bucketName, key, getOpts);
+        } catch (error) {
+          throw fromMinioError(error, { bucket: this.bucketName, key });
+        }
+        const removeAbortListener = this._destroyOnAbort(stream, signal);
+        try {
+          return await this.streamToString(stream, keepAlive);
+        } catch (error) {
+          throw fromMinioError(error, { bucket: this.bucketName, key });
+        } finally {
+          removeAbortListener();
+        }
+      }, { description: `Fetching ${options.versionId ? `version ${options.versionId} of ` : ''}${key}`, signal: options.signal });
+    } catch (error) {
+      console.error(`Error getting object ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object content from S3 as raw bytes
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Uint8Array>} Object content
+   */
+  async getObjectBytes(key, options = {}) {
+    try {
+      return await this.retryPolicy.execute(async ({ signal, keepAlive }) => {
+        let stream;
+        try {
+          stream = await this.s3Client.getObject(this.bucketName, key);
+        } catch (error) {
+          throw fromMinioError(error, { bucket: this.bucketName, key });
+        }
+        const removeAbortListener = this._destroyOnAbort(stream, signal);
+        try {
+          return new Uint8Array(await this.streamToBuffer(stream, keepAlive));
+        } catch (error) {
+          throw fromMinioError(error, { bucket: this.bucketName, key });
+        } finally {
+          removeAbortListener();
+        }
+      }, { description: `Fetching ${key}`, signal: options.signal });
+    } catch (error) {
+      console.error(`Error getting object ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get object metadata (size, ETag, content type, LastModified) without downloading it
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Object>} Enhanced S3Object with ContentType
+   */
+  async headObject(key, options = {}) {
+    try {
+      return await this.retryPolicy.execute(async () => {
+        let stat;
+        try {
+          stat = await this.s3Client.statObject(this.bucketName, key);
+        } catch (error) {
+          throw fromMinioError(error, { bucket: this.bucketName, key });
+        }
+        const contentType = (stat.metaData && stat.metaData['content-type']) || null;
+        return this.createEnhancedS3Object(key, stat.lastModified, stat.size, stat.etag, contentType);
+      }, { description: `Inspecting ${key}`, signal: options.signal });
+    } catch (error) {
+      console.error(`Error getting object info for ${key}:`, error.message);
+      throw error;
+    }
+  }
+
+  async streamToString(stream, onData) {
+    return (await this.streamToBuffer(stream, onData)).toString('utf-8');
   }
 
-  async listObjects() {
+  /**
+   * Collects a stream into a Buffer
+   * @param {Readable} stream - Object stream
+   * @param {Function} onData - Called for every chunk (e.g. the retry policy's keepAlive) (optional)
+   * @returns {Promise<Buffer>} Stream content
+   */
+  async streamToBuffer(stream, onData) {
     return new Promise((resolve, reject) => {
-      const objects = [];
-      const stream = this.s3Client.listObjectsV2(this.bucketName, '', true);
-      stream.on('data', (obj) => objects.push({ Key: obj.name, Size: obj.size, LastModified: obj.lastModified }));
-      stream.on('error', error => {console.log(reject);reject(error)}) ;
-      stream.on('end', () => resolve(objects));
+      const chunks = [];
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        onData?.();
+      });
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
     });
   }
 
-  async getObject(key) {
+  /**
+   * Destroys a stream when the attempt's signal aborts (timeout or caller cancel)
+   * @private
+   * @param {Readable} stream - Stream to destroy
+   * @param {AbortSignal} signal - Attempt signal (optional)
+   * @returns {Function} Removes the abort listener; call it once the stream has settled
+   */
+  _destroyOnAbort(stream, signal) {
+    if (!signal) {
+      return () => {};
+    }
+    const onAbort = () => stream.destroy();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
+  /**
+   * Check if the S3 endpoint is accessible
+   */
+  async testConnection() {
     try {
-      return await this.s3Client.getObject(this.bucketName, key);
+      return await this.s3Client.bucketExists(this.bucketName);
     } catch (error) {
-      console.error(`Error getting object ${key}:`, error);
-      throw error;
+      console.error('S3 connection test failed:', error);
+      return false;
     }
   }
 }
-
-module.exports = { S3ClientWrapper };
@@ -0,0 +1,136 @@
+/**
+ * Typed errors for S3 operations
+ * Both transports translate their failures into these classes so the CLI and the UI
+ * can react to the kind of failure (exit codes, actionable messages) instead of parsing strings.
+ */
+
+class S3Error extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.code - S3 error code (e.g. 'NoSuchKey') or network error code
+   * @param {number} details.statusCode - HTTP status code, if any
+   * @param {string} details.bucket - Bucket the request targeted
+   * @param {string} details.key - Object key the request targeted
+   * @param {boolean} details.retryable - Whether retrying may succeed
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = details.code || null;
+    this.statusCode = details.statusCode || null;
+    this.bucket = details.bucket || null;
+    this.key = details.key || null;
+    this.retryable = Boolean(details.retryable);
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+class AccessDeniedError extends S3Error {
+  constructor(message, details = {}) {
+    super(message, { code: 'AccessDenied', ...details, retryable: false });
+    this.name = 'AccessDeniedError';
+  }
+}
+
+class NoSuchBucketError extends S3Error {
+  constructor(message, details = {}) {
+    super(message, { code: 'NoSuchBucket', ...details, retryable: false });
+    this.name = 'NoSuchBucketError';
+  }
+}
+
+class ThrottledError extends S3Error {
+  constructor(message, details = {}) {
+    super(message, { code: 'SlowDown', ...details, retryable: true });
+    this.name = 'ThrottledError';
+  }
+}
+
+class NetworkError extends S3Error {
+  constructor(message, details = {}) {
+    super(message, { code: 'NetworkError', ...details, retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+const ACCESS_DENIED_CODES = ['AccessDenied', 'InvalidAccessKeyId', 'SignatureDoesNotMatch', 'ExpiredToken', 'InvalidToken', 'AllAccessDisabled'];
+const THROTTLED_CODES = ['SlowDown', 'Throttling', 'ThrottlingException', 'RequestLimitExceeded', 'TooManyRequests', 'ServiceUnavailable'];
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROTO', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Creates a typed error from an S3 error code and/or HTTP status
+ * @param {Object} details - Error details ({code, statusCode, bucket, key, message, cause})
+ * @returns {S3Error} Typed error
+ */
+function createS3Error(details = {}) {
+  const { code, statusCode, bucket, key } = details;
+  const target = key ? `${bucket}/${key}` : bucket;
+  const reason = details.message || code || (statusCode ? `HTTP ${statusCode}` : 'Unknown error');
+
+  if (code === 'NoSuchBucket') {
+    return new NoSuchBucketError(`Bucket '${bucket}' does not exist`, details);
+  }
+  if (ACCESS_DENIED_CODES.includes(code) || statusCode === 401 || statusCode === 403) {
+    return new AccessDeniedError(`Access denied to ${target}: ${reason}`, { ...details, code: code || 'AccessDenied' });
+  }
+  if (THROTTLED_CODES.includes(code) || statusCode === 429 || statusCode === 503) {
+    return new ThrottledError(`S3 is throttling requests for ${target}: ${reason}`, { ...details, code: code || 'SlowDown' });
+  }
+  if (NETWORK_CODES.includes(code)) {
+    return new NetworkError(`Network error for ${target}: ${reason}`, details);
+  }
+
+  // Other server errors are usually transient; client errors are not
+  return new S3Error(`S3 request for ${target} failed: ${reason}`, {
+    ...details,
+    retryable: statusCode >= 500
+  });
+}
+
+/**
+ * Translates an error thrown by the MinIO client into a typed error
+ * @param {Error} error - MinIO or Node.js network error
+ * @param {Object} context - Request context ({bucket, key})
+ * @returns {S3Error} Typed error
+ */
+function fromMinioError(error, context = {}) {
+  if (error instanceof S3Error) {
+    return error;
+  }
+
+  // MinIO retries 5xx/429 responses itself and then throws a plain Error naming the status
+  const retryStatus = /Retryable HTTP status: (\d+)/.exec(error.message || '');
+
+  return createS3Error({
+    ...context,
+    code: error.code,
+    statusCode: error.statusCode || (retryStatus ? Number(retryStatus[1]) : undefined),
+    message: error.message,
+    cause: error
+  });
+}
+
+/**
+ * Extracts the <Code> element from an S3 XML error body
+ * @param {string} body - Response body
+ * @returns {string|null} S3 error code
+ */
+function parseS3ErrorCode(body) {
+  const match = typeof body === 'string' ? body.match(/<Code>([^<]+)<\/Code>/) : null;
+  return match ? match[1] : null;
+}
+
+export {
+  S3Error,
+  AccessDeniedError,
+  NoSuchBucketError,
+  ThrottledError,
+  NetworkError,
+  createS3Error,
+  fromMinioError,
+  parseS3ErrorCode
+};
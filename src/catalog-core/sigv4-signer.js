@@ -0,0 +1,170 @@
+/**
+ * AWS Signature Version 4 request signing using Web Crypto
+ * Works in browsers and in Node.js 20+ (globalThis.crypto.subtle), so S3ClientBrowser
+ * can read private buckets with short-lived credentials.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const textEncoder = new TextEncoder();
+
+class SigV4Signer {
+  /**
+   * @param {Object} credentials - Signing credentials
+   * @param {string} credentials.accessKeyId - Access key ID
+   * @param {string} credentials.secretAccessKey - Secret access key
+   * @param {string} credentials.sessionToken - Session token for temporary credentials (optional)
+   * @param {string} credentials.region - Signing region (default 'us-east-1')
+   * @param {string} credentials.service - Signing service (default 's3')
+   */
+  constructor(credentials = {}) {
+    if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('SigV4 signing requires accessKeyId and secretAccessKey');
+    }
+
+    this.accessKeyId = credentials.accessKeyId;
+    this.secretAccessKey = credentials.secretAccessKey;
+    this.sessionToken = credentials.sessionToken || null;
+    this.region = credentials.region || 'us-east-1';
+    this.service = credentials.service || 's3';
+
+    this.subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!this.subtle) {
+      throw new Error('SigV4 signing requires Web Crypto (crypto.subtle); use a secure context (https or localhost)');
+    }
+  }
+
+  /**
+   * Signs a request and returns the headers to send with it
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL
+   * @param {Object} options - Signing options
+   * @param {Object} options.headers - Additional headers to include in the signature
+   * @param {string} options.payloadHash - Hex SHA-256 of the body (default UNSIGNED-PAYLOAD)
+   * @param {Date} options.date - Signing time (default now)
+   * @returns {Promise<Object>} Headers including Authorization and x-amz-* values
+   */
+  async sign(method, url, options = {}) {
+    const { headers = {}, payloadHash = UNSIGNED_PAYLOAD, date = new Date() } = options;
+    const parsedUrl = new URL(url);
+
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const credentialScope = `${dateStamp}/${this.region}/${this.service}/aws4_request`;
+
+    const signedHeaders = {
+      ...headers,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (this.sessionToken) {
+      signedHeaders['x-amz-security-token'] = this.sessionToken;
+    }
+
+    // Host is set by fetch itself but must be part of the signature
+    const canonicalHeaderMap = { host: parsedUrl.host };
+    for (const [name, value] of Object.entries(signedHeaders)) {
+      canonicalHeaderMap[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+    const headerNames = Object.keys(canonicalHeaderMap).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${canonicalHeaderMap[name]}\n`).join('');
+    const signedHeaderList = headerNames.join(';');
+
+    const canonicalRequest = [
+      method.toUpperCase(),
+      this._canonicalUri(parsedUrl.pathname),
+      this._canonicalQueryString(parsedUrl.searchParams),
+      canonicalHeaders,
+      signedHeaderList,
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      ALGORITHM,
+      amzDate,
+      credentialScope,
+      await this._sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = await this._deriveSigningKey(dateStamp);
+    const signature = this._toHex(await this._hmac(signingKey, stringToSign));
+
+    return {
+      ...signedHeaders,
+      'Authorization': `${ALGORITHM} Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Builds the canonical URI: each path segment URI-encoded exactly once
+   * @private
+   */
+  _canonicalUri(pathname) {
+    return pathname
+      .split('/')
+      .map(segment => SigV4Signer.encode(decodeURIComponent(segment)))
+      .join('/') || '/';
+  }
+
+  /**
+   * Builds the canonical query string: encoded parameters sorted by name, then value
+   * @private
+   */
+  _canonicalQueryString(searchParams) {
+    return Array.from(searchParams.entries())
+      .map(([name, value]) => [SigV4Signer.encode(name), SigV4Signer.encode(value)])
+      .sort(([nameA, valueA], [nameB, valueB]) => {
+        if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+        return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+      })
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+  }
+
+  /**
+   * Derives the date/region/service scoped signing key
+   * @private
+   */
+  async _deriveSigningKey(dateStamp) {
+    const dateKey = await this._hmac(textEncoder.encode(`AWS4${this.secretAccessKey}`), dateStamp);
+    const regionKey = await this._hmac(dateKey, this.region);
+    const serviceKey = await this._hmac(regionKey, this.service);
+    return this._hmac(serviceKey, 'aws4_request');
+  }
+
+  /**
+   * @private
+   * @returns {Promise<ArrayBuffer>} HMAC-SHA256 of data with key
+   */
+  async _hmac(key, data) {
+    const cryptoKey = await this.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return this.subtle.sign('HMAC', cryptoKey, textEncoder.encode(data));
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>} Hex SHA-256 digest of a string
+   */
+  async _sha256Hex(data) {
+    return this._toHex(await this.subtle.digest('SHA-256', textEncoder.encode(data)));
+  }
+
+  /**
+   * @private
+   */
+  _toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * URI-encodes a string as SigV4 requires (RFC 3986 unreserved characters are kept)
+   * @param {string} value - Value to encode
+   * @returns {string} Encoded value
+   */
+  static encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+}
+
+export { SigV4Signer, UNSIGNED_PAYLOAD };
@@ -0,0 +1,201 @@
+import { defaultParserRegistry } from './parser-registry.js';
+
+// Content types of common data files, by file extension
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.geojson': 'application/geo+json',
+  '.parquet': 'application/vnd.apache.parquet',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.pdf': 'application/pdf',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Base class for catalog storage backends
+ * CatalogService only talks to storage through this interface, so a bucket (S3ClientWrapper,
+ * S3ClientBrowser) and a local directory tree (FileSystemStorageAdapter) are interchangeable.
+ * Adapters implement listObjects, getObject and headObject and return enhanced S3Objects:
+ * {Key, Size, LastModified, ETag, isMetadata, isDataFile}, with ETags unquoted whatever the source. Every method accepts an options
+ * object whose `signal` (AbortSignal) cancels the operation by rejecting with signal.reason.
+ * Versioned storage also overrides listObjectVersions and reads old versions through
+ * getObject's `versionId` option; the defaults treat the current object as the only version.
+ * The abstract methods below document the parameters adapters take.
+ */
+export class StorageAdapter {
+  /**
+   * @param {string} bucketName - Name of the bucket or directory shown in catalog metadata
+   */
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+  }
+
+  /**
+   * Lists all objects, optionally limited to keys under a prefix
+   * @param {string} prefix - Only list keys starting with this prefix (optional)
+   * @param {Object} options - Listing options
+   * @param {AbortSignal} options.signal - Cancels the listing
+   * @param {Function} options.onPage - Called with {pages, objects} as listing pages arrive
+   * @returns {Promise<Array<Object>>} Enhanced S3Objects
+   */
+  async listObjects() {
+    throw new Error(`${this.constructor.name} does not implement listObjects()`);
+  }
+
+  /**
+   * Reads an object as a UTF-8 string
+   * @param {string} key - Object key
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @param {string} options.versionId - Read this version instead of the current one (versioned storage)
+   * @returns {Promise<string>} Object content
+   */
+  async getObject() {
+    throw new Error(`${this.constructor.name} does not implement getObject()`);
+  }
+
+  /**
+   * Reads an object as raw bytes, for binary content such as gzipped inventory reports
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Uint8Array>} Object content
+   */
+  async getObjectBytes() {
+    throw new Error(`${this.constructor.name} does not implement getObjectBytes()`);
+  }
+
+  /**
+   * Reads an object's metadata without its content
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Object>} Enhanced S3Object with ContentType
+   */
+  async headObject() {
+    throw new Error(`${this.constructor.name} does not implement headObject()`);
+  }
+
+  /**
+   * Lists the stored versions of one object, newest first
+   * The default suits unversioned storage: the current object is its only version.
+   * @param {string} key - Object key
+   * @param {Object} options - Request options ({signal})
+   * @returns {Promise<Array<Object>>} Object versions (see createObjectVersion)
+   */
+  async listObjectVersions(key, options = {}) {
+    const current = await this.headObject(key, options);
+    return [this.createObjectVersion(key, current.LastModified, current.Size, current.ETag, {
+      versionId: null,
+      isLatest: true
+    })];
+  }
+
+  /**
+   * Checks that the storage is reachable
+   * @returns {Promise<boolean>} True if objects can be listed
+   */
+  async testConnection() {
+    try {
+      await this.listObjects();
+      return true;
+    } catch (error) {
+      console.error('Storage connection test failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Creates an Enhanced S3Object with normalized timestamp and file type identification
+   * @param {string} key - Object key
+   * @param {Date|string} lastModified - Last modification time
+   * @param {number|string} size - Object size in bytes
+   * @param {string} etag - ETag, quoted (HTTP headers, XML listings) or not (MinIO, inventory reports) (optional)
+   * @param {string} contentType - Content type, included when known (optional)
+   * @returns {Object} Enhanced S3Object
+   */
+  createEnhancedS3Object(key, lastModified, size, etag = null, contentType = undefined) {
+    let normalizedLastModified = lastModified instanceof Date ? lastModified : new Date(lastModified || Date.now());
+    if (isNaN(normalizedLastModified.getTime())) {
+      console.warn(`Invalid lastModified timestamp for ${key}: ${lastModified}`);
+      normalizedLastModified = new Date(); // Fallback to current time
+    }
+
+    const isMetadata = this.isMetadataFile(key);
+    const enhancedObject = {
+      Key: key,
+      Size: parseInt(size) || 0,
+      LastModified: normalizedLastModified,
+      ETag: StorageAdapter.normalizeETag(etag),
+      isMetadata: isMetadata,
+      isDataFile: !isMetadata
+    };
+
+    if (contentType !== undefined) {
+      enhancedObject.ContentType = contentType;
+    }
+    return enhancedObject;
+  }
+
+  /**
+   * Creates an Enhanced S3Object for one version of an object
+   * @param {string} key - Object key
+   * @param {Date|string} lastModified - Time the version was written
+   * @param {number|string} size - Version size in bytes (0 for delete markers)
+   * @param {string} etag - ETag (optional)
+   * @param {Object} version - Version details
+   * @param {string|null} version.versionId - S3 version ID; null when the storage is not versioned
+   * @param {boolean|string} version.isLatest - Whether this is the current version
+   * @param {boolean} version.isDeleteMarker - Whether this version records a deletion
+   * @returns {Object} Enhanced S3Object with VersionId, IsLatest and IsDeleteMarker
+   */
+  createObjectVersion(key, lastModified, size, etag, version = {}) {
+    return {
+      ...this.createEnhancedS3Object(key, lastModified, size, etag),
+      VersionId: version.versionId || null,
+      // S3 XML carries booleans as text
+      IsLatest: version.isLatest === true || version.isLatest === 'true',
+      IsDeleteMarker: Boolean(version.isDeleteMarker)
+    };
+  }
+
+  /**
+   * Determines if a file is a metadata file based on its key
+   * @param {string} key - Object key
+   * @returns {boolean} True if file is a metadata file
+   */
+  isMetadataFile(key) {
+    if (typeof key !== 'string') return false;
+
+    // Metadata files end with a suffix of a registered format (.metadata.json, .dcat.json, ...)
+    return defaultParserRegistry.isMetadataFile(key);
+  }
+
+  /**
+   * Strips the quotes S3 puts around ETags in headers and XML listings, so ETags from a live
+   * listing, a HEAD request and an inventory report compare equal
+   * @param {string} etag - ETag, quoted or not
+   * @returns {string|null} Unquoted ETag, or null when there is none
+   */
+  static normalizeETag(etag) {
+    if (!etag) {
+      return null;
+    }
+    return String(etag).replace(/^"(.*)"$/, '$1');
+  }
+
+  /**
+   * Guesses a file's content type from the extension of its key
+   * @param {string} key - Object key
+   * @returns {string|null} Content type, or null for unknown extensions
+   */
+  static guessContentType(key) {
+    const extension = /\.[^./]+$/.exec(String(key));
+    return (extension && CONTENT_TYPES[extension[0].toLowerCase()]) || null;
+  }
+}
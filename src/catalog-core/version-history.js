@@ -0,0 +1,196 @@
+import { defaultParserRegistry } from './parser-registry.js';
+import { DatasetVersion, SCHEMA_ORG_FIELDS } from './models.js';
+import { mapWithConcurrency } from './concurrency-utils.js';
+
+// Dataset fields compared between versions
+const DATASET_FIELDS = ['title', 'description', 'creator', 'dateCreated', ...SCHEMA_ORG_FIELDS];
+
+// Distribution fields compared between versions of the same distribution
+const DISTRIBUTION_FIELDS = ['name', 'description', 'encodingFormat', 'contentSize', 'license', 'version', 'sha256'];
+
+// Longest value shown in a change description
+const MAX_VALUE_LENGTH = 60;
+
+/**
+ * Version history of a dataset's metadata file
+ * Loads every stored version of a metadata file (ListObjectVersions on versioned
+ * buckets), parses each one and records what changed from the previous readable version.
+ * Changes are plain objects: {field, type: 'added'|'removed'|'changed', item, before, after},
+ * where `item` names the distribution for distribution changes.
+ */
+export class VersionHistory {
+  /**
+   * Loads and compares the versions of a metadata file
+   * Versions that cannot be fetched keep their error instead of failing the whole history.
+   * @param {StorageAdapter} storage - Storage holding the metadata file
+   * @param {string} metadataKey - Key of the metadata file
+   * @param {Object} options - Load options
+   * @param {AbortSignal} options.signal - Cancels the load
+   * @param {number} options.concurrency - Maximum number of versions fetched in parallel
+   * @param {MetadataParserRegistry} options.parserRegistry - Formats to read the versions with
+   * @returns {Promise<Array<DatasetVersion>>} Versions, newest first
+   */
+  static async load(storage, metadataKey, options = {}) {
+    const { signal, concurrency, parserRegistry = defaultParserRegistry } = options;
+    const objectVersions = await storage.listObjectVersions(metadataKey, { signal });
+
+    const versions = await mapWithConcurrency(objectVersions, concurrency, async (objectVersion) => {
+      const fields = {
+        isLatest: objectVersion.IsLatest,
+        isDeleteMarker: objectVersion.IsDeleteMarker,
+        size: objectVersion.Size,
+        etag: objectVersion.ETag
+      };
+
+      if (!objectVersion.IsDeleteMarker) {
+        try {
+          const content = await storage.getObject(metadataKey, {
+            signal,
+            versionId: objectVersion.VersionId || undefined
+          });
+          fields.dataset = parserRegistry.parse(content, metadataKey, objectVersion);
+        } catch (error) {
+          if (signal?.aborted) {
+            throw signal.reason;
+          }
+          fields.error = error.message;
+        }
+      }
+
+      return new DatasetVersion(objectVersion.VersionId, objectVersion.LastModified, fields);
+    }, { signal });
+
+    return VersionHistory.annotateChanges(versions);
+  }
+
+  /**
+   * Sets the changes of every version relative to the previous readable version
+   * Delete markers and unreadable versions are skipped when picking the previous version;
+   * the oldest readable version has no changes.
+   * @param {Array<DatasetVersion>} versions - Versions, newest first
+   * @returns {Array<DatasetVersion>} The same versions
+   */
+  static annotateChanges(versions) {
+    let previous = null;
+    for (let i = versions.length - 1; i >= 0; i--) {
+      const version = versions[i];
+      if (!version.dataset) {
+        continue;
+      }
+      version.changes = previous ? VersionHistory.diff(previous, version.dataset) : [];
+      previous = version.dataset;
+    }
+    return versions;
+  }
+
+  /**
+   * Lists the differences between two versions of a dataset
+   * Distributions are matched by contentUrl (or name when there is no URL).
+   * @param {Dataset} older - Earlier version
+   * @param {Dataset} newer - Later version
+   * @returns {Array<Object>} Changes from older to newer
+   */
+  static diff(older, newer) {
+    if (!older.isValid || !newer.isValid) {
+      return older.isValid === newer.isValid
+        ? []
+        : [{ field: 'metadata', type: 'changed', item: null, before: older.isValid ? 'valid' : 'invalid', after: newer.isValid ? 'valid' : 'invalid' }];
+    }
+
+    const changes = [];
+    for (const field of DATASET_FIELDS) {
+      VersionHistory._compare(changes, field, null, older[field], newer[field]);
+    }
+
+    const olderDistributions = VersionHistory._indexDistributions(older.distribution);
+    const newerDistributions = VersionHistory._indexDistributions(newer.distribution);
+
+    for (const [id, distribution] of olderDistributions) {
+      const label = VersionHistory._distributionLabel(distribution);
+      if (!newerDistributions.has(id)) {
+        changes.push({ field: 'distribution', type: 'removed', item: label, before: distribution.contentUrl || null, after: null });
+        continue;
+      }
+      const newerDistribution = newerDistributions.get(id);
+      for (const field of DISTRIBUTION_FIELDS) {
+        VersionHistory._compare(changes, `distribution.${field}`, label, distribution[field], newerDistribution[field]);
+      }
+    }
+
+    for (const [id, distribution] of newerDistributions) {
+      if (!olderDistributions.has(id)) {
+        changes.push({ field: 'distribution', type: 'added', item: VersionHistory._distributionLabel(distribution), before: null, after: distribution.contentUrl || null });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describes a change as one line of text, e.g. 'title: "Old" → "New"'
+   * @param {Object} change - Change from diff()
+   * @returns {string} Change description
+   */
+  static describeChange(change) {
+    const subject = change.item ? `${change.field} (${change.item})` : change.field;
+
+    if (change.field === 'distribution') {
+      return `${change.type === 'added' ? 'Added' : 'Removed'} distribution ${change.item}`;
+    }
+    if (change.type === 'added') {
+      return `${subject}: set to ${VersionHistory._formatValue(change.after)}`;
+    }
+    if (change.type === 'removed') {
+      return `${subject}: removed ${VersionHistory._formatValue(change.before)}`;
+    }
+    return `${subject}: ${VersionHistory._formatValue(change.before)} → ${VersionHistory._formatValue(change.after)}`;
+  }
+
+  /**
+   * Records a change when a field differs between versions
+   * @private
+   */
+  static _compare(changes, field, item, before, after) {
+    const hasBefore = before !== undefined && before !== null && before !== '';
+    const hasAfter = after !== undefined && after !== null && after !== '';
+
+    if (!hasBefore && !hasAfter) {
+      return;
+    }
+    if (!hasBefore) {
+      changes.push({ field, type: 'added', item, before: null, after });
+    } else if (!hasAfter) {
+      changes.push({ field, type: 'removed', item, before, after: null });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, type: 'changed', item, before, after });
+    }
+  }
+
+  /**
+   * Maps distributions by contentUrl, falling back to name and then position
+   * @private
+   */
+  static _indexDistributions(distributions) {
+    const byId = new Map();
+    (distributions || []).forEach((distribution, i) => {
+      byId.set(distribution.contentUrl || distribution.name || `#${i + 1}`, distribution);
+    });
+    return byId;
+  }
+
+  /**
+   * @private
+   */
+  static _distributionLabel(distribution) {
+    return distribution.name || distribution.contentUrl || distribution.encodingFormat || 'unnamed';
+  }
+
+  /**
+   * @private
+   */
+  static _formatValue(value) {
+    const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : JSON.stringify(value);
+    const shortened = text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+    return typeof value === 'string' ? `"${shortened}"` : shortened;
+  }
+}
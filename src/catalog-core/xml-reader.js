@@ -0,0 +1,140 @@
+// Markup tokens: comment, CDATA, processing instruction, doctype, closing tag, opening tag, text
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/gy;
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Minimal XML reader for metadata records
+ * Reads a document into plain element objects ({name, attributes, children, text}) so the
+ * core can read XML metadata (e.g. DataCite) without DOMParser, which Node does not have.
+ * Namespace prefixes are dropped from element and attribute names; comments, processing
+ * instructions and doctypes are skipped. Documents are not validated beyond tag nesting.
+ */
+export class XmlReader {
+  /**
+   * Parses an XML document
+   * @param {string} xml - XML text
+   * @returns {Object} Root element ({name, attributes, children, text})
+   * @throws {Error} If the document is not well-formed, with the line number
+   */
+  static parse(xml) {
+    const root = { name: null, attributes: {}, children: [], text: '' };
+    const stack = [root];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < xml.length) {
+      const offset = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(xml);
+      if (!match) {
+        throw new Error(`Malformed XML at line ${XmlReader._lineAt(xml, offset)}`);
+      }
+
+      const [token, cdata, closingName, openingName, attributeText, selfClosing] = match;
+      const current = stack[stack.length - 1];
+
+      if (openingName) {
+        const element = {
+          name: XmlReader._localName(openingName),
+          attributes: XmlReader._parseAttributes(attributeText),
+          children: [],
+          text: ''
+        };
+        if (current === root && root.children.length > 0) {
+          throw new Error(`Malformed XML at line ${XmlReader._lineAt(xml, offset)}: more than one root element`);
+        }
+        current.children.push(element);
+        if (!selfClosing) {
+          stack.push(element);
+        }
+      } else if (closingName) {
+        if (current === root || current.name !== XmlReader._localName(closingName)) {
+          throw new Error(`Malformed XML at line ${XmlReader._lineAt(xml, offset)}: unexpected </${closingName}>`);
+        }
+        stack.pop();
+      } else if (cdata !== undefined) {
+        current.text += cdata;
+      } else if (!token.startsWith('<')) {
+        current.text += XmlReader._decodeEntities(token);
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    if (root.children.length === 0) {
+      throw new Error('Malformed XML: no root element');
+    }
+    return root.children[0];
+  }
+
+  /**
+   * Gets the first child element with a name
+   * @param {Object} element - Parent element
+   * @param {string} name - Local element name
+   * @returns {Object|null} Child element
+   */
+  static child(element, name) {
+    return element?.children.find(child => child.name === name) || null;
+  }
+
+  /**
+   * Gets the child elements with a name
+   * @param {Object} element - Parent element
+   * @param {string} name - Local element name
+   * @returns {Array<Object>} Child elements
+   */
+  static children(element, name) {
+    return element ? element.children.filter(child => child.name === name) : [];
+  }
+
+  /**
+   * Gets an element's trimmed text
+   * @param {Object} element - Element
+   * @returns {string|undefined} Text, or undefined when the element is missing or empty
+   */
+  static text(element) {
+    const text = element?.text.trim();
+    return text || undefined;
+  }
+
+  /**
+   * @private
+   */
+  static _parseAttributes(attributeText) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[XmlReader._localName(name)] = XmlReader._decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+  }
+
+  /**
+   * Strips the namespace prefix (xml:lang stays lang)
+   * @private
+   */
+  static _localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+  }
+
+  /**
+   * @private
+   */
+  static _decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return NAMED_ENTITIES[name] ?? entity;
+    });
+  }
+
+  /**
+   * @private
+   */
+  static _lineAt(xml, offset) {
+    return xml.slice(0, offset).split('\n').length;
+  }
+}
@@ -0,0 +1,703 @@
+// Escapes in double-quoted scalars
+const ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Error in a YAML document, with the 1-based line and column where it was found
+ */
+export class YamlError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} line - Line number
+   * @param {number} column - Column number
+   */
+  constructor(message, line, column) {
+    super(`YAML error at line ${line}, column ${column}: ${message}`);
+    this.name = 'YamlError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Minimal YAML reader for hand-written metadata
+ * Reads one document of block mappings and sequences, flow collections ([a, b], {a: 1}),
+ * plain, quoted and block (| and >) scalars and comments into plain JSON values. Scalars are
+ * resolved with the YAML 1.2 core schema: null, booleans and numbers are typed and everything
+ * else, dates included, stays text. Anchors, aliases, tags, complex keys and multiple
+ * documents are not supported and are reported as errors, like syntax errors, with their
+ * line and column.
+ */
+export class YamlReader {
+  /**
+   * @param {string} text - YAML document
+   */
+  constructor(text) {
+    this.lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, i) => {
+      const trimmed = raw.replace(/\s+$/, '');
+      const indent = trimmed.length - trimmed.replace(/^ +/, '').length;
+      const content = trimmed.slice(indent);
+      return {
+        number: i + 1,
+        raw: trimmed,
+        indent,
+        text: content,
+        blank: content === '' || content.startsWith('#'),
+        marker: indent === 0 && /^(---|\.\.\.)(\s|$)/.test(content)
+      };
+    });
+    this.index = 0;
+  }
+
+  /**
+   * Parses a YAML document
+   * @param {string} text - YAML document
+   * @returns {*} Document value (null for an empty document)
+   * @throws {YamlError} If the document is not valid or uses unsupported features
+   */
+  static parse(text) {
+    return new YamlReader(text)._parseDocument();
+  }
+
+  /**
+   * @private
+   */
+  _parseDocument() {
+    let line = this._peek();
+    if (line && line.text.startsWith('%')) {
+      throw this._error('Directives are not supported', line, 1);
+    }
+    if (line && line.marker && line.text.startsWith('---')) {
+      if (line.text.slice(3).trim() && !line.text.slice(3).trim().startsWith('#')) {
+        throw this._error('Content on the --- line is not supported', line, 5);
+      }
+      this.index++;
+    }
+
+    line = this._peek();
+    const value = line && !line.marker ? this._parseNodeAt(line.indent) : null;
+
+    line = this._peek();
+    if (line && line.marker && line.text.startsWith('...')) {
+      this.index++;
+      line = this._peek();
+    }
+    if (line) {
+      if (line.marker) {
+        throw this._error('Only one document per file is supported', line, 1);
+      }
+      throw this._error('Unexpected indentation', line, line.indent + 1);
+    }
+    return value;
+  }
+
+  /**
+   * Returns the next line with content, skipping blank and comment lines
+   * @private
+   */
+  _peek() {
+    while (this.index < this.lines.length && this.lines[this.index].blank) {
+      this.index++;
+    }
+    const line = this.lines[this.index] || null;
+    if (line && line.text.startsWith('\t')) {
+      throw this._error('Tabs cannot be used for indentation', line, line.indent + 1);
+    }
+    return line;
+  }
+
+  /**
+   * Parses the node starting on the current line, whose content starts at `indent`
+   * @private
+   */
+  _parseNodeAt(indent) {
+    const line = this._peek();
+    if (YamlReader._isSequenceItem(line.text)) {
+      return this._parseSequence(indent);
+    }
+    if (this._splitKey(line)) {
+      return this._parseMapping(indent);
+    }
+    this.index++;
+    return this._parseValue(line.text, line, indent + 1, indent - 1);
+  }
+
+  /**
+   * @private
+   */
+  _parseMapping(indent) {
+    const mapping = {};
+    let line;
+    while ((line = this._peek()) && line.indent === indent && !line.marker) {
+      const entry = this._splitKey(line);
+      if (!entry) {
+        throw this._error(YamlReader._isSequenceItem(line.text)
+          ? 'A list item cannot follow a "key: value" entry at the same indentation'
+          : 'Expected a "key: value" entry', line, indent + 1);
+      }
+      if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+        throw this._error(`Duplicate key "${entry.key}"`, line, indent + 1);
+      }
+
+      this.index++;
+      mapping[entry.key] = this._parseValue(entry.rest, line, entry.column, indent, true);
+    }
+
+    if (line && line.indent > indent && !line.marker) {
+      throw this._error('Unexpected indentation', line, line.indent + 1);
+    }
+    return mapping;
+  }
+
+  /**
+   * @private
+   */
+  _parseSequence(indent) {
+    const list = [];
+    let line;
+    while ((line = this._peek()) && line.indent === indent && !line.marker && YamlReader._isSequenceItem(line.text)) {
+      const rest = line.text.slice(1);
+      const content = rest.trimStart();
+      const column = indent + 2 + (rest.length - content.length);
+
+      if (content === '' || content.startsWith('#')) {
+        this.index++;
+        list.push(this._parseValue('', line, column, indent, false));
+      } else {
+        // "- key: value" and "- - item" start a node at the item's column
+        line.indent = column - 1;
+        line.text = content;
+        list.push(this._parseNodeAt(line.indent));
+      }
+    }
+
+    if (line && line.indent > indent && !line.marker) {
+      throw this._error('Unexpected indentation', line, line.indent + 1);
+    }
+    return list;
+  }
+
+  /**
+   * Parses the value after a key or list dash; the line holding it is already consumed
+   * @private
+   * @param {string} text - Text after the key or dash
+   * @param {Object} line - Line the text is on
+   * @param {number} column - Column of the text
+   * @param {number} indent - Indentation of the owning mapping or sequence
+   * @param {boolean} allowSequence - Whether a list at the same indentation is the value
+   *   ("key:" followed by "- item" lines)
+   */
+  _parseValue(text, line, column, indent, allowSequence = false) {
+    const value = text.trim();
+
+    if (value === '' || value.startsWith('#')) {
+      const next = this._peek();
+      if (next && !next.marker && (next.indent > indent
+        || (allowSequence && next.indent === indent && YamlReader._isSequenceItem(next.text)))) {
+        return this._parseNodeAt(next.indent);
+      }
+      return null;
+    }
+
+    if (value[0] === '|' || value[0] === '>') {
+      return this._parseBlockScalar(value, line, column, indent);
+    }
+    if ('&*!'.includes(value[0])) {
+      throw this._error('Anchors, aliases and tags are not supported', line, column);
+    }
+    if (value[0] === '?') {
+      throw this._error('Complex keys are not supported', line, column);
+    }
+    if (value[0] === '[' || value[0] === '{') {
+      return this._parseFlow(value, line, column);
+    }
+    if (value[0] === '"' || value[0] === "'") {
+      return this._parseQuoted(value, line, column);
+    }
+    return this._parsePlain(value, line, column, indent);
+  }
+
+  /**
+   * Reads a plain scalar, folding continuation lines indented past the owner
+   * @private
+   */
+  _parsePlain(text, line, column, indent) {
+    let value = YamlReader._stripComment(text);
+    const nested = /:(\s|$)/.exec(value);
+    if (nested) {
+      throw this._error('A value containing ": " must be quoted', line, column + nested.index);
+    }
+
+    let multiline = false;
+    let breaks = 0;
+    for (let i = this.index; i < this.lines.length; i++) {
+      const next = this.lines[i];
+      if (next.text === '') {
+        breaks++;
+        continue;
+      }
+      if (next.marker || next.indent <= indent || next.blank || YamlReader._isSequenceItem(next.text) || this._splitKey(next)) {
+        break;
+      }
+      value += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+      value += YamlReader._stripComment(next.text);
+      breaks = 0;
+      multiline = true;
+      this.index = i + 1;
+    }
+
+    return multiline ? value : YamlReader._resolveScalar(value);
+  }
+
+  /**
+   * Reads a single- or double-quoted scalar, which can continue over several lines
+   * @private
+   */
+  _parseQuoted(text, line, column) {
+    const quote = text[0];
+    let source = text;
+    let sourceLine = line;
+    let pos = 1;
+    let value = '';
+    // Whether the last line ended with an escaped line break, which joins lines without a space
+    let escapedBreak = false;
+
+    for (;;) {
+      if (pos >= source.length) {
+        // The string continues on the next line: a line break folds to a space, blank lines to newlines
+        const next = this.lines[this.index];
+        if (!next || next.marker) {
+          throw this._error('Unterminated quoted string', line, column);
+        }
+        this.index++;
+        if (!escapedBreak) {
+          value = value.replace(/[ \t]+$/, '');
+        }
+        if (next.raw.trim() === '') {
+          value += '\n';
+          source = '';
+        } else {
+          if (!escapedBreak && !value.endsWith('\n')) {
+            value += ' ';
+          }
+          source = next.raw.trim();
+        }
+        escapedBreak = false;
+        sourceLine = next;
+        pos = 0;
+        continue;
+      }
+
+      const ch = source[pos];
+      if (quote === "'" && ch === "'") {
+        if (source[pos + 1] === "'") {
+          value += "'";
+          pos += 2;
+          continue;
+        }
+        break;
+      }
+      if (quote === '"' && ch === '"') {
+        break;
+      }
+      if (quote === '"' && ch === '\\') {
+        const escape = source[pos + 1];
+        if (escape === undefined) {
+          escapedBreak = true;
+          pos++;
+          continue;
+        }
+        if (HEX_ESCAPE_LENGTHS[escape]) {
+          const hex = source.slice(pos + 2, pos + 2 + HEX_ESCAPE_LENGTHS[escape]);
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== HEX_ESCAPE_LENGTHS[escape]) {
+            throw this._error(`Invalid escape \\${escape}${hex}`, sourceLine, sourceLine === line ? column + pos : pos + 1);
+          }
+          value += String.fromCodePoint(parseInt(hex, 16));
+          pos += 2 + hex.length;
+          continue;
+        }
+        if (!(escape in ESCAPES)) {
+          throw this._error(`Invalid escape \\${escape}`, sourceLine, sourceLine === line ? column + pos : pos + 1);
+        }
+        value += ESCAPES[escape];
+        pos += 2;
+        continue;
+      }
+      value += ch;
+      pos++;
+    }
+
+    const rest = source.slice(pos + 1).trim();
+    if (rest && !rest.startsWith('#')) {
+      throw this._error('Unexpected text after the quoted string', sourceLine, (sourceLine === line ? column : 1) + pos + 1);
+    }
+    return value;
+  }
+
+  /**
+   * Reads a literal (|) or folded (>) block scalar
+   * @private
+   */
+  _parseBlockScalar(header, line, column, indent) {
+    const match = /^([|>])(?:([1-9])([+-])?|([+-])([1-9])?)?\s*(#.*)?$/.exec(header);
+    if (!match) {
+      throw this._error('Invalid block scalar header', line, column);
+    }
+    const style = match[1];
+    const chomping = match[3] || match[4] || '';
+    const explicitIndent = Number(match[2] || match[5] || 0);
+
+    let contentIndent = explicitIndent ? indent + explicitIndent : null;
+    const collected = [];
+    while (this.index < this.lines.length) {
+      const next = this.lines[this.index];
+      if (next.raw.trim() === '') {
+        collected.push('');
+        this.index++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (next.indent <= indent) {
+          break;
+        }
+        contentIndent = next.indent;
+      }
+      if (next.indent < contentIndent || next.marker) {
+        break;
+      }
+      collected.push(next.raw.slice(contentIndent));
+      this.index++;
+    }
+
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let body;
+    if (style === '|') {
+      body = collected.join('\n');
+    } else {
+      // Folding joins lines with spaces; blank lines and more-indented lines keep their breaks
+      body = '';
+      let previous = null;
+      let blanks = 0;
+      for (const text of collected) {
+        if (text === '') {
+          blanks++;
+          continue;
+        }
+        const moreIndented = /^\s/.test(text);
+        if (previous === null) {
+          body += '\n'.repeat(blanks);
+        } else if (blanks > 0) {
+          body += '\n'.repeat(blanks + (previous === 'more' || moreIndented ? 1 : 0));
+        } else {
+          body += previous === 'normal' && !moreIndented ? ' ' : '\n';
+        }
+        body += text;
+        previous = moreIndented ? 'more' : 'normal';
+        blanks = 0;
+      }
+    }
+
+    if (chomping === '-') {
+      return body;
+    }
+    if (chomping === '+') {
+      return body + (collected.length > 0 ? '\n' : '') + '\n'.repeat(trailing);
+    }
+    return collected.length > 0 ? `${body}\n` : '';
+  }
+
+  /**
+   * Reads a flow sequence or mapping, which can continue over several lines
+   * @private
+   */
+  _parseFlow(text, line, column) {
+    // Gather lines until the brackets balance
+    let source = text;
+    while (YamlReader._flowDepth(source) > 0) {
+      const next = this.lines[this.index];
+      if (!next || next.marker) {
+        throw this._error(`Unclosed ${text[0] === '[' ? '[' : '{'}`, line, column);
+      }
+      source += '\n' + next.raw;
+      this.index++;
+    }
+
+    let pos = 0;
+    const error = (message) => {
+      const before = source.slice(0, pos);
+      const lineOffset = before.split('\n').length - 1;
+      const errorLine = lineOffset === 0 ? line : this.lines[line.number - 1 + lineOffset];
+      const errorColumn = lineOffset === 0 ? column + pos : pos - before.lastIndexOf('\n');
+      return this._error(message, errorLine, errorColumn);
+    };
+    const skipSpace = () => {
+      while (pos < source.length) {
+        if (/\s/.test(source[pos])) {
+          pos++;
+        } else if (source[pos] === '#' && (pos === 0 || /\s/.test(source[pos - 1]))) {
+          while (pos < source.length && source[pos] !== '\n') {
+            pos++;
+          }
+        } else {
+          break;
+        }
+      }
+    };
+    const readScalar = (stops) => {
+      const ch = source[pos];
+      if (ch === '"' || ch === "'") {
+        let end = pos + 1;
+        while (end < source.length) {
+          if (source[end] === '\\' && ch === '"') {
+            end += 2;
+          } else if (source[end] === ch && ch === "'" && source[end + 1] === "'") {
+            end += 2;
+          } else if (source[end] === ch) {
+            break;
+          } else {
+            end++;
+          }
+        }
+        if (end >= source.length) {
+          throw error('Unterminated quoted string');
+        }
+        const quoted = source.slice(pos, end + 1).replace(/\s*\n\s*/g, ' ');
+        const start = pos;
+        pos = end + 1;
+        try {
+          return new YamlReader(quoted)._parseQuoted(quoted, { number: 1 }, 1);
+        } catch (quotedError) {
+          pos = start;
+          throw error(quotedError.message.replace(/^YAML error at line \d+, column \d+: /, ''));
+        }
+      }
+      if ('&*!'.includes(ch)) {
+        throw error('Anchors, aliases and tags are not supported');
+      }
+      const start = pos;
+      while (pos < source.length && !stops(pos)) {
+        pos++;
+      }
+      return YamlReader._resolveScalar(source.slice(start, pos).replace(/\s+/g, ' ').trim());
+    };
+    const readNode = (stops) => {
+      skipSpace();
+      if (source[pos] === '[') {
+        pos++;
+        const list = [];
+        for (;;) {
+          skipSpace();
+          if (source[pos] === ']') {
+            pos++;
+            return list;
+          }
+          list.push(readNode(at => ',]'.includes(source[at]) || (source[at] === '#' && /\s/.test(source[at - 1]))));
+          skipSpace();
+          if (source[pos] === ',') {
+            pos++;
+          } else if (source[pos] !== ']') {
+            throw error('Expected "," or "]"');
+          }
+        }
+      }
+      if (source[pos] === '{') {
+        pos++;
+        const mapping = {};
+        for (;;) {
+          skipSpace();
+          if (source[pos] === '}') {
+            pos++;
+            return mapping;
+          }
+          const key = readScalar(at => ',}'.includes(source[at]) || (source[at] === ':' && /[\s,}]/.test(source[at + 1] || ' ')));
+          skipSpace();
+          let value = null;
+          if (source[pos] === ':') {
+            pos++;
+            skipSpace();
+            if (!',}'.includes(source[pos])) {
+              value = readNode(at => ',}'.includes(source[at]) || (source[at] === '#' && /\s/.test(source[at - 1])));
+            }
+          }
+          mapping[String(key)] = value;
+          skipSpace();
+          if (source[pos] === ',') {
+            pos++;
+          } else if (source[pos] !== '}') {
+            throw error('Expected "," or "}"');
+          }
+        }
+      }
+      if (pos >= source.length || ']},'.includes(source[pos])) {
+        throw error('Expected a value');
+      }
+      return readScalar(stops);
+    };
+
+    const value = readNode(() => false);
+    skipSpace();
+    if (pos < source.length) {
+      throw error('Unexpected text after the closing bracket');
+    }
+    return value;
+  }
+
+  /**
+   * Splits a "key: value" line
+   * @private
+   * @returns {Object|null} {key, rest, column}, or null when the line is not a mapping entry
+   */
+  _splitKey(line) {
+    const text = line.text;
+    if (text.startsWith('? ') || text === '?') {
+      throw this._error('Complex keys are not supported', line, line.indent + 1);
+    }
+    if (YamlReader._isSequenceItem(text) || text[0] === '[' || text[0] === '{' || text[0] === '#') {
+      return null;
+    }
+
+    let key;
+    let end;
+    if (text[0] === '"' || text[0] === "'") {
+      const close = YamlReader._findClosingQuote(text);
+      if (close < 0) {
+        return null;
+      }
+      const colon = /^\s*:(\s|$)/.exec(text.slice(close + 1));
+      if (!colon) {
+        return null;
+      }
+      key = this._parseQuoted(text.slice(0, close + 1), line, line.indent + 1);
+      end = close + 1 + colon[0].length;
+    } else {
+      const colon = /:(\s|$)/.exec(text);
+      if (!colon || /\s#/.test(text.slice(0, colon.index))) {
+        return null;
+      }
+      key = text.slice(0, colon.index).trim();
+      if ('&*!|>%'.includes(key[0])) {
+        throw this._error('Anchors, aliases and tags are not supported', line, line.indent + 1);
+      }
+      end = colon.index + colon[0].length;
+    }
+
+    const rest = text.slice(end);
+    return { key, rest, column: line.indent + 1 + end + (rest.length - rest.trimStart().length) };
+  }
+
+  /**
+   * @private
+   */
+  _error(message, line, column) {
+    return new YamlError(message, line.number, column);
+  }
+
+  /**
+   * @private
+   */
+  static _isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * Removes a trailing comment (" # ...") from a plain scalar
+   * @private
+   */
+  static _stripComment(text) {
+    const comment = /(^|\s)#/.exec(text);
+    return (comment ? text.slice(0, comment.index) : text).trim();
+  }
+
+  /**
+   * @private
+   */
+  static _findClosingQuote(text) {
+    const quote = text[0];
+    for (let i = 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === "'" && text[i + 1] === "'") {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Counts unclosed brackets outside quoted strings
+   * @private
+   */
+  static _flowDepth(source) {
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+      if (quote) {
+        if (ch === '\\' && quote === '"') {
+          i++;
+        } else if (ch === quote) {
+          quote = null;
+        }
+      } else if ((ch === '"' || ch === "'") && (i === 0 || /[\s,[{:]/.test(source[i - 1]))) {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(source[i - 1]))) {
+        while (i < source.length && source[i] !== '\n') {
+          i++;
+        }
+      } else if (ch === '[' || ch === '{') {
+        depth++;
+      } else if (ch === ']' || ch === '}') {
+        depth--;
+      }
+    }
+    return depth;
+  }
+
+  /**
+   * Types a plain scalar with the YAML 1.2 core schema
+   * @private
+   */
+  static _resolveScalar(text) {
+    if (text === '' || /^(null|Null|NULL|~)$/.test(text)) {
+      return null;
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+      return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+      return false;
+    }
+    if (/^[-+]?[0-9]+$/.test(text)) {
+      return Number(text);
+    }
+    if (/^0o[0-7]+$/.test(text)) {
+      return parseInt(text.slice(2), 8);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(text)) {
+      return parseInt(text.slice(2), 16);
+    }
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) {
+      return Number(text);
+    }
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) {
+      return text.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (/^\.(nan|NaN|NAN)$/.test(text)) {
+      return NaN;
+    }
+    return text;
+  }
+}
@@ -1,6 +1,9 @@
-import { CatalogService } from '../catalog-core/browser/catalog-service.js';
+import { CatalogService } from '../catalog-core/catalog-service.js';
+import { FederatedCatalogService } from '../catalog-core/federated-catalog-service.js';
 import { DatasetDisplay } from './dataset-display.js';
 import { SearchFilter } from './search-filter.js';
+import { CatalogAudit } from '../catalog-core/catalog-audit.js';
+import { AccessDeniedError, NoSuchBucketError, ThrottledError, NetworkError } from '../catalog-core/s3-errors.js';
 
 export class CatalogBrowser {
   constructor(options) {
@@ -9,8 +12,10 @@ export class CatalogBrowser {
       throw new Error(`Root element with selector '${options.selector}' not found.`);
     }
 
-    this.catalogService = options.catalogService || new CatalogService(options.bucketName, options);
-    this.datasetDisplay = new DatasetDisplay();
+    this.catalogService = options.catalogService || this._createCatalogService(options);
+    this.datasetDisplay = new DatasetDisplay({
+      loadVersionHistory: dataset => this.catalogService.getDatasetHistory(dataset)
+    });
 
     // Enhanced SearchFilter with options change callback
     this.searchFilter = new SearchFilter(
@@ -25,22 +30,133 @@ export class CatalogBrowser {
     this.catalogMetadata = null;
     this.isLoaded = false;
 
+    // Source ID the view is limited to in federated catalogs, null for all sources
+    this.currentSource = null;
+
+    // Key prefix selected in the tree navigation (e.g. 'tijuana/sd_complaints/'), null for all datasets
+    this.currentPrefix = null;
+    // Prefixes the user expanded in the tree navigation, kept across re-renders
+    this.expandedPrefixes = new Set();
+
+    // Offline cache state: 'revalidating' while a cached catalog is checked against S3,
+    // 'offline' when that check failed, null once the catalog is current
+    this.cacheStatus = null;
+
+    // AbortController for the load in progress, null when idle
+    this.loadController = null;
+
+    // Opt-in maintainer panel reporting orphan data files and dangling contentUrls; the last
+    // report and whether the panel is open are kept across re-renders
+    this.showMaintainerPanel = Boolean(options.showMaintainerPanel);
+    this.maintainerPanelOpen = false;
+    this.maintainerPanelBody = null;
+    this.auditReport = null;
+    this.auditPending = false;
+
     // UI elements
     this.statusContainer = null;
+    this.treeContainer = null;
     this.contentContainer = null;
+    this.loadingElements = null;
+  }
+
+  /**
+   * Creates a single-bucket catalog, or a federated one when options.sources lists several buckets
+   * @private
+   * @param {Object} options - Browser options
+   * @returns {CatalogService} Catalog service
+   */
+  _createCatalogService(options) {
+    if (Array.isArray(options.sources) && options.sources.length > 0) {
+      return new FederatedCatalogService(options.sources, options);
+    }
+    return new CatalogService(options.bucketName, options);
   }
 
+  /**
+   * Loads the catalog, showing a progress bar with a Cancel button until it is ready
+   * Calling load() again cancels a load that is still running.
+   */
   async load() {
+    this.cancelLoad();
+    const controller = new AbortController();
+    this.loadController = controller;
+
     this.renderLoading();
     try {
-      const catalogResponse = await this.catalogService.loadCatalog();
+      // Render instantly from the offline cache, then revalidate against S3 in the background
+      const cachedResponse = await this.catalogService.loadCachedCatalog();
+      if (cachedResponse) {
+        this.allSections = cachedResponse.sections;
+        this.catalogMetadata = cachedResponse.metadata;
+        this.currentSections = this.allSections;
+        this.isLoaded = true;
+        this.cacheStatus = 'revalidating';
+        this.render();
+        this._revalidate();
+        return;
+      }
+
+      const catalogResponse = await this.catalogService.loadCatalog({
+        signal: controller.signal,
+        onProgress: progress => this._updateLoadingProgress(progress)
+      });
       this.allSections = catalogResponse.sections;
       this.catalogMetadata = catalogResponse.metadata;
       this.currentSections = this.allSections;
       this.isLoaded = true;
       this.render();
     } catch (error) {
+      if (controller.signal.aborted) {
+        // A newer load() owns the page; only render for a user cancel
+        if (this.loadController === controller) {
+          this.renderCancelled();
+        }
+        return;
+      }
       this.renderError(error);
+    } finally {
+      if (this.loadController === controller) {
+        this.loadController = null;
+        this.loadingElements = null;
+      }
+    }
+  }
+
+  /**
+   * Cancels the catalog load in progress, if any
+   * @returns {boolean} True if a load was cancelled
+   */
+  cancelLoad() {
+    if (!this.loadController) {
+      return false;
+    }
+    this.loadController.abort();
+    return true;
+  }
+
+  /**
+   * Revalidates a catalog rendered from the offline cache against the S3 listing
+   * Only re-renders when the listing changed; otherwise just clears the cache indicator.
+   * @private
+   */
+  async _revalidate() {
+    try {
+      const catalogResponse = await this.catalogService.refreshCatalog();
+      const { added, changed, removed } = catalogResponse.metadata.refreshSummary || {};
+      this.cacheStatus = null;
+      this.catalogMetadata = catalogResponse.metadata;
+
+      if (added || changed || removed) {
+        this.allSections = catalogResponse.sections;
+        this.handleSearch(this.currentQuery, this.searchFilter.getOptions());
+      } else {
+        this._renderStatusInfo();
+      }
+    } catch (error) {
+      console.warn('Background catalog revalidation failed:', error);
+      this.cacheStatus = 'offline';
+      this._renderStatusInfo();
     }
   }
 
@@ -116,12 +232,136 @@ export class CatalogBrowser {
     }
   }
 
+  /**
+   * Renders the loading state: status text, a progress bar and a Cancel button
+   * The bar is indeterminate while listing and fills as metadata files are fetched.
+   */
   renderLoading() {
-    this.rootElement.innerHTML = '<p class="loading">🔄 Loading catalog...</p>';
+    this.rootElement.innerHTML = '';
+
+    const container = document.createElement('div');
+    container.className = 'loading';
+
+    const status = document.createElement('p');
+    status.className = 'loading-status';
+    status.textContent = '🔄 Loading catalog...';
+
+    const bar = document.createElement('progress');
+    bar.className = 'loading-progress';
+
+    const detail = document.createElement('p');
+    detail.className = 'loading-detail';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'loading-cancel';
+    cancelButton.type = 'button';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', () => this.cancelLoad());
+
+    container.appendChild(status);
+    container.appendChild(bar);
+    container.appendChild(detail);
+    container.appendChild(cancelButton);
+    this.rootElement.appendChild(container);
+
+    this.loadingElements = { status, bar, detail };
+  }
+
+  /**
+   * Updates the loading state from a catalog progress event
+   * @private
+   * @param {Object} progress - Progress event ({phase, pages, objects} or {phase, completed, failed, total})
+   */
+  _updateLoadingProgress(progress) {
+    if (!this.loadingElements) {
+      return;
+    }
+
+    const { status, bar, detail } = this.loadingElements;
+    const sourceLabel = this._getSourceLabel(progress.source);
+    const prefix = sourceLabel ? `${sourceLabel}: ` : '';
+
+    if (progress.phase === 'listing') {
+      bar.removeAttribute('value');
+      status.textContent = `📁 ${prefix}Listing objects...`;
+      detail.textContent = progress.pages > 0
+        ? `${progress.objects} objects found in ${progress.pages} page${progress.pages === 1 ? '' : 's'}`
+        : '';
+    } else if (progress.phase === 'metadata') {
+      bar.max = Math.max(progress.total, 1);
+      bar.value = progress.completed;
+      status.textContent = `📄 ${prefix}Fetching metadata ${progress.completed} of ${progress.total}...`;
+      detail.textContent = progress.failed > 0
+        ? `⚠️ ${progress.failed} metadata file${progress.failed === 1 ? '' : 's'} failed to load`
+        : '';
+    }
+  }
+
+  /**
+   * Looks up the label of a federated catalog source
+   * @private
+   * @param {string} sourceId - Source ID from a progress event
+   * @returns {string|null} Source label, or null outside federated catalogs
+   */
+  _getSourceLabel(sourceId) {
+    if (!sourceId || typeof this.catalogService.getSources !== 'function') {
+      return null;
+    }
+    const source = this.catalogService.getSources().find(s => s.id === sourceId);
+    return source ? source.label : sourceId;
+  }
+
+  /**
+   * Renders the cancelled state with a button to start the load again
+   */
+  renderCancelled() {
+    this.rootElement.innerHTML = '';
+
+    const container = document.createElement('div');
+    container.className = 'loading cancelled';
+
+    const message = document.createElement('p');
+    message.textContent = '🛑 Catalog load cancelled.';
+
+    const retryButton = document.createElement('button');
+    retryButton.className = 'loading-retry';
+    retryButton.type = 'button';
+    retryButton.textContent = 'Load again';
+    retryButton.addEventListener('click', () => this.load());
+
+    container.appendChild(message);
+    container.appendChild(retryButton);
+    this.rootElement.appendChild(container);
   }
 
   renderError(error) {
-    this.rootElement.innerHTML = `<p class="error">❌ Failed to load catalog: ${error.message}</p>`;
+    const hint = this._getErrorHint(error);
+    this.rootElement.innerHTML = `
+      <p class="error">❌ Failed to load catalog: ${error.message}</p>
+      ${hint ? `<p class="error-hint">💡 ${hint}</p>` : ''}
+    `;
+  }
+
+  /**
+   * Suggests what the user can do about a failed S3 request
+   * @private
+   * @param {Error} error - Error to describe
+   * @returns {string|null} Actionable hint, or null for unclassified errors
+   */
+  _getErrorHint(error) {
+    if (error instanceof AccessDeniedError) {
+      return 'This bucket is private or the credentials were rejected. Set short-lived credentials with catalogDemo.setCredentials({...}) in the browser console.';
+    }
+    if (error instanceof NoSuchBucketError) {
+      return 'The bucket was not found. Check the bucket name and endpoint in S3_CONFIG.';
+    }
+    if (error instanceof ThrottledError) {
+      return 'S3 is rate limiting requests. Wait a minute, then refresh.';
+    }
+    if (error instanceof NetworkError) {
+      return 'The S3 endpoint could not be reached. Check your connection and that the bucket\'s CORS configuration allows this site.';
+    }
+    return null;
   }
 
   /**
@@ -137,22 +377,385 @@ export class CatalogBrowser {
     this.statusContainer = document.createElement('div');
     this.statusContainer.className = 'catalog-status';
 
+    const bodyContainer = document.createElement('div');
+    bodyContainer.className = 'catalog-body';
+
+    this.treeContainer = document.createElement('nav');
+    this.treeContainer.className = 'prefix-tree';
+    this.treeContainer.setAttribute('aria-label', 'Dataset folders');
+
     this.contentContainer = document.createElement('div');
     this.contentContainer.className = 'catalog-content';
 
     // Add search filter to header
     headerContainer.appendChild(this.searchFilter.render());
 
+    // Federated catalogs can be narrowed to one source
+    const sourceFilter = this._renderSourceFilter();
+    if (sourceFilter) {
+      headerContainer.appendChild(sourceFilter);
+    }
+
     // Add status information
     this._renderStatusInfo();
 
-    // Add sections content
+    // Add the prefix tree navigation and sections content
+    this._renderPrefixTree();
     this._renderSections();
 
     // Assemble the complete interface
+    bodyContainer.appendChild(this.treeContainer);
+    bodyContainer.appendChild(this.contentContainer);
     this.rootElement.appendChild(headerContainer);
     this.rootElement.appendChild(this.statusContainer);
-    this.rootElement.appendChild(this.contentContainer);
+    if (this.showMaintainerPanel) {
+      this.rootElement.appendChild(this._renderMaintainerPanel());
+    }
+    this.rootElement.appendChild(bodyContainer);
+  }
+
+  /**
+   * Renders the collapsed maintainer panel; the audit runs the first time it is opened
+   * @private
+   * @returns {HTMLElement} Panel element
+   */
+  _renderMaintainerPanel() {
+    const panel = document.createElement('details');
+    panel.className = 'maintainer-panel';
+    panel.open = this.maintainerPanelOpen;
+
+    const summary = document.createElement('summary');
+    summary.textContent = '🧰 Maintainer: orphan files and dangling links';
+    panel.appendChild(summary);
+
+    this.maintainerPanelBody = document.createElement('div');
+    this.maintainerPanelBody.className = 'maintainer-panel-body';
+    panel.appendChild(this.maintainerPanelBody);
+
+    if (this.auditReport) {
+      this._renderAuditReport();
+    } else if (this.auditPending) {
+      this.maintainerPanelBody.textContent = 'Auditing the bucket listing…';
+    }
+
+    panel.addEventListener('toggle', () => {
+      this.maintainerPanelOpen = panel.open;
+      if (panel.open && !this.auditReport) {
+        this._runAudit();
+      }
+    });
+
+    return panel;
+  }
+
+  /**
+   * Audits the loaded catalog and shows the report in the maintainer panel
+   * @private
+   */
+  async _runAudit() {
+    if (this.auditPending) {
+      return;
+    }
+    this.auditPending = true;
+    this.auditReport = null;
+    this.maintainerPanelBody.textContent = 'Auditing the bucket listing…';
+
+    try {
+      this.auditReport = await this.catalogService.auditCatalog();
+      this._renderAuditReport();
+    } catch (error) {
+      // Let the next open try again
+      this.maintainerPanelBody.textContent = `❌ Could not audit the catalog: ${error.message}`;
+    } finally {
+      this.auditPending = false;
+    }
+  }
+
+  /**
+   * Fills the maintainer panel with the last audit report: totals, orphan files grouped by
+   * directory with their sizes, dangling links, and a button to refresh and audit again
+   * @private
+   */
+  _renderAuditReport() {
+    const report = this.auditReport;
+    const { summary } = report;
+    const body = this.maintainerPanelBody;
+    const sourceSuffix = entry => {
+      const label = this._getSourceLabel(entry.source);
+      return label ? ` [${label}]` : '';
+    };
+    body.replaceChildren();
+
+    const totals = document.createElement('p');
+    totals.className = 'audit-summary';
+    totals.textContent = `${summary.orphanFiles} orphan file${summary.orphanFiles === 1 ? '' : 's'} (${CatalogAudit.formatBytes(summary.orphanBytes)}), ` +
+      `${summary.danglingLinks} dangling link${summary.danglingLinks === 1 ? '' : 's'}, ` +
+      `${summary.linkedFiles} linked file${summary.linkedFiles === 1 ? '' : 's'} (${CatalogAudit.formatBytes(summary.linkedBytes)}) ` +
+      `in ${summary.objects} objects · audited ${new Date(report.generatedAt).toLocaleString()}`;
+    body.appendChild(totals);
+
+    const orphansHeading = document.createElement('h4');
+    orphansHeading.textContent = '📦 Orphan files, not linked from any contentUrl';
+    body.appendChild(orphansHeading);
+
+    if (report.orphanDirectories.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'None.';
+      body.appendChild(none);
+    }
+    const orphansByDirectory = new Map();
+    for (const orphan of report.orphans) {
+      const id = `${orphan.source ?? ''}\n${orphan.key.slice(0, orphan.key.lastIndexOf('/') + 1)}`;
+      if (!orphansByDirectory.has(id)) {
+        orphansByDirectory.set(id, []);
+      }
+      orphansByDirectory.get(id).push(orphan);
+    }
+    for (const directory of report.orphanDirectories) {
+      const group = document.createElement('details');
+      group.className = 'audit-directory';
+      const groupSummary = document.createElement('summary');
+      groupSummary.textContent = `📂 ${directory.directory || '/'}${sourceSuffix(directory)}: ` +
+        `${directory.files} file${directory.files === 1 ? '' : 's'}, ${CatalogAudit.formatBytes(directory.bytes)}`;
+      group.appendChild(groupSummary);
+
+      const list = document.createElement('ul');
+      for (const orphan of orphansByDirectory.get(`${directory.source ?? ''}\n${directory.directory}`)) {
+        const item = document.createElement('li');
+        item.textContent = `${orphan.key} (${CatalogAudit.formatBytes(orphan.size)})`;
+        list.appendChild(item);
+      }
+      group.appendChild(list);
+      body.appendChild(group);
+    }
+
+    const danglingHeading = document.createElement('h4');
+    danglingHeading.textContent = '🔗 Dangling links, contentUrls whose key does not exist';
+    body.appendChild(danglingHeading);
+
+    if (report.dangling.length === 0) {
+      const none = document.createElement('p');
+      none.textContent = 'None.';
+      body.appendChild(none);
+    } else {
+      const list = document.createElement('ul');
+      list.className = 'audit-dangling';
+      for (const link of report.dangling) {
+        const item = document.createElement('li');
+        item.textContent = `❌ ${link.key}${sourceSuffix(link)}, from ${link.title || link.datasetId} (${link.metadataKey})`;
+        item.title = link.contentUrl;
+        list.appendChild(item);
+      }
+      body.appendChild(list);
+    }
+
+    const rerunButton = document.createElement('button');
+    rerunButton.type = 'button';
+    rerunButton.className = 'audit-rerun';
+    rerunButton.textContent = '🔁 Refresh and audit again';
+    rerunButton.addEventListener('click', async () => {
+      rerunButton.disabled = true;
+      await this.refresh();
+      this._runAudit();
+    });
+    body.appendChild(rerunButton);
+  }
+
+  /**
+   * Renders the source selector for federated catalogs with more than one source
+   * @private
+   * @returns {HTMLElement|null} Selector element, or null when there is nothing to choose from
+   */
+  _renderSourceFilter() {
+    const sources = this.catalogMetadata?.sources;
+    if (!sources || sources.length < 2) {
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'select-container source-filter';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'source-filter';
+    label.className = 'select-label';
+    label.textContent = '🌐 Source:';
+
+    const select = document.createElement('select');
+    select.id = 'source-filter';
+    select.className = 'select-input';
+
+    const choices = [{ id: '', label: 'All sources' }, ...sources];
+    choices.forEach(source => {
+      const option = document.createElement('option');
+      option.value = source.id;
+      option.textContent = source.error ? `${source.label} (unavailable)` : source.label;
+      option.disabled = Boolean(source.error);
+      option.selected = source.id === (this.currentSource || '');
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', (e) => this.setSourceFilter(e.target.value || null));
+
+    container.appendChild(label);
+    container.appendChild(select);
+    return container;
+  }
+
+  /**
+   * Limits the view to datasets from one source of a federated catalog
+   * @param {string|null} sourceId - Source ID, or null for all sources
+   */
+  setSourceFilter(sourceId) {
+    this.currentSource = sourceId;
+    if (this.isLoaded) {
+      this._renderStatusInfo();
+      this._renderPrefixTree();
+      this._renderSections();
+    }
+  }
+
+  /**
+   * Limits the view to datasets under a key prefix selected in the tree navigation
+   * @param {string|null} prefix - Key prefix (e.g. 'tijuana/sd_complaints/'), or null for all datasets
+   */
+  setPrefixFilter(prefix) {
+    this.currentPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : null;
+    if (this.isLoaded) {
+      this._renderStatusInfo();
+      this._renderPrefixTree();
+      this._renderSections();
+    }
+  }
+
+  /**
+   * Gets the current sections narrowed to the selected source and prefix
+   * @private
+   * @param {Object} options - Filter options
+   * @param {boolean} options.ignorePrefix - Keep datasets outside the selected prefix (for the tree itself)
+   * @returns {Object} Sections with at least one matching dataset
+   */
+  _getVisibleSections(options = {}) {
+    const prefix = options.ignorePrefix ? null : this.currentPrefix;
+    if (!this.currentSource && !prefix) {
+      return this.currentSections;
+    }
+
+    const visibleSections = {};
+    for (const [sectionName, datasets] of Object.entries(this.currentSections)) {
+      const matchingDatasets = datasets.filter(dataset =>
+        (!this.currentSource || dataset.source?.id === this.currentSource) &&
+        // Inferred datasets have no metadata file; their metadataUrl is their directory
+        (!prefix || (dataset.metadataKey || dataset.metadataUrl || '').startsWith(prefix))
+      );
+      if (matchingDatasets.length > 0) {
+        visibleSections[sectionName] = matchingDatasets;
+      }
+    }
+    return visibleSections;
+  }
+
+  /**
+   * Renders the collapsible key prefix tree with dataset counts
+   * Selecting a prefix narrows the sections to datasets under it.
+   * @private
+   */
+  _renderPrefixTree() {
+    this.treeContainer.innerHTML = '';
+
+    const prefixTree = this.catalogService.getPrefixTree(this._getVisibleSections({ ignorePrefix: true }));
+    const topLevel = prefixTree.getChildren();
+    if (topLevel.length === 0) {
+      this.treeContainer.hidden = true;
+      return;
+    }
+    this.treeContainer.hidden = false;
+
+    const heading = document.createElement('h3');
+    heading.className = 'prefix-tree-heading';
+    heading.textContent = '🗂️ Folders';
+    this.treeContainer.appendChild(heading);
+
+    this.treeContainer.appendChild(this._createPrefixButton('📚 All datasets', null, prefixTree.root.totalCount));
+
+    const list = document.createElement('ul');
+    topLevel.forEach(node => list.appendChild(this._renderPrefixNode(prefixTree, node)));
+    this.treeContainer.appendChild(list);
+  }
+
+  /**
+   * Renders one prefix and, when it has sub-prefixes, a collapsible list of them
+   * @private
+   * @param {PrefixTree} prefixTree - Tree being rendered
+   * @param {Object} node - Prefix tree node
+   * @returns {HTMLElement} List item
+   */
+  _renderPrefixNode(prefixTree, node) {
+    const item = document.createElement('li');
+    const button = this._createPrefixButton(node.name, node.path, node.totalCount);
+
+    const children = prefixTree.getChildren(node);
+    if (children.length === 0) {
+      item.appendChild(button);
+      return item;
+    }
+
+    const details = document.createElement('details');
+    // Keep the selected prefix visible by expanding its ancestors
+    details.open = this.expandedPrefixes.has(node.path) ||
+      Boolean(this.currentPrefix && this.currentPrefix.startsWith(node.path) && this.currentPrefix !== node.path);
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        this.expandedPrefixes.add(node.path);
+      } else {
+        this.expandedPrefixes.delete(node.path);
+      }
+    });
+
+    const summary = document.createElement('summary');
+    summary.appendChild(button);
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    children.forEach(child => list.appendChild(this._renderPrefixNode(prefixTree, child)));
+    details.appendChild(list);
+
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * Creates the button that selects a prefix
+   * @private
+   * @param {string} label - Prefix name
+   * @param {string|null} path - Prefix path, or null for all datasets
+   * @param {number} count - Datasets under the prefix
+   * @returns {HTMLElement} Button
+   */
+  _createPrefixButton(label, path, count) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'prefix-node';
+    if (path === this.currentPrefix) {
+      button.classList.add('active');
+      button.setAttribute('aria-current', 'true');
+    }
+
+    const name = document.createElement('span');
+    name.className = 'prefix-name';
+    name.textContent = label;
+
+    const countElement = document.createElement('span');
+    countElement.className = 'prefix-count';
+    countElement.textContent = count;
+
+    button.appendChild(name);
+    button.appendChild(countElement);
+    button.addEventListener('click', (e) => {
+      // Selecting a prefix shouldn't also collapse or expand it
+      e.preventDefault();
+      this.setPrefixFilter(path);
+    });
+    return button;
   }
 
   /**
@@ -166,7 +769,7 @@ export class CatalogBrowser {
     }
 
     const options = this.searchFilter.getOptions();
-    const totalDatasets = Object.values(this.currentSections).reduce((sum, datasets) => sum + datasets.length, 0);
+    const totalDatasets = Object.values(this._getVisibleSections()).reduce((sum, datasets) => sum + datasets.length, 0);
 
     let statusHtml = `
       <div class="catalog-stats">
@@ -177,6 +780,10 @@ export class CatalogBrowser {
       statusHtml += `<span class="stat deduplication-active">🔄 ${this.catalogMetadata.duplicatesRemoved} duplicates removed</span>`;
     }
 
+    if (this.catalogMetadata.inferredDatasets > 0) {
+      statusHtml += `<span class="stat inferred-active" title="Data files that no metadata file describes, one dataset per directory">🔍 ${this.catalogMetadata.inferredDatasets} inferred</span>`;
+    }
+
     if (options.showDates && this.catalogMetadata.validDatasets > 0) {
       statusHtml += `<span class="stat">📅 Timestamps: ${options.dateFormat}</span>`;
     }
@@ -185,6 +792,28 @@ export class CatalogBrowser {
       statusHtml += `<span class="stat search-active">🔍 "${this.currentQuery}"</span>`;
     }
 
+    if (this.currentPrefix) {
+      statusHtml += `<span class="stat prefix-active">📂 ${this.currentPrefix.replace(/</g, '&lt;')}</span>`;
+    }
+
+    const unavailableSources = (this.catalogMetadata.sources || []).filter(source => source.error);
+    if (unavailableSources.length > 0) {
+      const details = unavailableSources.map(source => `${source.label}: ${source.error}`).join('\n');
+      statusHtml += `<span class="stat source-unavailable" title="${details.replace(/"/g, '&quot;')}">⚠️ ${unavailableSources.length} source${unavailableSources.length > 1 ? 's' : ''} unavailable</span>`;
+    }
+
+    if (this.cacheStatus === 'revalidating') {
+      statusHtml += '<span class="stat cache-status">📦 Cached copy, checking for updates...</span>';
+    } else if (this.cacheStatus === 'offline') {
+      statusHtml += '<span class="stat cache-status offline">📴 Offline, showing cached catalog</span>';
+    }
+
+    const refreshSummary = this.catalogMetadata.refreshSummary;
+    if (refreshSummary && (refreshSummary.added || refreshSummary.changed || refreshSummary.removed)) {
+      const { added, changed, removed } = refreshSummary;
+      statusHtml += `<span class="stat catalog-updated">✨ Catalog updated: ${added} added, ${changed} changed, ${removed} removed</span>`;
+    }
+
     if (this.catalogMetadata.processingTimeMs) {
       statusHtml += `<span class="stat">⚡ ${Math.round(this.catalogMetadata.processingTimeMs)}ms</span>`;
     }
@@ -200,30 +829,31 @@ export class CatalogBrowser {
    */
   _renderSections() {
     const options = this.searchFilter.getOptions();
+    const visibleSections = this._getVisibleSections();
 
-    if (Object.keys(this.currentSections).length === 0) {
+    if (Object.keys(visibleSections).length === 0) {
       this.contentContainer.innerHTML = '<p class="no-results">📭 No datasets found.</p>';
       return;
     }
 
     this.contentContainer.innerHTML = '';
 
-    for (const [sectionName, datasets] of Object.entries(this.currentSections)) {
+    for (const [sectionName, datasets] of Object.entries(visibleSections)) {
       const sectionElement = document.createElement('details');
       sectionElement.className = 'dataset-section';
       sectionElement.open = true;
 
-      const summary = document.createElement('summary');
-      summary.className = 'section-summary';
-      summary.innerHTML = `
-        <span class="section-name">${sectionName}</span>
-        <span class="section-count">(${datasets.length})</span>
-      `;
-      sectionElement.appendChild(summary);
+      const descriptor = this.catalogService.getSectionDescriptor(sectionName);
+      sectionElement.appendChild(this._renderSectionSummary(sectionName, descriptor, datasets.length));
 
       const sectionContent = document.createElement('div');
       sectionContent.className = 'section-content';
 
+      const sectionHeader = this._renderSectionHeader(descriptor);
+      if (sectionHeader) {
+        sectionContent.appendChild(sectionHeader);
+      }
+
       datasets.forEach(dataset => {
         const datasetElement = this.datasetDisplay.renderWithOptions(dataset, {
           showTimestamps: options.showDates,
@@ -237,6 +867,99 @@ export class CatalogBrowser {
     }
   }
 
+  /**
+   * Renders a section's summary line: icon, title (or the raw prefix name) and dataset count
+   * @private
+   * @param {string} sectionName - Section name (top-level prefix)
+   * @param {SectionDescriptor|null} descriptor - Descriptor from the section's _section.json
+   * @param {number} count - Datasets shown in the section
+   * @returns {HTMLElement} Summary element
+   */
+  _renderSectionSummary(sectionName, descriptor, count) {
+    const summary = document.createElement('summary');
+    summary.className = 'section-summary';
+
+    const name = document.createElement('span');
+    name.className = 'section-name';
+
+    if (descriptor?.icon) {
+      if (descriptor.hasImageIcon()) {
+        const icon = document.createElement('img');
+        icon.className = 'section-icon';
+        icon.src = descriptor.icon;
+        icon.alt = '';
+        name.appendChild(icon);
+      } else {
+        const icon = document.createElement('span');
+        icon.className = 'section-icon';
+        icon.textContent = descriptor.icon;
+        name.appendChild(icon);
+      }
+    }
+    name.appendChild(document.createTextNode(descriptor ? descriptor.title : sectionName));
+
+    if (descriptor && descriptor.title !== sectionName) {
+      const prefix = document.createElement('span');
+      prefix.className = 'section-prefix';
+      prefix.textContent = `${sectionName}/`;
+      name.appendChild(prefix);
+    }
+
+    const countElement = document.createElement('span');
+    countElement.className = 'section-count';
+    countElement.textContent = `(${count})`;
+
+    summary.appendChild(name);
+    summary.appendChild(countElement);
+    return summary;
+  }
+
+  /**
+   * Renders the landing header of a section with a descriptor: description and contact
+   * @private
+   * @param {SectionDescriptor|null} descriptor - Descriptor from the section's _section.json
+   * @returns {HTMLElement|null} Header element, or null when there is nothing to show
+   */
+  _renderSectionHeader(descriptor) {
+    const contactText = descriptor?.getContactText();
+    if (!descriptor || (!descriptor.description && !contactText)) {
+      return null;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'section-header';
+
+    if (descriptor.description) {
+      const description = document.createElement('p');
+      description.className = 'section-description';
+      description.textContent = descriptor.description;
+      header.appendChild(description);
+    }
+
+    if (contactText) {
+      const contact = document.createElement('p');
+      contact.className = 'section-contact';
+      contact.appendChild(document.createTextNode('📇 Contact: '));
+
+      const { email, url } = descriptor.contact;
+      if (email || url) {
+        const link = document.createElement('a');
+        link.href = email ? `mailto:${email}` : url;
+        link.textContent = contactText;
+        if (!email) {
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+        }
+        contact.appendChild(link);
+      } else {
+        contact.appendChild(document.createTextNode(contactText));
+      }
+      header.appendChild(contact);
+    }
+
+    return header;
+  }
+
   /**
    * Shows a temporary error message
    * @private
@@ -268,6 +991,8 @@ export class CatalogBrowser {
       totalDatasets: Object.values(this.allSections).reduce((sum, datasets) => sum + datasets.length, 0),
       currentDatasets: Object.values(this.currentSections).reduce((sum, datasets) => sum + datasets.length, 0),
       searchQuery: this.currentQuery,
+      currentSource: this.currentSource,
+      currentPrefix: this.currentPrefix,
       options: this.searchFilter.getOptions(),
       metadata: this.catalogMetadata
     };
@@ -275,12 +1000,24 @@ export class CatalogBrowser {
 
   /**
    * Refreshes the catalog data
+   * Once loaded, only added or changed metadata files are re-fetched and the
+   * current search is re-applied without clearing the page.
    */
   async refresh() {
     if (!this.isLoaded) {
       await this.load();
-    } else {
-      await this.load();
+      return;
+    }
+
+    try {
+      const catalogResponse = await this.catalogService.refreshCatalog();
+      this.allSections = catalogResponse.sections;
+      this.catalogMetadata = catalogResponse.metadata;
+      this.handleSearch(this.currentQuery, this.searchFilter.getOptions());
+    } catch (error) {
+      console.error('Refresh failed:', error);
+      const hint = this._getErrorHint(error);
+      this._showErrorMessage(`Failed to refresh catalog: ${error.message}${hint ? ` ${hint}` : ''}`);
     }
   }
 
@@ -1,4 +1,31 @@
+import { VersionHistory } from '../catalog-core/version-history.js';
+import { defaultParserRegistry } from '../catalog-core/parser-registry.js';
+
+/**
+ * Escapes text for HTML content and quoted attribute values
+ * Metadata files are written by bucket users, so their values must never be inserted as markup.
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 export class DatasetDisplay {
+  /**
+   * @param {Object} options - Display options
+   * @param {Function} options.loadVersionHistory - (dataset) => Promise<Array<DatasetVersion>>;
+   *   cards only get a Versions panel when this is provided
+   */
+  constructor(options = {}) {
+    this.loadVersionHistory = options.loadVersionHistory || null;
+  }
+
   render(dataset) {
     const container = document.createElement('div');
     container.className = 'dataset-container';
@@ -6,9 +33,9 @@ export class DatasetDisplay {
     if (!dataset.isValid) {
       container.classList.add('invalid');
       container.innerHTML = `
-        <h3>${dataset.title}</h3>
-        <p><strong>Error:</strong> ${dataset.description}</p>
-        <small>Path: ${dataset.metadataUrl}</small>
+        <h3>${escapeHtml(dataset.title)}</h3>
+        <p><strong>Error:</strong> ${escapeHtml(dataset.description)}</p>
+        <small>Path: ${escapeHtml(dataset.metadataUrl)}</small>
       `;
       return container;
     }
@@ -19,6 +46,9 @@ export class DatasetDisplay {
     // Generate deduplication status if applicable
     const deduplicationHtml = this._generateDeduplicationInfo(dataset);
 
+    // Generate keywords, license, coverage and other schema.org properties
+    const propertiesHtml = this._generateSchemaOrgInfo(dataset);
+
     const distributionsHtml = dataset.distribution.map(dist => {
       // Resolve relative URLs to full S3 URLs if needed
       let downloadUrl = dist.contentUrl;
@@ -28,32 +58,169 @@ export class DatasetDisplay {
           endpoint: 'https://oss.resilientservice.mooo.com',
           bucketName: 'resilentpublic'
         };
-        downloadUrl = `${s3Config.endpoint}/${s3Config.bucketName}/${downloadUrl}`;
+        // Datasets from a federated catalog resolve against their own bucket
+        const endpoint = dataset.source?.endpoint || s3Config.endpoint;
+        const bucketName = dataset.source?.bucket || s3Config.bucketName;
+        downloadUrl = `${endpoint}/${bucketName}/${downloadUrl}`;
       }
 
       return `
         <li>
-          <a href="${downloadUrl}" target="_blank" rel="noopener noreferrer">
-            ${dist.name || dist.encodingFormat || 'Download'}
+          <a href="${escapeHtml(downloadUrl)}" target="_blank" rel="noopener noreferrer">
+            ${escapeHtml(dist.name || dist.encodingFormat || 'Download')}
           </a>
-          <small>(${dist.encodingFormat || 'N/A'})</small>
+          <small>(${escapeHtml(dist.encodingFormat || 'N/A')})</small>
+          ${this._generateTableSchemaInfo(dist)}
         </li>
       `;
     }).join('');
 
+    const sourceHtml = dataset.source
+      ? `<span class="dataset-source" title="${escapeHtml(dataset.source.bucket)}${dataset.source.prefix ? `/${escapeHtml(dataset.source.prefix)}` : ''}">🌐 ${escapeHtml(dataset.source.label)}</span>`
+      : '';
+
+    // schema.org is the catalog's own format; other formats are named on the card
+    const formatLabel = dataset.metadataFormat && dataset.metadataFormat !== 'schema.org'
+      ? defaultParserRegistry.getFormat(dataset.metadataFormat)?.label || dataset.metadataFormat
+      : null;
+    const formatHtml = formatLabel
+      ? `<span class="dataset-format" title="Read from ${escapeHtml(dataset.metadataKey)}">📑 ${escapeHtml(formatLabel)}</span>`
+      : '';
+
+    // Placeholders for data files nobody has documented yet
+    if (dataset.inferred) {
+      container.classList.add('inferred');
+    }
+    const inferredHtml = dataset.inferred
+      ? '<span class="dataset-inferred" title="No metadata file describes these files; add one to document them">🔍 Inferred, no metadata</span>'
+      : '';
+
     container.innerHTML = `
-      <h3>${dataset.title}${deduplicationHtml}</h3>
-      <p>${dataset.description || 'No description available.'}</p>
+      <h3>${escapeHtml(dataset.title)}${deduplicationHtml}</h3>
+      ${sourceHtml}${formatHtml}${inferredHtml}
+      <p>${escapeHtml(dataset.description || 'No description available.')}</p>
+      ${propertiesHtml}
       <div class="dataset-metadata">
-        <small>Creator: ${dataset.creator || 'N/A'} | Created: ${dataset.dateCreated ? new Date(dataset.dateCreated).toLocaleDateString() : 'N/A'}</small>
+        <small>Creator: ${escapeHtml(dataset.creator || 'N/A')} | Created: ${dataset.dateCreated ? new Date(dataset.dateCreated).toLocaleDateString() : 'N/A'}</small>
         ${dateInfoHtml}
       </div>
       <ul>${distributionsHtml}</ul>
     `;
 
+    if (this.loadVersionHistory && dataset.metadataKey) {
+      container.appendChild(this._renderVersionsPanel(dataset));
+    }
+
     return container;
   }
 
+  /**
+   * Renders the collapsed Versions panel; the history is loaded the first time it is opened
+   * @private
+   * @param {Dataset} dataset - Dataset the card shows
+   * @returns {HTMLElement} Panel element
+   */
+  _renderVersionsPanel(dataset) {
+    const panel = document.createElement('details');
+    panel.className = 'dataset-versions';
+
+    const summary = document.createElement('summary');
+    summary.textContent = '🕘 Versions';
+    panel.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'dataset-versions-body';
+    panel.appendChild(body);
+
+    let requested = false;
+    panel.addEventListener('toggle', async () => {
+      if (!panel.open || requested) {
+        return;
+      }
+      requested = true;
+      body.textContent = 'Loading versions…';
+
+      try {
+        const versions = dataset.versionHistory || await this.loadVersionHistory(dataset);
+        summary.textContent = `🕘 Versions (${versions.length})`;
+        this._renderVersionList(versions, body);
+      } catch (error) {
+        // Let the next open try again
+        requested = false;
+        body.textContent = `❌ Could not load versions: ${error.message}`;
+      }
+    });
+
+    return panel;
+  }
+
+  /**
+   * Lists versions newest first with what changed from the previous version
+   * @private
+   * @param {Array<DatasetVersion>} versions - Versions, newest first
+   * @param {HTMLElement} body - Panel body to fill
+   */
+  _renderVersionList(versions, body) {
+    body.replaceChildren();
+
+    if (versions.length === 0) {
+      body.textContent = 'No versions found.';
+      return;
+    }
+
+    const oldestReadable = versions.reduce((oldest, version, i) => (version.dataset ? i : oldest), -1);
+    const list = document.createElement('ol');
+    list.className = 'version-list';
+
+    versions.forEach((version, i) => {
+      const entry = document.createElement('li');
+      entry.className = version.isDeleteMarker ? 'version-entry deleted' : 'version-entry';
+
+      const header = document.createElement('div');
+      header.className = 'version-header';
+      const labels = [
+        version.isLatest ? 'latest' : null,
+        version.isDeleteMarker ? 'deleted' : null
+      ].filter(Boolean);
+      const title = document.createElement('strong');
+      title.textContent = `v${versions.length - i}${labels.length ? ` (${labels.join(', ')})` : ''}`;
+      const time = document.createElement('small');
+      time.textContent = ` ${version.lastModified.toLocaleString()}`;
+      if (version.versionId) {
+        time.title = `Version ID: ${version.versionId}`;
+      }
+      header.append(title, time);
+      entry.appendChild(header);
+
+      const changes = document.createElement('ul');
+      changes.className = 'version-changes';
+      const addNote = (text, className) => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        changes.appendChild(item);
+      };
+
+      if (version.error) {
+        addNote(`Could not read this version: ${version.error}`, 'change-error');
+      } else if (i === oldestReadable) {
+        addNote('First version', 'change-note');
+      } else if (version.dataset && version.changes.length === 0) {
+        addNote('No changes to catalog fields', 'change-note');
+      }
+      for (const change of version.changes) {
+        addNote(VersionHistory.describeChange(change), `change-${change.type}`);
+      }
+
+      if (changes.childElementCount > 0) {
+        entry.appendChild(changes);
+      }
+      list.appendChild(entry);
+    });
+
+    body.appendChild(list);
+  }
+
   /**
    * Generates enhanced date information display
    * @private
@@ -84,6 +251,84 @@ export class DatasetDisplay {
     return dateHtml;
   }
 
+  /**
+   * Generates the schema.org properties of a dataset: keyword tags and a list of the rest
+   * License and URL values that are links are rendered as links. Values are escaped.
+   * @private
+   * @param {Dataset} dataset - Dataset to display properties for
+   * @returns {string} HTML for the properties; empty when the dataset sets none
+   */
+  _generateSchemaOrgInfo(dataset) {
+    let html = '';
+
+    if (dataset.keywords) {
+      html += `<div class="dataset-keywords">${dataset.keywords.map(keyword => `<span class="dataset-keyword">${escapeHtml(keyword)}</span>`).join('')}</div>`;
+    }
+
+    const fields = [
+      ['License', 'license'],
+      ['Spatial coverage', 'spatialCoverage'],
+      ['Temporal coverage', 'temporalCoverage'],
+      ['Variables', 'variableMeasured'],
+      ['Publisher', 'publisher'],
+      ['Identifier', 'identifier'],
+      ['Version', 'version'],
+      ['Website', 'url'],
+      ['Based on', 'isBasedOn']
+    ];
+    const rows = fields
+      .filter(([, field]) => dataset[field])
+      .map(([label, field]) => {
+        const text = escapeHtml(dataset.getFieldText(field));
+        const value = /^https?:\/\//.test(text)
+          ? `<a href="${text}" target="_blank" rel="noopener noreferrer">${text}</a>`
+          : text;
+        return `<dt>${label}</dt><dd>${value}</dd>`;
+      });
+
+    if (rows.length > 0) {
+      html += `<dl class="dataset-properties">${rows.join('')}</dl>`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Generates the collapsed field list of a tabular download's Table Schema; values are escaped
+   * @private
+   * @param {Distribution} distribution - Download to describe
+   * @returns {string} HTML for the schema; empty when the download has none
+   */
+  _generateTableSchemaInfo(distribution) {
+    const tableSchema = distribution.tableSchema;
+    if (!tableSchema) {
+      return '';
+    }
+
+    // An external schema file is linked instead of listed
+    if (!tableSchema.fields || tableSchema.fields.length === 0) {
+      return tableSchema.path ? `<div class="table-schema"><small>Table schema: ${escapeHtml(tableSchema.path)}</small></div>` : '';
+    }
+
+    const primaryKey = tableSchema.primaryKey || [];
+    const rows = tableSchema.fields.map(field => `
+      <tr>
+        <td><code>${escapeHtml(field.name)}</code>${primaryKey.includes(field.name) ? ' 🔑' : ''}${field.required ? ' <span title="Required">*</span>' : ''}</td>
+        <td>${escapeHtml(field.type)}${field.format && field.format !== 'default' ? ` (${escapeHtml(field.format)})` : ''}${field.unit ? `, ${escapeHtml(field.unit)}` : ''}</td>
+        <td>${escapeHtml(field.description || field.title || '')}</td>
+      </tr>`).join('');
+
+    return `
+      <details class="table-schema">
+        <summary>Table schema (${tableSchema.fields.length} field${tableSchema.fields.length === 1 ? '' : 's'})</summary>
+        <table>
+          <thead><tr><th>Field</th><th>Type</th><th>Description</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
   /**
    * Generates deduplication status information
    * @private
@@ -4,7 +4,7 @@
  * These tests MUST FAIL until the enhanced catalog interface is implemented
  */
 
-const { CatalogService } = require('../../src/catalog-core/browser/catalog-service');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
 
 describe('Enhanced Catalog Interface Contract', () => {
   let catalogService;
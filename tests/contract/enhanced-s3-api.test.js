@@ -4,7 +4,7 @@
  * These tests MUST FAIL until the enhanced S3 client is implemented
  */
 
-const { S3ClientBrowser } = require('../../src/catalog-core/browser/s3-client-browser');
+const { S3ClientBrowser } = require('../../src/catalog-core/s3-client-browser');
 
 describe('Enhanced S3 API Contract', () => {
   let s3Client;
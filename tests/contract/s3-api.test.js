@@ -13,11 +13,9 @@ describe('S3 API Contracts', () => {
     expect(Array.isArray(objects)).toBe(true);
   });
 
-  test('/metadata/{objectKey} should return an object stream', async () => {
+  test('/metadata/{objectKey} should return the object content', async () => {
     // Note: This test assumes the object exists and the bucket is public.
-    const stream = await s3Client.getObject('data/project-a/output/metadata.json');
-    expect(stream).toBeDefined();
-    // Check if it's a stream by looking for the 'on' method
-    expect(typeof stream.on).toBe('function');
+    const content = await s3Client.getObject('data/project-a/output/metadata.json');
+    expect(typeof content).toBe('string');
   });
 });
@@ -4,7 +4,7 @@
  * This test MUST FAIL until deduplication toggle feature is implemented
  */
 
-const { CatalogService } = require('../../src/catalog-core/browser/catalog-service');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
 
 describe('Deduplication Toggle Control Integration', () => {
   let catalogService;
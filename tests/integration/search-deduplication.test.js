@@ -4,7 +4,7 @@
  * This test MUST FAIL until search with deduplication feature is implemented
  */
 
-const { CatalogService } = require('../../src/catalog-core/browser/catalog-service');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
 
 describe('Search with Deduplication Integration', () => {
   let catalogService;
@@ -4,8 +4,8 @@
  * This test MUST FAIL until timestamp display feature is implemented
  */
 
-const { CatalogService } = require('../../src/catalog-core/browser/catalog-service');
-const { S3ClientBrowser } = require('../../src/catalog-core/browser/s3-client-browser');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
+const { S3ClientBrowser } = require('../../src/catalog-core/s3-client-browser');
 
 describe('S3 Timestamp Display Integration', () => {
   let catalogService;
@@ -4,7 +4,7 @@
  * This test MUST FAIL until title-based deduplication feature is implemented
  */
 
-const { CatalogService } = require('../../src/catalog-core/browser/catalog-service');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
 
 describe('Title-Based Deduplication Integration', () => {
   let catalogService;
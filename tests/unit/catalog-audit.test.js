@@ -0,0 +1,109 @@
+const { CatalogAudit } = require('../../src/catalog-core/catalog-audit');
+const { Dataset, Distribution } = require('../../src/catalog-core/models');
+
+const bucket = { bucketName: 'public', endpoint: 'https://s3.example.org' };
+
+function listed(key, size = 100) {
+  return { Key: key, Size: size, LastModified: new Date('2024-05-01T00:00:00Z') };
+}
+
+function documented(id, ...contentUrls) {
+  const distribution = contentUrls.map(url => new Distribution('DataDownload', null, null, url, null, '1 MB'));
+  return new Dataset(id, `Title of ${id}`, null, null, null, distribution, `${id}.metadata.json`, true, id.split('/')[0], '', null, `${id}.metadata.json`);
+}
+
+describe('CatalogAudit', () => {
+  test('reports orphan files by directory, dangling links and external links', async () => {
+    const objects = [
+      listed('air/pm25.metadata.json'),
+      listed('air/pm25.csv', 2048),
+      listed('air/pm25_2025.csv', 300),
+      listed('water/flow.csv', 10),
+      listed('water/flow.parquet', 20),
+      listed('water/.DS_Store')
+    ];
+    const inferred = documented('water/', 'water/flow.csv');
+    inferred.inferred = true;
+    const datasets = [
+      documented('air/pm25', 'air/pm25.csv', 'https://public.s3.example.org/air/pm25.csv', 'air/pm10.csv', 'https://example.org/pm25'),
+      inferred
+    ];
+
+    const report = await CatalogAudit.build(objects, datasets, bucket);
+
+    expect(report.summary).toEqual({
+      objects: 6,
+      datasets: 1,
+      links: 4,
+      linkedFiles: 1,
+      linkedBytes: 2048,
+      orphanFiles: 3,
+      orphanBytes: 330,
+      danglingLinks: 1,
+      externalLinks: 1,
+      uncheckedLinks: 0
+    });
+    expect(report.orphans.map(orphan => [orphan.key, orphan.size])).toEqual([
+      ['air/pm25_2025.csv', 300], ['water/flow.csv', 10], ['water/flow.parquet', 20]
+    ]);
+    expect(report.orphanDirectories).toEqual([
+      { directory: 'air/', files: 1, bytes: 300 },
+      { directory: 'water/', files: 2, bytes: 30 }
+    ]);
+    expect(report.dangling).toEqual([{
+      datasetId: 'air/pm25',
+      title: 'Title of air/pm25',
+      metadataKey: 'air/pm25.metadata.json',
+      name: null,
+      contentUrl: 'air/pm10.csv',
+      key: 'air/pm10.csv',
+      contentSize: '1 MB'
+    }]);
+  });
+
+  test('checks keys outside the listed prefix with one HEAD request each', async () => {
+    const objects = [listed('air/pm25.metadata.json'), listed('air/pm25.csv')];
+    const datasets = [
+      documented('air/pm25', 'air/pm25.csv', 'air/gone.csv', 'water/flow.csv', 'water/flow.csv', 'water/gone.csv')
+    ];
+    const storage = {
+      headObject: jest.fn(async (key) => {
+        if (key === 'water/flow.csv') {
+          return listed(key, 4096);
+        }
+        throw Object.assign(new Error('Not found'), { statusCode: 404 });
+      })
+    };
+
+    const report = await CatalogAudit.build(objects, datasets, { ...bucket, prefix: 'air/', storage, source: { id: 'main' } });
+    expect(storage.headObject.mock.calls.map(([key]) => key)).toEqual(['water/flow.csv', 'water/gone.csv']);
+    expect(report.dangling.map(link => [link.source, link.key])).toEqual([['main', 'air/gone.csv'], ['main', 'water/gone.csv']]);
+    expect(report.summary.linkedBytes).toBe(4196);
+
+    const unchecked = await CatalogAudit.build(objects, datasets, { ...bucket, prefix: 'air/' });
+    expect(unchecked.summary.uncheckedLinks).toBe(3);
+    expect(unchecked.summary.danglingLinks).toBe(1);
+
+    storage.headObject.mockRejectedValue(Object.assign(new Error('Denied'), { statusCode: 403 }));
+    await expect(CatalogAudit.build(objects, datasets, { ...bucket, prefix: 'air/', storage })).rejects.toThrow('Denied');
+  });
+
+  test('merges source reports and formats sizes', async () => {
+    const main = await CatalogAudit.build([listed('a/x.csv', 10)], [], { bucketName: 'main', source: { id: 'main' } });
+    const mirror = await CatalogAudit.build([listed('a/x.csv', 30)], [], { bucketName: 'mirror', source: { id: 'mirror' } });
+
+    const merged = CatalogAudit.merge([main, mirror]);
+    expect(merged.bucket).toBe('main, mirror');
+    expect(merged.summary.orphanFiles).toBe(2);
+    expect(merged.summary.orphanBytes).toBe(40);
+    expect(merged.orphanDirectories).toEqual([
+      { source: 'mirror', directory: 'a/', files: 1, bytes: 30 },
+      { source: 'main', directory: 'a/', files: 1, bytes: 10 }
+    ]);
+
+    expect(CatalogAudit.formatBytes(512)).toBe('512 B');
+    expect(CatalogAudit.formatBytes(1536)).toBe('1.5 KB');
+    expect(CatalogAudit.formatBytes(230 * 1024 * 1024)).toBe('230 MB');
+    expect(CatalogAudit.formatBytes(undefined)).toBe('0 B');
+  });
+});
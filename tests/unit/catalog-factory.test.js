@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { reserveStdoutForReport } = require('../../src/catalog-cli/catalog-factory');
+const { history } = require('../../src/catalog-cli/history-command');
+
+describe('reserveStdoutForReport', () => {
+  let originalLog;
+  let originalError;
+
+  beforeEach(() => {
+    originalLog = console.log;
+    originalError = console.error;
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    console.error = originalError;
+  });
+
+  test('sends other console.log output to stderr until restored', () => {
+    const log = console.log;
+    const stdout = reserveStdoutForReport({ format: 'json' });
+
+    console.log('Loading...');
+    stdout.printReport('{}');
+    stdout.restore();
+    console.log('done');
+
+    expect(console.error).toHaveBeenCalledWith('Loading...');
+    expect(log.mock.calls).toEqual([['{}'], ['done']]);
+    expect(console.log).toBe(log);
+  });
+
+  test('leaves console.log alone for text output and --output files', () => {
+    const log = console.log;
+
+    reserveStdoutForReport({ format: 'text' });
+    expect(console.log).toBe(log);
+    reserveStdoutForReport({ format: 'json', output: 'report.json' });
+    expect(console.log).toBe(log);
+  });
+
+  test('commands restore console.log when they finish', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-cli-'));
+    const log = console.log;
+    try {
+      fs.writeFileSync(path.join(root, 'study.metadata.json'), JSON.stringify({ name: 'Study' }));
+      await history({ datasetId: 'study', source: root, format: 'json' });
+
+      expect(console.log).toBe(log);
+      expect(JSON.parse(log.mock.calls[0][0])).toEqual(expect.objectContaining({ datasetId: 'study', versionCount: 1 }));
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -1,8 +1,330 @@
 const { CatalogService } = require('../../src/catalog-core/catalog-service');
+const { S3ClientWrapper } = require('../../src/catalog-core/s3-client');
+const { CatalogStore } = require('../../src/catalog-core/catalog-store');
+const { IDBFactory } = require('fake-indexeddb');
+
+const metadataFiles = {
+  'tijuana/complaints/a.metadata.json': {
+    lastModified: '2024-01-01T00:00:00Z',
+    content: { name: 'Complaints', description: 'Older complaints', distribution: [] },
+  },
+  'tijuana/complaints/b.metadata.json': {
+    lastModified: '2024-06-01T00:00:00Z',
+    content: { name: 'complaints', description: 'Newer complaints', distribution: [] },
+  },
+  'health/study.metadata.json': {
+    lastModified: '2024-03-01T00:00:00Z',
+    content: { name: 'Health Study', description: 'Important health data' },
+  },
+};
+
+function createService(options = {}) {
+  const s3Client = new S3ClientWrapper('test-bucket', { endpoint: 'https://test-endpoint.com' });
+  const objects = Object.entries(metadataFiles).map(([key, file]) =>
+    s3Client.createEnhancedS3Object(key, file.lastModified, 100, '"etag"')
+  );
+  objects.push(s3Client.createEnhancedS3Object('tijuana/complaints/data.csv', '2024-06-01T00:00:00Z', 2048));
+
+  s3Client.listObjects = jest.fn(async () => objects);
+  s3Client.getObject = jest.fn(async (key) => JSON.stringify(metadataFiles[key].content));
+  return new CatalogService('test-bucket', { s3Client, ...options });
+}
 
 describe('CatalogService', () => {
-  // This is a placeholder for unit tests. They will be implemented later.
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   test('should have a placeholder test', () => {
     expect(true).toBe(true);
   });
+
+  test('loadCatalog returns sections and response metadata', async () => {
+    const service = createService();
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(Object.keys(sections).sort()).toEqual(['health', 'tijuana']);
+    expect(sections.tijuana).toHaveLength(2);
+    expect(metadata.totalDatasets).toBe(3);
+    expect(metadata.validDatasets).toBe(3);
+    expect(metadata.deduplicationEnabled).toBe(false);
+    expect(metadata.bucketInfo).toEqual({ name: 'test-bucket', prefix: '', totalObjects: 4, metadataFiles: 3 });
+    expect(metadata.dateDisplayConfig.format).toBe('relative');
+  });
+
+  test('loadCatalog attaches S3 timestamps and formatted dates', async () => {
+    const service = createService();
+    const { sections } = await service.loadCatalog();
+    const [dataset] = sections.health;
+
+    expect(dataset.lastModified).toEqual(new Date('2024-03-01T00:00:00Z'));
+    expect(dataset.timestampAvailable).toBe(true);
+    expect(dataset.dateDisplay).toEqual(expect.any(String));
+  });
+
+  test('deduplication keeps the latest dataset per title', async () => {
+    const service = createService({ deduplication: { enabled: true } });
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(sections.tijuana).toHaveLength(1);
+    expect(sections.tijuana[0].description).toBe('Newer complaints');
+    expect(sections.tijuana[0].deduplicationInfo.duplicateCount).toBe(2);
+    expect(metadata.duplicatesRemoved).toBe(1);
+  });
+
+  test('search supports per-call deduplication', async () => {
+    const service = createService({ deduplication: { enabled: true } });
+    await service.loadCatalog();
+
+    const results = service.search('complaints', { deduplicate: true });
+    expect(results.totalResults).toBe(1);
+    expect(results.metadata.deduplicationEnabled).toBe(true);
+  });
+
+  test('loadCatalog lists only keys under the configured prefix', async () => {
+    const service = createService({ prefix: 'tijuana/' });
+    const { metadata } = await service.loadCatalog();
+
+    expect(service.s3Client.listObjects).toHaveBeenCalledWith('tijuana/', expect.objectContaining({ onPage: expect.any(Function) }));
+    expect(metadata.bucketInfo.prefix).toBe('tijuana/');
+  });
+
+  test('loadCatalog isolates failed metadata fetches and reports progress', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onProgress = jest.fn();
+    const service = createService({ concurrency: 2, onProgress });
+    const getObject = service.s3Client.getObject;
+    service.s3Client.getObject = jest.fn(async (key) => {
+      if (key === 'health/study.metadata.json') {
+        throw new Error('Network error');
+      }
+      return getObject(key);
+    });
+
+    const { metadata } = await service.loadCatalog();
+
+    expect(metadata.validDatasets).toBe(2);
+    expect(metadata.invalidDatasets).toBe(1);
+    expect(onProgress).toHaveBeenCalledTimes(5);
+    expect(onProgress).toHaveBeenNthCalledWith(1, { phase: 'listing', pages: 0, objects: 0 });
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ phase: 'metadata', completed: 3, failed: 1, total: 3 })
+    );
+  });
+
+  test('loadCatalog reports listing pages to the per-load onProgress', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = createService({ onProgress: jest.fn() });
+    service.s3Client.listObjects.mockImplementation(async (prefix, { onPage }) => {
+      onPage({ pages: 1, objects: 4 });
+      return [];
+    });
+    const onProgress = jest.fn();
+
+    await service.loadCatalog({ onProgress });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { phase: 'listing', pages: 0, objects: 0 },
+      { phase: 'listing', pages: 1, objects: 4 },
+    ]);
+    expect(service.onProgress).not.toHaveBeenCalled();
+  });
+
+  test('aborting loadCatalog rejects with the abort reason instead of marking datasets invalid', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const service = createService({ concurrency: 1 });
+    const controller = new AbortController();
+    service.s3Client.getObject.mockImplementation(async (key, { signal }) => {
+      controller.abort();
+      signal.throwIfAborted();
+    });
+
+    await expect(service.loadCatalog({ signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(service.s3Client.getObject).toHaveBeenCalledTimes(1);
+    expect(service.index.getAllOriginalDatasets()).toHaveLength(0);
+  });
+
+  test('refreshCatalog only fetches added and changed metadata and drops deleted datasets', async () => {
+    const service = createService();
+    await service.loadCatalog();
+    expect(service.s3Client.getObject).toHaveBeenCalledTimes(3);
+
+    const [a, b] = await service.s3Client.listObjects();
+    const changedB = { ...b, ETag: '"changed"' };
+    const added = service.s3Client.createEnhancedS3Object('health/new.metadata.json', '2024-07-01T00:00:00Z', 100, '"etag"');
+    metadataFiles['health/new.metadata.json'] = { content: { name: 'New Study', description: 'Added later' } };
+    service.s3Client.listObjects.mockResolvedValue([a, changedB, added]);
+    service.s3Client.getObject.mockClear();
+
+    try {
+      const { sections, metadata } = await service.refreshCatalog();
+
+      expect(service.s3Client.getObject.mock.calls.map(([key]) => key)).toEqual([
+        'tijuana/complaints/b.metadata.json',
+        'health/new.metadata.json'
+      ]);
+      expect(metadata.refreshSummary).toEqual({ added: 1, changed: 1, removed: 1, unchanged: 1 });
+      expect(metadata.totalDatasets).toBe(3);
+      expect(sections.health.map(d => d.title)).toEqual(['New Study']);
+    } finally {
+      delete metadataFiles['health/new.metadata.json'];
+    }
+  });
+
+  test('loadCachedCatalog restores the last saved catalog and refreshCatalog revalidates it', async () => {
+    const snapshots = new Map();
+    const offlineCache = {
+      load: jest.fn(async key => snapshots.get(key) || null),
+      save: jest.fn(async (key, snapshot) => { snapshots.set(key, structuredClone(snapshot)); })
+    };
+
+    const firstVisit = createService({ offlineCache });
+    expect(await firstVisit.loadCachedCatalog()).toBeNull();
+    await firstVisit.loadCatalog();
+    expect(offlineCache.save).toHaveBeenCalledTimes(1);
+
+    const secondVisit = createService({ offlineCache });
+    const cached = await secondVisit.loadCachedCatalog();
+    expect(cached.metadata.fromCache).toBe(true);
+    expect(cached.metadata.totalDatasets).toBe(3);
+    expect(cached.sections.health[0].lastModified).toEqual(new Date('2024-03-01T00:00:00Z'));
+    expect(secondVisit.s3Client.getObject).not.toHaveBeenCalled();
+
+    const { metadata } = await secondVisit.refreshCatalog();
+    expect(metadata.refreshSummary).toEqual({ added: 0, changed: 0, removed: 0, unchanged: 3 });
+    expect(secondVisit.s3Client.getObject).not.toHaveBeenCalled();
+  });
+
+  test('offline snapshots in IndexedDB survive a failed refresh and ignore other formats', async () => {
+    const offlineCache = new CatalogStore({ indexedDB: new IDBFactory() });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await createService({ offlineCache }).loadCatalog();
+
+    // Offline: the cached catalog stays usable when revalidation fails
+    const offline = createService({ offlineCache });
+    offline.s3Client.listObjects.mockRejectedValue(new Error('Network down'));
+    expect((await offline.loadCachedCatalog()).metadata.totalDatasets).toBe(3);
+    await expect(offline.refreshCatalog()).rejects.toThrow('Network down');
+    expect(offline.search('health').totalResults).toBe(1);
+
+    // Snapshots saved in another format are ignored
+    const key = offline.offlineCacheKey;
+    const snapshot = await offlineCache.load(key);
+    await offlineCache.save(key, { ...snapshot, version: 0 });
+    expect(await createService({ offlineCache }).loadCachedCatalog()).toBeNull();
+    await offlineCache.save(key, { ...snapshot, datasets: undefined });
+    expect(await createService({ offlineCache }).loadCachedCatalog()).toBeNull();
+
+    // An unreadable store is treated as an empty one
+    const broken = { load: jest.fn().mockRejectedValue(new Error('Quota')), save: jest.fn().mockRejectedValue(new Error('Quota')) };
+    const service = createService({ offlineCache: broken });
+    expect(await service.loadCachedCatalog()).toBeNull();
+    expect((await service.loadCatalog()).metadata.totalDatasets).toBe(3);
+    expect(warn).toHaveBeenCalledWith('⚠️ Failed to save offline catalog cache:', expect.any(Error));
+  });
+
+  test('loadCatalog reads section descriptors and orders sections by them', async () => {
+    const service = createService();
+    const descriptors = {
+      'tijuana/_section.json': JSON.stringify({ title: 'Tijuana River', order: 1 }),
+      'health/_section.json': '{not json',
+    };
+    const objects = await service.s3Client.listObjects();
+    for (const key of Object.keys(descriptors)) {
+      objects.push(service.s3Client.createEnhancedS3Object(key, '2024-01-01T00:00:00Z', 50));
+    }
+    service.s3Client.listObjects.mockResolvedValue(objects);
+    const getMetadata = service.s3Client.getObject.getMockImplementation();
+    service.s3Client.getObject.mockImplementation(async key => descriptors[key] ?? getMetadata(key));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(Object.keys(sections)).toEqual(['tijuana', 'health']);
+    expect(metadata.totalDatasets).toBe(3);
+    expect(metadata.sectionDescriptors).toEqual({
+      tijuana: expect.objectContaining({ section: 'tijuana', title: 'Tijuana River', order: 1 })
+    });
+    expect(service.getSectionDescriptor('tijuana').title).toBe('Tijuana River');
+    expect(service.getSectionDescriptor('health')).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('health/_section.json'));
+  });
+
+  test('loadCatalog clears the previous catalog when no metadata files are left', async () => {
+    const service = createService();
+    const objects = await service.s3Client.listObjects();
+    objects.push(service.s3Client.createEnhancedS3Object('tijuana/_section.json', '2024-01-01T00:00:00Z', 50));
+    const getMetadata = service.s3Client.getObject.getMockImplementation();
+    service.s3Client.getObject.mockImplementation(async key => (key === 'tijuana/_section.json' ? '{"title":"Tijuana River"}' : getMetadata(key)));
+    await service.loadCatalog();
+    expect(service.search('complaints').totalResults).toBe(2);
+    expect(service.getSectionDescriptor('tijuana')).not.toBeNull();
+
+    service.s3Client.listObjects.mockResolvedValue(objects.filter(obj => obj.Key.endsWith('.csv')));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(sections).toEqual({});
+    expect(metadata.totalDatasets).toBe(0);
+    expect(service.search('complaints').totalResults).toBe(0);
+    expect(service.findDataset('health/study')).toBeNull();
+    expect(service.getSectionDescriptor('tijuana')).toBeNull();
+  });
+
+  test('inferDatasets adds a dataset for data files that no metadata file links to', async () => {
+    const plain = await createService().loadCatalog();
+    expect(plain.metadata.inferredDatasets).toBe(0);
+
+    const service = createService({ inferDatasets: true });
+    const { sections, metadata } = await service.loadCatalog();
+    const inferred = sections.tijuana.find(dataset => dataset.inferred);
+
+    expect(metadata.totalDatasets).toBe(4);
+    expect(metadata.inferredDatasets).toBe(1);
+    expect(inferred.id).toBe('tijuana/complaints/');
+    expect(inferred.title).toBe('data');
+    expect(inferred.metadataKey).toBeNull();
+    expect(inferred.lastModified).toEqual(new Date('2024-06-01T00:00:00Z'));
+    expect(inferred.distribution).toEqual([expect.objectContaining({
+      contentUrl: 'tijuana/complaints/data.csv', encodingFormat: 'text/csv', contentSize: 2048
+    })]);
+    expect(service.getPrefixTree().find('tijuana/complaints/').datasetCount).toBe(3);
+
+    // Once a dataset links to the file, it is no longer inferred
+    metadataFiles['tijuana/complaints/b.metadata.json'].content.distribution = [{ contentUrl: 'https://test-endpoint.com/test-bucket/tijuana/complaints/data.csv' }];
+    try {
+      const refreshed = await createService({ inferDatasets: true, endpoint: 'https://test-endpoint.com' }).loadCatalog();
+      expect(refreshed.metadata.inferredDatasets).toBe(0);
+    } finally {
+      metadataFiles['tijuana/complaints/b.metadata.json'].content.distribution = [];
+    }
+  });
+
+  test('auditCatalog loads the catalog once and reports orphans and dangling links', async () => {
+    metadataFiles['tijuana/complaints/a.metadata.json'].content.distribution = [{ contentUrl: 'tijuana/complaints/old.csv' }];
+    try {
+      const service = createService({ inferDatasets: true });
+      const report = await service.auditCatalog();
+
+      expect(service.s3Client.listObjects).toHaveBeenCalledTimes(1);
+      expect(report.orphans).toEqual([
+        { key: 'tijuana/complaints/data.csv', size: 2048, lastModified: '2024-06-01T00:00:00.000Z' }
+      ]);
+      expect(report.dangling).toEqual([expect.objectContaining({
+        metadataKey: 'tijuana/complaints/a.metadata.json', key: 'tijuana/complaints/old.csv'
+      })]);
+      expect(report.summary).toEqual(expect.objectContaining({ objects: 4, datasets: 3, orphanBytes: 2048, danglingLinks: 1 }));
+
+      await service.auditCatalog();
+      expect(service.s3Client.listObjects).toHaveBeenCalledTimes(1);
+    } finally {
+      metadataFiles['tijuana/complaints/a.metadata.json'].content.distribution = [];
+    }
+  });
 });
@@ -0,0 +1,39 @@
+const { IDBFactory } = require('fake-indexeddb');
+const { CatalogStore } = require('../../src/catalog-core/catalog-store');
+
+describe('CatalogStore', () => {
+  test('saves, loads and clears snapshots per key', async () => {
+    const store = new CatalogStore({ indexedDB: new IDBFactory() });
+    const key = CatalogStore.createKey('https://s3.example.org', 'public', 'tijuana/');
+    expect(key).toBe('https://s3.example.org|public|tijuana/');
+
+    expect(await store.load(key)).toBeNull();
+
+    const snapshot = { version: 1, savedAt: '2024-06-01T00:00:00.000Z', totalObjects: 2, objects: [{ Key: 'a.metadata.json' }], datasets: [] };
+    await store.save(key, snapshot);
+    await store.save(CatalogStore.createKey('https://s3.example.org', 'public'), { ...snapshot, totalObjects: 5 });
+
+    expect(await store.load(key)).toEqual({ ...snapshot, key });
+    expect((await store.load('https://s3.example.org|public|')).totalObjects).toBe(5);
+
+    await store.save(key, { ...snapshot, totalObjects: 3 });
+    expect((await store.load(key)).totalObjects).toBe(3);
+
+    await store.clear(key);
+    expect(await store.load(key)).toBeNull();
+    expect(await store.load('https://s3.example.org|public|')).not.toBeNull();
+  });
+
+  test('keeps snapshots across store instances sharing a database', async () => {
+    const indexedDB = new IDBFactory();
+    await new CatalogStore({ indexedDB }).save('k', { version: 1, objects: [], datasets: [] });
+
+    expect(await new CatalogStore({ indexedDB }).load('k')).toEqual({ version: 1, objects: [], datasets: [], key: 'k' });
+    expect(await new CatalogStore({ indexedDB, dbName: 'other' }).load('k')).toBeNull();
+  });
+
+  test('rejects when IndexedDB is not available', async () => {
+    expect(CatalogStore.isSupported()).toBe(false);
+    await expect(new CatalogStore().load('k')).rejects.toThrow('IndexedDB is not available');
+  });
+});
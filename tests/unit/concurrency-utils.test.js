@@ -0,0 +1,60 @@
+const { mapWithConcurrency, normalizeConcurrency, DEFAULT_CONCURRENCY } = require('../../src/catalog-core/concurrency-utils');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithConcurrency', () => {
+  test('should keep results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await delay(5);
+      inFlight--;
+    });
+
+    expect(maxInFlight).toBe(3);
+  });
+
+  test('should report each completed item', async () => {
+    const onItemComplete = jest.fn();
+    await mapWithConcurrency(['a', 'b'], 2, async item => item.toUpperCase(), { onItemComplete });
+
+    expect(onItemComplete).toHaveBeenCalledTimes(2);
+    expect(onItemComplete).toHaveBeenCalledWith('A', 'a', 0);
+  });
+
+  test('should stop starting items once the signal aborts', async () => {
+    const controller = new AbortController();
+    const mapper = jest.fn(async item => {
+      if (item === 2) {
+        controller.abort();
+      }
+      return item;
+    });
+
+    await expect(mapWithConcurrency([1, 2, 3, 4], 1, mapper, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(mapper).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('normalizeConcurrency', () => {
+  test('should fall back to the default', () => {
+    expect(normalizeConcurrency(undefined)).toBe(DEFAULT_CONCURRENCY);
+  });
+
+  test('should reject non-positive values', () => {
+    expect(() => normalizeConcurrency(0)).toThrow('Concurrency must be a positive integer');
+    expect(() => normalizeConcurrency(2.5)).toThrow('Concurrency must be a positive integer');
+  });
+});
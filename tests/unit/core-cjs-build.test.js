@@ -0,0 +1,35 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildCoreCjs } = require('../../scripts/build-core-cjs');
+
+describe('CommonJS core build', () => {
+  let outDir;
+
+  beforeAll(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-core-cjs-'));
+    buildCoreCjs(outDir);
+  });
+
+  afterAll(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  test('loads with require() when Node cannot require ES modules', () => {
+    const script = `
+      const { CatalogService } = require('./catalog-service.js');
+      const { MetadataValidator } = require('./metadata-validator.js');
+      const issues = MetadataValidator.validateSchema({ name: 'PM2.5', description: 'Hourly PM2.5' }, require('./dataset-metadata.schema.json'));
+      console.log(JSON.stringify({ service: typeof CatalogService, errors: issues.filter(issue => issue.severity !== 'warning').length }));
+    `;
+    const output = execFileSync(process.execPath, ['--no-experimental-require-module', '-e', script], {
+      cwd: outDir,
+      env: { ...process.env, NODE_PATH: path.join(__dirname, '..', '..', 'node_modules') },
+      encoding: 'utf8'
+    });
+
+    expect(JSON.parse(output.trim().split('\n').pop())).toEqual({ service: 'function', errors: 0 });
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'package.json'), 'utf8'))).toEqual({ type: 'commonjs' });
+  });
+});
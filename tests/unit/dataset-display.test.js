@@ -0,0 +1,109 @@
+const { DatasetDisplay } = require('../../src/catalog-ui/dataset-display');
+const { DatasetParser } = require('../../src/catalog-core/dataset-parser');
+const { DatasetInference } = require('../../src/catalog-core/dataset-inference');
+
+describe('DatasetDisplay', () => {
+  const display = new DatasetDisplay();
+
+  // Just enough of the DOM for render(), which fills the card through innerHTML
+  beforeAll(() => {
+    global.document = { createElement: () => ({ classList: { add: () => {} }, innerHTML: '' }) };
+    global.window = {};
+  });
+
+  afterAll(() => {
+    delete global.document;
+    delete global.window;
+  });
+
+  const renderCard = dataset => display.render(dataset).innerHTML;
+
+  test('escapes schema.org property values and link targets', () => {
+    const dataset = DatasetParser.parse(JSON.stringify({
+      name: 'Air Quality',
+      description: 'Hourly samples',
+      keywords: ['<img src=x onerror=alert(1)>', 'air & water'],
+      license: 'https://example.org/"><script>alert(1)</script>',
+      publisher: { name: '<b>City</b>' }
+    }), 'air/quality.metadata.json');
+
+    const html = display._generateSchemaOrgInfo(dataset);
+
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>');
+    expect(html).toContain('<span class="dataset-keyword">&lt;img src=x onerror=alert(1)&gt;</span>');
+    expect(html).toContain('air &amp; water');
+    expect(html).toContain('href="https://example.org/&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+    expect(html).toContain('&lt;b&gt;City&lt;/b&gt;');
+  });
+
+  test('escapes Table Schema fields and schema paths', () => {
+    const html = display._generateTableSchemaInfo({
+      tableSchema: {
+        primaryKey: ['<id>'],
+        fields: [{ name: '<id>', type: 'string<br>', format: '"x"', unit: '<sup>3</sup>', description: '<script>alert(1)</script>' }]
+      }
+    });
+
+    expect(html).toContain('<code>&lt;id&gt;</code> 🔑');
+    expect(html).toContain('string&lt;br&gt; (&quot;x&quot;), &lt;sup&gt;3&lt;/sup&gt;');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+
+    const external = display._generateTableSchemaInfo({ tableSchema: { fields: [], path: 'schemas/<b>.json' } });
+    expect(external).toContain('Table schema: schemas/&lt;b&gt;.json');
+  });
+
+  test('escapes the metadata format label and key', () => {
+    const dataset = DatasetParser.parse(JSON.stringify({ name: 'Air Quality' }), 'air/"><img src=x>.metadata.json');
+    dataset.metadataFormat = '<b>dcat</b>';
+
+    const html = renderCard(dataset);
+
+    expect(html).toContain('title="Read from air/&quot;&gt;&lt;img src=x&gt;.metadata.json"');
+    expect(html).toContain('📑 &lt;b&gt;dcat&lt;/b&gt;');
+    expect(html).not.toContain('<img');
+  });
+
+  test('escapes the source of federated datasets', () => {
+    const dataset = DatasetParser.parse(JSON.stringify({ name: 'Air Quality' }), 'air/quality.metadata.json');
+    dataset.source = { id: 'city', label: '<i>City</i>', bucket: 'city"data', prefix: '<air>' };
+
+    const html = renderCard(dataset);
+
+    expect(html).toContain('title="city&quot;data/&lt;air&gt;"');
+    expect(html).toContain('🌐 &lt;i&gt;City&lt;/i&gt;');
+  });
+
+  test('escapes distribution names and formats', () => {
+    const dataset = DatasetParser.parse(JSON.stringify({
+      name: 'Air Quality',
+      distribution: [{ name: '<script>alert(1)</script>', contentUrl: 'https://example.org/a.csv?x="y"', encodingFormat: 'text/<csv>' }]
+    }), 'air/quality.metadata.json');
+
+    const html = renderCard(dataset);
+
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('href="https://example.org/a.csv?x=&quot;y&quot;"');
+    expect(html).toContain('(text/&lt;csv&gt;)');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('escapes titles and descriptions built from object keys and error messages', () => {
+    const [inferred] = DatasetInference.inferDatasets([
+      { Key: 'air/<img src=x onerror=alert(1)>.csv', Size: 10, LastModified: new Date('2024-05-01T00:00:00Z') }
+    ], { bucketName: 'public' });
+
+    const html = renderCard(inferred);
+    expect(html).toContain('<h3>&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).not.toContain('<img');
+
+    const invalid = DatasetParser.createInvalid('air/<b>.metadata.json', 'Unexpected token <script>');
+    const errorHtml = renderCard(invalid);
+    expect(errorHtml).toContain('Unexpected token &lt;script&gt;');
+    expect(errorHtml).toContain('Path: air/&lt;b&gt;.metadata.json');
+    expect(errorHtml).not.toContain('<script>');
+    expect(errorHtml).not.toContain('<b>');
+  });
+});
@@ -0,0 +1,66 @@
+const { DatasetInference } = require('../../src/catalog-core/dataset-inference');
+const { Dataset, Distribution } = require('../../src/catalog-core/models');
+
+const bucket = { bucketName: 'public', endpoint: 'https://s3.example.org' };
+
+function listed(key, size = 100, lastModified = '2024-05-01T00:00:00Z') {
+  return { Key: key, Size: size, LastModified: new Date(lastModified) };
+}
+
+function documented(...contentUrls) {
+  const distribution = contentUrls.map(url => new Distribution('DataDownload', null, null, url));
+  return new Dataset('air/pm25', 'PM2.5', null, null, null, distribution, 'air/pm25.metadata.json', true, 'air', '');
+}
+
+describe('DatasetInference', () => {
+  test('resolves relative, path-style and virtual-hosted contentUrls to bucket keys', () => {
+    expect(DatasetInference.resolveContentKey('/air/pm25.csv', bucket)).toBe('air/pm25.csv');
+    expect(DatasetInference.resolveContentKey('https://s3.example.org/public/air/pm%202.csv', bucket)).toBe('air/pm 2.csv');
+    expect(DatasetInference.resolveContentKey('https://public.s3.example.org/air/pm25.csv', bucket)).toBe('air/pm25.csv');
+    expect(DatasetInference.resolveContentKey('https://s3.example.org/other/air/pm25.csv', bucket)).toBeNull();
+    expect(DatasetInference.resolveContentKey('https://example.org/air/pm25.csv', bucket)).toBeNull();
+    expect(DatasetInference.resolveContentKey('https://s3.example.org/public/air/pm25.csv', {})).toBeNull();
+    expect(DatasetInference.resolveContentKey('#readings', bucket)).toBeNull();
+  });
+
+  test('groups data files that no dataset links to into one inferred dataset per directory', () => {
+    const objects = [
+      listed('air/pm25.metadata.json'),
+      listed('air/pm25.csv'),
+      listed('air/pm25_2025.csv', 300, '2025-01-01T00:00:00Z'),
+      listed('air/_section.json'),
+      listed('air/_section.json/x.csv'),
+      listed('water/flow.csv', 10),
+      listed('water/flow.parquet', 20, '2024-07-01T00:00:00Z'),
+      listed('water/.DS_Store'),
+      listed('.trash/old.csv'),
+      listed('water/empty/'),
+      listed('notes.md')
+    ];
+
+    const orphans = DatasetInference.findOrphans(objects, [documented('air/pm25.csv')], bucket);
+    expect(orphans.map(obj => obj.Key)).toEqual([
+      'air/pm25_2025.csv', 'air/_section.json/x.csv', 'water/flow.csv', 'water/flow.parquet', 'notes.md'
+    ]);
+
+    const datasets = DatasetInference.inferDatasets(orphans, bucket);
+    expect(datasets.map(dataset => [dataset.id, dataset.title, dataset.section, dataset.projectPath])).toEqual([
+      ['/', 'notes', '/', ''],
+      ['air/', 'pm25_2025', 'air', ''],
+      ['air/_section.json/', 'x', 'air', '_section.json'],
+      ['water/', 'flow', 'water', '']
+    ]);
+
+    const water = datasets[3];
+    expect(water.inferred).toBe(true);
+    expect(water.isValid).toBe(true);
+    expect(water.description).toBe('2 data files in water/ that no metadata file describes.');
+    expect(water.lastModified).toEqual(new Date('2024-07-01T00:00:00Z'));
+    expect(water.getPrefixSegments()).toEqual(['water']);
+    expect(water.distribution.map(dist => [dist.name, dist.encodingFormat, dist.contentSize])).toEqual([
+      ['flow.csv', 'text/csv', 10],
+      ['flow.parquet', 'application/vnd.apache.parquet', 20]
+    ]);
+    expect(Dataset.fromObject(JSON.parse(JSON.stringify(water))).inferred).toBe(true);
+  });
+});
@@ -1,4 +1,5 @@
 const { DatasetParser } = require('../../src/catalog-core/dataset-parser');
+const { Dataset } = require('../../src/catalog-core/models');
 
 describe('DatasetParser', () => {
   test('should parse valid metadata', () => {
@@ -13,4 +14,95 @@ describe('DatasetParser', () => {
     const dataset = DatasetParser.parse(metadata, 'data/test/metadata.json');
     expect(dataset.isValid).toBe(false);
   });
+
+  test('recognises section descriptor keys', () => {
+    expect(DatasetParser.getDescribedSection('tijuana/_section.json')).toBe('tijuana');
+    expect(DatasetParser.getDescribedSection('tijuana/air/_section.json')).toBeNull();
+    expect(DatasetParser.getDescribedSection('tijuana/data.metadata.json')).toBeNull();
+  });
+
+  test('parses section descriptors and normalizes the contact', () => {
+    const descriptor = DatasetParser.parseSectionDescriptor(JSON.stringify({
+      title: 'Tijuana River',
+      description: 'Cross-border water quality',
+      contact: 'data@example.org',
+      order: 2,
+      icon: '🌊'
+    }), 'tijuana/_section.json');
+
+    expect(descriptor.section).toBe('tijuana');
+    expect(descriptor.title).toBe('Tijuana River');
+    expect(descriptor.order).toBe(2);
+    expect(descriptor.hasImageIcon()).toBe(false);
+    expect(descriptor.getContactText()).toBe('data@example.org');
+
+    const titled = DatasetParser.parseSectionDescriptor(
+      '{"contact":{"name":"Data Team","email":"data@example.org"},"icon":"/icons/health.svg"}',
+      'health/_section.json'
+    );
+    expect(titled.title).toBe('health');
+    expect(titled.hasImageIcon()).toBe(true);
+    expect(titled.getContactText()).toBe('Data Team <data@example.org>');
+  });
+
+  test('rejects malformed section descriptors', () => {
+    expect(() => DatasetParser.parseSectionDescriptor('[]', 'tijuana/_section.json')).toThrow();
+    expect(() => DatasetParser.parseSectionDescriptor('{"order":"first"}', 'tijuana/_section.json')).toThrow();
+    expect(() => DatasetParser.parseSectionDescriptor('{"contact":{"url":"javascript:alert(1)"}}', 'tijuana/_section.json'))
+      .toThrow("'contact.url' must be an http or https URL");
+    expect(() => DatasetParser.parseSectionDescriptor('{"contact":{"name":{"first":"Ana"}}}', 'tijuana/_section.json'))
+      .toThrow("'contact.name' must be a string");
+    expect(DatasetParser.parseSectionDescriptor('{"contact":{"url":"https://example.org/team"}}', 'tijuana/_section.json').contact.url)
+      .toBe('https://example.org/team');
+  });
+
+  test('parses schema.org Dataset properties and keeps them through serialization', () => {
+    const dataset = DatasetParser.parse(JSON.stringify({
+      name: 'PM2.5 readings',
+      keywords: 'air quality, PM2.5 ,',
+      license: { '@type': 'CreativeWork', name: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' },
+      spatialCoverage: { '@type': 'Place', geo: { '@type': 'GeoShape', box: '32.4 -117.2 32.6 -116.9' } },
+      temporalCoverage: '2020-01-01/2024-12-31',
+      variableMeasured: { '@type': 'PropertyValue', name: 'pm25', unitText: 'µg/m³' },
+      publisher: { '@type': 'Organization', name: 'Resilient Collective' },
+      url: 'https://example.org/pm25',
+      version: 3
+    }), 'tijuana/air/pm25.metadata.json');
+
+    expect(dataset.keywords).toEqual(['air quality', 'PM2.5']);
+    expect(dataset.variableMeasured).toHaveLength(1);
+    expect(dataset.identifier).toBeNull();
+    expect(dataset.getFieldText('license')).toBe('CC BY 4.0');
+    expect(dataset.getFieldText('spatialCoverage')).toBe('box 32.4 -117.2 32.6 -116.9');
+    expect(dataset.getFieldText('variableMeasured')).toBe('pm25 (µg/m³)');
+    expect(dataset.getFieldText('version')).toBe('3');
+    expect(Object.keys(dataset.getSchemaOrgFields())).toEqual([
+      'keywords', 'license', 'spatialCoverage', 'temporalCoverage', 'variableMeasured', 'publisher', 'url', 'version'
+    ]);
+
+    const json = JSON.parse(JSON.stringify(dataset));
+    expect(json.publisher).toEqual({ '@type': 'Organization', name: 'Resilient Collective' });
+    expect(Dataset.fromObject(json).getSchemaOrgFields()).toEqual(dataset.getSchemaOrgFields());
+    expect(dataset.clone().temporalCoverage).toBe('2020-01-01/2024-12-31');
+  });
+
+  test('reads .metadata.yaml files and reports YAML errors with their line and column', () => {
+    const yaml = [
+      'name: PM2.5 readings',
+      'keywords: [air quality, pm25]',
+      'distribution:',
+      '  - contentUrl: tijuana/air/pm25.csv',
+      '    encodingFormat: text/csv'
+    ].join('\n');
+    const dataset = DatasetParser.parse(yaml, 'tijuana/air/pm25.metadata.yaml');
+    expect(dataset.isValid).toBe(true);
+    expect(dataset.id).toBe('tijuana/air/pm25');
+    expect(dataset.keywords).toEqual(['air quality', 'pm25']);
+    expect(dataset.distribution[0].contentUrl).toBe('tijuana/air/pm25.csv');
+    expect(DatasetParser.validateS3Metadata(dataset).errors).toEqual([]);
+
+    const invalid = DatasetParser.parse('name: PM2.5\nkeywords: [air', 'tijuana/air/pm25.metadata.yml');
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.description).toContain('YAML error at line 2, column 11: Unclosed [');
+  });
 });
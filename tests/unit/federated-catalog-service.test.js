@@ -0,0 +1,153 @@
+const { FederatedCatalogService } = require('../../src/catalog-core/federated-catalog-service');
+const { S3ClientWrapper } = require('../../src/catalog-core/s3-client');
+const { AccessDeniedError } = require('../../src/catalog-core/s3-errors');
+
+const buckets = {
+  primary: {
+    'health/study.metadata.json': {
+      lastModified: '2024-03-01T00:00:00Z',
+      content: { name: 'Health Study', description: 'Primary copy' },
+    },
+    'tijuana/complaints.metadata.json': {
+      lastModified: '2024-01-01T00:00:00Z',
+      content: { name: 'Complaints', description: 'Complaints data' },
+    },
+  },
+  mirror: {
+    'health/study.metadata.json': {
+      lastModified: '2024-05-01T00:00:00Z',
+      content: { name: 'Health Study', description: 'Mirror copy' },
+    },
+  },
+};
+
+function createS3Client(bucket) {
+  const s3Client = new S3ClientWrapper(bucket, { endpoint: 'https://test-endpoint.com' });
+  s3Client.listObjects = jest.fn(async () => {
+    if (!buckets[bucket]) {
+      throw new AccessDeniedError(`Access denied to ${bucket}`, { bucket });
+    }
+    return Object.entries(buckets[bucket]).map(([key, file]) =>
+      s3Client.createEnhancedS3Object(key, file.lastModified, 100, `"${bucket}-${key}"`)
+    );
+  });
+  s3Client.getObject = jest.fn(async (key) => JSON.stringify(buckets[bucket][key].content));
+  return s3Client;
+}
+
+function createService(sources, options = {}) {
+  return new FederatedCatalogService(sources, {
+    createS3Client: source => createS3Client(source.bucket),
+    ...options,
+  });
+}
+
+describe('FederatedCatalogService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('normalizeSources derives IDs and labels and rejects duplicates', () => {
+    expect(FederatedCatalogService.normalizeSources([
+      { bucket: 'primary' },
+      { bucket: 'primary', prefix: 'health/' },
+      { bucket: 'mirror', label: 'Partner Mirror' },
+    ])).toEqual([
+      { bucket: 'primary', id: 'primary', label: 'primary', prefix: '', endpoint: null },
+      { bucket: 'primary', id: 'primary-health', label: 'primary/health', prefix: 'health/', endpoint: null },
+      { bucket: 'mirror', id: 'partner-mirror', label: 'Partner Mirror', prefix: '', endpoint: null },
+    ]);
+
+    expect(() => FederatedCatalogService.normalizeSources([{ bucket: 'a' }, { bucket: 'a' }]))
+      .toThrow("Duplicate source ID 'a'");
+    expect(() => FederatedCatalogService.normalizeSources([{ label: 'No bucket' }]))
+      .toThrow('Source 1 is missing a bucket');
+  });
+
+  test('loadCatalog merges sources and tags datasets with their source', async () => {
+    const service = createService([
+      { bucket: 'primary', label: 'Primary' },
+      { bucket: 'mirror', label: 'Mirror' },
+    ]);
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(sections.health.map(d => d.id).sort()).toEqual(['mirror:health/study', 'primary:health/study']);
+    expect(sections.health.find(d => d.id === 'mirror:health/study').source).toEqual({
+      id: 'mirror', label: 'Mirror', endpoint: null, bucket: 'mirror', prefix: '',
+    });
+    expect(metadata.totalDatasets).toBe(3);
+    expect(metadata.bucketInfo.name).toBe('primary, mirror');
+    expect(metadata.sources).toEqual([
+      { id: 'primary', label: 'Primary', endpoint: null, bucket: 'primary', prefix: '', totalObjects: 2, metadataFiles: 2, datasets: 2, error: null },
+      { id: 'mirror', label: 'Mirror', endpoint: null, bucket: 'mirror', prefix: '', totalObjects: 1, metadataFiles: 1, datasets: 1, error: null },
+    ]);
+  });
+
+  test('deduplication runs across sources or within each source', async () => {
+    const sources = [{ bucket: 'primary' }, { bucket: 'mirror' }];
+
+    const global = createService(sources, { deduplication: { enabled: true } });
+    const globalResponse = await global.loadCatalog();
+    expect(globalResponse.sections.health).toHaveLength(1);
+    expect(globalResponse.sections.health[0].description).toBe('Mirror copy');
+    expect(globalResponse.metadata.deduplicationScope).toBe('global');
+
+    const scoped = createService(sources, { deduplication: { enabled: true }, deduplicationScope: 'source' });
+    const scopedResponse = await scoped.loadCatalog();
+    expect(scopedResponse.sections.health).toHaveLength(2);
+    expect(scopedResponse.metadata.duplicatesRemoved).toBe(0);
+  });
+
+  test('a failing source is reported without failing the catalog', async () => {
+    const service = createService([{ bucket: 'primary' }, { bucket: 'locked' }]);
+    const { metadata } = await service.loadCatalog();
+
+    expect(metadata.totalDatasets).toBe(2);
+    expect(metadata.sources[1]).toEqual(expect.objectContaining({
+      id: 'locked', datasets: 0, error: 'Access denied to locked',
+    }));
+  });
+
+  test('loadCatalog throws the first error when every source fails', async () => {
+    const service = createService([{ bucket: 'locked' }, { bucket: 'missing' }]);
+
+    await expect(service.loadCatalog()).rejects.toBeInstanceOf(AccessDeniedError);
+  });
+
+  test('refreshCatalog sums the per-source refresh summaries', async () => {
+    const service = createService([{ bucket: 'primary' }, { bucket: 'mirror' }]);
+    await service.loadCatalog();
+
+    buckets.mirror['health/extra.metadata.json'] = {
+      lastModified: '2024-06-01T00:00:00Z',
+      content: { name: 'Extra', description: 'Added later' },
+    };
+    try {
+      const { metadata } = await service.refreshCatalog();
+      expect(metadata.refreshSummary).toEqual({ added: 1, changed: 0, removed: 0, unchanged: 3 });
+      expect(metadata.totalDatasets).toBe(4);
+    } finally {
+      delete buckets.mirror['health/extra.metadata.json'];
+    }
+  });
+
+  test('getDatasetHistory reads versions from the source named in the dataset ID', async () => {
+    const service = createService([{ bucket: 'primary' }, { bucket: 'mirror' }]);
+    const mirror = service.sourceServices[1].s3Client;
+    mirror.listObjectVersions = jest.fn(async key => [
+      mirror.createObjectVersion(key, '2024-05-01T00:00:00Z', 100, null, { versionId: 'v1', isLatest: true })
+    ]);
+
+    const versions = await service.getDatasetHistory('mirror:health/study');
+
+    expect(mirror.listObjectVersions).toHaveBeenCalledWith('health/study.metadata.json', expect.anything());
+    expect(versions[0].dataset.description).toBe('Mirror copy');
+    await expect(service.getDatasetHistory('unknown:health/study')).rejects.toThrow(/primary, mirror/);
+  });
+});
+
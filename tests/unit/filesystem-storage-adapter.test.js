@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileSystemStorageAdapter } = require('../../src/catalog-core/filesystem-storage-adapter');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
+const { AccessDeniedError, NoSuchBucketError } = require('../../src/catalog-core/s3-errors');
+
+function writeFile(root, key, content) {
+  const filePath = path.join(root, ...key.split('/'));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('FileSystemStorageAdapter', () => {
+  let root;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-fs-'));
+    writeFile(root, 'health/study.metadata.json', JSON.stringify({ name: 'Health Study', description: 'Local copy' }));
+    writeFile(root, 'health/study.csv', 'a,b\n1,2\n');
+    writeFile(root, 'tijuana/complaints/data.metadata.json', JSON.stringify({ name: 'Complaints' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('listObjects returns sorted keys relative to the root', async () => {
+    const adapter = new FileSystemStorageAdapter(root);
+    const objects = await adapter.listObjects();
+
+    expect(objects.map(obj => obj.Key)).toEqual([
+      'health/study.csv',
+      'health/study.metadata.json',
+      'tijuana/complaints/data.metadata.json',
+    ]);
+    expect(objects[0]).toEqual(expect.objectContaining({
+      Size: 8,
+      LastModified: expect.any(Date),
+      ETag: expect.stringMatching(/^[0-9a-f]+-8$/),
+      isMetadata: false,
+      isDataFile: true,
+    }));
+    expect(objects[1].isMetadata).toBe(true);
+    expect(adapter.bucketName).toBe(path.basename(root));
+  });
+
+  test('listObjects limits keys to a prefix', async () => {
+    const adapter = new FileSystemStorageAdapter(root);
+
+    expect((await adapter.listObjects('tijuana/')).map(obj => obj.Key)).toEqual(['tijuana/complaints/data.metadata.json']);
+    expect((await adapter.listObjects('health/study.c')).map(obj => obj.Key)).toEqual(['health/study.csv']);
+  });
+
+  test('listObjects skips hidden files and directories and node_modules', async () => {
+    writeFile(root, '.git/objects/ab/cdef', 'blob');
+    writeFile(root, 'health/.DS_Store', '');
+    writeFile(root, 'node_modules/pkg/package.json', '{}');
+    const adapter = new FileSystemStorageAdapter(root);
+
+    expect((await adapter.listObjects()).map(obj => obj.Key)).toEqual([
+      'health/study.csv',
+      'health/study.metadata.json',
+      'tijuana/complaints/data.metadata.json',
+    ]);
+  });
+
+  test('getObject and headObject read files by key', async () => {
+    const adapter = new FileSystemStorageAdapter(root);
+
+    expect(await adapter.getObject('health/study.csv')).toBe('a,b\n1,2\n');
+    expect(await adapter.headObject('health/study.metadata.json')).toEqual(expect.objectContaining({
+      Key: 'health/study.metadata.json',
+      ContentType: 'application/json',
+      isMetadata: true,
+    }));
+  });
+
+  test('missing files, missing roots and escaping keys raise typed errors', async () => {
+    const adapter = new FileSystemStorageAdapter(root);
+
+    await expect(adapter.getObject('health/missing.csv')).rejects.toMatchObject({ code: 'NoSuchKey', statusCode: 404 });
+    await expect(adapter.headObject('health')).rejects.toMatchObject({ code: 'NoSuchKey' });
+    await expect(adapter.getObject('../outside.txt')).rejects.toBeInstanceOf(AccessDeniedError);
+    await expect(new FileSystemStorageAdapter(path.join(root, 'nope')).listObjects()).rejects.toBeInstanceOf(NoSuchBucketError);
+  });
+
+  test('CatalogService catalogs a directory like a bucket', async () => {
+    const adapter = new FileSystemStorageAdapter(root);
+    const service = new CatalogService(adapter.bucketName, { s3Client: adapter });
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(Object.keys(sections).sort()).toEqual(['health', 'tijuana']);
+    expect(sections.health[0].title).toBe('Health Study');
+    expect(metadata.bucketInfo).toEqual(expect.objectContaining({ totalObjects: 3, metadataFiles: 2 }));
+  });
+});
@@ -0,0 +1,150 @@
+const zlib = require('zlib');
+const { InventoryReader } = require('../../src/catalog-core/inventory-reader');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
+const { S3ClientWrapper } = require('../../src/catalog-core/s3-client');
+const { S3Error } = require('../../src/catalog-core/s3-errors');
+
+const manifestPrefix = 'inventory/test-bucket/daily/';
+const manifestKey = `${manifestPrefix}2024-06-02T01-00Z/manifest.json`;
+
+const csvReport = [
+  '"test-bucket","tijuana/air/pm25.metadata.json","100","2024-05-01T00:00:00.000Z","etag1"',
+  '"test-bucket","tijuana/air/pm25.csv","2048","2024-05-01T00:00:00.000Z","etag2"',
+  '"test-bucket","tijuana/old/gone.metadata.json","90","2024-04-01T00:00:00.000Z","etag3"',
+  '"test-bucket","tijuana/incoming/stale.metadata.json","80","2024-04-01T00:00:00.000Z","etag4"',
+  '"test-bucket","health/water+quality.metadata.json","70","2024-03-01T00:00:00.000Z","etag5"',
+].join('\n');
+
+function createManifest(overrides = {}) {
+  return {
+    sourceBucket: 'test-bucket',
+    fileFormat: 'CSV',
+    fileSchema: 'Bucket, Key, Size, LastModifiedDate, ETag',
+    files: [{ key: `${manifestPrefix}data/report.csv.gz`, size: 200 }],
+    creationTimestamp: String(Date.now() - 3600000),
+    ...overrides,
+  };
+}
+
+const metadataContents = {
+  'tijuana/air/pm25.metadata.json': { name: 'PM2.5', description: 'Hourly PM2.5' },
+  'health/water quality.metadata.json': { name: 'Water Quality', description: 'Monthly samples' },
+  'tijuana/incoming/new.metadata.json': { name: 'New Arrivals', description: 'Added after the report' },
+};
+
+function createService(manifest = createManifest(), inventory = { manifestPrefix, livePrefixes: ['tijuana/incoming/'] }) {
+  const s3Client = new S3ClientWrapper('test-bucket', { endpoint: 'https://test-endpoint.com' });
+
+  s3Client.listObjects = jest.fn(async (prefix) => {
+    if (prefix === manifestPrefix) {
+      return [
+        s3Client.createEnhancedS3Object(`${manifestPrefix}2024-06-01T01-00Z/manifest.json`, '2024-06-01T02:00:00Z', 500),
+        s3Client.createEnhancedS3Object(manifestKey, '2024-06-02T02:00:00Z', 500),
+        s3Client.createEnhancedS3Object(`${manifestPrefix}hive/dt=2024-06-02-01-00/symlink.txt`, '2024-06-02T02:00:00Z', 50),
+      ];
+    }
+    if (prefix === 'tijuana/incoming/') {
+      return [s3Client.createEnhancedS3Object('tijuana/incoming/new.metadata.json', '2024-06-03T00:00:00Z', 60)];
+    }
+    return Object.keys(metadataContents).map(key => s3Client.createEnhancedS3Object(key, '2024-06-03T00:00:00Z', 60));
+  });
+  s3Client.getObject = jest.fn(async (key) => {
+    if (key === manifestKey) {
+      return JSON.stringify(manifest);
+    }
+    if (!metadataContents[key]) {
+      throw new S3Error(`Object ${key} does not exist`, { code: 'NoSuchKey', statusCode: 404 });
+    }
+    return JSON.stringify(metadataContents[key]);
+  });
+  s3Client.getObjectBytes = jest.fn(async () => new Uint8Array(zlib.gzipSync(csvReport)));
+
+  return new CatalogService('test-bucket', { s3Client, inventory });
+}
+
+describe('InventoryReader', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('parseCsvLine and decodeKey handle quoting and URL-encoded keys', () => {
+    expect(InventoryReader.parseCsvLine('"b","a ""quoted"", key","12"')).toEqual(['b', 'a "quoted", key', '12']);
+    expect(InventoryReader.decodeKey('health/water+quality%2Bplus.csv')).toBe('health/water quality+plus.csv');
+  });
+
+  test('parseManifest rejects unsupported formats and reports without a Key column', () => {
+    expect(() => InventoryReader.parseManifest(createManifest({ fileFormat: 'ORC' }), manifestKey)).toThrow('only CSV and JSON');
+    expect(() => InventoryReader.parseManifest(createManifest({ fileSchema: 'Bucket, Size' }), manifestKey)).toThrow('no Key column');
+
+    const manifest = InventoryReader.parseManifest(createManifest(), manifestKey);
+    expect(manifest.fileSchema).toEqual(['Bucket', 'Key', 'Size', 'LastModifiedDate', 'ETag']);
+    expect(manifest.creationDate).toBeInstanceOf(Date);
+  });
+
+  test('readObjects reads JSON reports and skips old versions and delete markers', async () => {
+    const storage = new S3ClientWrapper('test-bucket', { endpoint: 'https://test-endpoint.com' });
+    const rows = [
+      { Bucket: 'test-bucket', Key: 'a.metadata.json', VersionId: '2', IsLatest: true, IsDeleteMarker: false, Size: 10, LastModifiedDate: '2024-05-01T00:00:00Z' },
+      { Bucket: 'test-bucket', Key: 'a.metadata.json', VersionId: '1', IsLatest: false, IsDeleteMarker: false, Size: 9, LastModifiedDate: '2024-04-01T00:00:00Z' },
+      { Bucket: 'test-bucket', Key: 'b.metadata.json', VersionId: '3', IsLatest: true, IsDeleteMarker: true, Size: 0, LastModifiedDate: '2024-05-01T00:00:00Z' },
+    ];
+    storage.getObjectBytes = jest.fn(async () => new TextEncoder().encode(rows.map(row => JSON.stringify(row)).join('\n')));
+
+    const manifest = InventoryReader.parseManifest(createManifest({
+      fileFormat: 'JSON',
+      fileSchema: 'Bucket, Key, VersionId, IsLatest, IsDeleteMarker, Size, LastModifiedDate',
+      files: [{ key: 'inventory/report.json', size: 300 }],
+    }), manifestKey);
+    const onFile = jest.fn();
+    const objects = await new InventoryReader(storage).readObjects(manifest, { onFile });
+
+    expect(objects.map(obj => [obj.Key, obj.Size])).toEqual([['a.metadata.json', 10]]);
+    expect(onFile).toHaveBeenCalledWith({ files: 1, objects: 1 });
+  });
+
+  test('CatalogService lists from the newest report, lists live prefixes and skips deleted keys', async () => {
+    const service = createService();
+    const { sections, metadata } = await service.loadCatalog();
+
+    expect(service.s3Client.getObject).toHaveBeenCalledWith(manifestKey, expect.anything());
+    expect(service.s3Client.listObjects.mock.calls.map(call => call[0])).toEqual([manifestPrefix, 'tijuana/incoming/']);
+
+    const titles = Object.values(sections).flat().map(dataset => dataset.title).sort();
+    expect(titles).toEqual(['New Arrivals', 'PM2.5', 'Water Quality']);
+    expect(metadata.inventory).toEqual(expect.objectContaining({ manifestKey, inventoryObjects: 5, livePrefixes: ['tijuana/incoming/'] }));
+  });
+
+  test('refreshing from a live listing after an inventory listing only fetches changed files', async () => {
+    const service = createService();
+    await service.loadCatalog();
+    service.s3Client.getObject.mockClear();
+
+    // Live listings and HEAD responses quote ETags; inventory reports do not
+    service.inventory = null;
+    service.s3Client.listObjects = jest.fn(async () => [
+      service.s3Client.createEnhancedS3Object('tijuana/air/pm25.metadata.json', '2024-05-01T00:00:00Z', 100, '"etag1"'),
+      service.s3Client.createEnhancedS3Object('health/water quality.metadata.json', '2024-03-01T00:00:00Z', 70, '"etag5-changed"'),
+      service.s3Client.createEnhancedS3Object('tijuana/incoming/new.metadata.json', '2024-06-03T00:00:00Z', 60),
+    ]);
+    const { metadata } = await service.refreshCatalog();
+
+    expect(metadata.refreshSummary).toEqual(expect.objectContaining({ added: 0, changed: 1, removed: 0, unchanged: 2 }));
+    expect(service.s3Client.getObject.mock.calls.map(call => call[0])).toEqual(['health/water quality.metadata.json']);
+  });
+
+  test('CatalogService falls back to a live listing when the report is too old', async () => {
+    const stale = createManifest({ creationTimestamp: String(Date.now() - 72 * 3600000) });
+    const service = createService(stale, { manifestKey, maxAgeHours: 48 });
+    const { metadata } = await service.loadCatalog();
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('72 hours old'));
+    expect(service.s3Client.getObjectBytes).not.toHaveBeenCalled();
+    expect(service.s3Client.listObjects).toHaveBeenCalledWith('', expect.anything());
+    expect(metadata.inventory).toBeNull();
+  });
+});
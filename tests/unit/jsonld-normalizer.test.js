@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonLdNormalizer } = require('../../src/catalog-core/jsonld-normalizer');
+const { DatasetParser } = require('../../src/catalog-core/dataset-parser');
+
+const key = 'tijuana/sd_complaints/output/complaints_by_date.metadata.json';
+const plain = JSON.parse(fs.readFileSync(path.join(__dirname, '../../examples/complaints_by_date.metadata (2).json'), 'utf8'));
+const [csv, json] = plain.distribution;
+
+const variants = {
+  'schema.org context': {
+    '@context': 'https://schema.org/',
+    ...plain
+  },
+  'prefixed keys': {
+    '@context': { schema: 'http://schema.org/' },
+    '@type': 'schema:Dataset',
+    'schema:name': plain.name,
+    'schema:description': plain.description,
+    'schema:distribution': plain.distribution.map(d => ({
+      '@type': 'schema:DataDownload',
+      'schema:encodingFormat': d.encodingFormat,
+      'schema:contentUrl': d.contentUrl
+    }))
+  },
+  'term aliases': {
+    '@context': [{ '@vocab': 'http://schema.org/' }, { title: 'schema:name', files: { '@id': 'schema:distribution', '@container': '@list' } }],
+    '@type': 'Dataset',
+    title: plain.name,
+    description: plain.description,
+    files: { '@list': plain.distribution }
+  },
+  '@graph with references': {
+    '@context': { '@vocab': 'https://schema.org/' },
+    '@graph': [
+      { '@id': '#csv', ...csv },
+      { '@id': '#dataset', '@type': 'Dataset', name: plain.name, description: plain.description, distribution: [{ '@id': '#csv' }, { '@id': '#json' }] },
+      { '@id': '#json', ...json }
+    ]
+  },
+  'expanded form': [{
+    '@type': ['http://schema.org/Dataset'],
+    'http://schema.org/name': [{ '@value': plain.name }],
+    'http://schema.org/description': [{ '@value': plain.description }],
+    'http://schema.org/distribution': plain.distribution.map(d => ({
+      '@type': ['http://schema.org/DataDownload'],
+      'http://schema.org/encodingFormat': [{ '@value': d.encodingFormat }],
+      'http://schema.org/contentUrl': [{ '@id': d.contentUrl }]
+    }))
+  }]
+};
+
+describe('JsonLdNormalizer', () => {
+  test('leaves plain schema.org metadata unchanged', () => {
+    expect(JsonLdNormalizer.normalize(plain)).toEqual(plain);
+  });
+
+  test.each(Object.keys(variants))('%s parses to the same Dataset as the plain form', (name) => {
+    const expected = DatasetParser.parse(JSON.stringify(plain), key).toObject();
+    const dataset = DatasetParser.parse(JSON.stringify(variants[name]), key);
+
+    expect(dataset.isValid).toBe(true);
+    expect(dataset.toObject()).toEqual(expected);
+    expect(dataset.distribution.map(d => d['@type'])).toEqual(['DataDownload', 'DataDownload']);
+  });
+
+  test('keeps other vocabularies as IRIs and stops reference cycles', () => {
+    const normalized = JsonLdNormalizer.normalize({
+      '@context': { '@vocab': 'https://schema.org/', dct: 'http://purl.org/dc/terms/' },
+      '@graph': [
+        { '@id': '#a', '@type': 'Dataset', name: 'A', 'dct:accrualPeriodicity': 'daily', isBasedOn: { '@id': '#b' } },
+        { '@id': '#b', '@type': 'Dataset', name: 'B', isBasedOn: { '@id': '#a' } }
+      ]
+    });
+
+    expect(normalized.name).toBe('A');
+    expect(normalized['http://purl.org/dc/terms/accrualPeriodicity']).toBe('daily');
+    expect(normalized.isBasedOn.name).toBe('B');
+    expect(normalized.isBasedOn.isBasedOn).toBe('#a');
+  });
+
+  test('rejects an empty @graph', () => {
+    const dataset = DatasetParser.parse('{"@context":"https://schema.org","@graph":[]}', key);
+    expect(dataset.isValid).toBe(false);
+    expect(dataset.description).toBe('The @graph holds no nodes');
+  });
+});
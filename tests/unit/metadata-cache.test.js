@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetadataCache, CachingS3Client, endpointToDirectoryName } = require('../../src/catalog-cli/metadata-cache');
+
+function createObject(key, etag, lastModified = '2024-01-01T00:00:00Z') {
+  return { Key: key, ETag: etag, LastModified: new Date(lastModified), isMetadata: true };
+}
+
+describe('MetadataCache', () => {
+  let cacheRoot;
+
+  beforeEach(() => {
+    cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), 's3-catalog-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheRoot, { recursive: true, force: true });
+  });
+
+  test('should place caches under endpoint and bucket directories', () => {
+    const cache = new MetadataCache('https://s3.example.com:9000', 'public', { cacheRoot });
+    expect(endpointToDirectoryName('https://s3.example.com:9000')).toBe('s3.example.com_9000');
+    expect(cache.directory).toBe(path.join(cacheRoot, 's3.example.com_9000', 'public'));
+  });
+
+  test('should only return entries whose ETag still matches', async () => {
+    const cache = new MetadataCache('https://s3.example.com', 'public', { cacheRoot });
+    await cache.set(createObject('a.metadata.json', '"v1"'), '{"name":"A"}');
+
+    expect(await cache.get(createObject('a.metadata.json', '"v1"'))).toBe('{"name":"A"}');
+    expect(await cache.get(createObject('a.metadata.json', '"v2"'))).toBeNull();
+    expect(await cache.get(createObject('b.metadata.json', '"v1"'))).toBeNull();
+  });
+
+  test('should fall back to LastModified when there is no ETag', async () => {
+    const cache = new MetadataCache('https://s3.example.com', 'public', { cacheRoot });
+    await cache.set(createObject('a.metadata.json', null), '{}');
+
+    expect(await cache.get(createObject('a.metadata.json', null))).toBe('{}');
+    expect(await cache.get(createObject('a.metadata.json', null, '2024-02-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('CachingS3Client should only download changed objects', async () => {
+    const cache = new MetadataCache('https://s3.example.com', 'public', { cacheRoot });
+    let listing = [createObject('a.metadata.json', '"v1"'), createObject('b.metadata.json', '"v1"')];
+    const s3Client = {
+      bucketName: 'public',
+      listObjects: jest.fn(async () => listing),
+      getObject: jest.fn(async key => `content of ${key}`)
+    };
+
+    const firstRun = new CachingS3Client(s3Client, cache);
+    await firstRun.listObjects();
+    await firstRun.getObject('a.metadata.json');
+    await firstRun.getObject('b.metadata.json');
+    expect(firstRun.getStats()).toEqual({ hits: 0, misses: 2 });
+
+    listing = [createObject('a.metadata.json', '"v1"'), createObject('b.metadata.json', '"v2"')];
+    const secondRun = new CachingS3Client(s3Client, cache);
+    await secondRun.listObjects();
+    expect(await secondRun.getObject('a.metadata.json')).toBe('content of a.metadata.json');
+    await secondRun.getObject('b.metadata.json');
+    expect(secondRun.getStats()).toEqual({ hits: 1, misses: 1 });
+    expect(s3Client.getObject).toHaveBeenCalledTimes(3);
+
+    const refreshRun = new CachingS3Client(s3Client, cache, { refresh: true });
+    await refreshRun.listObjects();
+    await refreshRun.getObject('a.metadata.json');
+    expect(refreshRun.getStats()).toEqual({ hits: 0, misses: 1 });
+  });
+
+  test('clear should remove all entries', async () => {
+    const cache = new MetadataCache('https://s3.example.com', 'public', { cacheRoot });
+    await cache.set(createObject('a.metadata.json', '"v1"'), '{}');
+    await cache.clear();
+
+    expect(fs.existsSync(cache.directory)).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+const { MetadataValidator, DATASET_METADATA_SCHEMA } = require('../../src/catalog-core/metadata-validator');
+
+const key = 'tijuana/air/pm25.metadata.json';
+
+const valid = {
+  '@type': 'Dataset',
+  name: 'PM2.5 readings',
+  description: 'Hourly PM2.5',
+  dateCreated: '2024-02-29',
+  temporalCoverage: '2020-01-01/..',
+  license: 'https://creativecommons.org/licenses/by/4.0/',
+  distribution: [{ contentUrl: 'tijuana/air/pm25.csv', encodingFormat: 'text/csv' }]
+};
+
+describe('MetadataValidator', () => {
+  test('accepts metadata that follows the profile', async () => {
+    const validator = new MetadataValidator({ contentExists: async () => true });
+    const result = await validator.validate(JSON.stringify(valid), key);
+
+    expect(result).toEqual({ key, valid: true, errors: [], warnings: [] });
+  });
+
+  test('reports errors and warnings with their paths', async () => {
+    const contentExists = jest.fn(async contentKey => contentKey === 'tijuana/air/pm25.csv');
+    const validator = new MetadataValidator({ contentExists });
+    const result = await validator.validate(JSON.stringify({
+      '@type': 'Thing',
+      name: '',
+      dateCreated: '2023-02-29',
+      license: 'CC BY',
+      distribution: [
+        { contentUrl: '/tijuana/air/pm25.csv', encodingFormat: 'text/csv' },
+        { contentUrl: 'tijuana/air/missing.csv' },
+        { contentUrl: 'https://example.org/remote.csv', encodingFormat: 'text/csv', sha256: 'abc' },
+        { encodingFormat: 'text/csv' }
+      ]
+    }), key);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(MetadataValidator.formatIssue)).toEqual([
+      'name: must not be empty',
+      'dateCreated: must be an ISO 8601 date (YYYY-MM-DD), year or date-time',
+      'distribution[2].sha256: must be 64 hexadecimal characters',
+      'distribution[3].contentUrl: is required',
+      'distribution[1].contentUrl: tijuana/air/missing.csv does not exist in the bucket'
+    ]);
+    expect(result.warnings.map(MetadataValidator.formatIssue)).toEqual([
+      '@type: should be "Dataset"',
+      'license: should be a license URL or a CreativeWork',
+      'distribution[1].encodingFormat: is recommended',
+      'description: is recommended'
+    ]);
+    expect(contentExists.mock.calls.map(call => call[0])).toEqual(['tijuana/air/pm25.csv', 'tijuana/air/missing.csv']);
+  });
+
+  test('validates the normalized JSON-LD and reports parse failures', async () => {
+    const validator = new MetadataValidator();
+
+    const jsonLd = await validator.validate(JSON.stringify({
+      '@context': { schema: 'http://schema.org/' },
+      '@type': 'schema:Dataset',
+      'schema:name': 'PM2.5',
+      'schema:description': 'Hourly',
+      'schema:distribution': { 'schema:contentUrl': 'pm25.csv', 'schema:encodingFormat': 'text/csv' }
+    }), key);
+    expect(jsonLd.errors).toEqual([]);
+    expect(jsonLd.warnings).toEqual([]);
+
+    const broken = await validator.validate('{"name": "PM2.5",', key);
+    expect(broken.valid).toBe(false);
+    expect(broken.errors[0].message).toMatch(/^Cannot be parsed: /);
+
+    const empty = await validator.validate('{"name": "PM2.5", "description": "Hourly", "distribution": []}', key);
+    expect(empty.warnings).toEqual([{ path: 'distribution', message: 'lists no downloads' }]);
+  });
+
+  // One passing and one failing value for every keyword validateSchema() implements
+  const keywordCases = {
+    type: [{ type: 'string' }, 'a', 1],
+    const: [{ const: 'Dataset' }, 'Dataset', 'Thing'],
+    enum: [{ enum: ['a', 'b'] }, 'b', 'c'],
+    required: [{ required: ['name'] }, { name: 'x' }, {}],
+    properties: [{ properties: { name: { type: 'string' } } }, { name: 'x' }, { name: 1 }],
+    items: [{ items: { type: 'string' } }, ['a'], ['a', 1]],
+    contains: [{ contains: { const: 'csv' } }, ['csv', 'json'], ['json']],
+    anyOf: [{ anyOf: [{ type: 'string' }, { type: 'number' }] }, 1, true],
+    allOf: [{ allOf: [{ type: 'string' }, { minLength: 2 }] }, 'ab', 'a'],
+    $ref: [{ definitions: { text: { type: 'string' } }, $ref: '#/definitions/text' }, 'a', 1],
+    minLength: [{ minLength: 1 }, 'a', ''],
+    minItems: [{ minItems: 1 }, ['a'], []],
+    pattern: [{ pattern: '^[0-9a-f]+$' }, 'abc', 'xyz'],
+    format: [{ format: 'date' }, '2024-02-29', '2023-02-29'],
+    'x-severity': [{ 'x-severity': 'warning', type: 'string' }, 'a', 1],
+    'x-message': [{ 'x-message': 'should be text', type: 'string' }, 'a', 1]
+  };
+
+  test('implements every keyword the shipped schema uses', () => {
+    const used = new Set();
+    const collect = node => {
+      for (const [keyword, value] of Object.entries(node)) {
+        used.add(keyword);
+        if (keyword === 'properties' || keyword === 'definitions') {
+          Object.values(value).forEach(collect);
+        } else if (keyword === 'items' || keyword === 'contains') {
+          collect(value);
+        } else if (keyword === 'anyOf' || keyword === 'allOf') {
+          value.forEach(collect);
+        }
+      }
+    };
+    collect(DATASET_METADATA_SCHEMA);
+
+    const annotations = ['$schema', '$comment', 'title', 'description', 'definitions'];
+    expect([...used].filter(keyword => !annotations.includes(keyword) && !keywordCases[keyword])).toEqual([]);
+
+    for (const [keyword, [schema, passing, failing]] of Object.entries(keywordCases)) {
+      expect([keyword, MetadataValidator.validateSchema(passing, schema)]).toEqual([keyword, []]);
+      expect([keyword, MetadataValidator.validateSchema(failing, schema).length]).toEqual([keyword, 1]);
+    }
+    expect(MetadataValidator.validateSchema(1, keywordCases['x-severity'][0])[0].severity).toBe('warning');
+    expect(MetadataValidator.validateSchema(1, keywordCases['x-message'][0])[0].message).toBe('should be text');
+  });
+
+  test('rejects schemas with keywords or formats it does not implement', () => {
+    expect(() => new MetadataValidator({ schema: { properties: { name: { type: 'string', maxLength: 80 } } } }))
+      .toThrow("Unsupported JSON Schema keyword 'maxLength' at #/properties/name");
+    expect(() => MetadataValidator.validateSchema('a@example.org', { format: 'email' }))
+      .toThrow("Unsupported format 'email' at #");
+    expect(() => MetadataValidator.validateSchema('a', { anyOf: [{ $ref: '#/definitions/missing' }] }))
+      .toThrow('Unknown schema reference: #/definitions/missing');
+    expect(() => new MetadataValidator()).not.toThrow();
+  });
+});
@@ -0,0 +1,271 @@
+const { MetadataParserRegistry, defaultParserRegistry, SCHEMA_ORG_FORMAT } = require('../../src/catalog-core/parser-registry');
+const { formatTableSchema } = require('../../src/catalog-core/models');
+
+const dcat = {
+  '@context': { dcat: 'http://www.w3.org/ns/dcat#', dct: 'http://purl.org/dc/terms/', foaf: 'http://xmlns.com/foaf/0.1/' },
+  '@type': 'dcat:Catalog',
+  'dcat:dataset': {
+    '@type': 'dcat:Dataset',
+    'dct:title': { '@value': 'PM2.5 readings', '@language': 'en' },
+    'dct:description': 'Hourly PM2.5',
+    'dcat:keyword': ['air quality', 'pm25'],
+    'dct:license': { '@id': 'https://creativecommons.org/licenses/by/4.0/' },
+    'dct:publisher': { '@type': 'foaf:Organization', 'foaf:name': 'Air Lab' },
+    'dct:issued': '2024-03-01',
+    'dct:temporal': { '@type': 'dct:PeriodOfTime', 'dcat:startDate': '2020-01-01', 'dcat:endDate': '2023-12-31' },
+    'dcat:distribution': [{
+      '@type': 'dcat:Distribution',
+      'dct:title': 'CSV',
+      'dcat:downloadURL': { '@id': 'tijuana/air/pm25.csv' },
+      'dcat:mediaType': { '@id': 'https://www.iana.org/assignments/media-types/text/csv' },
+      'dcat:byteSize': '2048'
+    }]
+  }
+};
+
+const dataCiteJson = {
+  data: {
+    id: '10.5281/zenodo.123',
+    type: 'dois',
+    attributes: {
+      doi: '10.5281/zenodo.123',
+      titles: [{ title: 'Border crossings' }, { title: 'Cruces', titleType: 'TranslatedTitle' }],
+      creators: [{ name: 'Lopez, Ana' }, { name: 'Kim, Jo' }],
+      publisher: 'Zenodo',
+      publicationYear: 2023,
+      subjects: [{ subject: 'transport' }],
+      descriptions: [{ description: 'Methods', descriptionType: 'Methods' }, { description: 'Daily counts', descriptionType: 'Abstract' }],
+      rightsList: [{ rights: 'CC BY 4.0', rightsUri: 'https://creativecommons.org/licenses/by/4.0/' }],
+      dates: [{ date: '2019-01-01/2022-12-31', dateType: 'Collected' }],
+      relatedIdentifiers: [{ relatedIdentifier: '10.5281/zenodo.99', relatedIdentifierType: 'DOI', relationType: 'IsDerivedFrom' }],
+      contentUrl: ['https://zenodo.org/records/123/files/crossings.csv'],
+      formats: ['text/csv'],
+      sizes: ['1 MB']
+    }
+  }
+};
+
+const dataCiteXml = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported record -->
+<resource xmlns="http://datacite.org/schema/kernel-4" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <identifier identifierType="DOI">10.5281/zenodo.123</identifier>
+  <creators>
+    <creator><creatorName nameType="Personal">Lopez, Ana</creatorName></creator>
+  </creators>
+  <titles><title xml:lang="en">Border crossings &amp; waits</title></titles>
+  <publisher>Zenodo</publisher>
+  <publicationYear>2023</publicationYear>
+  <descriptions><description descriptionType="Abstract"><![CDATA[Daily <b>counts</b>]]></description></descriptions>
+  <geoLocations>
+    <geoLocation>
+      <geoLocationPlace>San Ysidro</geoLocationPlace>
+      <geoLocationPoint><pointLongitude>-117.03</pointLongitude><pointLatitude>32.54</pointLatitude></geoLocationPoint>
+    </geoLocation>
+  </geoLocations>
+</resource>`;
+
+const ckan = {
+  success: true,
+  result: {
+    id: '5b1c',
+    name: 'street-trees',
+    title: 'Street trees',
+    notes: 'Tree inventory',
+    author: 'Parks Department',
+    license_id: 'odc-by',
+    license_url: 'https://opendatacommons.org/licenses/by/',
+    metadata_created: '2022-05-04T10:00:00.000000',
+    organization: { name: 'city', title: 'City of Tijuana' },
+    tags: [{ name: 'trees', display_name: 'trees' }, { name: 'parks', display_name: 'parks' }],
+    resources: [
+      { name: 'trees.csv', url: 'https://data.example.org/trees.csv', format: 'CSV', mimetype: 'text/csv', size: 4096 },
+      { name: 'broken link', url: '' }
+    ]
+  }
+};
+
+const dataPackage = {
+  name: 'pm25-hourly',
+  title: 'PM2.5 hourly',
+  description: 'Hourly PM2.5 by station',
+  keywords: ['air quality'],
+  licenses: [{ name: 'CC-BY-4.0', path: 'https://creativecommons.org/licenses/by/4.0/' }],
+  contributors: [
+    { title: 'Air Lab', role: 'publisher' },
+    { title: 'Ana Lopez', roles: ['author'] }
+  ],
+  created: '2024-03-01T00:00:00Z',
+  resources: [
+    {
+      name: 'readings',
+      path: 'data/readings.csv',
+      format: 'csv',
+      mediatype: 'text/csv',
+      bytes: 4096,
+      hash: 'sha256:' + 'a'.repeat(64),
+      schema: {
+        fields: [
+          { name: 'station', type: 'string', description: 'Station code', constraints: { required: true } },
+          { name: 'time', type: 'datetime', format: 'any' },
+          { name: 'pm25', type: 'number', unit: 'µg/m³' }
+        ],
+        primaryKey: 'station'
+      }
+    },
+    { name: 'stations', path: 'https://example.org/stations.json', schema: 'schemas/stations.json' },
+    { name: 'inline', data: [{ a: 1 }] }
+  ]
+};
+
+describe('MetadataParserRegistry', () => {
+  test('recognizes metadata files by the suffix of each format', () => {
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.metadata.json')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.DCAT.jsonld')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.datacite.xml')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.ckan.json')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.metadata.yaml')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.metadata.YML')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('air/pm25.json')).toBe(false);
+    expect(defaultParserRegistry.isMetadataFile('.metadata.json')).toBe(false);
+
+    expect(defaultParserRegistry.getDatasetId('air/pm25.dcat.jsonld')).toBe('air/pm25');
+    expect(defaultParserRegistry.getDatasetId('air/pm25.metadata.json')).toBe('air/pm25');
+    expect(defaultParserRegistry.getDatasetId('air/pm25.metadata.yml')).toBe('air/pm25');
+  });
+
+  test('maps DCAT JSON-LD, also inside a catalog', () => {
+    const dataset = defaultParserRegistry.parse(JSON.stringify(dcat), 'tijuana/air/pm25.dcat.json');
+
+    expect(dataset.isValid).toBe(true);
+    expect(dataset.metadataFormat).toBe('dcat');
+    expect(dataset.id).toBe('tijuana/air/pm25');
+    expect(dataset.section).toBe('tijuana');
+    expect(dataset.title).toBe('PM2.5 readings');
+    expect(dataset.dateCreated).toBe('2024-03-01');
+    expect(dataset.keywords).toEqual(['air quality', 'pm25']);
+    expect(dataset.license).toBe('https://creativecommons.org/licenses/by/4.0/');
+    expect(dataset.getFieldText('publisher')).toBe('Air Lab');
+    expect(dataset.temporalCoverage).toBe('2020-01-01/2023-12-31');
+    expect(dataset.distribution).toHaveLength(1);
+    expect(dataset.distribution[0]).toMatchObject({
+      name: 'CSV',
+      contentUrl: 'tijuana/air/pm25.csv',
+      encodingFormat: 'text/csv',
+      contentSize: 2048
+    });
+  });
+
+  test('maps DataCite JSON and XML', () => {
+    const fromJson = defaultParserRegistry.parse(JSON.stringify(dataCiteJson), 'border/crossings.datacite.json');
+    expect(fromJson.metadataFormat).toBe('datacite');
+    expect(fromJson.title).toBe('Border crossings');
+    expect(fromJson.description).toBe('Daily counts');
+    expect(fromJson.creator).toBe('Lopez, Ana; Kim, Jo');
+    expect(fromJson.dateCreated).toBe('2023');
+    expect(fromJson.identifier).toBe('https://doi.org/10.5281/zenodo.123');
+    expect(fromJson.license).toBe('https://creativecommons.org/licenses/by/4.0/');
+    expect(fromJson.temporalCoverage).toBe('2019-01-01/2022-12-31');
+    expect(fromJson.isBasedOn).toEqual(['https://doi.org/10.5281/zenodo.99']);
+    expect(fromJson.distribution[0]).toMatchObject({
+      contentUrl: 'https://zenodo.org/records/123/files/crossings.csv',
+      encodingFormat: 'text/csv',
+      contentSize: '1 MB'
+    });
+
+    const fromXml = defaultParserRegistry.parse(dataCiteXml, 'border/crossings.datacite.xml');
+    expect(fromXml.isValid).toBe(true);
+    expect(fromXml.title).toBe('Border crossings & waits');
+    expect(fromXml.description).toBe('Daily <b>counts</b>');
+    expect(fromXml.identifier).toBe('https://doi.org/10.5281/zenodo.123');
+    expect(fromXml.getFieldText('publisher')).toBe('Zenodo');
+    expect(fromXml.spatialCoverage).toEqual({
+      '@type': 'Place',
+      name: 'San Ysidro',
+      geo: { '@type': 'GeoCoordinates', latitude: 32.54, longitude: -117.03 }
+    });
+
+    const broken = defaultParserRegistry.parse(dataCiteXml.replace('</titles>', ''), 'border/crossings.datacite.xml');
+    expect(broken.isValid).toBe(false);
+    expect(broken.description).toMatch(/^Malformed XML at line \d+/);
+  });
+
+  test('maps CKAN packages and detects formats by content', () => {
+    // A CKAN package saved under the schema.org suffix is still read as CKAN
+    const dataset = defaultParserRegistry.parse(JSON.stringify(ckan), 'city/trees.metadata.json');
+
+    expect(dataset.metadataFormat).toBe('ckan');
+    expect(dataset.id).toBe('city/trees');
+    expect(dataset.title).toBe('Street trees');
+    expect(dataset.description).toBe('Tree inventory');
+    expect(dataset.creator).toBe('Parks Department');
+    expect(dataset.keywords).toEqual(['trees', 'parks']);
+    expect(dataset.license).toBe('https://opendatacommons.org/licenses/by/');
+    expect(dataset.getFieldText('publisher')).toBe('City of Tijuana');
+    expect(dataset.distribution).toHaveLength(1);
+    expect(dataset.distribution[0]).toMatchObject({ name: 'trees.csv', encodingFormat: 'text/csv', contentSize: 4096 });
+
+    const plain = defaultParserRegistry.parse(JSON.stringify({ name: 'Plain', distribution: [] }), 'city/plain.metadata.json');
+    expect(plain.metadataFormat).toBe('schema.org');
+    expect(plain.title).toBe('Plain');
+
+    expect(defaultParserRegistry.detectFormat(JSON.stringify(dcat), 'anything.ckan.json').id).toBe('dcat');
+    expect(defaultParserRegistry.detectFormat('{}', 'unknown.json')).toBeNull();
+
+    const invalid = defaultParserRegistry.parse('{"name": ', 'city/trees.ckan.json');
+    expect(invalid.isValid).toBe(false);
+  });
+
+  test('maps Data Packages with their Table Schemas', () => {
+    expect(defaultParserRegistry.isMetadataFile('tijuana/air/datapackage.json')).toBe(true);
+    expect(defaultParserRegistry.isMetadataFile('tijuana/air/not-a-datapackage.json')).toBe(false);
+    expect(defaultParserRegistry.getDatasetId('tijuana/air/datapackage.json')).toBe('tijuana/air');
+    expect(defaultParserRegistry.getDatasetId('datapackage.json')).toBe('datapackage');
+
+    const dataset = defaultParserRegistry.parse(JSON.stringify(dataPackage), 'tijuana/air/datapackage.json');
+
+    expect(dataset.metadataFormat).toBe('datapackage');
+    expect(dataset.id).toBe('tijuana/air');
+    expect(dataset.projectPath).toBe('air');
+    expect(dataset.title).toBe('PM2.5 hourly');
+    expect(dataset.creator).toBe('Ana Lopez');
+    expect(dataset.getFieldText('publisher')).toBe('Air Lab');
+    expect(dataset.license).toBe('https://creativecommons.org/licenses/by/4.0/');
+    expect(dataset.distribution.map(dist => dist.contentUrl)).toEqual(['tijuana/air/data/readings.csv', 'https://example.org/stations.json']);
+
+    const [readings, stations] = dataset.distribution;
+    expect(readings).toMatchObject({ name: 'readings', encodingFormat: 'text/csv', contentSize: 4096, sha256: 'a'.repeat(64) });
+    expect(readings.tableSchema).toEqual({
+      fields: [
+        { name: 'station', type: 'string', description: 'Station code', required: true },
+        { name: 'time', type: 'datetime', format: 'any' },
+        { name: 'pm25', type: 'number', unit: 'µg/m³' }
+      ],
+      primaryKey: ['station']
+    });
+    expect(formatTableSchema(readings.tableSchema)).toBe('station (string), time (datetime), pm25 (number, µg/m³)');
+    expect(stations.tableSchema).toEqual({ fields: [], path: 'tijuana/air/schemas/stations.json' });
+    expect(formatTableSchema(stations.tableSchema)).toBe('tijuana/air/schemas/stations.json');
+  });
+
+  test('registers plugin formats ahead of the built-in ones', () => {
+    const registry = new MetadataParserRegistry([SCHEMA_ORG_FORMAT]);
+    registry.register({
+      id: 'csvw',
+      label: 'CSVW',
+      suffixes: ['-metadata.json'],
+      sniff: (content, json) => Boolean(json && json.tableSchema),
+      toSchemaOrg: (content, json) => ({ name: json['dc:title'], distribution: [{ contentUrl: json.url }] })
+    });
+
+    expect(registry.formats.map(format => format.id)).toEqual(['csvw', 'schema.org']);
+    expect(registry.isMetadataFile('data/trees.csv-metadata.json')).toBe(true);
+    expect(registry.isMetadataFile('data/trees.ckan.json')).toBe(false);
+
+    const dataset = registry.parse(JSON.stringify({ 'dc:title': 'Trees', url: 'trees.csv', tableSchema: {} }), 'data/trees.csv-metadata.json');
+    expect(dataset.metadataFormat).toBe('csvw');
+    expect(dataset.id).toBe('data/trees.csv');
+    expect(dataset.distribution[0].contentUrl).toBe('trees.csv');
+
+    expect(() => registry.register({ id: 'broken' })).toThrow(/needs an id, a suffixes array/);
+  });
+});
@@ -0,0 +1,70 @@
+const { PrefixTree } = require('../../src/catalog-core/prefix-tree');
+const { DatasetParser } = require('../../src/catalog-core/dataset-parser');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
+
+function parse(key, name) {
+  return DatasetParser.parse(JSON.stringify({ name, description: `${name} data` }), key);
+}
+
+const datasets = [
+  parse('tijuana/sd_complaints/output/complaints.metadata.json', 'Complaints'),
+  parse('tijuana/sd_complaints/output/by_date.metadata.json', 'By Date'),
+  parse('tijuana/sd_complaints/summary.metadata.json', 'Summary'),
+  parse('tijuana/air/pm25.metadata.json', 'PM2.5'),
+  parse('health/study.metadata.json', 'Health Study'),
+];
+
+describe('PrefixTree', () => {
+  test('counts datasets directly under and below every prefix', () => {
+    const tree = new PrefixTree(datasets);
+
+    expect(tree.root.totalCount).toBe(5);
+    expect(tree.getChildren().map(node => node.name)).toEqual(['health', 'tijuana']);
+
+    const complaints = tree.find('tijuana/sd_complaints');
+    expect(complaints).toEqual(expect.objectContaining({ path: 'tijuana/sd_complaints/', datasetCount: 1, totalCount: 3 }));
+    expect(tree.find('tijuana/sd_complaints/output/').datasetCount).toBe(2);
+    expect(tree.find('tijuana/missing')).toBeNull();
+  });
+
+  test('getDatasets includes nested prefixes and walk visits depth-first', () => {
+    const tree = new PrefixTree(datasets);
+
+    expect(tree.getDatasets('tijuana/sd_complaints/').map(d => d.title)).toEqual(['Summary', 'Complaints', 'By Date']);
+
+    const visited = [];
+    tree.walk((node, depth) => visited.push(`${depth}:${node.name}`), tree.find('tijuana'));
+    expect(visited).toEqual(['0:air', '0:sd_complaints', '1:output']);
+  });
+
+  test('toObject honors maxDepth and lists datasets on request', () => {
+    const tree = new PrefixTree(datasets);
+    const obj = tree.toObject({ node: tree.find('tijuana'), maxDepth: 1, includeDatasets: true });
+
+    expect(obj).toEqual({
+      name: 'tijuana',
+      path: 'tijuana/',
+      datasetCount: 0,
+      totalCount: 4,
+      datasets: [],
+      children: [
+        { name: 'air', path: 'tijuana/air/', datasetCount: 1, totalCount: 1, datasets: [{ id: 'tijuana/air/pm25', title: 'PM2.5' }], children: [] },
+        { name: 'sd_complaints', path: 'tijuana/sd_complaints/', datasetCount: 1, totalCount: 3, datasets: [{ id: 'tijuana/sd_complaints/summary', title: 'Summary' }], children: [] },
+      ],
+    });
+  });
+
+  test('invalid datasets are placed by their metadata key', () => {
+    const tree = new PrefixTree([DatasetParser.createInvalid('tijuana/broken.metadata.json', 'Unexpected token')]);
+
+    expect(tree.find('tijuana').datasetCount).toBe(1);
+  });
+
+  test('CatalogService builds the tree for the index or for search results', () => {
+    const service = new CatalogService('test-bucket');
+    service.index.updateWithDeduplication(datasets);
+
+    expect(service.getPrefixTree().find('tijuana').totalCount).toBe(4);
+    expect(service.getPrefixTree({ health: [datasets[4]] }).getChildren().map(node => node.name)).toEqual(['health']);
+  });
+});
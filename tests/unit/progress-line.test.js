@@ -0,0 +1,51 @@
+const { ProgressLine } = require('../../src/catalog-cli/progress-line');
+
+function createStream() {
+  const chunks = [];
+  return { isTTY: true, columns: 80, chunks, write: chunk => chunks.push(chunk) };
+}
+
+describe('ProgressLine', () => {
+  test('formats listing and metadata events', () => {
+    expect(ProgressLine.format({ phase: 'listing', pages: 2, objects: 1500 }))
+      .toBe('📁 Listing objects: 1500 found in 2 pages');
+    expect(ProgressLine.format({ phase: 'metadata', completed: 5, failed: 1, total: 10, source: 'mirror' }))
+      .toBe(`📄 [mirror] Metadata ${'█'.repeat(10)}${'░'.repeat(10)} 5/10, 1 failed`);
+  });
+
+  test('clears the line around console output and restores the console on stop', () => {
+    const originalLog = console.log;
+    const log = jest.fn();
+    console.log = log;
+    const stream = createStream();
+    const progressLine = new ProgressLine({ stream, intervalMs: 0 });
+
+    try {
+      progressLine.start();
+      progressLine.update({ phase: 'listing', pages: 1, objects: 3 });
+      console.log('hello');
+      progressLine.stop();
+
+      expect(log).toHaveBeenCalledWith('hello');
+      expect(stream.chunks).toEqual([
+        '\r\x1b[2K', '📁 Listing objects: 3 found in 1 page',
+        '\r\x1b[2K', '📁 Listing objects: 3 found in 1 page',
+        '\r\x1b[2K',
+      ]);
+      expect(console.log).toBe(log);
+    } finally {
+      console.log = originalLog;
+    }
+  });
+
+  test('draws nothing when the stream is not a terminal', () => {
+    const stream = { ...createStream(), isTTY: false };
+    const progressLine = new ProgressLine({ stream });
+
+    progressLine.start();
+    progressLine.update({ phase: 'metadata', completed: 1, failed: 0, total: 1 });
+    progressLine.stop();
+
+    expect(stream.chunks).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+const { RetryPolicy } = require('../../src/catalog-core/retry-policy');
+const {
+  AccessDeniedError,
+  NoSuchBucketError,
+  ThrottledError,
+  NetworkError,
+  S3Error,
+  createS3Error,
+  fromMinioError
+} = require('../../src/catalog-core/s3-errors');
+
+function createPolicy(options = {}) {
+  return new RetryPolicy({ sleep: jest.fn(async () => {}), random: () => 0.5, ...options });
+}
+
+describe('RetryPolicy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should retry retryable errors with exponential backoff', async () => {
+    const policy = createPolicy({ baseDelayMs: 100 });
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new ThrottledError('slow down'))
+      .mockRejectedValueOnce(new NetworkError('reset'))
+      .mockResolvedValue('ok');
+
+    await expect(policy.execute(operation)).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(policy.sleep.mock.calls).toEqual([[50], [100]]);
+  });
+
+  test('should not retry errors that are not retryable', async () => {
+    const policy = createPolicy();
+    const operation = jest.fn().mockRejectedValue(new AccessDeniedError('denied'));
+
+    await expect(policy.execute(operation)).rejects.toBeInstanceOf(AccessDeniedError);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give up after maxAttempts', async () => {
+    const policy = createPolicy({ maxAttempts: 2 });
+    const operation = jest.fn().mockRejectedValue(new ThrottledError('slow down'));
+
+    await expect(policy.execute(operation)).rejects.toBeInstanceOf(ThrottledError);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cap the backoff delay', () => {
+    const policy = createPolicy({ baseDelayMs: 100, maxDelayMs: 300, random: () => 0.999 });
+    expect(policy.getDelay(10)).toBeLessThan(300);
+  });
+
+  test('should time out slow attempts with a NetworkError and abort them', async () => {
+    const policy = createPolicy({ timeoutMs: 10, maxAttempts: 1 });
+    let signal;
+    const operation = jest.fn(options => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+
+    await expect(policy.execute(operation, { description: 'Slow request' })).rejects.toThrow('Slow request timed out after 10ms');
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('should restart the timeout whenever the attempt calls keepAlive', async () => {
+    const policy = createPolicy({ timeoutMs: 20, maxAttempts: 1 });
+    const operation = jest.fn(async ({ keepAlive }) => {
+      for (let chunk = 0; chunk < 5; chunk++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        keepAlive();
+      }
+      return 'streamed';
+    });
+
+    await expect(policy.execute(operation)).resolves.toBe('streamed');
+
+    const stalled = jest.fn(async ({ keepAlive }) => {
+      keepAlive();
+      return new Promise(() => {});
+    });
+    await expect(policy.execute(stalled, { description: 'Stalled listing' })).rejects.toThrow('Stalled listing timed out after 20ms');
+  });
+
+  test('should stop an attempt and never retry once the caller aborts', async () => {
+    const policy = createPolicy();
+    const controller = new AbortController();
+    let signal;
+    const operation = jest.fn(options => {
+      signal = options.signal;
+      controller.abort();
+      return new Promise(() => {});
+    });
+
+    await expect(policy.execute(operation, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('should cut the backoff short when the caller aborts while waiting', async () => {
+    const controller = new AbortController();
+    const policy = createPolicy({ sleep: jest.fn(() => new Promise(() => {})) });
+    const operation = jest.fn(async () => {
+      setTimeout(() => controller.abort(), 0);
+      throw new ThrottledError('slow down');
+    });
+
+    await expect(policy.execute(operation, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('S3 errors', () => {
+  test('should classify S3 error codes and HTTP statuses', () => {
+    expect(createS3Error({ code: 'NoSuchBucket', bucket: 'b' })).toBeInstanceOf(NoSuchBucketError);
+    expect(createS3Error({ statusCode: 403, bucket: 'b' })).toBeInstanceOf(AccessDeniedError);
+    expect(createS3Error({ statusCode: 503, bucket: 'b' })).toBeInstanceOf(ThrottledError);
+    expect(createS3Error({ code: 'ECONNRESET', bucket: 'b' })).toBeInstanceOf(NetworkError);
+
+    const serverError = createS3Error({ statusCode: 500, bucket: 'b' });
+    expect(serverError).toBeInstanceOf(S3Error);
+    expect(serverError.retryable).toBe(true);
+    expect(createS3Error({ code: 'NoSuchKey', statusCode: 404, bucket: 'b', key: 'k' }).retryable).toBe(false);
+  });
+
+  test('should translate MinIO errors', () => {
+    const minioError = Object.assign(new Error('Access Denied'), { code: 'AccessDenied' });
+    expect(fromMinioError(minioError, { bucket: 'b' })).toBeInstanceOf(AccessDeniedError);
+
+    const exhausted = new Error('Request failed after 10 retries: Error: Retryable HTTP status: 503');
+    expect(fromMinioError(exhausted, { bucket: 'b' })).toBeInstanceOf(ThrottledError);
+  });
+});
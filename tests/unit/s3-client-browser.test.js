@@ -0,0 +1,133 @@
+const { S3ClientBrowser } = require('../../src/catalog-core/s3-client-browser');
+
+const objectHeaders = {
+  'health/study.metadata.json': {
+    'Last-Modified': 'Fri, 01 Mar 2024 00:00:00 GMT',
+    'Content-Length': '42',
+    'ETag': '"abc123"',
+    'Content-Type': 'application/json',
+  },
+  'health/study.csv': {
+    'Last-Modified': 'Sat, 02 Mar 2024 00:00:00 GMT',
+    'Content-Length': '2048',
+    'ETag': '"def456"',
+    'Content-Type': 'text/csv',
+  },
+};
+
+function mockFetch() {
+  global.fetch = jest.fn(async (url, request) => {
+    const key = decodeURIComponent(new URL(url).pathname.split('/').slice(2).join('/'));
+    const headers = objectHeaders[key];
+    if (!headers) {
+      return { ok: false, status: 404, statusText: 'Not Found', text: async () => '' };
+    }
+    return {
+      ok: true,
+      status: 200,
+      headers: new Headers(headers),
+      text: async () => (request.method === 'HEAD' ? '' : JSON.stringify({ name: 'Health Study' })),
+    };
+  });
+}
+
+describe('S3ClientBrowser object info lookups', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetch();
+    client = new S3ClientBrowser('test-bucket', { endpoint: 'https://test-endpoint.com', retry: { maxAttempts: 1 } });
+    client.listObjects = jest.fn(async () => { throw new Error('listObjects should not be called'); });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  test('headObject returns ETag, size, content type and LastModified', async () => {
+    const objectInfo = await client.headObject('health/study.csv');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://test-endpoint.com/test-bucket/health/study.csv', expect.objectContaining({ method: 'HEAD' }));
+    expect(objectInfo).toEqual(expect.objectContaining({
+      Key: 'health/study.csv',
+      Size: 2048,
+      ETag: 'def456',
+      ContentType: 'text/csv',
+      LastModified: new Date('2024-03-02T00:00:00Z'),
+      isDataFile: true,
+    }));
+  });
+
+  test('getMetadataWithTimestamp takes object info from the GET response', async () => {
+    const response = await client.getMetadataWithTimestamp('health/study.metadata.json');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(response.content).toEqual({ name: 'Health Study' });
+    expect(response.objectInfo).toEqual(expect.objectContaining({
+      Key: 'health/study.metadata.json',
+      ETag: 'abc123',
+      ContentType: 'application/json',
+      LastModified: new Date('2024-03-01T00:00:00Z'),
+    }));
+  });
+
+  test('getTimestampsBatch uses HEAD requests and reports missing keys', async () => {
+    const response = await client.getTimestampsBatch(['health/study.csv', 'health/missing.csv']);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(response.timestamps).toEqual({ 'health/study.csv': '2024-03-02T00:00:00.000Z' });
+    expect(response.objects['health/study.csv']).toEqual({
+      ETag: 'def456',
+      Size: 2048,
+      ContentType: 'text/csv',
+      LastModified: new Date('2024-03-02T00:00:00Z'),
+    });
+    expect(response.notFound).toEqual(['health/missing.csv']);
+  });
+
+  test('getTimestampsBatch answers listed keys from the listing cache', async () => {
+    client._updateListingCache('', [
+      client.createEnhancedS3Object('health/study.csv', '2024-03-02T00:00:00Z', 2048, '"def456"'),
+    ]);
+
+    const response = await client.getTimestampsBatch(['health/study.csv']);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(response.objects['health/study.csv']).toEqual(expect.objectContaining({ ETag: 'def456', ContentType: null }));
+  });
+
+  test('getTimestampsBatch propagates errors other than missing keys', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 403, statusText: 'Forbidden', text: async () => '<Code>AccessDenied</Code>' }));
+
+    await expect(client.getTimestampsBatch(['health/study.csv'])).rejects.toMatchObject({ name: 'AccessDeniedError' });
+  });
+
+  test('getObjectBytes keeps reading a body that streams in for longer than the timeout', async () => {
+    const chunks = [new Uint8Array([1, 2]), new Uint8Array([3]), new Uint8Array([4, 5])];
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      body: new ReadableStream({
+        async pull(controller) {
+          await new Promise(resolve => setTimeout(resolve, 15));
+          if (chunks.length) {
+            controller.enqueue(chunks.shift());
+          } else {
+            controller.close();
+          }
+        }
+      })
+    }));
+    client = new S3ClientBrowser('test-bucket', { endpoint: 'https://test-endpoint.com', retry: { maxAttempts: 1, timeoutMs: 25 } });
+
+    await expect(client.getObjectBytes('inventory/data.csv.gz')).resolves.toEqual(new Uint8Array([1, 2, 3, 4, 5]));
+  });
+
+  test('getObject reads a specific version when given a versionId', async () => {
+    await client.getObject('health/study.metadata.json', { versionId: 'a/b+c' });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://test-endpoint.com/test-bucket/health/study.metadata.json?versionId=a%2Fb%2Bc', expect.anything());
+  });
+});
@@ -0,0 +1,54 @@
+const { Readable } = require('stream');
+const { S3ClientWrapper } = require('../../src/catalog-core/s3-client');
+
+// Emits the items one by one, waiting between them, like a slow multi-page listing or download
+function slowStream(items, delayMs, options = {}) {
+  const queue = [...items];
+  return new Readable({
+    ...options,
+    read() {
+      setTimeout(() => this.push(queue.length ? queue.shift() : null), delayMs);
+    }
+  });
+}
+
+describe('S3ClientWrapper streamed operations', () => {
+  let client;
+  let signal;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = new S3ClientWrapper('test-bucket', { endpoint: 'http://localhost:9000', retry: { maxAttempts: 1, timeoutMs: 25 } });
+    const execute = client.retryPolicy.execute.bind(client.retryPolicy);
+    client.retryPolicy.execute = (operation, options) => execute((attempt) => {
+      signal = attempt.signal;
+      jest.spyOn(signal, 'removeEventListener');
+      return operation(attempt);
+    }, options);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('listObjects only times out when the listing stalls, not when it is long', async () => {
+    const entries = ['a.csv', 'b.csv', 'c.csv', 'd.csv'].map(name => ({ name, size: 1, etag: 'e', lastModified: new Date() }));
+    client.s3Client.listObjectsV2 = jest.fn(() => slowStream(entries, 15, { objectMode: true }));
+
+    const objects = await client.listObjects('');
+    expect(objects.map(obj => obj.Key)).toEqual(['a.csv', 'b.csv', 'c.csv', 'd.csv']);
+    expect(signal.removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+
+    const stalled = new Readable({ objectMode: true, read() {} });
+    client.s3Client.listObjectsV2 = jest.fn(() => stalled);
+    await expect(client.listObjects('')).rejects.toThrow('Listing test-bucket timed out after 25ms');
+    expect(stalled.destroyed).toBe(true);
+  });
+
+  test('getObjectBytes keeps reading a download that takes longer than the timeout', async () => {
+    client.s3Client.getObject = jest.fn(async () => slowStream([Buffer.from([1, 2]), Buffer.from([3]), Buffer.from([4])], 15));
+
+    await expect(client.getObjectBytes('inventory/data.csv.gz')).resolves.toEqual(new Uint8Array([1, 2, 3, 4]));
+    expect(signal.removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+});
@@ -0,0 +1,121 @@
+const { VersionHistory } = require('../../src/catalog-core/version-history');
+const { StorageAdapter } = require('../../src/catalog-core/storage-adapter');
+const { CatalogService } = require('../../src/catalog-core/catalog-service');
+
+const key = 'tijuana/air/pm25.metadata.json';
+
+const contents = {
+  v1: { name: 'PM2.5', description: 'Hourly PM2.5', distribution: [{ name: 'CSV', contentUrl: 'tijuana/air/pm25.csv', encodingFormat: 'text/csv' }] },
+  v2: { name: 'PM2.5 readings', description: 'Hourly PM2.5', distribution: [{ name: 'CSV', contentUrl: 'tijuana/air/pm25.csv', encodingFormat: 'text/plain' }, { name: 'Parquet', contentUrl: 'tijuana/air/pm25.parquet' }] },
+  v4: { name: 'PM2.5 readings', description: 'Hourly PM2.5', distribution: [{ name: 'Parquet', contentUrl: 'tijuana/air/pm25.parquet' }] },
+};
+
+class VersionedStorage extends StorageAdapter {
+  constructor() {
+    super('versioned');
+    this.getObject = jest.fn(async (objectKey, { versionId }) => {
+      if (versionId === 'v3') {
+        throw new Error('Access Denied');
+      }
+      return JSON.stringify(contents[versionId]);
+    });
+  }
+
+  async listObjectVersions(objectKey) {
+    return [
+      this.createObjectVersion(objectKey, '2024-05-01T00:00:00Z', 0, null, { versionId: 'v5', isLatest: 'true', isDeleteMarker: true }),
+      this.createObjectVersion(objectKey, '2024-04-01T00:00:00Z', 90, '"d"', { versionId: 'v4', isLatest: 'false' }),
+      this.createObjectVersion(objectKey, '2024-03-01T00:00:00Z', 80, '"c"', { versionId: 'v3', isLatest: 'false' }),
+      this.createObjectVersion(objectKey, '2024-02-01T00:00:00Z', 70, '"b"', { versionId: 'v2', isLatest: 'false' }),
+      this.createObjectVersion(objectKey, '2024-01-01T00:00:00Z', 60, '"a"', { versionId: 'v1', isLatest: 'false' }),
+    ];
+  }
+}
+
+describe('VersionHistory', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('load reads every version and compares it with the previous readable one', async () => {
+    const storage = new VersionedStorage();
+    const versions = await VersionHistory.load(storage, key);
+
+    expect(versions.map(v => v.versionId)).toEqual(['v5', 'v4', 'v3', 'v2', 'v1']);
+    expect(storage.getObject).not.toHaveBeenCalledWith(key, expect.objectContaining({ versionId: 'v5' }));
+
+    const [deleted, v4, v3, v2, v1] = versions;
+    expect(deleted).toEqual(expect.objectContaining({ isDeleteMarker: true, isLatest: true, dataset: null, changes: [] }));
+    expect(v3.error).toBe('Access Denied');
+    expect(v1.changes).toEqual([]);
+
+    expect(v2.changes).toEqual([
+      { field: 'title', type: 'changed', item: null, before: 'PM2.5', after: 'PM2.5 readings' },
+      { field: 'distribution.encodingFormat', type: 'changed', item: 'CSV', before: 'text/csv', after: 'text/plain' },
+      { field: 'distribution', type: 'added', item: 'Parquet', before: null, after: 'tijuana/air/pm25.parquet' },
+    ]);
+    // v3 is unreadable, so v4 is compared with v2
+    expect(v4.changes).toEqual([
+      { field: 'distribution', type: 'removed', item: 'CSV', before: 'tijuana/air/pm25.csv', after: null },
+    ]);
+  });
+
+  test('describeChange formats changes as single lines', () => {
+    expect(VersionHistory.describeChange({ field: 'title', type: 'changed', item: null, before: 'Old', after: 'New' }))
+      .toBe('title: "Old" → "New"');
+    expect(VersionHistory.describeChange({ field: 'distribution', type: 'added', item: 'Parquet', before: null, after: 'x' }))
+      .toBe('Added distribution Parquet');
+    expect(VersionHistory.describeChange({ field: 'description', type: 'added', item: null, before: null, after: `a\n${'b'.repeat(80)}` }))
+      .toBe(`description: set to "a ${'b'.repeat(57)}…"`);
+  });
+
+  test('unversioned storage reports the current object as the only version', async () => {
+    const storage = new StorageAdapter('plain');
+    storage.headObject = jest.fn(async objectKey => storage.createEnhancedS3Object(objectKey, '2024-01-01T00:00:00Z', 60, '"a"'));
+    storage.getObject = jest.fn(async () => JSON.stringify(contents.v1));
+
+    const versions = await VersionHistory.load(storage, key);
+
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toEqual(expect.objectContaining({ versionId: null, isLatest: true, changes: [] }));
+    expect(storage.getObject).toHaveBeenCalledWith(key, expect.objectContaining({ versionId: undefined }));
+  });
+
+  test('CatalogService.getDatasetHistory accepts IDs and keeps the history on loaded datasets', async () => {
+    const storage = new VersionedStorage();
+    storage.listObjects = jest.fn(async () => [storage.createEnhancedS3Object(key, '2024-04-01T00:00:00Z', 90)]);
+    storage.getObject.mockImplementation(async (objectKey, { versionId }) => JSON.stringify(contents[versionId || 'v4'] || contents.v4));
+    const service = new CatalogService('versioned', { s3Client: storage });
+
+    expect(await service.getDatasetHistory('tijuana/air/pm25')).toHaveLength(5);
+
+    await service.loadCatalog();
+    const dataset = service.findDataset('tijuana/air/pm25');
+    const versions = await service.getDatasetHistory(dataset.id);
+    expect(dataset.versionHistory).toBe(versions);
+    expect(dataset.hasVersionHistory()).toBe(true);
+  });
+
+  test('CatalogService.getDatasetHistory finds the metadata file of an ID in any format', async () => {
+    const yamlKey = 'other/x/y.metadata.yaml';
+    const storage = new StorageAdapter('plain');
+    storage.listObjects = jest.fn(async () => [
+      storage.createEnhancedS3Object('other/x/y.csv', '2024-01-01T00:00:00Z', 10),
+      storage.createEnhancedS3Object(yamlKey, '2024-01-01T00:00:00Z', 60)
+    ]);
+    storage.headObject = jest.fn(async objectKey => storage.createEnhancedS3Object(objectKey, '2024-01-01T00:00:00Z', 60, '"a"'));
+    storage.getObject = jest.fn(async () => 'name: Y readings\ndescription: Hourly Y\n');
+    const service = new CatalogService('plain', { s3Client: storage });
+
+    const versions = await service.getDatasetHistory('other/x/y');
+
+    expect(storage.listObjects).toHaveBeenCalledWith('other/x/y', expect.anything());
+    expect(storage.headObject).toHaveBeenCalledWith(yamlKey, expect.anything());
+    expect(versions).toHaveLength(1);
+    expect(versions[0].dataset.title).toBe('Y readings');
+  });
+});
@@ -0,0 +1,100 @@
+const { YamlReader, YamlError } = require('../../src/catalog-core/yaml-reader');
+
+describe('YamlReader', () => {
+  test('reads block and flow collections with core schema scalars', () => {
+    const doc = YamlReader.parse([
+      '---',
+      '# Hand-written metadata',
+      '"@type": Dataset',
+      'name: PM2.5 readings',
+      'keywords: [air quality, "pm2.5"]',
+      'dateCreated: 2024-03-01',
+      'version: 3',
+      'isAccessibleForFree: true',
+      'license: ~',
+      'url: https://example.org/pm25#readings  # homepage',
+      'distribution:',
+      '  - name: Hourly CSV',
+      '    contentUrl: tijuana/air/pm25.csv',
+      '    contentSize: 2048',
+      '  - {name: Daily CSV, contentUrl: tijuana/air/pm25_daily.csv}',
+      'creator:',
+      '- Air Lab',
+      '- Resilient Collective'
+    ].join('\n'));
+
+    expect(doc).toEqual({
+      '@type': 'Dataset',
+      name: 'PM2.5 readings',
+      keywords: ['air quality', 'pm2.5'],
+      dateCreated: '2024-03-01',
+      version: 3,
+      isAccessibleForFree: true,
+      license: null,
+      url: 'https://example.org/pm25#readings',
+      distribution: [
+        { name: 'Hourly CSV', contentUrl: 'tijuana/air/pm25.csv', contentSize: 2048 },
+        { name: 'Daily CSV', contentUrl: 'tijuana/air/pm25_daily.csv' }
+      ],
+      creator: ['Air Lab', 'Resilient Collective']
+    });
+  });
+
+  test('reads quoted, multi-line and block scalars', () => {
+    const doc = YamlReader.parse([
+      'plain: hourly readings',
+      '  from two stations',
+      'single: \'it\'\'s here\'',
+      'double: "caf\\u00e9\\tbar"',
+      'literal: |',
+      '  line one',
+      '    indented',
+      '',
+      'folded: >-',
+      '  first',
+      '  paragraph',
+      '',
+      '  second',
+      'kept: |+',
+      '  text',
+      '',
+      'end: x'
+    ].join('\n'));
+
+    expect(doc).toEqual({
+      plain: 'hourly readings from two stations',
+      single: "it's here",
+      double: 'café\tbar',
+      literal: 'line one\n  indented\n',
+      folded: 'first paragraph\nsecond',
+      kept: 'text\n\n',
+      end: 'x'
+    });
+    expect(YamlReader.parse('')).toBeNull();
+    expect(YamlReader.parse('- 0x1F\n- -1.5e3\n- .inf\n- "12"')).toEqual([31, -1500, Infinity, '12']);
+  });
+
+  test('reports errors and unsupported features with their line and column', () => {
+    const errorOf = text => {
+      try {
+        YamlReader.parse(text);
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected a YamlError');
+    };
+
+    const duplicate = errorOf('name: a\nname: b');
+    expect(duplicate).toBeInstanceOf(YamlError);
+    expect(duplicate.message).toBe('YAML error at line 2, column 1: Duplicate key "name"');
+    expect([duplicate.line, duplicate.column]).toEqual([2, 1]);
+
+    expect(errorOf('name: Air: quality').message).toBe('YAML error at line 1, column 10: A value containing ": " must be quoted');
+    expect(errorOf('name: a\n   description: b').message).toBe('YAML error at line 2, column 4: Unexpected indentation');
+    expect(errorOf('keywords: [air,\n  water').message).toBe('YAML error at line 1, column 11: Unclosed [');
+    expect(errorOf('name: "open').message).toBe('YAML error at line 1, column 7: Unterminated quoted string');
+    expect(errorOf('base: &base x').message).toMatch(/line 1, column 7: Anchors, aliases and tags are not supported/);
+    expect(errorOf('name: a\n---\nname: b').message).toMatch(/line 2, column 1: Only one document per file is supported/);
+    expect(errorOf('items:\n\t- a').message).toMatch(/line 2, column 1: Tabs cannot be used for indentation/);
+  });
+});